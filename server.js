@@ -17,6 +17,8 @@ const swaggerJsdoc = require('swagger-jsdoc');
 // Import configurations
 const connectDB = require('./src/config/database');
 const logger = require('./src/config/logger');
+const { startReservationExpiryJob, stopReservationExpiryJob } = require('./src/jobs/reservationExpiryJob');
+const { startCodReconciliationJob, stopCodReconciliationJob } = require('./src/jobs/codReconciliationJob');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
@@ -25,9 +27,14 @@ const notFound = require('./src/middleware/notFound');
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
 const productRoutes = require('./src/routes/productRoutes');
-const { router: cartRoutes } = require('./src/routes/cartRoutes');
+const categoryRoutes = require('./src/routes/categoryRoutes');
+const searchRoutes = require('./src/routes/searchRoutes');
+const cartRoutes = require('./src/routes/cartRoutes');
 const orderRoutes = require('./src/routes/orderRoutes');
 const paymentRoutes = require('./src/routes/paymentRoutes');
+const couponRoutes = require('./src/routes/couponRoutes');
+const shippingRoutes = require('./src/routes/shippingRoutes');
+const sellerRoutes = require('./src/routes/sellerRoutes');
 
 const app = express();
 
@@ -147,9 +154,13 @@ app.options('*', cors(corsOptions));
 
 // Body parsing middleware
 app.use(compression());
+// Stripe (and carriers) sign the exact bytes they send, so their webhooks must get the raw body;
+// parsed here first, the JSON parser below leaves it alone
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/shipping/webhooks', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET)); // secret enables signed cookies
 
 // Data sanitization against NoSQL query injection
 app.use(mongoSanitize());
@@ -215,9 +226,14 @@ app.get('/', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/sellers', sellerRoutes);
 
 // Serve static files
 app.use('/uploads', express.static('uploads'));
@@ -233,6 +249,12 @@ const server = app.listen(PORT, () => {
   logger.info(`API Documentation available at: ${process.env.NODE_ENV === 'production' ? 'https://shoppyglobe-backend-7qnq.onrender.com' : `http://localhost:${PORT}`}/api-docs`);
 });
 
+// Background jobs
+if (process.env.NODE_ENV !== 'test') {
+  startReservationExpiryJob();
+  startCodReconciliationJob();
+}
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
   logger.error('Uncaught Exception:', err);
@@ -250,6 +272,8 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  stopReservationExpiryJob();
+  stopCodReconciliationJob();
   server.close(() => {
     logger.info('HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -261,6 +285,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  stopReservationExpiryJob();
+  stopCodReconciliationJob();
   server.close(() => {
     logger.info('HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -0,0 +1,24 @@
+/**
+ * Cash-on-delivery configuration
+ * A COD order has to fit under the order value limit for the customer's trust level
+ * and ship to a pincode on the allow-list (when one is set).
+ */
+const list = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+module.exports = {
+  // Largest order that can be paid in cash
+  MAX_ORDER_VALUE: parseFloat(process.env.COD_MAX_ORDER_VALUE) || 20000,
+
+  // Customers with fewer orders than this are held to the lower NEW_CUSTOMER_MAX_ORDER_VALUE
+  TRUSTED_MIN_ORDERS: parseInt(process.env.COD_TRUSTED_MIN_ORDERS, 10) || 3,
+  NEW_CUSTOMER_MAX_ORDER_VALUE: parseFloat(process.env.COD_NEW_CUSTOMER_MAX_ORDER_VALUE) || 5000,
+
+  // Exact pincodes, or prefixes ending in * (e.g. 5600*); empty allows every pincode
+  PINCODES: list(process.env.COD_PINCODES),
+
+  // Delivered COD orders without a recorded collection are flagged after this many hours
+  COLLECTION_GRACE_HOURS: parseInt(process.env.COD_COLLECTION_GRACE_HOURS, 10) || 24
+};
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('./logger');
+const Cart = require('../models/Cart');
 
 /**
  * Connect to MongoDB Database
@@ -38,6 +39,15 @@ const connectDB = async () => {
     console.log('✅ MongoDB Connected Successfully!');
     logger.info(`MongoDB Connected: ${conn.connection.host}:${conn.connection.port}/${conn.connection.name}`);
 
+    // Index migrations the schema can't apply to an existing collection
+    try {
+      if (await Cart.migrateUserIndex()) {
+        logger.info('Cart user index rebuilt as sparse for guest carts');
+      }
+    } catch (err) {
+      logger.error('Cart user index migration failed:', err);
+    }
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       logger.error('MongoDB connection error:', err);
@@ -0,0 +1,17 @@
+/**
+ * Marketplace (third-party seller) configuration
+ * A seller's commission is their own negotiated rate, else their product category's,
+ * else DEFAULT_COMMISSION_RATE. Earnings are held for PAYOUT_HOLD_DAYS after delivery
+ * so a return can still be taken off them before they're paid out.
+ */
+module.exports = {
+  // Percentage of each sale kept by the marketplace
+  DEFAULT_COMMISSION_RATE: process.env.SELLER_COMMISSION_RATE !== undefined && process.env.SELLER_COMMISSION_RATE !== ''
+    ? parseFloat(process.env.SELLER_COMMISSION_RATE)
+    : 10,
+
+  // Days after delivery before a line's earnings can be paid out
+  PAYOUT_HOLD_DAYS: process.env.SELLER_PAYOUT_HOLD_DAYS !== undefined && process.env.SELLER_PAYOUT_HOLD_DAYS !== ''
+    ? parseInt(process.env.SELLER_PAYOUT_HOLD_DAYS, 10)
+    : 30
+};
@@ -0,0 +1,56 @@
+/**
+ * Order and shipment status transitions
+ * Each status lists the statuses it can move to; any other move is refused.
+ * Side effects of each order move live in services/orderStatusService.
+ */
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'partially_shipped',
+  'shipped',
+  'partially_delivered',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped', 'partially_delivered'],
+  shipped: ['partially_delivered', 'delivered'],
+  partially_delivered: ['delivered'],
+  delivered: [],
+  // A cancelled order is only reinstated when its payment lands after all
+  cancelled: ['confirmed'],
+  refunded: []
+};
+
+// Statuses a paid order can become refunded from. The move isn't in the table above:
+// only refundService makes it, once the refund ledger covers the order total.
+const REFUNDED_FROM = ['confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled'];
+
+// Order statuses worked out from the order's shipments once it has any
+const SHIPMENT_DRIVEN_STATUSES = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+const SHIPMENT_STATUSES = ['pending', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'cancelled'];
+
+const SHIPMENT_TRANSITIONS = {
+  pending: ['shipped', 'cancelled'],
+  shipped: ['in_transit', 'out_for_delivery', 'delivered'],
+  in_transit: ['out_for_delivery', 'delivered'],
+  out_for_delivery: ['in_transit', 'delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  REFUNDED_FROM,
+  SHIPMENT_DRIVEN_STATUSES,
+  SHIPMENT_STATUSES,
+  SHIPMENT_TRANSITIONS
+};
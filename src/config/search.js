@@ -0,0 +1,54 @@
+/**
+ * Product search configuration
+ * Price facets count products in the ranges between PRICE_BUCKETS boundaries (the last
+ * range is open-ended); rating facets count products rated at least each of RATING_BUCKETS.
+ * Suggestions come from an in-process index that is rebuilt SUGGEST_REBUILD_DELAY_MS after a
+ * product, category or synonym changes, and at least every SUGGEST_INDEX_MAX_AGE_MINUTES (to pick
+ * up bulk updates and changes made by other server instances).
+ * Searches are logged for analytics and kept SEARCH_LOG_RETENTION_DAYS; a product opened from
+ * the results within SEARCH_CLICK_WINDOW_MINUTES counts as a click on that search.
+ */
+const numbers = (value) => (value || '')
+  .split(',')
+  .map(entry => parseFloat(entry))
+  .filter(entry => !Number.isNaN(entry))
+  .sort((a, b) => a - b);
+
+// The ranges always start at 0, so no price falls below the first one (and $bucket
+// boundaries must be distinct)
+const priceBuckets = (value) => [...new Set([0, ...numbers(value).filter(bound => bound > 0)])];
+
+module.exports = {
+  // Lower bounds of the price ranges (₹)
+  PRICE_BUCKETS: priceBuckets(process.env.SEARCH_PRICE_BUCKETS).length > 1
+    ? priceBuckets(process.env.SEARCH_PRICE_BUCKETS)
+    : [0, 500, 1000, 2500, 5000, 10000, 25000],
+
+  // "4★ & up" style rating thresholds, highest first
+  RATING_BUCKETS: [4, 3, 2, 1],
+
+  // Most values listed for one facet (brands, or one specification)
+  FACET_VALUE_LIMIT: parseInt(process.env.SEARCH_FACET_VALUE_LIMIT, 10) || 20,
+
+  // Most specifications offered as facets, the most common first
+  SPECIFICATION_FACET_LIMIT: parseInt(process.env.SEARCH_SPECIFICATION_FACET_LIMIT, 10) || 10,
+
+  // Wait after a change before rebuilding the suggestion index, so bulk edits rebuild it once
+  SUGGEST_REBUILD_DELAY_MS: parseInt(process.env.SEARCH_SUGGEST_REBUILD_DELAY_MS, 10) || 2000,
+
+  // Oldest the suggestion index may get before a request rebuilds it
+  SUGGEST_INDEX_MAX_AGE_MINUTES: parseInt(process.env.SEARCH_SUGGEST_INDEX_MAX_AGE_MINUTES, 10) || 15,
+
+  // Times a query must have been searched (with results) to be suggested, and most suggestable queries
+  POPULAR_QUERY_MIN_COUNT: parseInt(process.env.SEARCH_POPULAR_QUERY_MIN_COUNT, 10) || 3,
+  POPULAR_QUERY_LIMIT: parseInt(process.env.SEARCH_POPULAR_QUERY_LIMIT, 10) || 500,
+
+  // Days search logs are kept before MongoDB expires them
+  SEARCH_LOG_RETENTION_DAYS: parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 180,
+
+  // Minutes after a search that opening one of its products still counts as a click on it
+  SEARCH_CLICK_WINDOW_MINUTES: parseInt(process.env.SEARCH_CLICK_WINDOW_MINUTES, 10) || 30,
+
+  // Days covered by analytics reports without a from date
+  SEARCH_REPORT_DEFAULT_DAYS: 30
+};
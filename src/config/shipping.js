@@ -0,0 +1,31 @@
+/**
+ * Shipping configuration
+ * Rates come from admin-defined shipping zones; the fallback below applies only
+ * while no zones have been set up, so a fresh install can still take orders.
+ */
+const SHIPPING_METHODS = ['standard', 'express', 'same_day'];
+
+module.exports = {
+  SHIPPING_METHODS,
+
+  FALLBACK_ZONE: {
+    name: 'Default',
+    volumetricDivisor: 5000,
+    methods: [
+      {
+        method: 'standard',
+        label: 'Standard Delivery',
+        weightTiers: [
+          { maxWeight: 0.5, rate: 49 },
+          { maxWeight: 2, rate: 99 },
+          { maxWeight: 5, rate: 149 }
+        ],
+        additionalPerKg: 30,
+        freeAbove: 999,
+        minDays: 3,
+        maxDays: 7,
+        isActive: true
+      }
+    ]
+  }
+};
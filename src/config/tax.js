@@ -0,0 +1,21 @@
+/**
+ * GST configuration
+ * A product's rate comes from the product, then its category, then DEFAULT_GST_RATE.
+ */
+const GST_RATES = [0, 5, 12, 18, 28];
+
+module.exports = {
+  GST_RATES,
+
+  // Rate for products and categories without their own tax class
+  DEFAULT_GST_RATE: GST_RATES.includes(parseFloat(process.env.DEFAULT_GST_RATE))
+    ? parseFloat(process.env.DEFAULT_GST_RATE)
+    : 18,
+
+  // true when catalog prices already include GST (MRP style), false when GST is added on top
+  PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX === 'true',
+
+  // State the platform ships from; used for products sold by the platform itself
+  // and for sellers without a default address on file
+  BUSINESS_STATE: process.env.BUSINESS_STATE || ''
+};
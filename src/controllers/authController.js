@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Cart = require('../models/Cart');
 const logger = require('../config/logger');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/appError');
 const Email = require('../services/emailService');
+const { getCartSessionId, clearCartSession } = require('../middleware/cartSession');
 
 /**
  * @desc    Register a new user
@@ -100,6 +102,9 @@ const register = asyncHandler(async (req, res, next) => {
 
   res.cookie('refreshToken', refreshToken, cookieOptions);
 
+  // Carry over anything picked as a guest
+  const cartMerge = await mergeGuestCart(req, res, user._id);
+
   // Remove password from output
   user.password = undefined;
   user.refreshTokens = undefined;
@@ -111,7 +116,8 @@ const register = asyncHandler(async (req, res, next) => {
     message: 'User registered successfully. Please verify your email.',
     data: {
       token,
-      user
+      user,
+      ...(cartMerge && { cartMerge })
     }
   });
 });
@@ -186,6 +192,9 @@ const login = asyncHandler(async (req, res, next) => {
 
   res.cookie('refreshToken', refreshToken, cookieOptions);
 
+  // Carry over anything picked as a guest
+  const cartMerge = await mergeGuestCart(req, res, user._id);
+
   // Remove sensitive data from output
   user.password = undefined;
   user.refreshTokens = undefined;
@@ -199,7 +208,8 @@ const login = asyncHandler(async (req, res, next) => {
     message: 'Logged in successfully',
     data: {
       token,
-      user
+      user,
+      ...(cartMerge && { cartMerge })
     }
   });
 });
@@ -533,6 +543,43 @@ const refreshToken = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Helper functions
+
+/**
+ * Merge the request's guest cart (if any) into the user's cart
+ * Never fails the login: a merge error is logged and the guest cart is left in place
+ */
+const mergeGuestCart = async (req, res, userId) => {
+  const sessionId = getCartSessionId(req);
+
+  if (!sessionId) {
+    return null;
+  }
+
+  try {
+    const result = await Cart.mergeGuestCart(sessionId, userId);
+    clearCartSession(res);
+
+    if (!result) {
+      return null;
+    }
+
+    logger.info('Guest cart merged', {
+      userId: userId.toString(),
+      totalItems: result.cart.totalItems,
+      adjustments: result.adjustments.length
+    });
+
+    return {
+      totalItems: result.cart.totalItems,
+      adjustments: result.adjustments
+    };
+  } catch (error) {
+    logger.error('Guest cart merge failed:', error);
+    return null;
+  }
+};
+
 module.exports = {
   register,
   login,
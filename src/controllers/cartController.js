@@ -0,0 +1,336 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const couponService = require('../services/couponService');
+
+/**
+ * @desc    Get current user's cart
+ * @route   GET /api/cart
+ * @access  Public (user cart or guest session cart)
+ */
+const getCart = asyncHandler(async (req, res, next) => {
+  const cart = await getOrCreateCart(req);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      cart,
+      coupon: await describeCoupon(req, cart)
+    }
+  });
+});
+
+/**
+ * @desc    Add item to cart
+ * @route   POST /api/cart
+ * @access  Public (user cart or guest session cart)
+ */
+const addToCart = asyncHandler(async (req, res, next) => {
+  const { productId, quantity, variants = [] } = req.body;
+
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isListed()) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  let variant;
+  try {
+    variant = product.resolveVariant(variants);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const cart = await getOrCreateCart(req);
+  const existingItem = cart.getItem(productId, variant.key);
+  const requestedQuantity = quantity + (existingItem ? existingItem.quantity : 0);
+
+  if (variant.stock < requestedQuantity) {
+    return next(new AppError(`Insufficient stock for ${product.title}. Available: ${variant.stock}`, 400));
+  }
+
+  // Always charge the current catalog (or variant) price, never a client-supplied one
+  await cart.addItem(product._id, quantity, variant.price, variant.selections);
+
+  logger.info('Item added to cart', {
+    userId: req.user ? req.user.id : 'guest',
+    productId: product._id,
+    quantity
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Item added to cart',
+    data: {
+      cart: await findCart(req)
+    }
+  });
+});
+
+/**
+ * @desc    Update cart item quantity
+ * @route   PUT /api/cart/:productId
+ * @access  Public (user cart or guest session cart)
+ */
+const updateCartItem = asyncHandler(async (req, res, next) => {
+  const { quantity } = req.body;
+  const { productId } = req.params;
+  const variantKey = req.query.variantKey || '';
+
+  const cart = await findCart(req);
+  const item = cart && cart.getItem(productId, variantKey);
+
+  if (!item) {
+    return next(new AppError('Cart item not found', 404));
+  }
+
+  const product = await Product.findById(productId);
+
+  if (product) {
+    let variant;
+    try {
+      variant = product.resolveVariant(item.selectedVariants);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    if (variant.stock < quantity) {
+      return next(new AppError(`Insufficient stock for ${product.title}. Available: ${variant.stock}`, 400));
+    }
+  }
+
+  await cart.updateItemQuantity(productId, quantity, variantKey);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart updated',
+    data: {
+      cart: await findCart(req)
+    }
+  });
+});
+
+/**
+ * @desc    Remove item from cart
+ * @route   DELETE /api/cart/:productId
+ * @access  Public (user cart or guest session cart)
+ */
+const removeCartItem = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+  const variantKey = req.query.variantKey || '';
+
+  const cart = await findCart(req);
+
+  if (!cart || !cart.getItem(productId, variantKey)) {
+    return next(new AppError('Cart item not found', 404));
+  }
+
+  await cart.removeItem(productId, variantKey);
+
+  res.status(200).json({
+    success: true,
+    message: 'Item removed from cart',
+    data: {
+      cart: await findCart(req)
+    }
+  });
+});
+
+/**
+ * @desc    Clear cart
+ * @route   DELETE /api/cart
+ * @access  Public (user cart or guest session cart)
+ */
+const clearCart = asyncHandler(async (req, res, next) => {
+  const cart = await getOrCreateCart(req);
+
+  await cart.clearCart();
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart cleared',
+    data: {
+      cart
+    }
+  });
+});
+
+/**
+ * @desc    Validate cart against current product data
+ * @route   POST /api/cart/validate
+ * @access  Public (user cart or guest session cart)
+ */
+const validateCart = asyncHandler(async (req, res, next) => {
+  const cart = await getOrCreateCart(req);
+
+  const validationResults = await cart.validateItems();
+
+  // Bring the cart in line with current stock and prices
+  if (validationResults.length > 0) {
+    await cart.applyValidation(validationResults);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      valid: validationResults.length === 0,
+      validationResults,
+      cart: await findCart(req)
+    }
+  });
+});
+
+/**
+ * @desc    Apply a coupon to the cart
+ * @route   POST /api/cart/coupon
+ * @access  Private
+ */
+const applyCoupon = asyncHandler(async (req, res, next) => {
+  const cart = await findCart(req);
+
+  if (!cart || cart.items.length === 0) {
+    return next(new AppError('Cart is empty', 400));
+  }
+
+  // Throws with the reason the coupon can't be used
+  const { coupon } = await couponService.evaluateCoupon(req.body.code, req.user.id, cartLines(cart));
+
+  await cart.applyCoupon(coupon.code);
+
+  logger.info('Coupon applied to cart', {
+    userId: req.user.id,
+    code: coupon.code
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon applied',
+    data: {
+      cart,
+      coupon: await describeCoupon(req, cart)
+    }
+  });
+});
+
+/**
+ * @desc    Remove the coupon from the cart
+ * @route   DELETE /api/cart/coupon
+ * @access  Private
+ */
+const removeCoupon = asyncHandler(async (req, res, next) => {
+  const cart = await findCart(req);
+
+  if (!cart || !cart.coupon || !cart.coupon.code) {
+    return next(new AppError('No coupon applied to cart', 404));
+  }
+
+  await cart.removeCoupon();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon removed',
+    data: {
+      cart
+    }
+  });
+});
+
+// Helper functions
+
+/**
+ * Owner filter for the request's cart: the logged-in user or the guest session
+ */
+const cartOwner = (req) => {
+  return req.user
+    ? { user: req.user.id }
+    : { sessionId: req.cartSessionId, user: { $exists: false } };
+};
+
+/**
+ * Find the request's cart with products populated
+ */
+const findCart = (req) => {
+  return req.user
+    ? Cart.findByUser(req.user.id)
+    : Cart.findBySession(req.cartSessionId);
+};
+
+/**
+ * Get the request's cart, creating an empty one on first use
+ */
+const getOrCreateCart = async (req) => {
+  const cart = await findCart(req);
+
+  if (cart) {
+    return cart;
+  }
+
+  const owner = req.user ? { user: req.user.id } : { sessionId: req.cartSessionId };
+
+  // Upsert so two concurrent first requests don't both insert
+  await Cart.updateOne(
+    cartOwner(req),
+    { $setOnInsert: { ...owner, items: [] } },
+    { upsert: true }
+  );
+
+  return findCart(req);
+};
+
+/**
+ * Cart lines in the shape the coupon service prices
+ */
+const cartLines = (cart) => {
+  return cart.items.map(item => ({
+    product: item.product,
+    total: item.total
+  }));
+};
+
+/**
+ * Describe the cart's coupon and its current discount, or why it no longer applies
+ */
+const describeCoupon = async (req, cart) => {
+  if (!req.user || !cart.coupon || !cart.coupon.code) {
+    return null;
+  }
+
+  try {
+    const { coupon, discountAmount } = await couponService.evaluateCoupon(
+      cart.coupon.code,
+      req.user.id,
+      cartLines(cart)
+    );
+
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      discountAmount,
+      valid: true
+    };
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    return {
+      code: cart.coupon.code,
+      discountAmount: 0,
+      valid: false,
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  validateCart,
+  applyCoupon,
+  removeCoupon
+};
@@ -0,0 +1,210 @@
+const Category = require('../models/Category');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const categoryService = require('../services/categoryService');
+
+/**
+ * @desc    Get categories (flat list)
+ * @route   GET /api/categories
+ * @access  Public (admins can include inactive categories)
+ */
+const getCategories = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (!(isAdmin(req) && req.query.includeInactive === true)) {
+    query.isActive = true;
+  }
+
+  if (req.query.parent) {
+    query.parent = req.query.parent === 'root' ? null : req.query.parent;
+  }
+
+  const categories = await Category.find(query)
+    .select('-__v')
+    .sort({ sortOrder: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: categories.length,
+    data: {
+      categories
+    }
+  });
+});
+
+/**
+ * @desc    Get the category tree
+ * @route   GET /api/categories/tree
+ * @access  Public (admins can include inactive categories)
+ */
+const getCategoryTree = asyncHandler(async (req, res, next) => {
+  const tree = isAdmin(req) && req.query.includeInactive === true
+    ? await Category.getTree({})
+    : await Category.getTree();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      categories: tree
+    }
+  });
+});
+
+/**
+ * @desc    Get category by slug, with its breadcrumb and subcategories
+ * @route   GET /api/categories/slug/:slug
+ * @access  Public
+ */
+const getCategoryBySlug = asyncHandler(async (req, res, next) => {
+  const category = await Category.findBySlug(req.params.slug)
+    .populate({
+      path: 'subcategories',
+      match: { isActive: true },
+      select: 'name slug image productCount sortOrder',
+      options: { sort: { sortOrder: 1, name: 1 } }
+    });
+
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const breadcrumb = await categoryService.getBreadcrumb(category);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category,
+      breadcrumb
+    }
+  });
+});
+
+/**
+ * @desc    Get single category
+ * @route   GET /api/categories/:id
+ * @access  Public
+ */
+const getCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id)
+    .populate({
+      path: 'subcategories',
+      select: 'name slug image productCount sortOrder isActive',
+      options: { sort: { sortOrder: 1, name: 1 } }
+    });
+
+  if (!category || (!category.isActive && !isAdmin(req))) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category
+    }
+  });
+});
+
+/**
+ * @desc    Get the breadcrumb from the root down to a category
+ * @route   GET /api/categories/:id/breadcrumb
+ * @access  Public
+ */
+const getCategoryBreadcrumb = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category || (!category.isActive && !isAdmin(req))) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const breadcrumb = await categoryService.getBreadcrumb(category);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      breadcrumb
+    }
+  });
+});
+
+/**
+ * @desc    Create category
+ * @route   POST /api/categories
+ * @access  Private (Admin only)
+ */
+const createCategory = asyncHandler(async (req, res, next) => {
+  const category = await categoryService.createCategory(req.body);
+
+  logger.info(`New category created: ${category.name} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: {
+      category
+    }
+  });
+});
+
+/**
+ * @desc    Update (or move) category
+ * @route   PUT /api/categories/:id
+ * @access  Private (Admin only)
+ */
+const updateCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  await categoryService.updateCategory(category, req.body);
+
+  logger.info(`Category updated: ${category.name} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: {
+      category
+    }
+  });
+});
+
+/**
+ * @desc    Delete category
+ * @route   DELETE /api/categories/:id
+ * @access  Private (Admin only)
+ */
+const deleteCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const result = await categoryService.deleteCategory(category, {
+    reassignTo: req.query.reassignTo
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully',
+    data: result
+  });
+});
+
+// Helper functions
+
+const isAdmin = (req) => Boolean(req.user && req.user.role === 'admin');
+
+module.exports = {
+  getCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  getCategory,
+  getCategoryBreadcrumb,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,162 @@
+const Coupon = require('../models/Coupon');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/coupons
+ * @access  Private/Admin
+ */
+const getCoupons = asyncHandler(async (req, res, next) => {
+  const query = {};
+  const { isActive, search } = req.query;
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    query.code = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const total = await Coupon.countDocuments(query);
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    },
+    data: {
+      coupons
+    }
+  });
+});
+
+/**
+ * @desc    Get single coupon
+ * @route   GET /api/coupons/:id
+ * @access  Private/Admin
+ */
+const getCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableCategories', 'name slug')
+    .populate('applicableProducts', 'title thumbnail');
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      coupon
+    }
+  });
+});
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/coupons
+ * @access  Private/Admin
+ */
+const createCoupon = asyncHandler(async (req, res, next) => {
+  const existing = await Coupon.findOne({ code: req.body.code });
+
+  if (existing) {
+    return next(new AppError('Coupon code already exists', 400));
+  }
+
+  const coupon = await Coupon.create({
+    ...req.body,
+    createdBy: req.user.id
+  });
+
+  logger.info(`Coupon created: ${coupon.code} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: {
+      coupon
+    }
+  });
+});
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private/Admin
+ */
+const updateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  // The code is what orders record, so it can't be changed once created
+  coupon.set(req.body);
+  await coupon.save();
+
+  logger.info(`Coupon updated: ${coupon.code} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: {
+      coupon
+    }
+  });
+});
+
+/**
+ * @desc    Delete coupon
+ * @route   DELETE /api/coupons/:id
+ * @access  Private/Admin
+ */
+const deleteCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  // Redeemed coupons are kept for order history and only deactivated
+  if (coupon.usageCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+  } else {
+    await coupon.deleteOne();
+  }
+
+  logger.info(`Coupon deleted: ${coupon.code} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: coupon.usageCount > 0
+      ? 'Coupon has been used and was deactivated instead of deleted'
+      : 'Coupon deleted successfully'
+  });
+});
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
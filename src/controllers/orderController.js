@@ -1,12 +1,19 @@
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Cart = require('../models/Cart');
-const Product = require('../models/Product');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
 const emailService = require('../services/emailService');
-const { clearSampleCart } = require('../routes/cartRoutes');
+const inventoryService = require('../services/inventoryService');
+const couponService = require('../services/couponService');
+const pricingService = require('../services/pricingService');
+const paymentProviders = require('../services/paymentProviders');
+const codService = require('../services/codService');
+const returnService = require('../services/returnService');
+const orderStatusService = require('../services/orderStatusService');
+const shipmentService = require('../services/shipmentService');
+const { SHIPMENT_DRIVEN_STATUSES } = require('../config/orderStatus');
 
 /**
  * @desc    Get all orders with filtering and pagination
@@ -121,13 +128,106 @@ const getOrder = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Track an order: its status, shipments and tracking timeline
+ * @route   GET /api/orders/track/:orderNumber
+ * @access  Public (the order's owner, an admin, or anyone with the order's email)
+ */
+const trackOrder = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({ orderNumber: req.params.orderNumber.toUpperCase() })
+    .populate('user', 'email');
+
+  const email = (req.query.email || '').toLowerCase();
+  // The customer's account may have been deleted since; then only admins can track the order
+  const customer = order && order.user;
+  const allowed = order && (
+    (req.user && (req.user.role === 'admin' || (customer && customer._id.toString() === req.user.id))) ||
+    (email && customer && (customer.email || '').toLowerCase() === email)
+  );
+
+  // Same answer for a wrong email as for no such order, so order numbers can't be probed
+  if (!allowed) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      estimatedDelivery: order.estimatedDelivery,
+      shipments: order.shipments
+        .filter(shipment => shipment.status !== 'cancelled')
+        .map(shipment => ({
+          shipmentNumber: shipment.shipmentNumber,
+          items: shipment.items.reduce((total, item) => total + item.quantity, 0),
+          carrier: shipment.carrier,
+          trackingNumber: shipment.trackingNumber,
+          trackingUrl: shipment.trackingUrl,
+          status: shipment.status,
+          shippedAt: shipment.shippedAt,
+          deliveredAt: shipment.deliveredAt
+        })),
+      timeline: order.trackingTimeline()
+    }
+  });
+});
+
+/**
+ * @desc    Price the cart for checkout
+ * @route   POST /api/orders/quote
+ * @access  Private
+ */
+const getOrderQuote = asyncHandler(async (req, res, next) => {
+  const { shippingAddress, shippingMethod, currency } = req.body;
+
+  const cart = await Cart.findByUser(req.user.id);
+
+  if (!cart || cart.items.length === 0) {
+    return next(new AppError('Cart is empty', 400));
+  }
+
+  // Validate cart items and stock
+  const validationResults = await cart.validateItems();
+
+  if (validationResults.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cart validation failed',
+      validationResults
+    });
+  }
+
+  const quote = await pricingService.priceCart(cart, req.user.id, {
+    shippingAddress,
+    shippingMethod,
+    currency
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quote,
+      cashOnDelivery: codService.checkEligibility(req.user, {
+        totalAmount: quote.total,
+        shippingAddress
+      })
+    }
+  });
+});
+
 /**
  * @desc    Create new order from cart
  * @route   POST /api/orders
  * @access  Private
  */
 const createOrder = asyncHandler(async (req, res, next) => {
-  const { shippingAddress, paymentMethod, customerNotes } = req.body;
+  const { shippingAddress, paymentMethod, customerNotes, quote } = req.body;
+
+  // Online orders are paid later through this provider, so it has to be available now
+  if (paymentMethod !== 'cod') {
+    paymentProviders.getProvider(paymentMethod);
+  }
 
   // Get user's cart
   const cart = await Cart.findByUser(req.user.id);
@@ -147,87 +247,71 @@ const createOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Prepare order items
-  const orderItems = [];
-  let hasStockIssues = false;
-  
-  for (const cartItem of cart.items) {
-    const product = await Product.findById(cartItem.product);
-    
-    if (!product) {
-      return next(new AppError(`Product ${cartItem.product} not found`, 400));
-    }
+  // The order is built from the customer's quote, provided the cart still costs the same
+  const pricing = pricingService.quoteToOrder(
+    await pricingService.confirmQuote(quote, cart, req.user.id, { shippingAddress })
+  );
+  const orderItems = pricing.items;
+  const couponCode = pricing.appliedCoupon && pricing.appliedCoupon.code;
 
-    if (!product.isActive) {
-      return next(new AppError(`Product ${product.title} is no longer available`, 400));
+  if (paymentMethod === 'cod') {
+    try {
+      codService.assertEligible(req.user, { totalAmount: pricing.totalAmount, shippingAddress });
+    } catch (error) {
+      return next(error);
     }
+  }
 
-    if (product.stock < cartItem.quantity) {
-      hasStockIssues = true;
-      return next(new AppError(`Insufficient stock for ${product.title}. Available: ${product.stock}`, 400));
-    }
+  // For COD, set payment status as pending
+  const paymentStatus = paymentMethod === 'cod' ? 'pending' : 'pending';
 
-    orderItems.push({
-      product: product._id,
-      title: product.title,
-      price: cartItem.price,
-      quantity: cartItem.quantity,
-      total: cartItem.total,
-      productSnapshot: {
-        description: product.description,
-        image: product.thumbnail,
-        sku: product.sku,
-        brand: product.brand
-      },
-      selectedVariants: cartItem.selectedVariants || []
-    });
+  // Reserve stock for all items atomically before the order exists;
+  // a concurrent checkout that took the last unit makes this fail with 409
+  try {
+    await inventoryService.reserveItems(orderItems);
+  } catch (error) {
+    return next(error);
   }
 
-  if (hasStockIssues) {
-    return next(new AppError('Some items have stock issues', 400));
+  // Take a coupon redemption; the overall usage limit is enforced atomically here
+  if (couponCode) {
+    try {
+      await couponService.redeemCoupon(couponCode);
+    } catch (error) {
+      await inventoryService.releaseItems(orderItems);
+      return next(error);
+    }
   }
 
-  // Calculate amounts
-  const subtotal = cart.totalAmount;
-  const shippingCost = calculateShippingCost(cart);
-  const taxAmount = calculateTaxAmount(subtotal);
-  const totalAmount = subtotal + shippingCost + taxAmount;
-
-  // For COD, set payment status as pending
-  const paymentStatus = paymentMethod === 'cod' ? 'pending' : 'pending';
-
+  let order;
   try {
     // Create order
-    const order = await Order.create({
+    order = await Order.create({
       user: req.user.id,
-      items: orderItems,
-      subtotal,
-      taxAmount,
-      shippingCost,
-      totalAmount,
+      ...pricing,
       shippingAddress,
       paymentMethod,
       paymentStatus,
       customerNotes,
-      status: paymentMethod === 'cod' ? 'confirmed' : 'pending'
+      status: paymentMethod === 'cod' ? 'confirmed' : 'pending',
+      // Online payments hold the reserved stock only until the hold lapses
+      reservationExpiresAt: paymentMethod === 'cod' ? undefined : inventoryService.holdExpiresAt()
     });
+  } catch (error) {
+    // Give the reserved units and coupon redemption back before failing
+    await inventoryService.releaseItems(orderItems);
+    await couponService.releaseCoupon(couponCode);
+    logger.error('Order creation failed:', error);
+    return next(new AppError('Order creation failed', 500));
+  }
 
-    // Reserve stock for all items
-    for (const item of orderItems) {
-      await Product.findById(item.product).then(product => {
-        if (product) {
-          return product.reserveStock(item.quantity);
-        }
-      });
-    }
-
+  try {
     // Clear user's cart
-    // await cart.clearCart();
-    clearSampleCart();
+    await cart.clearCart();
 
     // Update user statistics
     await User.findByIdAndUpdate(req.user.id, {
-      $inc: { totalOrders: 1, totalSpent: totalAmount },
+      $inc: { totalOrders: 1, totalSpent: order.totalAmount },
       lastOrderDate: new Date()
     });
 
@@ -242,7 +326,7 @@ const createOrder = asyncHandler(async (req, res, next) => {
       orderId: order._id,
       orderNumber: order.orderNumber,
       userId: req.user.id,
-      totalAmount
+      totalAmount: order.totalAmount
     });
 
     res.status(201).json({
@@ -255,14 +339,19 @@ const createOrder = asyncHandler(async (req, res, next) => {
           status: order.status,
           totalAmount: order.totalAmount,
           paymentMethod: order.paymentMethod,
+          shippingMethod: order.shippingMethod,
+          estimatedDelivery: order.estimatedDelivery,
+          discountAmount: order.discountAmount,
+          appliedCoupon: order.appliedCoupon,
+          reservationExpiresAt: order.reservationExpiresAt,
           createdAt: order.createdAt
         }
       }
     });
 
   } catch (error) {
-    logger.error('Order creation failed:', error);
-    return next(new AppError('Order creation failed', 500));
+    logger.error('Post-order processing failed:', error);
+    return next(new AppError('Order created but post-processing failed', 500));
   }
 });
 
@@ -283,64 +372,17 @@ const updateOrderStatus = asyncHandler(async (req, res, next) => {
 
   const previousStatus = order.status;
 
-  // Update order status
-  await order.updateStatus(status, notes, req.user.id);
-
-  // Handle status-specific logic
-  switch (status) {
-    case 'confirmed':
-      // Send confirmation email if not already sent
-      if (previousStatus === 'pending') {
-        try {
-          await emailService.sendOrderConfirmation(order.user, order);
-        } catch (emailError) {
-          logger.error('Order confirmation email failed:', emailError);
-        }
-      }
-      break;
-
-    case 'shipped':
-      // Send shipping notification
-      if (order.tracking && order.tracking.trackingNumber) {
-        try {
-          await emailService.sendOrderShipped(order.user, order);
-        } catch (emailError) {
-          logger.error('Order shipped email failed:', emailError);
-        }
-      }
-      break;
-
-    case 'delivered':
-      // Update product analytics
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { 
-            purchases: item.quantity,
-            revenue: item.total
-          }
-        });
-      }
-      break;
-
-    case 'cancelled':
-      // Release reserved stock
-      for (const item of order.items) {
-        await Product.findById(item.product).then(product => {
-          if (product) {
-            return product.releaseStock(item.quantity);
-          }
-        });
-      }
-      break;
+  // Once boxes are out, shipping progress comes from the shipments themselves
+  const hasShipments = order.shipments.some(shipment => shipment.status !== 'cancelled');
+  if (SHIPMENT_DRIVEN_STATUSES.includes(status) && (hasShipments || status.startsWith('partially_'))) {
+    return next(new AppError(`Order status ${status} follows its shipments; update the shipment instead`, 409, {
+      currentStatus: order.status,
+      allowedStatuses: order.allowedTransitions().filter(allowed => !SHIPMENT_DRIVEN_STATUSES.includes(allowed))
+    }));
   }
 
-  logger.info('Order status updated', {
-    orderId: order._id,
-    orderNumber: order.orderNumber,
-    previousStatus,
-    newStatus: status,
-    updatedBy: req.user.id
-  });
+  // Refused moves are a 409 listing the allowed next statuses
+  await orderStatusService.transition(order, status, { notes, updatedBy: req.user.id });
 
   res.status(200).json({
     success: true,
@@ -357,12 +399,38 @@ const updateOrderStatus = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Add tracking information
+ * @desc    Split an order into shipments
+ * @route   POST /api/orders/:id/shipments
+ * @access  Private (Admin only)
+ */
+const createShipments = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const shipments = await shipmentService.createShipments(order, req.body.shipments, {
+    updatedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipments created successfully',
+    data: {
+      shipments
+    }
+  });
+});
+
+/**
+ * @desc    Add tracking information to a shipment
  * @route   PUT /api/orders/:id/tracking
  * @access  Private (Admin only)
  */
 const addTrackingInfo = asyncHandler(async (req, res, next) => {
   const { provider, trackingNumber, trackingUrl } = req.body;
+  let { shipmentId } = req.body;
   
   const order = await Order.findById(req.params.id)
     .populate('user', 'firstName lastName email');
@@ -371,32 +439,68 @@ const addTrackingInfo = asyncHandler(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  // Add tracking information
-  await order.addTracking({
-    provider,
+  const live = order.shipments.filter(shipment => shipment.status !== 'cancelled');
+
+  if (!shipmentId) {
+    if (live.length > 1) {
+      return next(new AppError('shipmentId is required for an order with several shipments', 400));
+    }
+
+    // An order shipped in one box doesn't need its shipment created first
+    const [shipment] = live.length === 1
+      ? live
+      : await shipmentService.createShipments(order, [{
+        items: order.items.map(item => ({
+          product: item.product,
+          variantKey: item.variantKey,
+          quantity: item.quantity
+        }))
+      }], { updatedBy: req.user.id });
+    shipmentId = shipment._id;
+  }
+
+  const shipment = await shipmentService.addTracking(order, shipmentId, {
+    carrier: provider,
     trackingNumber,
-    trackingUrl: trackingUrl || `https://track.${provider.toLowerCase()}.com/${trackingNumber}`
+    trackingUrl,
+    updatedBy: req.user.id
   });
 
-  // Send shipping notification email
-  try {
-    await emailService.sendOrderShipped(order.user, order);
-  } catch (emailError) {
-    logger.error('Order shipped email failed:', emailError);
+  res.status(200).json({
+    success: true,
+    message: 'Tracking information added successfully',
+    data: {
+      shipment,
+      orderStatus: order.status
+    }
+  });
+});
+
+/**
+ * @desc    Update a shipment's status
+ * @route   PUT /api/orders/:id/shipments/:shipmentId/status
+ * @access  Private (Admin only)
+ */
+const updateShipmentStatus = asyncHandler(async (req, res, next) => {
+  const { status, notes } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
   }
 
-  logger.info('Tracking information added', {
-    orderId: order._id,
-    orderNumber: order.orderNumber,
-    provider,
-    trackingNumber
+  const shipment = await shipmentService.updateShipmentStatus(order, req.params.shipmentId, status, {
+    notes,
+    updatedBy: req.user.id
   });
 
   res.status(200).json({
     success: true,
-    message: 'Tracking information added successfully',
+    message: 'Shipment status updated successfully',
     data: {
-      tracking: order.tracking
+      shipment,
+      orderStatus: order.status
     }
   });
 });
@@ -426,8 +530,8 @@ const cancelOrder = asyncHandler(async (req, res, next) => {
     return next(new AppError('Order cannot be cancelled at this stage', 400));
   }
 
-  // Cancel order
-  await order.cancelOrder(reason, req.user.id);
+  // Cancel order, releasing its stock and coupon
+  await orderStatusService.transition(order, 'cancelled', { reason, updatedBy: req.user.id });
 
   logger.info('Order cancelled', {
     orderId: order._id,
@@ -465,23 +569,21 @@ const requestReturn = asyncHandler(async (req, res, next) => {
     query.user = req.user.id;
   }
 
-  const order = await Order.findOne(query);
+  const order = await Order.findOne(query).populate('user', 'firstName lastName email');
 
   if (!order) {
     return next(new AppError('Order not found', 404));
   }
 
-  if (!order.canBeReturned()) {
-    return next(new AppError('Order cannot be returned', 400));
-  }
+  // Request return
+  await returnService.requestReturn(order, { items, reason });
 
-  if (order.returnRequest.requested) {
-    return next(new AppError('Return request already exists for this order', 400));
+  try {
+    await emailService.sendReturnRequested(order.user, order);
+  } catch (emailError) {
+    logger.error('Return requested email failed:', emailError);
   }
 
-  // Request return
-  await order.requestReturn(items, reason);
-
   logger.info('Return requested', {
     orderId: order._id,
     orderNumber: order.orderNumber,
@@ -498,6 +600,150 @@ const requestReturn = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Approve return request
+ * @route   PUT /api/orders/:id/return/approve
+ * @access  Private (Admin only)
+ */
+const approveReturn = asyncHandler(async (req, res, next) => {
+  const { notes, pickup } = req.body;
+
+  const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await returnService.approveReturn(order, { notes, pickup, reviewedBy: req.user.id });
+
+  try {
+    await emailService.sendReturnApproved(order.user, order);
+  } catch (emailError) {
+    logger.error('Return approved email failed:', emailError);
+  }
+
+  logger.info('Return approved', {
+    orderId: order._id,
+    rmaNumber: order.returnRequest.rmaNumber,
+    approvedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return approved successfully',
+    data: {
+      returnRequest: order.returnRequest
+    }
+  });
+});
+
+/**
+ * @desc    Reject return request
+ * @route   PUT /api/orders/:id/return/reject
+ * @access  Private (Admin only)
+ */
+const rejectReturn = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await returnService.rejectReturn(order, { reason, reviewedBy: req.user.id });
+
+  try {
+    await emailService.sendReturnRejected(order.user, order);
+  } catch (emailError) {
+    logger.error('Return rejected email failed:', emailError);
+  }
+
+  logger.info('Return rejected', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    reason,
+    rejectedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return rejected',
+    data: {
+      returnRequest: order.returnRequest
+    }
+  });
+});
+
+/**
+ * @desc    Schedule return pickup
+ * @route   PUT /api/orders/:id/return/pickup
+ * @access  Private (Admin only)
+ */
+const scheduleReturnPickup = asyncHandler(async (req, res, next) => {
+  const { scheduledFor, slot, carrier, trackingNumber } = req.body;
+
+  const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await returnService.schedulePickup(order, { scheduledFor, slot, carrier, trackingNumber });
+
+  try {
+    await emailService.sendReturnPickupScheduled(order.user, order);
+  } catch (emailError) {
+    logger.error('Return pickup email failed:', emailError);
+  }
+
+  logger.info('Return pickup scheduled', {
+    orderId: order._id,
+    rmaNumber: order.returnRequest.rmaNumber,
+    scheduledFor
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return pickup scheduled successfully',
+    data: {
+      returnRequest: order.returnRequest
+    }
+  });
+});
+
+/**
+ * @desc    Receive and inspect returned items, restock and refund them
+ * @route   PUT /api/orders/:id/return/complete
+ * @access  Private (Admin only)
+ */
+const completeReturn = asyncHandler(async (req, res, next) => {
+  const { items, notes } = req.body;
+
+  const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await returnService.completeReturn(order, { items, notes, inspectedBy: req.user.id });
+
+  try {
+    await emailService.sendReturnCompleted(order.user, order);
+  } catch (emailError) {
+    logger.error('Return completed email failed:', emailError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Return completed successfully',
+    data: {
+      returnRequest: order.returnRequest,
+      paymentStatus: order.paymentStatus
+    }
+  });
+});
+
 /**
  * @desc    Get order statistics
  * @route   GET /api/orders/analytics
@@ -562,43 +808,83 @@ const getOrdersRequiringAction = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Helper functions
-
 /**
- * Calculate shipping cost
+ * @desc    Record cash collected for a COD order
+ * @route   POST /api/orders/:id/cod-collection
+ * @access  Private (Admin, Courier)
  */
-const calculateShippingCost = (cart) => {
-  const freeShippingThreshold = 999;
-  
-  if (cart.totalAmount >= freeShippingThreshold) {
-    return 0;
+const markCodCollected = asyncHandler(async (req, res, next) => {
+  const { amount, reference, notes } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
   }
 
-  const baseShipping = 99;
-  const weightBasedShipping = cart.items.reduce((total, item) => {
-    return total + (item.quantity * 10);
-  }, 0);
+  await codService.markCollected(order, {
+    amount,
+    collectedBy: req.user.id,
+    reference,
+    notes
+  });
+
+  logger.info('COD collection recorded', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    amount,
+    collectedBy: req.user.id
+  });
 
-  return Math.min(baseShipping + weightBasedShipping, 299);
-};
+  res.status(200).json({
+    success: true,
+    message: 'Cash collection recorded successfully',
+    data: {
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus,
+        codCollection: order.codCollection
+      }
+    }
+  });
+});
 
 /**
- * Calculate tax amount
+ * @desc    Get COD reconciliation for a day
+ * @route   GET /api/orders/cod/reconciliation
+ * @access  Private (Admin only)
  */
-const calculateTaxAmount = (subtotal) => {
-  const taxRate = 0.18; // 18% GST
-  return Math.round(subtotal * taxRate);
-};
+const getCodReconciliation = asyncHandler(async (req, res, next) => {
+  const report = await codService.getReconciliation(req.query.date || new Date());
+
+  res.status(200).json({
+    success: true,
+    data: {
+      report
+    }
+  });
+});
 
 module.exports = {
   getOrders,
   getOrder,
+  trackOrder,
+  getOrderQuote,
   createOrder,
   updateOrderStatus,
+  createShipments,
   addTrackingInfo,
+  updateShipmentStatus,
   cancelOrder,
   requestReturn,
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  completeReturn,
   getOrderAnalytics,
   getRecentOrders,
-  getOrdersRequiringAction
+  getOrdersRequiringAction,
+  markCodCollected,
+  getCodReconciliation
 };
\ No newline at end of file
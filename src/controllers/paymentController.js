@@ -1,12 +1,21 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const WebhookEvent = require('../models/WebhookEvent');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
 const emailService = require('../services/emailService');
+const inventoryService = require('../services/inventoryService');
+const couponService = require('../services/couponService');
+const pricingService = require('../services/pricingService');
+const webhookService = require('../services/webhookService');
+const refundService = require('../services/refundService');
+const orderStatusService = require('../services/orderStatusService');
+const paymentProviders = require('../services/paymentProviders');
+const stripeProvider = require('../services/paymentProviders/stripeProvider');
 
 /**
  * @desc    Create payment intent
@@ -14,14 +23,17 @@ const emailService = require('../services/emailService');
  * @access  Private
  */
 const createPaymentIntent = asyncHandler(async (req, res, next) => {
-  const { amount, currency = 'inr', metadata = {} } = req.body;
+  const { quote, metadata = {}, orderId, provider = 'stripe' } = req.body;
 
-  if (!amount || amount < 50) { // Minimum amount for Stripe
-    return next(new AppError('Invalid amount. Minimum amount is ₹50', 400));
+  // Paying for an order placed via POST /api/orders, whose stock is already on hold
+  if (orderId) {
+    return createOrderPaymentIntent(req, res, next);
   }
 
+  const gateway = paymentProviders.getProvider(provider);
+
   try {
-    // Get user's cart to validate items and calculate actual amount
+    // Get user's cart to validate items and re-check the quote against it
     const cart = await Cart.findByUser(req.user.id);
     
     if (!cart || cart.items.length === 0) {
@@ -39,28 +51,105 @@ const createPaymentIntent = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Calculate shipping cost (you can implement your logic here)
-    const shippingCost = calculateShippingCost(cart);
-    const taxAmount = calculateTaxAmount(cart.totalAmount);
-    const finalAmount = Math.round((cart.totalAmount + shippingCost + taxAmount) * 100); // Convert to paise
+    // Charge exactly what was quoted, provided the cart still costs the same
+    const pricing = await pricingService.confirmQuote(quote, cart, req.user.id);
+    const finalAmount = pricingService.toMinorUnits(pricing.total);
+
+    if (finalAmount < 5000) { // Minimum amount for online payment
+      return next(new AppError('Order total is below the ₹50 minimum for online payment', 400));
+    }
 
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
+    const paymentIntent = await gateway.createIntent({
       amount: finalAmount,
-      currency: currency.toLowerCase(),
+      currency: pricing.currency,
       customer: req.user.stripeCustomerId, // You might want to create Stripe customers
-      metadata: {
+      metadata: intentMetadata(gateway, metadata, {
         userId: req.user.id,
         cartId: cart._id.toString(),
-        ...metadata
-      },
-      automatic_payment_methods: {
-        enabled: true
-      }
+        quoteVersion: pricing.version,
+        quoteSignature: pricing.signature
+      })
     });
 
     logger.info('Payment intent created', {
+      provider,
+      paymentIntentId: paymentIntent.id,
+      amount: finalAmount,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider,
+        clientSecret: paymentIntent.clientSecret,
+        clientData: paymentIntent.clientData,
+        paymentIntentId: paymentIntent.id,
+        amount: finalAmount,
+        currency: pricing.currency,
+        // Pass this quote to /api/payments/confirm once the payment succeeds
+        quote: pricing
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Payment intent creation failed:', error);
+    return next(new AppError('Payment intent creation failed', 500));
+  }
+});
+
+/**
+ * Create a payment intent for an existing pending order
+ * The intent is linked to the order both ways so the webhook can settle it.
+ */
+const createOrderPaymentIntent = async (req, res, next) => {
+  const { orderId, metadata = {} } = req.body;
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return next(new AppError('Invalid order ID', 400));
+  }
+
+  const order = await Order.findOne({ _id: orderId, user: req.user.id });
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.paymentMethod === 'cod' || order.status !== 'pending' || order.paymentStatus !== 'pending') {
+    return next(new AppError('Order is not awaiting online payment', 400));
+  }
+
+  if (!order.reservationExpiresAt || order.reservationExpiresAt <= new Date()) {
+    return next(new AppError('Stock hold for this order has expired. Please place the order again', 409));
+  }
+
+  // The order's payment method picks the provider
+  const gateway = paymentProviders.getProvider(order.paymentMethod);
+  const finalAmount = pricingService.toMinorUnits(order.totalAmount);
+
+  try {
+    const paymentIntent = await gateway.createIntent({
+      amount: finalAmount,
+      currency: pricingService.CURRENCY,
+      customer: req.user.stripeCustomerId,
+      metadata: intentMetadata(gateway, metadata, {
+        userId: req.user.id,
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber
+      })
+    });
+
+    order.set('paymentDetails.paymentIntentId', paymentIntent.id);
+    await order.save();
+
+    logger.info('Payment intent created for order', {
+      provider: order.paymentMethod,
       paymentIntentId: paymentIntent.id,
+      orderId: order._id,
       amount: finalAmount,
       userId: req.user.id
     });
@@ -68,15 +157,22 @@ const createPaymentIntent = asyncHandler(async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        clientSecret: paymentIntent.client_secret,
+        provider: order.paymentMethod,
+        clientSecret: paymentIntent.clientSecret,
+        clientData: paymentIntent.clientData,
         paymentIntentId: paymentIntent.id,
         amount: finalAmount,
-        currency,
+        currency: pricingService.CURRENCY,
+        orderId: order._id,
+        reservationExpiresAt: order.reservationExpiresAt,
         breakdown: {
-          subtotal: cart.totalAmount,
-          shipping: shippingCost,
-          tax: taxAmount,
-          total: finalAmount / 100
+          subtotal: order.subtotal,
+          discount: order.discountAmount,
+          coupon: order.appliedCoupon ? order.appliedCoupon.code : null,
+          shipping: order.shippingCost,
+          tax: order.taxAmount,
+          taxIncluded: order.pricesIncludeTax,
+          total: order.totalAmount
         }
       }
     });
@@ -85,7 +181,7 @@ const createPaymentIntent = asyncHandler(async (req, res, next) => {
     logger.error('Payment intent creation failed:', error);
     return next(new AppError('Payment intent creation failed', 500));
   }
-});
+};
 
 /**
  * @desc    Confirm payment and create order
@@ -93,7 +189,7 @@ const createPaymentIntent = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 const confirmPayment = asyncHandler(async (req, res, next) => {
-  const { paymentIntentId, shippingAddress } = req.body;
+  const { paymentIntentId, shippingAddress, quote, provider = 'stripe', confirmation } = req.body;
 
   if (!paymentIntentId) {
     return next(new AppError('Payment intent ID is required', 400));
@@ -103,90 +199,121 @@ const confirmPayment = asyncHandler(async (req, res, next) => {
     return next(new AppError('Shipping address is required', 400));
   }
 
+  const gateway = paymentProviders.getProvider(provider);
+
   try {
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // Check the payment with the provider, including what the client submitted (e.g. Razorpay's signature)
+    const paymentIntent = await gateway.confirm(paymentIntentId, confirmation);
 
     if (paymentIntent.status !== 'succeeded') {
       return next(new AppError('Payment not completed', 400));
     }
 
-    // Get user's cart
-    const cart = await Cart.findByUser(req.user.id);
-    
-    if (!cart || cart.items.length === 0) {
-      return next(new AppError('Cart is empty', 400));
+    // A repeated confirmation returns the order the payment already created
+    const existingOrder = await Order.findOne({
+      user: req.user.id,
+      'paymentDetails.paymentIntentId': paymentIntent.id
+    });
+
+    if (existingOrder) {
+      return res.status(200).json({
+        success: true,
+        message: 'Order already created for this payment',
+        data: {
+          order: {
+            id: existingOrder._id,
+            orderNumber: existingOrder.orderNumber,
+            status: existingOrder.status,
+            totalAmount: existingOrder.totalAmount,
+            items: existingOrder.items,
+            shippingMethod: existingOrder.shippingMethod,
+            estimatedDelivery: existingOrder.estimatedDelivery,
+            createdAt: existingOrder.createdAt
+          }
+        }
+      });
     }
 
-    // Create order items with product snapshots
-    const orderItems = [];
-    
-    for (const cartItem of cart.items) {
-      const product = await Product.findById(cartItem.product);
-      
-      if (!product) {
-        return next(new AppError(`Product ${cartItem.product} not found`, 400));
-      }
+    // The order is built from the quote that was paid, even if prices moved since
+    pricingService.verifyPaidQuote(quote, req.user.id, {
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      quoteSignature: paymentIntent.metadata.quoteSignature,
+      shippingAddress
+    });
+    const pricing = pricingService.quoteToOrder(quote);
+    const orderItems = pricing.items;
+    const couponCode = pricing.appliedCoupon && pricing.appliedCoupon.code;
 
-      if (product.stock < cartItem.quantity) {
-        return next(new AppError(`Insufficient stock for ${product.title}`, 400));
+    // Get user's cart
+    const cart = await Cart.findByUser(req.user.id);
+
+    // Reserve stock for all items atomically, rolling back on any shortfall
+    try {
+      await inventoryService.reserveItems(orderItems);
+    } catch (error) {
+      if (!error.isOperational) {
+        throw error;
       }
 
-      orderItems.push({
-        product: product._id,
-        title: product.title,
-        price: cartItem.price,
-        quantity: cartItem.quantity,
-        total: cartItem.total,
-        productSnapshot: {
-          description: product.description,
-          image: product.thumbnail,
-          sku: product.sku,
-          brand: product.brand
-        },
-        selectedVariants: cartItem.selectedVariants || []
+      // The payment is already captured, so it is recorded on a cancelled order and refunded
+      const unfulfilled = await refundUnfulfilledPayment({
+        userId: req.user.id,
+        pricing,
+        shippingAddress,
+        provider,
+        paymentIntent,
+        reason: error.message
       });
 
-      // Reserve stock
-      await product.reserveStock(cartItem.quantity);
+      return next(new AppError(`${error.message}. Your payment is being refunded`, 409, {
+        orderId: unfulfilled._id,
+        orderNumber: unfulfilled.orderNumber,
+        refundStatus: unfulfilled.cancellation.refundStatus
+      }));
     }
 
-    // Calculate amounts
-    const subtotal = cart.totalAmount;
-    const shippingCost = calculateShippingCost(cart);
-    const taxAmount = calculateTaxAmount(subtotal);
-    const totalAmount = subtotal + shippingCost + taxAmount;
+    // The customer has already paid the discounted amount, so the redemption
+    // is recorded even if the coupon filled up since the intent was created
+    if (couponCode) {
+      await couponService.redeemCoupon(couponCode, { enforceLimit: false });
+    }
 
     // Create order
-    const order = await Order.create({
-      user: req.user.id,
-      items: orderItems,
-      subtotal,
-      taxAmount,
-      shippingCost,
-      totalAmount,
-      shippingAddress,
-      paymentMethod: 'stripe',
-      paymentStatus: 'paid',
-      paymentDetails: {
-        transactionId: paymentIntent.id,
-        paymentIntentId: paymentIntent.id,
-        receiptUrl: paymentIntent.charges.data[0]?.receipt_url
-      },
-      status: 'confirmed'
-    });
+    let order;
+    try {
+      order = await Order.create({
+        user: req.user.id,
+        ...pricing,
+        shippingAddress,
+        paymentMethod: provider,
+        paymentStatus: 'paid',
+        paymentDetails: {
+          transactionId: paymentIntent.transactionId,
+          paymentIntentId: paymentIntent.id,
+          receiptUrl: paymentIntent.receiptUrl
+        },
+        status: 'confirmed'
+      });
+    } catch (error) {
+      await inventoryService.releaseItems(orderItems);
+      await couponService.releaseCoupon(couponCode);
+      throw error;
+    }
 
     // Clear user's cart
-    await cart.clearCart();
+    if (cart) {
+      await cart.clearCart();
+    }
 
     // Update user analytics
     await User.findByIdAndUpdate(req.user.id, {
       $inc: {
         totalOrders: 1,
-        totalSpent: totalAmount
+        totalSpent: order.totalAmount
       },
       lastOrderDate: new Date(),
-      averageOrderValue: (req.user.totalSpent + totalAmount) / (req.user.totalOrders + 1)
+      averageOrderValue: (req.user.totalSpent + order.totalAmount) / (req.user.totalOrders + 1)
     });
 
     // Update product analytics
@@ -211,7 +338,7 @@ const confirmPayment = asyncHandler(async (req, res, next) => {
       orderId: order._id,
       orderNumber: order.orderNumber,
       userId: req.user.id,
-      amount: totalAmount
+      amount: order.totalAmount
     });
 
     res.status(201).json({
@@ -224,136 +351,181 @@ const confirmPayment = asyncHandler(async (req, res, next) => {
           status: order.status,
           totalAmount: order.totalAmount,
           items: order.items,
+          shippingMethod: order.shippingMethod,
+          estimatedDelivery: order.estimatedDelivery,
           createdAt: order.createdAt
         }
       }
     });
 
   } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
     logger.error('Payment confirmation failed:', error);
     return next(new AppError('Payment confirmation failed', 500));
   }
 });
 
 /**
- * @desc    Handle Stripe webhook
- * @route   POST /api/payments/webhook
- * @access  Public (but verified via Stripe signature)
+ * @desc    Handle payment provider webhook
+ * @route   POST /api/payments/webhook (Stripe), POST /api/payments/webhook/:provider
+ * @access  Public (provider signature verified)
  */
-const handleStripeWebhook = asyncHandler(async (req, res, next) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const handlePaymentWebhook = asyncHandler(async (req, res, next) => {
+  const providerName = req.params.provider || 'stripe';
+  const provider = paymentProviders.getProvider(providerName);
 
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    // Needs the untouched request body, see the raw parser in server.js
+    event = await provider.verifyWebhook(req.body, req.headers);
   } catch (err) {
+    if (err.isOperational) {
+      logger.error(`${providerName} webhook rejected: ${err.message}`);
+      return next(err);
+    }
     logger.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      await handlePaymentSucceeded(event.data.object);
-      break;
+  try {
+    const { duplicate } = await webhookService.processWebhookEvent(
+      providerName,
+      event,
+      webhookHandlerFor(providerName)
+    );
+    res.json({ received: true, duplicate });
+  } catch (error) {
+    // Failing the delivery makes the provider retry it
+    return next(new AppError('Webhook processing failed', 500));
+  }
+});
 
-    case 'payment_intent.payment_failed':
-      await handlePaymentFailed(event.data.object);
-      break;
+/**
+ * @desc    Get webhook events (e.g. failed ones awaiting a re-run)
+ * @route   GET /api/payments/webhooks/events
+ * @access  Private (Admin only)
+ */
+const getWebhookEvents = asyncHandler(async (req, res, next) => {
+  const { status, provider, type } = req.query;
+  const query = {};
 
-    case 'charge.dispute.created':
-      await handleChargeDispute(event.data.object);
-      break;
+  if (status) {
+    query.status = status;
+  }
 
-    case 'invoice.payment_succeeded':
-      await handleInvoicePaymentSucceeded(event.data.object);
-      break;
+  if (provider) {
+    query.provider = provider;
+  }
 
-    default:
-      logger.info(`Unhandled event type: ${event.type}`);
+  if (type) {
+    query.type = type;
+  }
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const total = await WebhookEvent.countDocuments(query);
+
+  const events = await WebhookEvent.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = { page: page + 1, limit };
   }
 
-  res.json({ received: true });
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination,
+    data: {
+      events
+    }
+  });
 });
 
 /**
- * @desc    Create refund
- * @route   POST /api/payments/refund
+ * @desc    Re-run a failed webhook event
+ * @route   POST /api/payments/webhooks/events/:id/replay
  * @access  Private (Admin only)
  */
-const createRefund = asyncHandler(async (req, res, next) => {
-  const { orderId, amount, reason } = req.body;
+const replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await WebhookEvent.findById(req.params.id);
 
-  if (!orderId) {
-    return next(new AppError('Order ID is required', 400));
+  if (!event) {
+    return next(new AppError('Webhook event not found', 404));
   }
 
-  const order = await Order.findById(orderId);
-  
-  if (!order) {
-    return next(new AppError('Order not found', 404));
-  }
+  const handler = webhookHandlerFor(event.provider);
 
-  if (order.paymentStatus !== 'paid') {
-    return next(new AppError('Order payment is not in paid status', 400));
-  }
-
-  if (!order.paymentDetails.paymentIntentId) {
-    return next(new AppError('Payment intent ID not found', 400));
+  if (event.status === 'processed') {
+    return next(new AppError('Webhook event has already been processed', 400));
   }
 
+  let result;
   try {
-    const refundAmount = amount || order.totalAmount * 100; // Convert to paise
-
-    const refund = await stripe.refunds.create({
-      payment_intent: order.paymentDetails.paymentIntentId,
-      amount: refundAmount,
-      reason: reason || 'requested_by_customer',
-      metadata: {
-        orderId: order._id.toString(),
-        adminId: req.user.id
-      }
-    });
+    result = await webhookService.runWebhookEvent(event, handler);
+  } catch (error) {
+    return next(new AppError(`Webhook event failed again: ${error.message}`, 502));
+  }
 
-    // Update order
-    order.paymentStatus = refundAmount >= (order.totalAmount * 100) ? 'refunded' : 'partially_refunded';
-    order.paymentDetails.refundId = refund.id;
-    order.paymentDetails.refundAmount = refundAmount / 100;
-    order.status = 'refunded';
+  if (result.duplicate) {
+    return next(new AppError('Webhook event is already being processed', 409));
+  }
 
-    await order.save();
+  logger.info(`Webhook event ${event.eventId} re-run by ${req.user.email}`);
 
-    // Restore product stock if full refund
-    if (refundAmount >= (order.totalAmount * 100)) {
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity }
-        });
-      }
+  res.status(200).json({
+    success: true,
+    message: 'Webhook event processed successfully',
+    data: {
+      event: result.event
     }
+  });
+});
 
-    logger.info('Refund created successfully', {
-      refundId: refund.id,
-      orderId: order._id,
-      amount: refundAmount / 100
-    });
-
-    res.status(200).json({
-      success: true,
-      message: 'Refund created successfully',
-      data: {
-        refundId: refund.id,
-        amount: refundAmount / 100,
-        status: refund.status
-      }
-    });
+/**
+ * @desc    Create refund
+ * @route   POST /api/payments/refund
+ * @access  Private (Admin only)
+ */
+const createRefund = asyncHandler(async (req, res, next) => {
+  const { orderId, items, amount, reason } = req.body;
 
-  } catch (error) {
-    logger.error('Refund creation failed:', error);
-    return next(new AppError('Refund creation failed', 500));
+  const order = await Order.findById(orderId);
+  
+  if (!order) {
+    return next(new AppError('Order not found', 404));
   }
+
+  const refund = await refundService.refundOrder(order, {
+    items,
+    amount,
+    reason,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund created successfully',
+    data: {
+      refund,
+      refundedAmount: order.refundedAmount,
+      paymentStatus: order.paymentStatus
+    }
+  });
 });
 
 /**
@@ -374,6 +546,9 @@ const getPaymentAnalytics = asyncHandler(async (req, res, next) => {
       };
     }
 
+    // Analytics are read from Stripe's own records
+    const stripe = stripeProvider.getClient();
+
     // Get payment intents from Stripe
     const paymentIntents = await stripe.paymentIntents.list({
       limit: 100,
@@ -435,34 +610,128 @@ const getPaymentAnalytics = asyncHandler(async (req, res, next) => {
 // Helper functions
 
 /**
- * Calculate shipping cost based on cart
+ * Apply a verified, normalized payment event
+ * Handlers are safe to run more than once for the same event.
  */
-const calculateShippingCost = (cart) => {
-  const freeShippingThreshold = 999; // Free shipping over ₹999
-  
-  if (cart.totalAmount >= freeShippingThreshold) {
-    return 0;
+const dispatchPaymentEvent = async (event) => {
+  switch (event.type) {
+    case 'payment.succeeded':
+      await handlePaymentSucceeded(event.payment);
+      break;
+
+    case 'payment.processing':
+      await handlePaymentProcessing(event.payment);
+      break;
+
+    case 'payment.failed':
+      await handlePaymentFailed(event.payment);
+      break;
+
+    case 'dispute.created':
+      await handleChargeDispute(event.data);
+      break;
+
+    case 'refund.updated':
+      await refundService.updateRefundStatus(event.data.id, event.data.status, event.data.reason);
+      break;
+
+    case 'invoice.paid':
+      await handleInvoicePaymentSucceeded(event.data);
+      break;
+
+    default:
+      logger.info(`Unhandled event type: ${event.type}`);
+  }
+};
+
+/**
+ * Record a captured payment whose stock ran out before its order was placed, and refund it
+ * The order is created cancelled so the payment isn't lost: a repeated confirmation finds it,
+ * and a refund the provider rejects stays on its ledger as failed, with the cancellation's
+ * refund still pending, for an admin to retry.
+ */
+const refundUnfulfilledPayment = async ({ userId, pricing, shippingAddress, provider, paymentIntent, reason }) => {
+  const order = await Order.create({
+    user: userId,
+    ...pricing,
+    shippingAddress,
+    paymentMethod: provider,
+    paymentStatus: 'paid',
+    paymentDetails: {
+      transactionId: paymentIntent.transactionId,
+      paymentIntentId: paymentIntent.id,
+      receiptUrl: paymentIntent.receiptUrl
+    },
+    status: 'cancelled',
+    statusHistory: [{ status: 'cancelled', notes: `Out of stock after payment: ${reason}` }],
+    cancellation: {
+      reason: `Out of stock after payment: ${reason}`,
+      cancelledAt: new Date(),
+      refundStatus: 'pending'
+    }
+  });
+
+  try {
+    // Nothing was reserved, so nothing goes back into stock
+    await refundService.refundOrder(order, { reason: 'Out of stock after payment', restock: false });
+  } catch (error) {
+    logger.error('Refund for unfulfilled payment failed', {
+      orderId: order._id,
+      paymentIntentId: paymentIntent.id,
+      error: error.message
+    });
   }
 
-  // Simple shipping calculation - you can make this more complex
-  const baseShipping = 99;
-  const weightBasedShipping = cart.items.reduce((total, item) => {
-    return total + (item.quantity * 10); // ₹10 per item
-  }, 0);
+  logger.warn('Paid checkout could not be fulfilled', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentIntentId: paymentIntent.id,
+    userId,
+    reason
+  });
 
-  return Math.min(baseShipping + weightBasedShipping, 299); // Max ₹299
+  return order;
 };
 
 /**
- * Calculate tax amount
+ * Payment intent metadata: the server's keys, plus as many of the client's as the provider
+ * has room for, so the keys confirmation and webhooks rely on are never dropped or replaced
  */
-const calculateTaxAmount = (subtotal) => {
-  const taxRate = 0.18; // 18% GST
-  return Math.round(subtotal * taxRate);
+const intentMetadata = (gateway, clientMetadata, serverMetadata) => {
+  const room = (gateway.maxMetadataKeys || Infinity) - Object.keys(serverMetadata).length;
+  const clientEntries = Object.entries(clientMetadata)
+    .filter(([key]) => !(key in serverMetadata))
+    .slice(0, Math.max(room, 0));
+
+  return { ...Object.fromEntries(clientEntries), ...serverMetadata };
+};
+
+/**
+ * Handler for a provider's stored webhook events, also used to re-run them
+ */
+const webhookHandlerFor = (providerName) => (payload) =>
+  dispatchPaymentEvent(paymentProviders.getProvider(providerName).normalizeEvent(payload));
+
+/**
+ * Find the order a payment intent belongs to
+ */
+const findOrderForPaymentIntent = (paymentIntent) => {
+  const orderId = paymentIntent.metadata && paymentIntent.metadata.orderId;
+
+  if (orderId && mongoose.isValidObjectId(orderId)) {
+    return Order.findById(orderId);
+  }
+
+  return Order.findOne({ 'paymentDetails.paymentIntentId': paymentIntent.id });
 };
 
 /**
  * Handle successful payment webhook
+ * A payment can land after the stock hold lapsed: a live hold is extended first
+ * so the expiry job can't release it mid-update. An order already cancelled (hold
+ * expired, an earlier attempt failed, or the customer cancelled it) is re-reserved
+ * and reinstated if the stock is still there; otherwise it is marked paid and
+ * flagged for refund.
  */
 const handlePaymentSucceeded = async (paymentIntent) => {
   try {
@@ -471,11 +740,118 @@ const handlePaymentSucceeded = async (paymentIntent) => {
       amount: paymentIntent.amount
     });
 
-    // You can add additional logic here if needed
-    // For example, updating order status, sending notifications, etc.
+    const order = await findOrderForPaymentIntent(paymentIntent);
+
+    // Orders paid via POST /api/payments/confirm are created already paid
+    if (!order || order.paymentStatus === 'paid') {
+      return;
+    }
+
+    // Only the order total, in the order's currency, pays for the order
+    if (!paysOrderTotal(order, paymentIntent)) {
+      order.set('paymentDetails.mismatch', {
+        paymentIntentId: paymentIntent.id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        detectedAt: new Date()
+      });
+      await order.save();
+
+      logger.error('Payment does not match the order total; not applied', {
+        orderId: order._id,
+        paymentIntentId: paymentIntent.id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        expectedAmount: pricingService.toMinorUnits(order.totalAmount),
+        expectedCurrency: pricingService.CURRENCY
+      });
+      return;
+    }
+
+    if (order.status === 'pending') {
+      const held = await order.extendReservation(inventoryService.holdExtensionExpiresAt());
+
+      if (!held) {
+        // The expiry job claimed the hold and is cancelling the order right now;
+        // fail so Stripe retries once it has settled into the cancelled branch below
+        throw new Error(`Stock hold for order ${order.orderNumber} is being released`);
+      }
+
+      await markOrderPaid(order, paymentIntent, 'Payment received');
+      return;
+    }
+
+    if (order.status === 'cancelled') {
+      // Once the order is paid a redelivered event stops above, so the stock is only re-reserved once
+      try {
+        await markOrderPaid(order, paymentIntent, 'Late payment received; stock re-reserved');
+      } catch (error) {
+        // Anything but the stock check failing is retried
+        if (!error.isOperational) {
+          throw error;
+        }
+
+        // Stock went to someone else: keep the order cancelled, recording the payment for refund
+        order.paymentStatus = 'paid';
+        order.set('cancellation.refundStatus', 'pending');
+        await order.save();
+
+        logger.error('Payment for cancelled order could not be fulfilled; refund pending', {
+          orderId: order._id,
+          paymentIntentId: paymentIntent.id,
+          error: error.message
+        });
+        return;
+      }
+
+      logger.info('Order reinstated after late payment', {
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      });
+    }
 
   } catch (error) {
     logger.error('Error handling payment succeeded webhook:', error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a payment is for exactly the order's total, in the order's currency
+ */
+const paysOrderTotal = (order, paymentIntent) => {
+  return paymentIntent.amount === pricingService.toMinorUnits(order.totalAmount) &&
+    String(paymentIntent.currency || '').toLowerCase() === pricingService.CURRENCY;
+};
+
+/**
+ * Mark an order paid and confirmed, ending its stock hold
+ * A cancelled order is reinstated, which re-reserves its stock (409 when it's gone)
+ */
+const markOrderPaid = (order, paymentIntent, notes) => {
+  order.paymentStatus = 'paid';
+  order.set('paymentDetails.transactionId', paymentIntent.transactionId || paymentIntent.id);
+  order.set('paymentDetails.paymentIntentId', paymentIntent.id);
+  order.reservationExpiresAt = undefined;
+
+  return orderStatusService.transition(order, 'confirmed', { notes });
+};
+
+/**
+ * Handle processing payment webhook
+ * Some payment methods settle slowly, so keep the stock held while they do
+ */
+const handlePaymentProcessing = async (paymentIntent) => {
+  try {
+    const order = await findOrderForPaymentIntent(paymentIntent);
+
+    if (order && order.status === 'pending') {
+      await order.extendReservation(inventoryService.holdExtensionExpiresAt());
+    }
+
+  } catch (error) {
+    logger.error('Error handling payment processing webhook:', error);
+    throw error;
   }
 };
 
@@ -486,29 +862,30 @@ const handlePaymentFailed = async (paymentIntent) => {
   try {
     logger.warn('Payment failed webhook received', {
       paymentIntentId: paymentIntent.id,
-      lastPaymentError: paymentIntent.last_payment_error
+      lastPaymentError: paymentIntent.error
     });
 
-    // Find order and update status
-    const order = await Order.findOne({
-      'paymentDetails.paymentIntentId': paymentIntent.id
-    });
+    // Take the order's live hold, so stock the expiry job already released isn't released again
+    const order = await Order.findOneAndUpdate(
+      {
+        'paymentDetails.paymentIntentId': paymentIntent.id,
+        status: 'pending',
+        reservationExpiresAt: { $exists: true }
+      },
+      { $unset: { reservationExpiresAt: 1 } },
+      { new: true }
+    );
 
     if (order) {
       order.paymentStatus = 'failed';
-      order.status = 'cancelled';
-      await order.save();
 
-      // Release reserved stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity }
-        });
-      }
+      // Releases the reserved stock and the coupon redemption
+      await orderStatusService.transition(order, 'cancelled', { reason: 'Payment failed' });
     }
 
   } catch (error) {
     logger.error('Error handling payment failed webhook:', error);
+    throw error;
   }
 };
 
@@ -519,7 +896,7 @@ const handleChargeDispute = async (dispute) => {
   try {
     logger.warn('Charge dispute created', {
       disputeId: dispute.id,
-      chargeId: dispute.charge,
+      paymentId: dispute.paymentId,
       amount: dispute.amount,
       reason: dispute.reason
     });
@@ -529,6 +906,7 @@ const handleChargeDispute = async (dispute) => {
 
   } catch (error) {
     logger.error('Error handling charge dispute webhook:', error);
+    throw error;
   }
 };
 
@@ -547,13 +925,16 @@ const handleInvoicePaymentSucceeded = async (invoice) => {
 
   } catch (error) {
     logger.error('Error handling invoice payment succeeded webhook:', error);
+    throw error;
   }
 };
 
 module.exports = {
   createPaymentIntent,
   confirmPayment,
-  handleStripeWebhook,
+  handlePaymentWebhook,
+  getWebhookEvents,
+  replayWebhookEvent,
   createRefund,
   getPaymentAnalytics
 };
\ No newline at end of file
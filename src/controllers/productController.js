@@ -1,8 +1,13 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
+const { getCartSessionId } = require('../middleware/cartSession');
+const productModerationService = require('../services/productModerationService');
+const categoryService = require('../services/categoryService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
 
 /**
  * @desc    Get all products with filtering, sorting, and pagination
@@ -10,66 +15,19 @@ const logger = require('../config/logger');
  * @access  Public
  */
 const getProducts = asyncHandler(async (req, res, next) => {
-  // Build query
-  const queryObj = { ...req.query };
-  const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
-  excludedFields.forEach(el => delete queryObj[el]);
+  const startedAt = Date.now();
+  const filter = buildProductFilter(req.query);
 
-  // Add active filter by default
-  queryObj.isActive = true;
+  let query = Product.find(filter);
 
-  // Advanced filtering
-  let queryStr = JSON.stringify(queryObj);
-  queryStr = queryStr.replace(/\b(gte|gt|lte|lt|in)\b/g, match => `$${match}`);
-  
-  let query = Product.find(JSON.parse(queryStr));
-
-  // Text search
-  if (req.query.search) {
-    query = query.find({
-      $text: { $search: req.query.search }
-    });
-  }
-
-  // Category filter
-  if (req.query.category) {
-    const categories = req.query.category.split(',');
-    query = query.find({ category: { $in: categories } });
-  }
-
-  // Brand filter
-  if (req.query.brand) {
-    const brands = req.query.brand.split(',');
-    query = query.find({ brand: { $in: brands } });
-  }
-
-  // Price range filter
-  if (req.query.minPrice || req.query.maxPrice) {
-    const priceFilter = {};
-    if (req.query.minPrice) priceFilter.$gte = parseFloat(req.query.minPrice);
-    if (req.query.maxPrice) priceFilter.$lte = parseFloat(req.query.maxPrice);
-    query = query.find({ price: priceFilter });
-  }
-
-  // Rating filter
-  if (req.query.minRating) {
-    query = query.find({ rating: { $gte: parseFloat(req.query.minRating) } });
-  }
-
-  // In stock filter
-  if (req.query.inStock === 'true') {
-    query = query.find({ stock: { $gt: 0 } });
-  }
-
-  // Featured products filter
-  if (req.query.featured === 'true') {
-    query = query.find({ isFeatured: true });
-  }
-
-  // Sorting
+  // Sorting (text search results default to relevance)
   if (req.query.sort) {
     const sortBy = req.query.sort.split(',').join(' ');
     query = query.sort(sortBy);
+  } else if (req.query.search) {
+    query = query
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } });
   } else {
     query = query.sort('-createdAt');
   }
@@ -87,7 +45,7 @@ const getProducts = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 20;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
-  const total = await Product.countDocuments(JSON.parse(queryStr.replace(/\b(gte|gt|lte|lt|in)\b/g, match => `$${match}`)));
+  const total = await Product.countDocuments(filter);
 
   query = query.skip(startIndex).limit(limit);
 
@@ -97,6 +55,20 @@ const getProducts = asyncHandler(async (req, res, next) => {
   // Execute query
   const products = await query;
 
+  const searchId = req.query.search
+    ? searchAnalyticsService.logSearch({
+      ...searcher(req),
+      text: req.query.search,
+      source: 'products',
+      query: req.query,
+      resultCount: total,
+      products,
+      page,
+      limit,
+      startedAt
+    })
+    : null;
+
   // Pagination result
   const pagination = {};
 
@@ -119,6 +91,7 @@ const getProducts = asyncHandler(async (req, res, next) => {
     count: products.length,
     total,
     pagination,
+    ...(searchId ? { searchId } : {}),
     data: {
       products
     }
@@ -142,12 +115,21 @@ const getProduct = asyncHandler(async (req, res, next) => {
     })
     .populate('relatedProducts', 'title price thumbnail rating');
 
-  if (!product) {
+  // Unlisted products are only shown to their seller and admins
+  if (!product || (!product.isListed() && !(req.user && canManageProduct(product, req.user)))) {
     return next(new AppError('Product not found get product', 404));
   }
 
   // Increment view count
-  await product.incrementViews();
+  if (product.isListed()) {
+    await product.incrementViews();
+
+    // Opened from search results
+    if (req.query.searchId) {
+      searchAnalyticsService.recordClick(req.query.searchId, product._id, searcher(req))
+        .catch(error => logger.error('Search click recording failed:', error));
+    }
+  }
 
   res.status(200).json({
     success: true,
@@ -166,6 +148,9 @@ const createProduct = asyncHandler(async (req, res, next) => {
   // Add user to req.body
   req.body.seller = req.user.id;
 
+  // Seller products wait for an admin to approve them
+  req.body.approvalStatus = req.user.role === 'seller' ? 'pending' : 'approved';
+
   // Verify category exists
   const category = await Category.findById(req.body.category);
   if (!category) {
@@ -191,14 +176,14 @@ const createProduct = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin/Seller - Own products)
  */
 const updateProduct = asyncHandler(async (req, res, next) => {
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     return next(new AppError('Product not found update product', 404));
   }
 
   // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!canManageProduct(product, req.user)) {
     return next(new AppError('Not authorized to update this product', 403));
   }
 
@@ -210,16 +195,21 @@ const updateProduct = asyncHandler(async (req, res, next) => {
     }
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  }).populate('category', 'name slug');
+  // A seller's edit to what an admin approved goes back for review
+  const resubmitted = req.user.role !== 'admin' && product.resubmitForReview(req.body);
 
-  logger.info(`Product updated: ${product.title} by ${req.user.email}`);
+  product.set(req.body);
+
+  await product.save();
+  await product.populate('category', 'name slug');
+
+  logger.info(`Product updated: ${product.title} by ${req.user.email}`, { resubmitted });
 
   res.status(200).json({
     success: true,
-    message: 'Product updated successfully',
+    message: resubmitted
+      ? 'Product updated and sent for review; it is hidden from the store until approved'
+      : 'Product updated successfully',
     data: {
       product
     }
@@ -239,7 +229,7 @@ const deleteProduct = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!canManageProduct(product, req.user)) {
     return next(new AppError('Not authorized to delete this product', 403));
   }
 
@@ -254,41 +244,97 @@ const deleteProduct = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get products by category
- * @route   GET /api/products/category/:categoryId
+ * @desc    Get products in a category and all its subcategories, with the category's
+ *          breadcrumb and product counts per subcategory for drill-down
+ * @route   GET /api/products/category/:category
  * @access  Public
  */
 const getProductsByCategory = asyncHandler(async (req, res, next) => {
-  const category = await Category.findById(req.params.categoryId);
-  
+  const startedAt = Date.now();
+  const category = await categoryService.findByIdOrSlug(req.params.category);
+
   if (!category) {
     return next(new AppError('Category not found', 404));
   }
 
+  const subtree = await categoryService.getSubtree(category);
+
+  // The other listing filters apply; the category is the one in the path
+  const baseFilter = buildProductFilter({ ...req.query, category: undefined });
+  const filter = { ...baseFilter, category: { $in: subtree.categoryIds } };
+
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 20;
   const startIndex = (page - 1) * limit;
 
-  const products = await Product.find({ 
-    category: req.params.categoryId, 
-    isActive: true 
-  })
-    .populate('category', 'name slug')
-    .sort('-createdAt')
-    .skip(startIndex)
-    .limit(limit);
+  let query = Product.find(filter)
+    .select('-__v')
+    .populate('category', 'name slug');
 
-  const total = await Product.countDocuments({ 
-    category: req.params.categoryId, 
-    isActive: true 
-  });
+  if (req.query.sort) {
+    query = query.sort(req.query.sort.split(',').join(' '));
+  } else if (req.query.search) {
+    query = query
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } });
+  } else {
+    query = query.sort('-createdAt');
+  }
+
+  const [products, total, breadcrumb, subcategories] = await Promise.all([
+    query.skip(startIndex).limit(limit),
+    Product.countDocuments(filter),
+    categoryService.getBreadcrumb(category),
+    categoryService.countBySubcategory(subtree, baseFilter)
+  ]);
+
+  const searchId = req.query.search
+    ? searchAnalyticsService.logSearch({
+      ...searcher(req),
+      text: req.query.search,
+      source: 'category',
+      query: { ...req.query, category: category.slug },
+      resultCount: total,
+      products,
+      page,
+      limit,
+      startedAt
+    })
+    : null;
+
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
 
   res.status(200).json({
     success: true,
     count: products.length,
     total,
+    pagination,
     category: category.name,
+    ...(searchId ? { searchId } : {}),
     data: {
+      category: {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        image: category.image
+      },
+      breadcrumb,
+      subcategories,
       products
     }
   });
@@ -300,12 +346,17 @@ const getProductsByCategory = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 const searchProducts = asyncHandler(async (req, res, next) => {
+  const startedAt = Date.now();
   const { q, category, brand, minPrice, maxPrice, minRating, sortBy } = req.query;
   
   if (!q) {
     return next(new AppError('Search query is required', 400));
   }
 
+  if (category && !mongoose.Types.ObjectId.isValid(category)) {
+    return next(new AppError('Invalid category id', 400));
+  }
+
   const options = {
     category,
     brand,
@@ -318,9 +369,18 @@ const searchProducts = asyncHandler(async (req, res, next) => {
   };
 
   const products = await Product.search(q, options);
-  const total = await Product.countDocuments({
-    $text: { $search: q },
-    isActive: true
+  const total = await Product.countDocuments(Product.buildSearchQuery(q, options));
+
+  const searchId = searchAnalyticsService.logSearch({
+    ...searcher(req),
+    text: q,
+    source: 'product_search',
+    query: req.query,
+    resultCount: total,
+    products,
+    page: options.page,
+    limit: options.limit,
+    startedAt
   });
 
   res.status(200).json({
@@ -328,6 +388,7 @@ const searchProducts = asyncHandler(async (req, res, next) => {
     count: products.length,
     total,
     query: q,
+    searchId,
     data: {
       products
     }
@@ -361,18 +422,17 @@ const getFeaturedProducts = asyncHandler(async (req, res, next) => {
 const getRelatedProducts = asyncHandler(async (req, res, next) => {
   const product = await Product.findById(req.params.id);
   
-  if (!product) {
+  if (!product || !product.isListed()) {
     return next(new AppError('Product not found getrelatedproducts', 404));
   }
 
   const limit = parseInt(req.query.limit, 10) || 6;
 
   // Find products in same category, excluding current product
-  const relatedProducts = await Product.find({
+  const relatedProducts = await Product.find(Product.listedFilter({
     category: product.category,
-    _id: { $ne: product._id },
-    isActive: true
-  })
+    _id: { $ne: product._id }
+  }))
     .limit(limit)
     .select('title price thumbnail rating numReviews')
     .sort('-rating');
@@ -405,7 +465,7 @@ const updateProductStock = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!canManageProduct(product, req.user)) {
     return next(new AppError('Not authorized to update this product', 403));
   }
 
@@ -478,7 +538,7 @@ const getProductAnalytics = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!canManageProduct(product, req.user)) {
     return next(new AppError('Not authorized to view analytics for this product', 403));
   }
 
@@ -500,6 +560,171 @@ const getProductAnalytics = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get the product moderation queue
+ * @route   GET /api/products/moderation
+ * @access  Private (Admin only)
+ */
+const getModerationQueue = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const { products, total } = await productModerationService.getQueue({
+    status: req.query.status,
+    seller: req.query.seller,
+    page,
+    limit
+  });
+
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (page > 1) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    pagination,
+    data: {
+      products
+    }
+  });
+});
+
+/**
+ * @desc    Approve products
+ * @route   POST /api/products/moderation/approve
+ * @access  Private (Admin only)
+ */
+const approveProducts = asyncHandler(async (req, res, next) => {
+  const result = await productModerationService.approve(req.body.productIds, {
+    reviewedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.approved.length} product(s) approved`,
+    data: result
+  });
+});
+
+/**
+ * @desc    Reject products and email their sellers the reason
+ * @route   POST /api/products/moderation/reject
+ * @access  Private (Admin only)
+ */
+const rejectProducts = asyncHandler(async (req, res, next) => {
+  const result = await productModerationService.reject(req.body.productIds, {
+    reason: req.body.reason,
+    reviewedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.rejected.length} product(s) rejected`,
+    data: result
+  });
+});
+
+// Helper functions
+
+/**
+ * Build the Mongo filter for product listings from request query params
+ */
+const buildProductFilter = (params) => {
+  const filter = Product.listedFilter();
+
+  // Text search on the title/description/tags index
+  if (params.search) {
+    filter.$text = { $search: params.search };
+  }
+
+  // Category filter (comma separated category ids)
+  if (params.category) {
+    const categories = String(params.category).split(',').map(id => id.trim());
+    if (categories.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('Invalid category id', 400);
+    }
+    filter.category = { $in: categories };
+  }
+
+  // Brand filter (comma separated, case-insensitive)
+  if (params.brand) {
+    const brands = String(params.brand).split(',').map(brand => brand.trim());
+    filter.brand = { $in: brands.map(brand => new RegExp(`^${escapeRegex(brand)}$`, 'i')) };
+  }
+
+  // Price range filter
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    filter.price = {};
+    if (params.minPrice !== undefined) filter.price.$gte = parseFloat(params.minPrice);
+    if (params.maxPrice !== undefined) filter.price.$lte = parseFloat(params.maxPrice);
+  }
+
+  // Rating filter
+  if (params.minRating !== undefined) {
+    filter.rating = { $gte: parseFloat(params.minRating) };
+  }
+
+  // In stock filter
+  if (params.inStock === true || params.inStock === 'true') {
+    filter.stock = { $gt: 0 };
+  }
+
+  // Stock status filter, mirrors the Product stockStatus virtual
+  switch (params.stockStatus) {
+    case 'outOfStock':
+      filter.stock = 0;
+      break;
+    case 'lowStock':
+      filter.stock = { $gt: 0 };
+      filter.$expr = { $lte: ['$stock', '$lowStockThreshold'] };
+      break;
+    case 'inStock':
+      filter.$expr = { $gt: ['$stock', '$lowStockThreshold'] };
+      break;
+  }
+
+  // Featured products filter
+  if (params.featured === true || params.featured === 'true') {
+    filter.isFeatured = true;
+  }
+
+  return filter;
+};
+
+/**
+ * Check whether a user may manage (edit, delete, restock) a product
+ */
+const canManageProduct = (product, user) => {
+  return user.role === 'admin' || (product.seller && product.seller.toString() === user.id);
+};
+
+/**
+ * Who is searching or browsing: the logged-in user, or the guest session
+ */
+const searcher = (req) => ({
+  user: req.user ? req.user._id : null,
+  sessionId: getCartSessionId(req)
+});
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 module.exports = {
   getProducts,
   getProduct,
@@ -512,5 +737,8 @@ module.exports = {
   getRelatedProducts,
   updateProductStock,
   getLowStockProducts,
-  getProductAnalytics
+  getProductAnalytics,
+  getModerationQueue,
+  approveProducts,
+  rejectProducts
 };
\ No newline at end of file
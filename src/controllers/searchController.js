@@ -0,0 +1,231 @@
+const Synonym = require('../models/Synonym');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { getCartSessionId } = require('../middleware/cartSession');
+const searchService = require('../services/searchService');
+const suggestionService = require('../services/suggestionService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
+
+/**
+ * @desc    Search products with facet counts (brands, price, rating, availability, specifications)
+ * @route   GET /api/search
+ * @access  Public
+ */
+const search = asyncHandler(async (req, res, next) => {
+  const startedAt = Date.now();
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const { products, total, facets, category } = await searchService.facetedSearch({
+    ...req.query,
+    page,
+    limit
+  });
+
+  const searchId = req.query.q
+    ? searchAnalyticsService.logSearch({
+      user: req.user ? req.user._id : null,
+      sessionId: getCartSessionId(req),
+      text: req.query.q,
+      source: 'search',
+      query: req.query,
+      resultCount: total,
+      products,
+      page,
+      limit,
+      startedAt
+    })
+    : null;
+
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (page > 1) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    pagination,
+    query: req.query.q,
+    ...(searchId ? { searchId } : {}),
+    data: {
+      category: category ? { _id: category._id, name: category.name, slug: category.slug } : null,
+      facets,
+      products
+    }
+  });
+});
+
+/**
+ * @desc    Suggest products, brands, categories and popular queries as the user types
+ * @route   GET /api/search/suggest
+ * @access  Public
+ */
+const suggest = asyncHandler(async (req, res, next) => {
+  const suggestions = await suggestionService.suggest(req.query.q, { limit: req.query.limit });
+
+  res.status(200).json({
+    success: true,
+    query: req.query.q,
+    data: suggestions
+  });
+});
+
+/**
+ * @desc    Get search synonyms
+ * @route   GET /api/search/synonyms
+ * @access  Private (Admin only)
+ */
+const getSynonyms = asyncHandler(async (req, res, next) => {
+  const synonyms = await Synonym.find()
+    .select('-__v')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: synonyms.length,
+    data: {
+      synonyms
+    }
+  });
+});
+
+/**
+ * @desc    Create search synonym
+ * @route   POST /api/search/synonyms
+ * @access  Private (Admin only)
+ */
+const createSynonym = asyncHandler(async (req, res, next) => {
+  const synonym = await Synonym.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Search synonym created: ${synonym.terms.join(', ')} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Synonym created successfully',
+    data: {
+      synonym
+    }
+  });
+});
+
+/**
+ * @desc    Update search synonym
+ * @route   PUT /api/search/synonyms/:id
+ * @access  Private (Admin only)
+ */
+const updateSynonym = asyncHandler(async (req, res, next) => {
+  const synonym = await Synonym.findById(req.params.id);
+
+  if (!synonym) {
+    return next(new AppError('Synonym not found', 404));
+  }
+
+  synonym.set(req.body);
+  await synonym.save();
+
+  logger.info(`Search synonym updated: ${synonym.terms.join(', ')} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Synonym updated successfully',
+    data: {
+      synonym
+    }
+  });
+});
+
+/**
+ * @desc    Delete search synonym
+ * @route   DELETE /api/search/synonyms/:id
+ * @access  Private (Admin only)
+ */
+const deleteSynonym = asyncHandler(async (req, res, next) => {
+  const synonym = await Synonym.findById(req.params.id);
+
+  if (!synonym) {
+    return next(new AppError('Synonym not found', 404));
+  }
+
+  await synonym.deleteOne();
+
+  logger.info(`Search synonym deleted: ${synonym.terms.join(', ')} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Synonym deleted successfully'
+  });
+});
+
+/**
+ * @desc    Most searched queries, with totals for the period
+ * @route   GET /api/search/analytics/top-queries
+ * @access  Private (Admin only)
+ */
+const getTopQueries = asyncHandler(async (req, res, next) => {
+  const report = await searchAnalyticsService.getTopQueries(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: report.queries.length,
+    data: report
+  });
+});
+
+/**
+ * @desc    Queries that found no products
+ * @route   GET /api/search/analytics/zero-results
+ * @access  Private (Admin only)
+ */
+const getZeroResultQueries = asyncHandler(async (req, res, next) => {
+  const report = await searchAnalyticsService.getZeroResultQueries(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: report.queries.length,
+    data: report
+  });
+});
+
+/**
+ * @desc    Click-through rate per query, lowest first
+ * @route   GET /api/search/analytics/click-through
+ * @access  Private (Admin only)
+ */
+const getClickThroughRates = asyncHandler(async (req, res, next) => {
+  const report = await searchAnalyticsService.getClickThroughRates(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: report.queries.length,
+    data: report
+  });
+});
+
+module.exports = {
+  search,
+  suggest,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughRates
+};
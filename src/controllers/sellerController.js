@@ -0,0 +1,564 @@
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Payout = require('../models/Payout');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const sellerService = require('../services/sellerService');
+
+/**
+ * @desc    Apply to become a seller
+ * @route   POST /api/sellers/apply
+ * @access  Private
+ */
+const applyAsSeller = asyncHandler(async (req, res, next) => {
+  const seller = await sellerService.apply(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Seller application submitted successfully',
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Get my seller profile (or application)
+ * @route   GET /api/sellers/me
+ * @access  Private
+ */
+const getMySellerProfile = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findByUser(req.user.id);
+
+  if (!seller) {
+    return next(new AppError('No seller application found for this account', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Update my seller profile
+ * @route   PUT /api/sellers/me
+ * @access  Private (Seller)
+ */
+const updateMySellerProfile = asyncHandler(async (req, res, next) => {
+  const seller = await findOwnSeller(req);
+
+  seller.set(req.body);
+  await seller.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Seller profile updated successfully',
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Get my products
+ * @route   GET /api/sellers/me/products
+ * @access  Private (Seller)
+ */
+const getMyProducts = asyncHandler(async (req, res, next) => {
+  const query = { seller: req.user.id };
+
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const { page, limit, startIndex } = pageOf(req);
+  const total = await Product.countDocuments(query);
+
+  const products = await Product.find(query)
+    .select('title sku price stock lowStockThreshold isActive approvalStatus rejectionReason thumbnail purchases revenue createdAt')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    pagination: paginationOf(page, limit, total),
+    data: {
+      products
+    }
+  });
+});
+
+/**
+ * @desc    Get orders with my items, showing only my items and shipments
+ * @route   GET /api/sellers/me/orders
+ * @access  Private (Seller)
+ */
+const getMyOrders = asyncHandler(async (req, res, next) => {
+  const query = { 'items.seller': req.user.id };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const { page, limit, startIndex } = pageOf(req);
+  const total = await Order.countDocuments(query);
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    total,
+    pagination: paginationOf(page, limit, total),
+    data: {
+      orders: orders.map(order => sellerView(order, req.user.id))
+    }
+  });
+});
+
+/**
+ * @desc    Get returns of my items
+ * @route   GET /api/sellers/me/returns
+ * @access  Private (Seller)
+ */
+const getMyReturns = asyncHandler(async (req, res, next) => {
+  const query = {
+    'items.seller': req.user.id,
+    'returnRequest.requested': true
+  };
+
+  if (req.query.status) {
+    query['returnRequest.status'] = req.query.status;
+  }
+
+  const orders = await Order.find(query).sort({ 'returnRequest.requestedAt': -1 });
+
+  const returns = orders
+    .map(order => {
+      const mine = sellerItems(order, req.user.id);
+      const items = order.returnRequest.items.filter(item => mine.some(line =>
+        line.product.toString() === item.product.toString() &&
+        (line.variantKey || '') === (item.variantKey || '')
+      ));
+
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        rmaNumber: order.returnRequest.rmaNumber,
+        status: order.returnRequest.status,
+        reason: order.returnRequest.reason,
+        requestedAt: order.returnRequest.requestedAt,
+        completedAt: order.returnRequest.completedAt,
+        items
+      };
+    })
+    .filter(entry => entry.items.length > 0);
+
+  res.status(200).json({
+    success: true,
+    count: returns.length,
+    data: {
+      returns
+    }
+  });
+});
+
+/**
+ * @desc    Get my earnings (held, available, paid) and the lines they come from
+ * @route   GET /api/sellers/me/earnings
+ * @access  Private (Seller)
+ */
+const getMyEarnings = asyncHandler(async (req, res, next) => {
+  const seller = await findOwnSeller(req);
+  const earnings = await sellerService.getEarnings(seller);
+
+  res.status(200).json({
+    success: true,
+    data: earnings
+  });
+});
+
+/**
+ * @desc    Get my payouts
+ * @route   GET /api/sellers/me/payouts
+ * @access  Private (Seller)
+ */
+const getMyPayouts = asyncHandler(async (req, res, next) => {
+  const payouts = await Payout.find({ seller: req.user.id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    data: {
+      payouts
+    }
+  });
+});
+
+/**
+ * @desc    Get seller applications and profiles
+ * @route   GET /api/sellers
+ * @access  Private (Admin only)
+ */
+const getSellers = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const { page, limit, startIndex } = pageOf(req);
+  const total = await Seller.countDocuments(query);
+
+  const sellers = await Seller.find(query)
+    .populate('user', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: sellers.length,
+    total,
+    pagination: paginationOf(page, limit, total),
+    data: {
+      sellers
+    }
+  });
+});
+
+/**
+ * @desc    Get single seller
+ * @route   GET /api/sellers/:id
+ * @access  Private (Admin only)
+ */
+const getSeller = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id)
+    .populate('user', 'firstName lastName email phone')
+    .populate('reviewedBy', 'firstName lastName');
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Approve a seller application
+ * @route   PUT /api/sellers/:id/approve
+ * @access  Private (Admin only)
+ */
+const approveSeller = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  await sellerService.approve(seller, {
+    commissionRate: req.body.commissionRate,
+    reviewedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Seller approved successfully',
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Reject a seller application
+ * @route   PUT /api/sellers/:id/reject
+ * @access  Private (Admin only)
+ */
+const rejectSeller = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  await sellerService.reject(seller, {
+    reason: req.body.reason,
+    reviewedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Seller application rejected',
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Set a seller's negotiated commission (null for the category/default rate)
+ * @route   PUT /api/sellers/:id/commission
+ * @access  Private (Admin only)
+ */
+const updateSellerCommission = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  const previousRate = seller.commissionRate;
+  seller.commissionRate = req.body.commissionRate;
+  await seller.save();
+
+  logger.info('Seller commission updated', {
+    sellerId: seller._id,
+    previousRate,
+    commissionRate: seller.commissionRate,
+    updatedBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Seller commission updated successfully',
+    data: {
+      seller
+    }
+  });
+});
+
+/**
+ * @desc    Get a seller's earnings
+ * @route   GET /api/sellers/:id/earnings
+ * @access  Private (Admin only)
+ */
+const getSellerEarnings = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  const earnings = await sellerService.getEarnings(seller);
+
+  res.status(200).json({
+    success: true,
+    data: earnings
+  });
+});
+
+/**
+ * @desc    Create a payout of a seller's available earnings
+ * @route   POST /api/sellers/:id/payouts
+ * @access  Private (Admin only)
+ */
+const createSellerPayout = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(new AppError('Seller not found', 404));
+  }
+
+  const payout = await sellerService.createPayout(seller, {
+    createdBy: req.user.id,
+    notes: req.body.notes
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Payout created successfully',
+    data: {
+      payout
+    }
+  });
+});
+
+/**
+ * @desc    Get payouts
+ * @route   GET /api/sellers/payouts
+ * @access  Private (Admin only)
+ */
+const getPayouts = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.seller) {
+    query.seller = req.query.seller;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const { page, limit, startIndex } = pageOf(req);
+  const total = await Payout.countDocuments(query);
+
+  const payouts = await Payout.find(query)
+    .populate('seller', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pagination: paginationOf(page, limit, total),
+    data: {
+      payouts
+    }
+  });
+});
+
+/**
+ * @desc    Record the bank transfer for a payout
+ * @route   PUT /api/sellers/payouts/:id/paid
+ * @access  Private (Admin only)
+ */
+const markPayoutPaid = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new AppError('Payout not found', 404));
+  }
+
+  await sellerService.markPayoutPaid(payout, {
+    reference: req.body.reference,
+    paidBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payout marked as paid',
+    data: {
+      payout
+    }
+  });
+});
+
+/**
+ * @desc    Cancel a pending payout
+ * @route   PUT /api/sellers/payouts/:id/cancel
+ * @access  Private (Admin only)
+ */
+const cancelPayout = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new AppError('Payout not found', 404));
+  }
+
+  await sellerService.cancelPayout(payout);
+
+  logger.info('Seller payout cancelled', {
+    payoutId: payout._id,
+    payoutNumber: payout.payoutNumber,
+    cancelledBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payout cancelled',
+    data: {
+      payout
+    }
+  });
+});
+
+// Helper functions
+
+/**
+ * The signed-in seller's own profile
+ */
+const findOwnSeller = async (req) => {
+  const seller = await Seller.findByUser(req.user.id);
+
+  if (!seller) {
+    throw new AppError('No seller profile found for this account', 404);
+  }
+
+  return seller;
+};
+
+const sellerItems = (order, sellerId) =>
+  order.items.filter(item => item.seller && item.seller.toString() === sellerId.toString());
+
+/**
+ * An order as its seller sees it: their items and the shipments carrying them
+ */
+const sellerView = (order, sellerId) => {
+  const items = sellerItems(order, sellerId);
+  const carriesMine = (shipment) => shipment.items.some(line => items.some(item =>
+    item.product.toString() === line.product.toString() &&
+    (item.variantKey || '') === (line.variantKey || '')
+  ));
+
+  return {
+    id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    createdAt: order.createdAt,
+    shippingAddress: order.shippingAddress,
+    shippingMethod: order.shippingMethod,
+    items,
+    shipments: order.shipments.filter(carriesMine)
+  };
+};
+
+const pageOf = (req) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  return { page, limit, startIndex: (page - 1) * limit };
+};
+
+const paginationOf = (page, limit, total) => {
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (page > 1) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  return pagination;
+};
+
+module.exports = {
+  applyAsSeller,
+  getMySellerProfile,
+  updateMySellerProfile,
+  getMyProducts,
+  getMyOrders,
+  getMyReturns,
+  getMyEarnings,
+  getMyPayouts,
+  getSellers,
+  getSeller,
+  approveSeller,
+  rejectSeller,
+  updateSellerCommission,
+  getSellerEarnings,
+  createSellerPayout,
+  getPayouts,
+  markPayoutPaid,
+  cancelPayout
+};
@@ -0,0 +1,182 @@
+const ShippingZone = require('../models/ShippingZone');
+const Cart = require('../models/Cart');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const shippingService = require('../services/shippingService');
+const shipmentService = require('../services/shipmentService');
+const carriers = require('../services/carriers');
+
+/**
+ * @desc    Quote shipping options for the current cart and an address
+ * @route   GET /api/shipping/quote
+ * @access  Public (user cart or guest session cart)
+ */
+const getShippingQuote = asyncHandler(async (req, res, next) => {
+  const { country, state, zipCode } = req.query;
+
+  const cart = req.user
+    ? await Cart.findByUser(req.user.id)
+    : await Cart.findBySession(req.cartSessionId);
+
+  if (!cart || cart.items.length === 0) {
+    return next(new AppError('Cart is empty', 400));
+  }
+
+  const quote = await shippingService.quoteShipping(
+    cart.items,
+    { country, state, zipCode },
+    { orderValue: cart.totalAmount }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: quote
+  });
+});
+
+/**
+ * @desc    Get all shipping zones
+ * @route   GET /api/shipping/zones
+ * @access  Private/Admin
+ */
+const getShippingZones = asyncHandler(async (req, res, next) => {
+  const zones = await ShippingZone.find().sort({ priority: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    data: {
+      zones
+    }
+  });
+});
+
+/**
+ * @desc    Get single shipping zone
+ * @route   GET /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+const getShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      zone
+    }
+  });
+});
+
+/**
+ * @desc    Create shipping zone
+ * @route   POST /api/shipping/zones
+ * @access  Private/Admin
+ */
+const createShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.create(req.body);
+
+  logger.info(`Shipping zone created: ${zone.name} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    data: {
+      zone
+    }
+  });
+});
+
+/**
+ * @desc    Update shipping zone
+ * @route   PUT /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+const updateShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  zone.set(req.body);
+  await zone.save();
+
+  logger.info(`Shipping zone updated: ${zone.name} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: {
+      zone
+    }
+  });
+});
+
+/**
+ * @desc    Delete shipping zone
+ * @route   DELETE /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+const deleteShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  await zone.deleteOne();
+
+  logger.info(`Shipping zone deleted: ${zone.name} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
+
+/**
+ * @desc    Receive tracking scans from a carrier
+ * @route   POST /api/shipping/webhooks/:carrier
+ * @access  Public (carrier signature or token verified)
+ */
+const handleCarrierWebhook = asyncHandler(async (req, res, next) => {
+  const carrier = carriers.getCarrier(req.params.carrier);
+
+  let scans;
+
+  try {
+    // Needs the untouched request body, see the raw parser in server.js
+    scans = carrier.parseEvents(await carrier.verifyWebhook(req.body, req.headers));
+  } catch (err) {
+    if (err.isOperational) {
+      logger.error(`${carrier.name} webhook rejected: ${err.message}`);
+      return next(err);
+    }
+    logger.error('Carrier webhook verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const { recorded, unmatched } = await shipmentService.recordCarrierScans(carrier.name, scans);
+    res.json({ received: true, recorded, unmatched });
+  } catch (error) {
+    logger.error('Carrier webhook processing failed:', error);
+    // Failing the delivery makes the carrier retry it; scans already recorded are skipped
+    return next(new AppError('Webhook processing failed', 500));
+  }
+});
+
+module.exports = {
+  getShippingQuote,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  handleCarrierWebhook
+};
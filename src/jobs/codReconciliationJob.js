@@ -0,0 +1,76 @@
+const { CronJob } = require('cron');
+const codService = require('../services/codService');
+const logger = require('../config/logger');
+
+let job = null;
+
+/**
+ * Reconcile the previous day's cash on delivery and log the outcome
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} The report
+ */
+const reconcilePreviousDay = async (now = new Date()) => {
+  const day = new Date(now);
+  day.setDate(day.getDate() - 1);
+
+  const report = await codService.getReconciliation(day);
+  const summary = {
+    date: report.date,
+    expected: report.expected.amount,
+    collected: report.collected.amount,
+    difference: report.difference,
+    uncollected: report.uncollected.length,
+    mismatches: report.mismatches.length
+  };
+
+  if (report.uncollected.length > 0 || report.mismatches.length > 0) {
+    logger.warn('COD reconciliation found discrepancies', summary);
+  } else {
+    logger.info('COD reconciliation balanced', summary);
+  }
+
+  return report;
+};
+
+/**
+ * Start the daily COD reconciliation
+ * Schedule comes from COD_RECONCILIATION_CRON (06:00 every day by default).
+ */
+const startCodReconciliationJob = () => {
+  if (job) {
+    return job;
+  }
+
+  job = CronJob.from({
+    cronTime: process.env.COD_RECONCILIATION_CRON || '0 6 * * *',
+    onTick: async () => {
+      try {
+        await reconcilePreviousDay();
+      } catch (error) {
+        logger.error('COD reconciliation job failed:', error);
+      }
+    },
+    start: true,
+    waitForCompletion: true
+  });
+
+  logger.info('COD reconciliation job scheduled');
+
+  return job;
+};
+
+/**
+ * Stop the daily COD reconciliation (used on shutdown)
+ */
+const stopCodReconciliationJob = () => {
+  if (job) {
+    job.stop();
+    job = null;
+  }
+};
+
+module.exports = {
+  reconcilePreviousDay,
+  startCodReconciliationJob,
+  stopCodReconciliationJob
+};
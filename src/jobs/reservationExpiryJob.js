@@ -0,0 +1,103 @@
+const { CronJob } = require('cron');
+const Order = require('../models/Order');
+const orderStatusService = require('../services/orderStatusService');
+const logger = require('../config/logger');
+
+const HOLD_EXPIRED_REASON = 'Payment not received within the stock hold window';
+
+let job = null;
+
+/**
+ * Cancel unpaid orders whose stock hold has lapsed and give their stock back
+ * Each order is claimed atomically first, so running several app instances
+ * never releases the same order twice. An order that fails to cancel gets its
+ * hold back, so the next sweep tries again.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of orders released
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+  const expiredOrders = await Order.findExpiredReservations(now);
+  let released = 0;
+
+  for (const expired of expiredOrders) {
+    // Another instance got there first, or the payment landed in the meantime
+    const order = await Order.claimExpiredReservation(expired._id, now);
+
+    if (!order) {
+      continue;
+    }
+
+    try {
+      // Cancelling a pending order releases its stock and coupon
+      await orderStatusService.transition(order, 'cancelled', { reason: HOLD_EXPIRED_REASON });
+      released++;
+
+      logger.info('Expired stock hold released', {
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      });
+    } catch (error) {
+      logger.error('Releasing expired stock hold failed', {
+        orderId: order._id,
+        error: error.message
+      });
+
+      // Without its expiry no later sweep would find the order, and its stock would stay reserved
+      await Order.restoreExpiredReservation(order._id, expired.reservationExpiresAt)
+        .catch(restoreError => logger.error('Restoring expired stock hold failed', {
+          orderId: order._id,
+          error: restoreError.message
+        }));
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Start the background sweep for expired stock holds
+ * Schedule comes from STOCK_HOLD_CRON (every 5 minutes by default).
+ */
+const startReservationExpiryJob = () => {
+  if (job) {
+    return job;
+  }
+
+  job = CronJob.from({
+    cronTime: process.env.STOCK_HOLD_CRON || '*/5 * * * *',
+    onTick: async () => {
+      try {
+        const released = await releaseExpiredReservations();
+
+        if (released > 0) {
+          logger.info(`Released ${released} expired stock hold(s)`);
+        }
+      } catch (error) {
+        logger.error('Stock hold expiry job failed:', error);
+      }
+    },
+    start: true,
+    waitForCompletion: true
+  });
+
+  logger.info('Stock hold expiry job scheduled');
+
+  return job;
+};
+
+/**
+ * Stop the background sweep (used on shutdown)
+ */
+const stopReservationExpiryJob = () => {
+  if (job) {
+    job.stop();
+    job = null;
+  }
+};
+
+module.exports = {
+  releaseExpiredReservations,
+  startReservationExpiryJob,
+  stopReservationExpiryJob,
+  HOLD_EXPIRED_REASON
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+const CART_SESSION_COOKIE = 'cartSession';
+
+/**
+ * Cookie options for the guest cart session
+ */
+const cartSessionCookieOptions = () => ({
+  maxAge: (parseInt(process.env.CART_SESSION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+  httpOnly: true,
+  signed: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+/**
+ * Attach a guest cart session ID to anonymous requests
+ * Must run after optionalAuth; logged-in users keep their user cart instead
+ */
+const cartSession = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  let sessionId = req.signedCookies && req.signedCookies[CART_SESSION_COOKIE];
+
+  // Missing or tampered cookie (signedCookies yields false) starts a new session
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    res.cookie(CART_SESSION_COOKIE, sessionId, cartSessionCookieOptions());
+  }
+
+  req.cartSessionId = sessionId;
+  next();
+};
+
+/**
+ * Read the guest cart session ID from a request, if any
+ */
+const getCartSessionId = (req) => {
+  return (req.signedCookies && req.signedCookies[CART_SESSION_COOKIE]) || null;
+};
+
+/**
+ * Drop the guest cart session cookie once its cart has been merged
+ */
+const clearCartSession = (res) => {
+  const options = cartSessionCookieOptions();
+  delete options.maxAge;
+  res.clearCookie(CART_SESSION_COOKIE, options);
+};
+
+module.exports = {
+  cartSession,
+  getCartSessionId,
+  clearCartSession,
+  CART_SESSION_COOKIE
+};
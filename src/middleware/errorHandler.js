@@ -73,7 +73,8 @@ const sendErrorProd = (err, req, res) => {
     if (err.isOperational) {
       return res.status(err.statusCode).json({
         success: false,
-        message: err.message
+        message: err.message,
+        ...(err.details && { details: err.details })
       });
     }
     
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+const MAX_ITEM_QUANTITY = 99;
+
+// Cart items may hold a populated product document or a bare ObjectId
+const itemProductId = (item) => {
+  const product = item.product && item.product._id ? item.product._id : item.product;
+  return product.toString();
+};
+
+// A cart line is one product in one variant combination
+const matchesItem = (item, productId, variantKey = '') => {
+  return itemProductId(item) === productId.toString() && (item.variantKey || '') === variantKey;
+};
+
 /**
  * @swagger
  * components:
@@ -28,6 +41,20 @@ const mongoose = require('mongoose');
  *                 type: number
  *               total:
  *                 type: number
+ *               selectedVariants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *               variantKey:
+ *                 type: string
+ *                 description: Identifies the variant combination of this line
  *               addedAt:
  *                 type: string
  *                 format: date-time
@@ -35,6 +62,15 @@ const mongoose = require('mongoose');
  *           type: number
  *         totalAmount:
  *           type: number
+ *         coupon:
+ *           type: object
+ *           description: Coupon applied to the cart, re-checked at checkout
+ *           properties:
+ *             code:
+ *               type: string
+ *             appliedAt:
+ *               type: string
+ *               format: date-time
  *         lastModified:
  *           type: string
  *           format: date-time
@@ -56,7 +92,7 @@ const cartItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
-    max: [99, 'Quantity cannot exceed 99']
+    max: [MAX_ITEM_QUANTITY, `Quantity cannot exceed ${MAX_ITEM_QUANTITY}`]
   },
   price: {
     type: Number,
@@ -77,17 +113,23 @@ const cartItemSchema = new mongoose.Schema({
     name: String,
     value: String,
     price: Number
-  }]
+  }],
+  // Normalised selection (see Product.variantKey), '' when the product has no variants
+  variantKey: {
+    type: String,
+    default: ''
+  }
 }, {
   _id: false
 });
 
 const cartSchema = new mongoose.Schema({
+  // Either user (logged in) or sessionId (guest) identifies the cart owner
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
   },
   items: [cartItemSchema],
   totalItems: {
@@ -100,6 +142,11 @@ const cartSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Coupon the customer applied; the discount is re-evaluated at checkout
+  coupon: {
+    code: String,
+    appliedAt: Date
+  },
   lastModified: {
     type: Date,
     default: Date.now
@@ -112,10 +159,9 @@ const cartSchema = new mongoose.Schema({
   abandonedAt: {
     type: Date
   },
-  // Session ID for guest users (future enhancement)
+  // Session ID for guest users
   sessionId: {
-    type: String,
-    sparse: true
+    type: String
   }
 }, {
   timestamps: true,
@@ -125,7 +171,7 @@ const cartSchema = new mongoose.Schema({
 
 // Indexes
 // cartSchema.index({ user: 1 });
-// cartSchema.index({ sessionId: 1 });
+cartSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
 cartSchema.index({ lastModified: 1 });
 cartSchema.index({ isAbandoned: 1, abandonedAt: 1 });
 
@@ -134,6 +180,14 @@ cartSchema.virtual('itemCount').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Pre-validate middleware to require an owner
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.sessionId) {
+    this.invalidate('user', 'Cart must belong to a user or a guest session');
+  }
+  next();
+});
+
 // Pre-save middleware to calculate totals
 cartSchema.pre('save', function(next) {
   if (this.items && this.items.length > 0) {
@@ -156,14 +210,15 @@ cartSchema.pre('save', function(next) {
 
 // Instance method to add item to cart
 cartSchema.methods.addItem = function(productId, quantity, price, variants = []) {
-  const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
-  );
+  const Product = mongoose.model('Product');
+  const variantKey = Product.variantKey(variants);
+  const existingItem = this.getItem(productId, variantKey);
 
-  if (existingItemIndex > -1) {
+  if (existingItem) {
     // Update existing item
-    this.items[existingItemIndex].quantity += quantity;
-    this.items[existingItemIndex].addedAt = new Date();
+    existingItem.quantity += quantity;
+    existingItem.price = price;
+    existingItem.addedAt = new Date();
   } else {
     // Add new item
     this.items.push({
@@ -172,6 +227,7 @@ cartSchema.methods.addItem = function(productId, quantity, price, variants = [])
       price,
       total: price * quantity,
       selectedVariants: variants,
+      variantKey,
       addedAt: new Date()
     });
   }
@@ -180,10 +236,8 @@ cartSchema.methods.addItem = function(productId, quantity, price, variants = [])
 };
 
 // Instance method to update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
-  const item = this.items.find(
-    item => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantKey = '') {
+  const item = this.getItem(productId, variantKey);
 
   if (!item) {
     throw new Error('Item not found in cart');
@@ -192,7 +246,7 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
   if (quantity <= 0) {
     // Remove item if quantity is 0 or negative
     this.items = this.items.filter(
-      item => item.product.toString() !== productId.toString()
+      item => !matchesItem(item, productId, variantKey)
     );
   } else {
     item.quantity = quantity;
@@ -203,9 +257,9 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
 };
 
 // Instance method to remove item from cart
-cartSchema.methods.removeItem = function(productId) {
+cartSchema.methods.removeItem = function(productId, variantKey = '') {
   this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
+    item => !matchesItem(item, productId, variantKey)
   );
 
   return this.save();
@@ -214,20 +268,33 @@ cartSchema.methods.removeItem = function(productId) {
 // Instance method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
+  this.coupon = undefined;
   return this.save();
 };
 
-// Instance method to check if product is in cart
+// Instance method to apply a coupon code
+cartSchema.methods.applyCoupon = function(code) {
+  this.coupon = { code, appliedAt: new Date() };
+  return this.save();
+};
+
+// Instance method to remove the applied coupon
+cartSchema.methods.removeCoupon = function() {
+  this.coupon = undefined;
+  return this.save();
+};
+
+// Instance method to check if product is in cart (in any variant)
 cartSchema.methods.hasProduct = function(productId) {
   return this.items.some(
-    item => item.product.toString() === productId.toString()
+    item => itemProductId(item) === productId.toString()
   );
 };
 
-// Instance method to get item by product ID
-cartSchema.methods.getItem = function(productId) {
+// Instance method to get item by product ID and variant combination
+cartSchema.methods.getItem = function(productId, variantKey = '') {
   return this.items.find(
-    item => item.product.toString() === productId.toString()
+    item => matchesItem(item, productId, variantKey)
   );
 };
 
@@ -237,43 +304,62 @@ cartSchema.methods.validateItems = async function() {
   const validationResults = [];
 
   for (const item of this.items) {
-    const product = await Product.findById(item.product);
+    const productId = itemProductId(item);
+    const variantKey = item.variantKey || '';
+    const product = await Product.findById(productId);
     
     if (!product) {
       validationResults.push({
-        productId: item.product,
+        productId,
+        variantKey,
         issue: 'Product not found',
         action: 'remove'
       });
       continue;
     }
 
-    if (!product.isActive) {
+    if (!product.isListed()) {
       validationResults.push({
-        productId: item.product,
+        productId,
+        variantKey,
         issue: 'Product no longer available',
         action: 'remove'
       });
       continue;
     }
 
-    if (product.stock < item.quantity) {
+    let variant;
+    try {
+      variant = product.resolveVariant(item.selectedVariants);
+    } catch (error) {
       validationResults.push({
-        productId: item.product,
-        issue: `Only ${product.stock} items in stock`,
+        productId,
+        variantKey,
+        issue: error.message,
+        action: 'remove'
+      });
+      continue;
+    }
+
+    if (variant.stock < item.quantity) {
+      validationResults.push({
+        productId,
+        variantKey,
+        issue: `Only ${variant.stock} items in stock`,
         action: 'update_quantity',
-        availableStock: product.stock
+        availableStock: variant.stock
       });
       continue;
     }
 
-    if (product.price !== item.price) {
+    if (variant.price !== item.price) {
       validationResults.push({
-        productId: item.product,
+        productId,
+        variantKey,
         issue: 'Price has changed',
         action: 'update_price',
         oldPrice: item.price,
-        newPrice: product.price
+        newPrice: variant.price
       });
     }
   }
@@ -283,24 +369,25 @@ cartSchema.methods.validateItems = async function() {
 
 // Instance method to apply validation results
 cartSchema.methods.applyValidation = async function(validationResults) {
-  const Product = mongoose.model('Product');
-
   for (const result of validationResults) {
+    const variantKey = result.variantKey || '';
+
     switch (result.action) {
       case 'remove':
-        await this.removeItem(result.productId);
+        await this.removeItem(result.productId, variantKey);
         break;
 
       case 'update_quantity':
-        await this.updateItemQuantity(result.productId, result.availableStock);
+        await this.updateItemQuantity(result.productId, result.availableStock, variantKey);
         break;
 
-      case 'update_price':
-        const item = this.getItem(result.productId);
+      case 'update_price': {
+        const item = this.getItem(result.productId, variantKey);
         if (item) {
           item.price = result.newPrice;
         }
         break;
+      }
     }
   }
 
@@ -322,6 +409,123 @@ cartSchema.statics.findByUser = function(userId) {
   });
 };
 
+// Static method to find guest cart by session ID
+cartSchema.statics.findBySession = function(sessionId) {
+  return this.findOne({ sessionId, user: { $exists: false } }).populate({
+    path: 'items.product',
+    select: 'title price thumbnail stock isActive'
+  });
+};
+
+// Static method to replace a user index created before guest carts
+// Older deployments have user_1 as a plain unique index, which counts every guest cart as a
+// null user, so the second guest cart fails with E11000. It is dropped and rebuilt as sparse.
+// Resolves to whether the index was replaced.
+cartSchema.statics.migrateUserIndex = async function() {
+  let indexes;
+
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // The collection doesn't exist yet; autoIndex builds the index from the schema
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const userIndex = indexes.find(index => index.name === 'user_1');
+
+  if (userIndex && userIndex.sparse) {
+    return false;
+  }
+
+  if (userIndex) {
+    await this.collection.dropIndex('user_1');
+  }
+
+  await this.collection.createIndex({ user: 1 }, { unique: true, sparse: true });
+  return true;
+};
+
+// Static method to merge a guest cart into a user's cart
+// Quantities are summed and capped at available stock; unavailable products are dropped
+cartSchema.statics.mergeGuestCart = async function(sessionId, userId) {
+  const Product = mongoose.model('Product');
+  const guestCart = await this.findOne({ sessionId, user: { $exists: false } });
+
+  if (!guestCart || guestCart.items.length === 0) {
+    if (guestCart) await guestCart.deleteOne();
+    return null;
+  }
+
+  let userCart = await this.findOne({ user: userId });
+  if (!userCart) {
+    userCart = new this({ user: userId, items: [] });
+  }
+
+  const adjustments = [];
+
+  for (const guestItem of guestCart.items) {
+    const productId = itemProductId(guestItem);
+    const variantKey = guestItem.variantKey || '';
+    const product = await Product.findById(productId);
+
+    let variant = null;
+    if (product && product.isListed()) {
+      try {
+        variant = product.resolveVariant(guestItem.selectedVariants);
+      } catch (error) {
+        variant = null;
+      }
+    }
+
+    if (!variant || variant.stock === 0) {
+      adjustments.push({
+        productId,
+        variantKey,
+        issue: 'Product no longer available',
+        action: 'removed'
+      });
+      continue;
+    }
+
+    const existingItem = userCart.getItem(productId, variantKey);
+    const requested = guestItem.quantity + (existingItem ? existingItem.quantity : 0);
+    const quantity = Math.min(requested, variant.stock, MAX_ITEM_QUANTITY);
+
+    if (quantity < requested) {
+      adjustments.push({
+        productId,
+        variantKey,
+        issue: `Only ${quantity} can be added`,
+        action: 'update_quantity',
+        requestedQuantity: requested,
+        quantity
+      });
+    }
+
+    if (existingItem) {
+      existingItem.quantity = quantity;
+      existingItem.price = variant.price;
+      existingItem.addedAt = new Date();
+    } else {
+      userCart.items.push({
+        product: product._id,
+        quantity,
+        price: variant.price,
+        total: variant.price * quantity,
+        selectedVariants: variant.selections,
+        variantKey,
+        addedAt: guestItem.addedAt
+      });
+    }
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return { cart: userCart, adjustments };
+};
+
 // Static method to get abandoned carts
 cartSchema.statics.getAbandonedCarts = function(daysAgo = 1) {
   const cutoffDate = new Date();
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { GST_RATES } = require('../config/tax');
 
 /**
  * @swagger
@@ -32,6 +33,16 @@ const slugify = require('slugify');
  *         parent:
  *           type: string
  *           description: Parent category ID
+ *         taxRate:
+ *           type: number
+ *           enum: [0, 5, 12, 18, 28]
+ *           description: GST rate for products in this category without their own rate
+ *         returnWindowDays:
+ *           type: number
+ *           description: Days after delivery its products can be returned (0 = not returnable, null = RETURN_WINDOW_DAYS)
+ *         commissionRate:
+ *           type: number
+ *           description: Marketplace commission (%) on sellers' sales in this category (null = SELLER_COMMISSION_RATE)
  *         isActive:
  *           type: boolean
  *           default: true
@@ -79,6 +90,25 @@ const categorySchema = new mongoose.Schema({
     ref: 'Category',
     default: null
   },
+  // Tax class for products that don't set their own; null uses the default rate
+  taxRate: {
+    type: Number,
+    enum: [...GST_RATES, null],
+    default: null
+  },
+  // Days after delivery its products can be returned; 0 means not returnable, null uses the default
+  returnWindowDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Commission (%) on marketplace sellers' sales; null uses the default (see config/marketplace)
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -153,15 +183,17 @@ categorySchema.pre('save', function(next) {
 
 // Post-save middleware to update product count
 categorySchema.post('save', async function() {
-  const Product = mongoose.model('Product');
-  const count = await Product.countDocuments({ 
-    category: this._id, 
-    isActive: true 
-  });
-  
-  await this.constructor.findByIdAndUpdate(this._id, { 
-    productCount: count 
-  });
+  await this.constructor.updateProductCounts([this._id]);
+});
+
+// Post-save middleware to refresh search suggestions
+categorySchema.post('save', function() {
+  require('../services/suggestionService').markStale();
+});
+
+// Post-delete middleware to refresh search suggestions
+categorySchema.post('deleteOne', { document: true, query: false }, function() {
+  require('../services/suggestionService').markStale();
 });
 
 // Instance method to get full hierarchy
@@ -169,11 +201,13 @@ categorySchema.methods.getHierarchy = async function() {
   const hierarchy = [this];
   let current = this;
   
-  while (current.parent) {
+  // Stops at a repeat, so a parent loop in existing data can't hang it
+  while (current.parent && !hierarchy.some(entry => entry._id.equals(current.parent._id || current.parent))) {
     current = await this.constructor.findById(current.parent);
-    if (current) {
-      hierarchy.unshift(current);
+    if (!current) {
+      break;
     }
+    hierarchy.unshift(current);
   }
   
   return hierarchy;
@@ -196,8 +230,9 @@ categorySchema.methods.getDescendants = async function() {
 };
 
 // Static method to get category tree
-categorySchema.statics.getTree = async function() {
-  const categories = await this.find({ isActive: true })
+// Children of a category left out by the filter are left out too
+categorySchema.statics.getTree = async function(filter = { isActive: true }) {
+  const categories = await this.find(filter)
     .sort({ sortOrder: 1, name: 1 });
   
   const tree = [];
@@ -231,6 +266,19 @@ categorySchema.statics.getRootCategories = function() {
     .sort({ sortOrder: 1, name: 1 });
 };
 
+// Static method to recount the store's (approved, active) products in categories
+categorySchema.statics.updateProductCounts = async function(categoryIds) {
+  const Product = mongoose.model('Product');
+  const ids = [...new Set(categoryIds
+    .filter(Boolean)
+    .map(category => (category._id || category).toString()))];
+
+  await Promise.all(ids.map(async id => {
+    const count = await Product.countDocuments(Product.listedFilter({ category: id }));
+    await this.updateOne({ _id: id }, { productCount: count });
+  }));
+};
+
 // Static method to find by slug
 categorySchema.statics.findBySlug = function(slug) {
   return this.findOne({ slug, isActive: true });
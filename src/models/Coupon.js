@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountType
+ *         - discountValue
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Coupon ID
+ *         code:
+ *           type: string
+ *           description: Code entered by the customer (stored uppercase)
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         discountValue:
+ *           type: number
+ *           description: Percentage (0-100) or fixed amount off
+ *         maxDiscountAmount:
+ *           type: number
+ *           description: Cap on a percentage discount
+ *         minCartValue:
+ *           type: number
+ *           description: Minimum cart subtotal for the coupon to apply
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: number
+ *           description: Total redemptions allowed across all users (unlimited when empty)
+ *         usageCount:
+ *           type: number
+ *         perUserLimit:
+ *           type: number
+ *           description: Redemptions allowed per user
+ *         firstOrderOnly:
+ *           type: boolean
+ *         applicableCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         applicableProducts:
+ *           type: array
+ *           items:
+ *             type: string
+ *         applicableBrands:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  maxDiscountAmount: {
+    type: Number,
+    min: 0
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Validity window
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Usage limits
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Scope; when all are empty the coupon applies to the whole cart
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableBrands: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+// Virtual for remaining redemptions
+couponSchema.virtual('remainingUses').get(function() {
+  return this.usageLimit ? Math.max(this.usageLimit - this.usageCount, 0) : null;
+});
+
+// Pre-validate middleware to check the discount and window make sense
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Coupon must end after it starts');
+  }
+
+  next();
+});
+
+// Instance method to check the validity window
+couponSchema.methods.isWithinValidity = function(now = new Date()) {
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  return true;
+};
+
+// Instance method to check whether the coupon is scoped to particular products
+couponSchema.methods.isScoped = function() {
+  return this.applicableCategories.length > 0 ||
+    this.applicableProducts.length > 0 ||
+    this.applicableBrands.length > 0;
+};
+
+// Instance method to check whether a product falls within the coupon's scope
+couponSchema.methods.appliesTo = function(product) {
+  if (!product) {
+    return false;
+  }
+
+  if (!this.isScoped()) {
+    return true;
+  }
+
+  const productId = product._id.toString();
+  const categoryId = product.category ? (product.category._id || product.category).toString() : null;
+  const brand = product.brand ? product.brand.toLowerCase() : null;
+
+  return this.applicableProducts.some(id => id.toString() === productId) ||
+    (categoryId && this.applicableCategories.some(id => id.toString() === categoryId)) ||
+    (brand && this.applicableBrands.some(b => b.toLowerCase() === brand));
+};
+
+// Instance method to calculate the discount for a set of lines
+// Each line is { product, total } with product holding at least _id, category and brand.
+// lineDiscounts splits the discount across the eligible lines pro rata (for tax).
+couponSchema.methods.calculateDiscount = function(lines) {
+  const eligible = lines.map(line => this.appliesTo(line.product));
+  const eligibleSubtotal = lines
+    .filter((line, index) => eligible[index])
+    .reduce((total, line) => total + line.total, 0);
+
+  let discountAmount = this.discountType === 'percentage'
+    ? eligibleSubtotal * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscountAmount) {
+    discountAmount = Math.min(discountAmount, this.maxDiscountAmount);
+  }
+
+  // Never discount more than the lines the coupon covers
+  discountAmount = Math.min(discountAmount, eligibleSubtotal);
+
+  discountAmount = Math.round(discountAmount * 100) / 100;
+
+  // The last eligible line takes the rounding remainder so the split adds up exactly
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  const lineDiscounts = lines.map((line, index) => {
+    if (!eligible[index]) return 0;
+    if (index === lastEligible) return Math.round((discountAmount - allocated) * 100) / 100;
+
+    const share = Math.round(discountAmount * line.total / eligibleSubtotal * 100) / 100;
+    allocated += share;
+    return share;
+  });
+
+  return {
+    eligibleSubtotal,
+    discountAmount,
+    lineDiscounts
+  };
+};
+
+// Static method to find an active coupon by code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase(), isActive: true });
+};
+
+// Static method to take one redemption, respecting the overall usage limit
+// Resolves to the updated coupon, or null when the limit has been reached
+couponSchema.statics.redeem = function(code, { enforceLimit = true } = {}) {
+  const filter = { code, isActive: true };
+
+  if (enforceLimit) {
+    filter.$or = [
+      { usageLimit: null },
+      { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+    ];
+  }
+
+  return this.findOneAndUpdate(filter, { $inc: { usageCount: 1 } }, { new: true });
+};
+
+// Static method to give a redemption back (e.g. the order was cancelled)
+couponSchema.statics.release = function(code) {
+  return this.updateOne(
+    { code, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
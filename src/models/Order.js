@@ -1,4 +1,104 @@
 const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const { COLLECTION_GRACE_HOURS } = require('../config/cod');
+const {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  REFUNDED_FROM,
+  SHIPMENT_STATUSES,
+  SHIPMENT_TRANSITIONS
+} = require('../config/orderStatus');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// 409 for a status move the transition table doesn't allow, listing the moves it does
+const transitionError = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+
+  return new AppError(
+    `Order cannot move from ${from} to ${to}` +
+      (allowed.length > 0 ? `; allowed next statuses: ${allowed.join(', ')}` : '; no further status changes are allowed'),
+    409,
+    { currentStatus: from, allowedStatuses: allowed }
+  );
+};
+
+// What was actually paid for one unit of a line: its share of the coupon comes off,
+// and GST is added back when it was charged on top of the price
+const unitPaid = (orderItem, pricesIncludeTax) => {
+  const tax = orderItem.tax || {};
+  const paid = orderItem.total - (tax.discount || 0) + (pricesIncludeTax ? 0 : (tax.amount || 0));
+  return paid / orderItem.quantity;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shipment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         shipmentNumber:
+ *           type: string
+ *           example: SG25010001-1
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variantKey:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *         seller:
+ *           type: string
+ *         warehouse:
+ *           type: string
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *         trackingUrl:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, shipped, in_transit, out_for_delivery, delivered, cancelled]
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         events:
+ *           type: array
+ *           description: Tracking timeline, from carrier scans and status updates
+ *           items:
+ *             $ref: '#/components/schemas/TrackingEvent'
+ *     TrackingEvent:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           description: Status as the carrier reported it
+ *           example: In Transit
+ *         shipmentStatus:
+ *           type: string
+ *           enum: [pending, shipped, in_transit, out_for_delivery, delivered, cancelled]
+ *         location:
+ *           type: string
+ *         description:
+ *           type: string
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         source:
+ *           type: string
+ *           description: Carrier that sent the scan, or admin
+ */
 
 /**
  * @swagger
@@ -37,9 +137,28 @@ const mongoose = require('mongoose');
  *                 type: number
  *               total:
  *                 type: number
+ *               seller:
+ *                 type: string
+ *                 description: Seller (User ID) of the product when ordered
+ *               tax:
+ *                 type: object
+ *                 description: Per-line GST (rate, taxableValue, supplyType, cgst, sgst, igst, amount)
+ *         taxAmount:
+ *           type: number
+ *         pricesIncludeTax:
+ *           type: boolean
+ *         taxBreakdown:
+ *           type: object
+ *           properties:
+ *             cgst:
+ *               type: number
+ *             sgst:
+ *               type: number
+ *             igst:
+ *               type: number
  *         status:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *           enum: [pending, confirmed, processing, partially_shipped, shipped, partially_delivered, delivered, cancelled, refunded]
  *         totalAmount:
  *           type: number
  *         shippingAddress:
@@ -48,16 +167,21 @@ const mongoose = require('mongoose');
  *           type: string
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
- *         tracking:
+ *           enum: [pending, paid, failed, refunded, partially_refunded]
+ *         refunds:
+ *           type: array
+ *           description: Refund ledger (refundId, amount, items, status, statusHistory)
+ *           items:
+ *             type: object
+ *         refundedAmount:
+ *           type: number
+ *         codCollection:
  *           type: object
- *           properties:
- *             provider:
- *               type: string
- *             trackingNumber:
- *               type: string
- *             trackingUrl:
- *               type: string
+ *           description: Cash collected for a COD order (expectedAmount, amount, collectedAt, collectedBy, reference)
+ *         shipments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Shipment'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -92,6 +216,11 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Product's seller when the order was placed; their earnings come from this line
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   // Store product data at time of order
   productSnapshot: {
     description: String,
@@ -104,7 +233,26 @@ const orderItemSchema = new mongoose.Schema({
     name: String,
     value: String,
     price: Number
-  }]
+  }],
+  variantKey: {
+    type: String,
+    default: ''
+  },
+  // GST for this line, kept for invoices
+  tax: {
+    hsnCode: String,
+    rate: Number,
+    discount: Number,
+    taxableValue: Number,
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    amount: Number
+  }
 }, {
   _id: false
 });
@@ -158,6 +306,150 @@ const shippingAddressSchema = new mongoose.Schema({
   _id: false
 });
 
+// One refund against the payment; the order's refunds form its refund ledger
+const refundSchema = new mongoose.Schema({
+  // Provider's refund ID
+  refundId: String,
+  provider: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  // Order lines the refund covers, empty for an amount-only refund
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variantKey: {
+      type: String,
+      default: ''
+    },
+    quantity: {
+      type: Number,
+      min: 1
+    },
+    amount: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed']
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }],
+  // false when the goods are restocked separately, e.g. only the resellable part of a return
+  restock: {
+    type: Boolean,
+    default: true
+  },
+  // Set once the refunded quantities are back in stock, so they're only restocked once
+  restockedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One entry on a shipment's tracking timeline
+const trackingEventSchema = new mongoose.Schema({
+  // As the carrier reported it, e.g. "In Transit"
+  status: {
+    type: String,
+    required: true
+  },
+  // The carrier status in our terms, when it maps onto one
+  shipmentStatus: {
+    type: String,
+    enum: SHIPMENT_STATUSES
+  },
+  location: String,
+  description: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  // Carrier that sent the scan, or admin
+  source: String
+}, {
+  _id: false
+});
+
+// One box of the order: a subset of its items with its own carrier and tracking
+const shipmentSchema = new mongoose.Schema({
+  // Order number with a sequence, e.g. SG25010001-2
+  shipmentNumber: {
+    type: String,
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantKey: {
+      type: String,
+      default: ''
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Seller fulfilling the shipment, when it ships from a seller rather than our warehouse
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  warehouse: String,
+  carrier: String,
+  trackingNumber: String,
+  trackingUrl: String,
+  // Moves are limited by SHIPMENT_TRANSITIONS in config/orderStatus
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Tracking timeline: carrier scans and manual status updates
+  events: [trackingEventSchema],
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -173,17 +465,12 @@ const orderSchema = new mongoose.Schema({
   items: [orderItemSchema],
   
   // Order Status
+  // pending: awaiting payment, confirmed: paid or COD, processing: being prepared,
+  // shipped, delivered, cancelled, refunded; moves are limited by config/orderStatus.
+  // Once the order has shipments, partially_shipped through delivered follow from them
   status: {
     type: String,
-    enum: [
-      'pending',     // Order created, awaiting payment
-      'confirmed',   // Payment confirmed
-      'processing',  // Being prepared for shipment
-      'shipped',     // Order shipped
-      'delivered',   // Order delivered
-      'cancelled',   // Order cancelled
-      'refunded'     // Order refunded
-    ],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
   
@@ -198,6 +485,25 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // true when item prices already include GST, so taxAmount isn't added to the total
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  taxBreakdown: {
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
+    }
+  },
   shippingCost: {
     type: Number,
     default: 0,
@@ -235,23 +541,41 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
+  // Stock is held for unpaid online orders until this time, then released by the expiry job
+  reservationExpiresAt: {
+    type: Date
+  },
   paymentDetails: {
     transactionId: String,
     paymentIntentId: String,
     receiptUrl: String,
-    refundId: String,
-    refundAmount: Number
+    // A payment whose amount or currency didn't match the order; it wasn't applied, so
+    // the order stays unpaid and the payment needs refunding
+    mismatch: {
+      paymentIntentId: String,
+      // In the currency's smallest unit
+      amount: Number,
+      currency: String,
+      detectedAt: Date
+    }
   },
-  
-  // Tracking Information
-  tracking: {
-    provider: String,
-    trackingNumber: String,
-    trackingUrl: String,
-    shippedAt: Date,
-    deliveredAt: Date
+  refunds: [refundSchema],
+  // Cash handed over for a COD order
+  codCollection: {
+    expectedAmount: Number,
+    amount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reference: String,
+    notes: String
   },
   
+  // Shipments (boxes) the items go out in, each with its own carrier and tracking
+  shipments: [shipmentSchema],
+  
   // Discounts and Coupons
   appliedCoupon: {
     code: String,
@@ -277,7 +601,7 @@ const orderSchema = new mongoose.Schema({
   statusHistory: [{
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']
+      enum: ORDER_STATUSES
     },
     timestamp: {
       type: Date,
@@ -312,6 +636,8 @@ const orderSchema = new mongoose.Schema({
     },
     requestedAt: Date,
     reason: String,
+    // Return merchandise authorization, issued on approval
+    rmaNumber: String,
     status: {
       type: String,
       enum: ['pending', 'approved', 'rejected', 'completed']
@@ -321,9 +647,47 @@ const orderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product'
       },
+      variantKey: {
+        type: String,
+        default: ''
+      },
       quantity: Number,
-      reason: String
-    }]
+      reason: String,
+      // Filled in when the parcel is received and inspected
+      receivedQuantity: Number,
+      condition: {
+        type: String,
+        enum: ['resellable', 'damaged', 'unacceptable']
+      }
+    }],
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String,
+    notes: String,
+    pickup: {
+      scheduledFor: Date,
+      slot: String,
+      carrier: String,
+      trackingNumber: String,
+      scheduledAt: Date
+    },
+    inspection: {
+      receivedAt: Date,
+      inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      notes: String
+    },
+    // Refund ledger entry for the returned lines; COD returns only record what is owed
+    refund: {
+      ledgerId: mongoose.Schema.Types.ObjectId,
+      amount: Number
+    },
+    completedAt: Date
   },
   
   // Analytics
@@ -351,7 +715,22 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
-orderSchema.index({ 'tracking.trackingNumber': 1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
+orderSchema.index({ 'shipments.seller': 1, createdAt: -1 });
+orderSchema.index({ 'items.seller': 1, createdAt: -1 });
+// One order per payment intent, so a repeated payment confirmation can't create a second
+orderSchema.index(
+  { 'paymentDetails.paymentIntentId': 1 },
+  { unique: true, partialFilterExpression: { 'paymentDetails.paymentIntentId': { $type: 'string' } } }
+);
+orderSchema.index({ status: 1, reservationExpiresAt: 1 });
+orderSchema.index({ 'refunds.refundId': 1 });
+orderSchema.index({ paymentMethod: 1, deliveredAt: 1 });
+orderSchema.index({ 'codCollection.collectedAt': 1 });
+orderSchema.index(
+  { 'returnRequest.rmaNumber': 1 },
+  { unique: true, partialFilterExpression: { 'returnRequest.rmaNumber': { $type: 'string' } } }
+);
 
 // Compound indexes
 orderSchema.index({ user: 1, status: 1 });
@@ -362,6 +741,13 @@ orderSchema.virtual('totalItems').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Virtual for the amount refunded so far (settled refunds only)
+orderSchema.virtual('refundedAmount').get(function() {
+  return round((this.refunds || [])
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((total, refund) => total + refund.amount, 0));
+});
+
 // Virtual for order age in days
 orderSchema.virtual('ageInDays').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -400,66 +786,61 @@ orderSchema.pre('save', function(next) {
   // Calculate subtotal from items
   this.subtotal = this.items.reduce((total, item) => total + item.total, 0);
   
-  // Calculate total amount
-  this.totalAmount = this.subtotal + this.taxAmount + this.shippingCost - this.discountAmount;
+  // Calculate total amount; tax-inclusive prices already carry their GST
+  const addedTax = this.pricesIncludeTax ? 0 : this.taxAmount;
+  this.totalAmount = this.subtotal + addedTax + this.shippingCost - this.discountAmount;
   
   next();
 });
 
-// Pre-save middleware to add status history
+// Remember the status an order was loaded with, so a save can check the move
+orderSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+orderSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Pre-save middleware to enforce status transitions and add status history
 orderSchema.pre('save', function(next) {
-  if (this.isModified('status') && !this.isNew) {
+  if (this.isNew || !this.isModified('status')) {
+    return next();
+  }
+
+  const previousStatus = this.$locals.savedStatus;
+
+  // Only a refund ledger covering the total moves an order to refunded (see syncRefundStatus)
+  const refundedInFull = this.status === 'refunded' && this.paymentStatus === 'refunded' &&
+    REFUNDED_FROM.includes(previousStatus);
+
+  if (previousStatus && previousStatus !== this.status && !refundedInFull &&
+      !(STATUS_TRANSITIONS[previousStatus] || []).includes(this.status)) {
+    return next(transitionError(previousStatus, this.status));
+  }
+
+  // updateStatus records its own entry, with notes and who made the change
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (!lastEntry || lastEntry.status !== this.status) {
     this.statusHistory.push({
       status: this.status,
       timestamp: new Date()
     });
-
-    // Set timestamp fields based on status
-    switch (this.status) {
-      case 'confirmed':
-        this.confirmedAt = new Date();
-        break;
-      case 'processing':
-        this.processedAt = new Date();
-        break;
-      case 'shipped':
-        this.shippedAt = new Date();
-        break;
-      case 'delivered':
-        this.deliveredAt = new Date();
-        break;
-      case 'cancelled':
-        this.cancelledAt = new Date();
-        break;
-    }
   }
-  next();
-});
 
-// Instance method to update status
-orderSchema.methods.updateStatus = function(newStatus, notes, updatedBy) {
-  const previousStatus = this.status;
-  this.status = newStatus;
-
-  // Add to status history
-  this.statusHistory.push({
-    status: newStatus,
-    timestamp: new Date(),
-    notes,
-    updatedBy
-  });
-
-  // Update specific timestamp fields
+  // Set timestamp fields based on status
   const now = new Date();
-  switch (newStatus) {
+  switch (this.status) {
     case 'confirmed':
       this.confirmedAt = now;
       break;
     case 'processing':
       this.processedAt = now;
       break;
+    case 'partially_shipped':
     case 'shipped':
-      this.shippedAt = now;
+      // The first box to go out ships the order
+      this.shippedAt = this.shippedAt || now;
       break;
     case 'delivered':
       this.deliveredAt = now;
@@ -469,35 +850,129 @@ orderSchema.methods.updateStatus = function(newStatus, notes, updatedBy) {
       break;
   }
 
-  return this.save();
+  next();
+});
+
+// Instance method to list the statuses the order can move to next
+orderSchema.methods.allowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
 };
 
-// Instance method to add tracking information
-orderSchema.methods.addTracking = function(trackingData) {
-  this.tracking = {
-    ...this.tracking,
-    ...trackingData,
-    shippedAt: new Date()
-  };
+// Instance method to check a status change against the transition table
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return this.allowedTransitions().includes(newStatus);
+};
 
-  if (this.status === 'processing') {
-    this.status = 'shipped';
+// Instance method to update status
+// Side effects (stock, payment, emails) belong to orderStatusService.transition
+orderSchema.methods.updateStatus = function(newStatus, notes, updatedBy) {
+  if (!this.canTransitionTo(newStatus)) {
+    return Promise.reject(transitionError(this.status, newStatus));
   }
 
+  this.status = newStatus;
+
+  // Add to status history
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    notes,
+    updatedBy
+  });
+
   return this.save();
 };
 
-// Instance method to cancel order
-orderSchema.methods.cancelOrder = function(reason, cancelledBy) {
-  this.status = 'cancelled';
-  this.cancellation = {
-    reason,
-    cancelledAt: new Date(),
-    cancelledBy,
-    refundStatus: this.paymentStatus === 'paid' ? 'pending' : 'none'
-  };
+// Instance method to find a shipment by its ID or shipment number
+orderSchema.methods.findShipment = function(shipmentId) {
+  return this.shipments.find(shipment =>
+    shipment._id.toString() === String(shipmentId) || shipment.shipmentNumber === shipmentId
+  );
+};
 
-  return this.save();
+// Instance method to count how many units of a line are already in (non-cancelled) shipments
+orderSchema.methods.shippedQuantity = function(orderItem) {
+  return this.shipments
+    .filter(shipment => shipment.status !== 'cancelled')
+    .reduce((total, shipment) => total + shipment.items
+      .filter(item =>
+        item.product.toString() === orderItem.product.toString() &&
+        (item.variantKey || '') === (orderItem.variantKey || '')
+      )
+      .reduce((sum, item) => sum + item.quantity, 0), 0);
+};
+
+// Instance method to check a shipment status change against SHIPMENT_TRANSITIONS
+orderSchema.methods.canShipmentTransitionTo = function(shipment, newStatus) {
+  return (SHIPMENT_TRANSITIONS[shipment.status] || []).includes(newStatus);
+};
+
+// Instance method to build the customer-facing tracking timeline, newest first
+// Order status changes and shipment events, without admin notes
+orderSchema.methods.trackingTimeline = function() {
+  const orderEvents = this.statusHistory.map(entry => ({
+    type: 'order',
+    status: entry.status,
+    occurredAt: entry.timestamp
+  }));
+
+  const shipmentEvents = this.shipments.flatMap(shipment => shipment.events.map(event => ({
+    type: 'shipment',
+    shipmentNumber: shipment.shipmentNumber,
+    status: event.status,
+    shipmentStatus: event.shipmentStatus,
+    location: event.location,
+    description: event.description,
+    occurredAt: event.occurredAt
+  })));
+
+  return [...orderEvents, ...shipmentEvents]
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+};
+
+// Instance method to work out the order status its shipments add up to
+// Returns null while nothing has gone out yet
+orderSchema.methods.shipmentStatus = function() {
+  const active = this.shipments.filter(shipment => shipment.status !== 'cancelled');
+  const dispatched = active.filter(shipment => shipment.status !== 'pending');
+
+  if (dispatched.length === 0) {
+    return null;
+  }
+
+  const allAllocated = this.items.every(item => this.shippedQuantity(item) >= item.quantity);
+  const delivered = active.filter(shipment => shipment.status === 'delivered');
+
+  if (allAllocated && delivered.length === active.length) {
+    return 'delivered';
+  }
+
+  if (delivered.length > 0) {
+    return 'partially_delivered';
+  }
+
+  return allAllocated && dispatched.length === active.length ? 'shipped' : 'partially_shipped';
+};
+
+// Instance method to push the stock hold out to a later time (e.g. a payment is still settling)
+// Only an order whose hold is still live can be extended, so this can't race the expiry job
+// Resolves to false when the hold has already been claimed or the order has moved on
+orderSchema.methods.extendReservation = async function(until) {
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'pending',
+      reservationExpiresAt: { $exists: true }
+    },
+    { $max: { reservationExpiresAt: until } },
+    { new: true }
+  );
+
+  if (updated) {
+    this.reservationExpiresAt = updated.reservationExpiresAt;
+  }
+
+  return !!updated;
 };
 
 // Instance method to request return
@@ -514,25 +989,98 @@ orderSchema.methods.requestReturn = function(items, reason) {
 };
 
 // Instance method to calculate refund amount
+// Lines are matched on product and variant and refunded at what was paid for them:
+// after their share of the coupon, plus GST when it was charged on top
 orderSchema.methods.calculateRefundAmount = function(items = null) {
   if (!items) {
-    // Full refund
-    return this.totalAmount;
+    // Full refund of whatever hasn't been refunded yet, shipping included
+    return round(this.totalAmount - this.committedRefundAmount());
   }
 
   // Partial refund - calculate based on returned items
   let refundAmount = 0;
   items.forEach(returnItem => {
-    const orderItem = this.items.find(item => 
-      item.product.toString() === returnItem.product.toString()
-    );
+    const orderItem = this.findItem(returnItem.product, returnItem.variantKey);
     if (orderItem) {
-      const itemRefund = (orderItem.total / orderItem.quantity) * returnItem.quantity;
-      refundAmount += itemRefund;
+      refundAmount += unitPaid(orderItem, this.pricesIncludeTax) * returnItem.quantity;
     }
   });
 
-  return refundAmount;
+  return round(Math.min(refundAmount, this.totalAmount - this.committedRefundAmount()));
+};
+
+// Instance method to work out what the customer paid for some units of a line
+// (after its share of the coupon, with GST)
+orderSchema.methods.paidForItem = function(orderItem, quantity = orderItem.quantity) {
+  return round(unitPaid(orderItem, this.pricesIncludeTax) * quantity);
+};
+
+// Instance method to find an order line by product and variant
+orderSchema.methods.findItem = function(productId, variantKey = '') {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    (item.variantKey || '') === (variantKey || '')
+  );
+};
+
+// Instance method to total the refunds that haven't failed, i.e. money already promised back
+orderSchema.methods.committedRefundAmount = function() {
+  return round((this.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0));
+};
+
+// Instance method to get how many units of a line are still refundable
+orderSchema.methods.refundableQuantity = function(orderItem) {
+  const refunded = (this.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.items
+      .filter(line =>
+        line.product.toString() === orderItem.product.toString() &&
+        (line.variantKey || '') === (orderItem.variantKey || '')
+      )
+      .reduce((sum, line) => sum + line.quantity, 0), 0);
+
+  return Math.max(orderItem.quantity - refunded, 0);
+};
+
+// Instance method to move a ledger entry to a new status
+// Returns the entry, or null when it was already in that status
+orderSchema.methods.setRefundStatus = function(refund, status, notes) {
+  if (refund.status === status && refund.statusHistory.length > 0) {
+    return null;
+  }
+
+  refund.status = status;
+  refund.statusHistory.push({ status, notes });
+
+  return refund;
+};
+
+// Instance method to derive the payment status from the refund ledger
+// An order refunded in full moves to refunded, with a status history entry; that move is
+// outside the transition table, so it can't be made by hand
+orderSchema.methods.syncRefundStatus = function(notes = 'Refunded in full') {
+  const refunded = this.refundedAmount;
+
+  if (refunded <= 0) {
+    this.paymentStatus = 'paid';
+    return;
+  }
+
+  if (refunded >= this.totalAmount) {
+    this.paymentStatus = 'refunded';
+    if (this.status !== 'refunded' && REFUNDED_FROM.includes(this.status)) {
+      this.status = 'refunded';
+      this.statusHistory.push({ status: 'refunded', timestamp: new Date(), notes });
+    }
+    if (this.cancellation && this.cancellation.refundStatus === 'pending') {
+      this.cancellation.refundStatus = 'completed';
+    }
+    return;
+  }
+
+  this.paymentStatus = 'partially_refunded';
 };
 
 // Instance method to check if order can be cancelled
@@ -541,14 +1089,14 @@ orderSchema.methods.canBeCancelled = function() {
 };
 
 // Instance method to check if order can be returned
+// Each line's return window depends on its category (see returnService)
 orderSchema.methods.canBeReturned = function() {
-  if (this.status !== 'delivered') return false;
-  
-  // Check if within return window (e.g., 30 days)
-  const returnWindow = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-  return (Date.now() - this.deliveredAt.getTime()) < returnWindow;
+  return this.status === 'delivered' && Boolean(this.deliveredAt);
 };
 
+// Static method to build the 409 for a refused status move, listing the allowed ones
+orderSchema.statics.transitionError = transitionError;
+
 // Static method to find orders by user
 orderSchema.statics.findByUser = function(userId, options = {}) {
   const { status, limit = 20, page = 1 } = options;
@@ -637,6 +1185,45 @@ orderSchema.statics.getRecentOrders = function(limit = 10) {
     .limit(limit);
 };
 
+// Static method to find unpaid orders whose stock hold has run out
+orderSchema.statics.findExpiredReservations = function(now = new Date(), limit = 100) {
+  return this.find({
+    status: 'pending',
+    paymentStatus: 'pending',
+    reservationExpiresAt: { $lte: now }
+  })
+    .sort({ reservationExpiresAt: 1 })
+    .limit(limit);
+};
+
+// Static method to claim an expired hold so only one worker releases it
+// Resolves to the order if this caller won the claim, otherwise null
+orderSchema.statics.claimExpiredReservation = function(orderId, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: 'pending',
+      paymentStatus: 'pending',
+      reservationExpiresAt: { $lte: now }
+    },
+    { $unset: { reservationExpiresAt: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to hand back a claimed hold whose release failed, so a later sweep retries it
+// Only an order still pending with its hold claimed is restored
+orderSchema.statics.restoreExpiredReservation = function(orderId, expiresAt) {
+  return this.updateOne(
+    {
+      _id: orderId,
+      status: 'pending',
+      reservationExpiresAt: { $exists: false }
+    },
+    { $set: { reservationExpiresAt: expiresAt } }
+  );
+};
+
 // Static method to find orders requiring action
 orderSchema.statics.getOrdersRequiringAction = function() {
   const threeDaysAgo = new Date();
@@ -660,6 +1247,13 @@ orderSchema.statics.getOrdersRequiringAction = function() {
           { 
             'returnRequest.requested': true,
             'returnRequest.status': 'pending'
+          },
+          // COD orders delivered without the cash being recorded
+          {
+            paymentMethod: 'cod',
+            status: 'delivered',
+            deliveredAt: { $lt: new Date(Date.now() - COLLECTION_GRACE_HOURS * 60 * 60 * 1000) },
+            'codCollection.collectedAt': { $exists: false }
           }
         ]
       }
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payout:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         payoutNumber:
+ *           type: string
+ *           example: PO25010001
+ *         seller:
+ *           type: string
+ *           description: User ID of the seller
+ *         lines:
+ *           type: array
+ *           description: Delivered, non-returned order lines the payout covers
+ *           items:
+ *             type: object
+ *             properties:
+ *               order:
+ *                 type: string
+ *               orderNumber:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               variantKey:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               gross:
+ *                 type: number
+ *               commissionRate:
+ *                 type: number
+ *               commission:
+ *                 type: number
+ *               net:
+ *                 type: number
+ *         grossAmount:
+ *           type: number
+ *         commissionAmount:
+ *           type: number
+ *         netAmount:
+ *           type: number
+ *           description: Amount transferred to the seller
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, cancelled]
+ *         reference:
+ *           type: string
+ *           description: Bank transfer reference (UTR)
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const payoutLineSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantKey: {
+    type: String,
+    default: ''
+  },
+  title: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What the customer paid for these units
+  gross: {
+    type: Number,
+    required: true
+  },
+  commissionRate: Number,
+  commission: Number,
+  net: Number,
+  deliveredAt: Date
+}, {
+  _id: false
+});
+
+const payoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lines: [payoutLineSchema],
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  // pending: created, awaiting the transfer; paid: transferred; cancelled: lines free for a new payout
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'cancelled'],
+    default: 'pending'
+  },
+  reference: String,
+  notes: String,
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ seller: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+payoutSchema.index({ 'lines.order': 1 });
+
+// Pre-validate middleware to generate the payout number
+payoutSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.payoutNumber) {
+    const currentYear = new Date().getFullYear().toString().substr(-2);
+    const currentMonth = (new Date().getMonth() + 1).toString().padStart(2, '0');
+
+    const lastPayout = await this.constructor.findOne({
+      payoutNumber: new RegExp(`^PO${currentYear}${currentMonth}`)
+    }).sort({ payoutNumber: -1 });
+
+    let sequence = 1;
+    if (lastPayout) {
+      sequence = parseInt(lastPayout.payoutNumber.substr(-4)) + 1;
+    }
+
+    this.payoutNumber = `PO${currentYear}${currentMonth}${sequence.toString().padStart(4, '0')}`;
+  }
+  next();
+});
+
+// Pre-save middleware to total the lines
+payoutSchema.pre('save', function(next) {
+  const sum = (field) => Math.round(this.lines.reduce((total, line) => total + (line[field] || 0), 0) * 100) / 100;
+
+  this.grossAmount = sum('gross');
+  this.commissionAmount = sum('commission');
+  this.netAmount = sum('net');
+
+  next();
+});
+
+// Static method to count the units of each order line already in live (non-cancelled) payouts
+// Resolves to a Map keyed by `${orderId}:${productId}:${variantKey}`
+payoutSchema.statics.paidQuantities = async function(sellerId) {
+  const payouts = await this.find({ seller: sellerId, status: { $ne: 'cancelled' } }).select('lines');
+  const quantities = new Map();
+
+  payouts.forEach(payout => payout.lines.forEach(line => {
+    const key = `${line.order}:${line.product}:${line.variantKey || ''}`;
+    quantities.set(key, (quantities.get(key) || 0) + line.quantity);
+  }));
+
+  return quantities;
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
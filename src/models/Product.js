@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { GST_RATES } = require('../config/tax');
+
+// Stable identifier for a variant combination, independent of selection order
+const variantKey = (selections = []) => {
+  return selections
+    .map(item => `${String(item.name).toLowerCase()}:${String(item.value).toLowerCase()}`)
+    .sort()
+    .join('|');
+};
+
+// Changing these on an approved seller product sends it back for review
+const REVIEWED_FIELDS = ['title', 'price', 'images', 'thumbnail', 'variants'];
+const STOCK_FIELDS = ['stock', 'lowStockThreshold'];
+
+// Comparable form of a reviewed field; images compare by their URLs, and variants by their
+// options and option prices (an option's price replaces the product price), not their stock
+const reviewedValue = (field, value) => {
+  if (field === 'images') {
+    return (value || []).map(image => image.url).join('|');
+  }
+  if (field === 'variants') {
+    return (value || [])
+      .map(variant => `${String(variant.name).toLowerCase()}:` + (variant.options || [])
+        .map(option => `${String(option.value).toLowerCase()}=${typeof option.price === 'number' ? option.price : ''}`)
+        .sort()
+        .join(','))
+      .sort()
+      .join('|');
+  }
+  return value === undefined || value === null ? '' : String(value);
+};
 
 /**
  * @swagger
@@ -47,6 +78,13 @@ const slugify = require('slugify');
  *         sku:
  *           type: string
  *           description: Stock keeping unit
+ *         taxRate:
+ *           type: number
+ *           enum: [0, 5, 12, 18, 28]
+ *           description: GST rate; falls back to the category's rate when empty
+ *         hsnCode:
+ *           type: string
+ *           description: HSN code shown on invoices
  *         stock:
  *           type: number
  *           description: Available stock quantity
@@ -76,12 +114,41 @@ const slugify = require('slugify');
  *         isFeatured:
  *           type: boolean
  *           default: false
+ *         approvalStatus:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           description: Seller products are pending until an admin approves them; only approved,
+ *             active products are shown in the store
+ *         rejectionReason:
+ *           type: string
  *         tags:
  *           type: array
  *           items:
  *             type: string
  *         specifications:
  *           type: object
+ *         variants:
+ *           type: array
+ *           description: Variant groups; an option's price replaces the product price and its stock caps availability
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Size
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     value:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                     stock:
+ *                       type: number
+ *                     sku:
+ *                       type: string
  *         dimensions:
  *           type: object
  *           properties:
@@ -181,6 +248,16 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Tax class; null uses the category's rate
+  taxRate: {
+    type: Number,
+    enum: [...GST_RATES, null],
+    default: null
+  },
+  hsnCode: {
+    type: String,
+    trim: true
+  },
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
@@ -357,6 +434,11 @@ const productSchema = new mongoose.Schema({
   rejectionReason: {
     type: String
   },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
   // Timestamps for stock updates
   lastStockUpdate: {
     type: Date,
@@ -401,6 +483,8 @@ productSchema.index({ stock: 1 });
 productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ price: 1, rating: -1 });
 productSchema.index({ isActive: 1, isFeatured: 1 });
+productSchema.index({ isActive: 1, approvalStatus: 1 });
+productSchema.index({ approvalStatus: 1, updatedAt: 1 });
 
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
@@ -489,6 +573,52 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Post-init middleware to remember the category the product was loaded with
+productSchema.post('init', function() {
+  this.$locals.loadedCategory = this.category;
+});
+
+// Pre-save middleware to note whether category product counts need updating
+productSchema.pre('save', function(next) {
+  this.$locals.recountCategories = this.isNew ||
+    this.isModified('category') || this.isModified('isActive') || this.isModified('approvalStatus');
+  next();
+});
+
+// Post-save middleware to keep category product counts current
+productSchema.post('save', async function() {
+  if (!this.$locals.recountCategories) {
+    return;
+  }
+
+  await mongoose.model('Category').updateProductCounts([this.$locals.loadedCategory, this.category]);
+  this.$locals.loadedCategory = this.category;
+});
+
+// Post-delete middleware to update its category's product count
+productSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await mongoose.model('Category').updateProductCounts([this.category]);
+});
+
+// Pre-save middleware to note whether search suggestions need refreshing
+productSchema.pre('save', function(next) {
+  this.$locals.refreshSuggestions = this.isNew ||
+    ['title', 'slug', 'brand', 'thumbnail', 'isActive', 'approvalStatus'].some(field => this.isModified(field));
+  next();
+});
+
+// Post-save middleware to refresh search suggestions
+productSchema.post('save', function() {
+  if (this.$locals.refreshSuggestions) {
+    require('../services/suggestionService').markStale();
+  }
+});
+
+// Post-delete middleware to refresh search suggestions
+productSchema.post('deleteOne', { document: true, query: false }, function() {
+  require('../services/suggestionService').markStale();
+});
+
 // Instance method to update rating
 productSchema.methods.updateRating = async function() {
   const Review = mongoose.model('Review');
@@ -516,24 +646,107 @@ productSchema.methods.updateRating = async function() {
   await this.save();
 };
 
+// Instance method to resolve selected variant options (e.g. Size: M / Color: Red)
+// An option's price replaces the product price (the highest wins if several set one),
+// and every option that tracks stock caps the quantity available for the combination.
+productSchema.methods.resolveVariant = function(selectedVariants = []) {
+  const selected = selectedVariants || [];
+  const variants = this.variants || [];
+
+  if (variants.length === 0) {
+    if (selected.length > 0) {
+      throw new Error(`${this.title} has no variants`);
+    }
+    return { selections: [], options: [], price: this.price, stock: this.stock, sku: this.sku, key: '' };
+  }
+
+  const selections = [];
+  const options = [];
+
+  for (const variant of variants) {
+    const choice = selected.find(
+      item => item.name && item.name.toLowerCase() === variant.name.toLowerCase()
+    );
+
+    if (!choice) {
+      throw new Error(`Please select ${variant.name} for ${this.title}`);
+    }
+
+    const option = variant.options.find(
+      opt => String(opt.value).toLowerCase() === String(choice.value).toLowerCase()
+    );
+
+    if (!option) {
+      throw new Error(`${variant.name} "${choice.value}" is not available for ${this.title}`);
+    }
+
+    options.push(option);
+    selections.push({ name: variant.name, value: option.value, price: option.price });
+  }
+
+  if (selected.length > variants.length) {
+    throw new Error(`Unknown variant selected for ${this.title}`);
+  }
+
+  const optionPrices = options.filter(opt => typeof opt.price === 'number').map(opt => opt.price);
+  const optionStocks = options.filter(opt => typeof opt.stock === 'number').map(opt => opt.stock);
+  const optionSkus = options.filter(opt => opt.sku).map(opt => opt.sku);
+
+  return {
+    selections,
+    options,
+    price: optionPrices.length > 0 ? Math.max(...optionPrices) : this.price,
+    stock: Math.min(this.stock, ...optionStocks),
+    sku: optionSkus.length > 0 ? optionSkus.join('/') : this.sku,
+    key: variantKey(selections)
+  };
+};
+
 // Instance method to check if in stock
-productSchema.methods.isInStock = function(quantity = 1) {
-  return this.stock >= quantity;
+productSchema.methods.isInStock = function(quantity = 1, selectedVariants = []) {
+  return this.resolveVariant(selectedVariants).stock >= quantity;
 };
 
-// Instance method to reserve stock
-productSchema.methods.reserveStock = function(quantity) {
-  if (!this.isInStock(quantity)) {
+// Instance method to reserve stock (and the selected options' stock)
+// Delegates to the atomic static so concurrent checkouts can't oversell
+productSchema.methods.reserveStock = async function(quantity, selectedVariants = []) {
+  const reserved = await this.constructor.reserveStock(this._id, quantity, selectedVariants);
+
+  if (!reserved) {
     throw new Error('Insufficient stock');
   }
-  this.stock -= quantity;
-  return this.save();
+
+  return reserved;
 };
 
-// Instance method to release stock
-productSchema.methods.releaseStock = function(quantity) {
-  this.stock += quantity;
-  return this.save();
+// Instance method to release stock (and the selected options' stock)
+productSchema.methods.releaseStock = function(quantity, selectedVariants = []) {
+  return this.constructor.releaseStock(this._id, quantity, selectedVariants);
+};
+
+// Instance method to check whether the product is shown in the store
+productSchema.methods.isListed = function() {
+  return this.isActive && this.approvalStatus === 'approved';
+};
+
+// Instance method to send a seller's edit back for review
+// A rejected product goes back with any edit but a stock change, an approved one only when
+// a field in REVIEWED_FIELDS actually changes. Call with the changes before applying them;
+// returns whether the product is now pending.
+productSchema.methods.resubmitForReview = function(changes) {
+  const fields = Object.keys(changes).filter(field => !STOCK_FIELDS.includes(field));
+  const resubmit = this.approvalStatus === 'rejected'
+    ? fields.length > 0
+    : this.approvalStatus === 'approved' && REVIEWED_FIELDS.some(field =>
+      field in changes && reviewedValue(field, changes[field]) !== reviewedValue(field, this.get(field))
+    );
+
+  if (resubmit) {
+    this.approvalStatus = 'pending';
+    this.rejectionReason = undefined;
+  }
+
+  return resubmit;
 };
 
 // Instance method to increment view count
@@ -542,41 +755,42 @@ productSchema.methods.incrementViews = function() {
   return this.save();
 };
 
+// Static method to restrict a filter to products shown in the store (approved and active)
+productSchema.statics.listedFilter = function(filter = {}) {
+  return { ...filter, isActive: true, approvalStatus: 'approved' };
+};
+
 // Static method to find by category
 productSchema.statics.findByCategory = function(categoryId) {
-  return this.find({ category: categoryId, isActive: true });
+  return this.find(this.listedFilter({ category: categoryId }));
 };
 
 // Static method to find featured products
 productSchema.statics.findFeatured = function(limit = 10) {
-  return this.find({ isFeatured: true, isActive: true })
+  return this.find(this.listedFilter({ isFeatured: true }))
     .limit(limit)
     .populate('category', 'name');
 };
 
 // Static method to find products by price range
 productSchema.statics.findByPriceRange = function(minPrice, maxPrice) {
-  return this.find({
-    price: { $gte: minPrice, $lte: maxPrice },
-    isActive: true
-  });
+  return this.find(this.listedFilter({
+    price: { $gte: minPrice, $lte: maxPrice }
+  }));
 };
 
-// Static method to search products
-productSchema.statics.search = function(query, options = {}) {
+// Static method to build the filter used by product search
+productSchema.statics.buildSearchQuery = function(query, options = {}) {
   const {
     category,
     brand,
     minPrice,
     maxPrice,
-    inStock = true,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-    page = 1,
-    limit = 20
+    minRating,
+    inStock = true
   } = options;
 
-  const searchQuery = { isActive: true };
+  const searchQuery = this.listedFilter();
 
   // Text search
   if (query) {
@@ -590,7 +804,7 @@ productSchema.statics.search = function(query, options = {}) {
 
   // Brand filter
   if (brand) {
-    searchQuery.brand = new RegExp(brand, 'i');
+    searchQuery.brand = new RegExp(brand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
   }
 
   // Price range filter
@@ -600,21 +814,136 @@ productSchema.statics.search = function(query, options = {}) {
     if (maxPrice !== undefined) searchQuery.price.$lte = maxPrice;
   }
 
+  // Rating filter
+  if (minRating !== undefined) {
+    searchQuery.rating = { $gte: minRating };
+  }
+
   // Stock filter
   if (inStock) {
     searchQuery.stock = { $gt: 0 };
   }
 
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  return searchQuery;
+};
+
+// Static method to search products
+productSchema.statics.search = function(query, options = {}) {
+  const {
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    page = 1,
+    limit = 20
+  } = options;
+
+  let finder = this.find(this.buildSearchQuery(query, options))
+    .populate('category', 'name');
+
+  // Relevance sorting uses the text index score
+  if (sortBy === 'relevance' && query) {
+    finder = finder
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } });
+  } else {
+    const sort = {};
+    sort[sortBy === 'relevance' ? 'createdAt' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+    finder = finder.sort(sort);
+  }
 
-  return this.find(searchQuery)
-    .populate('category', 'name')
-    .sort(sort)
+  return finder
     .skip((page - 1) * limit)
     .limit(limit);
 };
 
+// Build the filter and $inc for a stock change on a product and its selected options
+const buildStockUpdate = (product, quantity, selectedVariants, direction) => {
+  const filter = { _id: product._id };
+  const inc = { stock: direction * quantity };
+  const arrayFilters = [];
+  const optionConditions = [];
+
+  // Throws if the selection no longer matches the product's variants
+  const { selections, options } = product.resolveVariant(selectedVariants);
+
+  selections.forEach((selection, index) => {
+    if (typeof options[index].stock !== 'number') return;
+
+    inc[`variants.$[v${index}].options.$[o${index}].stock`] = direction * quantity;
+    arrayFilters.push({ [`v${index}.name`]: selection.name }, { [`o${index}.value`]: selection.value });
+
+    if (direction < 0) {
+      optionConditions.push({
+        variants: {
+          $elemMatch: {
+            name: selection.name,
+            options: { $elemMatch: { value: selection.value, stock: { $gte: quantity } } }
+          }
+        }
+      });
+    }
+  });
+
+  if (direction < 0) {
+    filter.stock = { $gte: quantity };
+    filter.isActive = true;
+    if (optionConditions.length > 0) {
+      filter.$and = optionConditions;
+    }
+  }
+
+  return { filter, update: { $inc: inc, $set: { lastStockUpdate: new Date() } }, arrayFilters };
+};
+
+// Static method to atomically reserve stock
+// The decrement only applies if every affected counter still covers the quantity,
+// so of two racing checkouts for the last unit exactly one succeeds.
+// Resolves to the updated product, or null when stock is insufficient.
+productSchema.statics.reserveStock = async function(productId, quantity, selectedVariants = []) {
+  const product = await this.findById(productId).select('title stock price sku variants isActive');
+
+  if (!product) {
+    return null;
+  }
+
+  const { filter, update, arrayFilters } = buildStockUpdate(product, quantity, selectedVariants, -1);
+
+  return this.findOneAndUpdate(filter, update, {
+    new: true,
+    arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined
+  });
+};
+
+// Static method to atomically release previously reserved stock
+productSchema.statics.releaseStock = async function(productId, quantity, selectedVariants = []) {
+  const product = await this.findById(productId).select('title stock price sku variants isActive');
+
+  if (!product) {
+    return null;
+  }
+
+  let stockUpdate;
+  try {
+    stockUpdate = buildStockUpdate(product, quantity, selectedVariants, 1);
+  } catch (error) {
+    // Variant was removed since the reservation; return stock to the product only
+    stockUpdate = {
+      filter: { _id: product._id },
+      update: { $inc: { stock: quantity }, $set: { lastStockUpdate: new Date() } },
+      arrayFilters: []
+    };
+  }
+
+  const { filter, update, arrayFilters } = stockUpdate;
+
+  return this.findOneAndUpdate(filter, update, {
+    new: true,
+    arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined
+  });
+};
+
+// Static method to build a variant combination key
+productSchema.statics.variantKey = variantKey;
+
 // Static method to get low stock products
 productSchema.statics.getLowStockProducts = function() {
   return this.find({
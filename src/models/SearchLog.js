@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { SEARCH_LOG_RETENTION_DAYS } = require('../config/search');
+
+// A product opened from the search results
+const searchClickSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Rank in the results (1 is the first result), if the product was on the page fetched
+  position: Number,
+  clickedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// One document per search request with a search term, for search analytics
+const searchLogSchema = new mongoose.Schema({
+  // Lowercase words separated by single spaces, as grouped in reports
+  query: {
+    type: String,
+    required: true
+  },
+  // The search term as typed
+  text: String,
+  // Endpoint searched: /api/products, /api/products/search, /api/products/category/:category or /api/search
+  source: {
+    type: String,
+    enum: ['products', 'product_search', 'category', 'search'],
+    required: true
+  },
+  // Filters and sort applied along with the search term
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Products matching, across all pages
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  page: {
+    type: Number,
+    default: 1
+  },
+  limit: Number,
+  // Products on the page returned, in order
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Guest session (cart session cookie) of an anonymous searcher
+  sessionId: String,
+  latencyMs: Number,
+  // Products opened from these results; each product counts once
+  clicks: [searchClickSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+searchLogSchema.index({ query: 1, createdAt: -1 });
+searchLogSchema.index({ resultCount: 1, createdAt: -1 });
+
+// Instance method to get the rank of a product in these results (null if it wasn't on the page)
+searchLogSchema.methods.positionOf = function(productId) {
+  const index = this.productIds.findIndex(id => id.toString() === productId.toString());
+
+  return index === -1 ? null : (this.page - 1) * (this.limit || this.productIds.length) + index + 1;
+};
+
+module.exports = mongoose.model('SearchLog', searchLogSchema);
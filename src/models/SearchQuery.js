@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Searches counted per normalized query, for popular query suggestions
+const searchQuerySchema = new mongoose.Schema({
+  // Lowercase words separated by single spaces
+  query: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Results found the last time it was searched
+  lastResultCount: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchQuerySchema.index({ count: -1 });
+
+// Static method to count a search
+searchQuerySchema.statics.record = function(query, resultCount, now = new Date()) {
+  return this.findOneAndUpdate(
+    { query },
+    {
+      $inc: { count: 1 },
+      $set: { lastResultCount: resultCount, lastSearchedAt: now }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
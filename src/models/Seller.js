@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { DEFAULT_COMMISSION_RATE } = require('../config/marketplace');
+
+// A payout request that crashed mid-way gives up the seller's payout lock after this long
+const PAYOUT_LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Seller:
+ *       type: object
+ *       required:
+ *         - businessName
+ *         - kyc
+ *         - bankAccount
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User ID of the seller's account
+ *         businessName:
+ *           type: string
+ *         displayName:
+ *           type: string
+ *           description: Name shown to customers
+ *         businessType:
+ *           type: string
+ *           enum: [individual, proprietorship, partnership, private_limited, llp]
+ *         contactPhone:
+ *           type: string
+ *         pickupAddress:
+ *           type: object
+ *           properties:
+ *             street:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             zipCode:
+ *               type: string
+ *             country:
+ *               type: string
+ *         kyc:
+ *           type: object
+ *           properties:
+ *             pan:
+ *               type: string
+ *               example: ABCDE1234F
+ *             gstin:
+ *               type: string
+ *               example: 29ABCDE1234F1Z5
+ *             documents:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [pan_card, gst_certificate, cancelled_cheque, address_proof, other]
+ *                   url:
+ *                     type: string
+ *         bankAccount:
+ *           type: object
+ *           description: The full account number is never returned, only its last four digits
+ *           properties:
+ *             accountHolderName:
+ *               type: string
+ *             last4:
+ *               type: string
+ *             ifsc:
+ *               type: string
+ *             bankName:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *         commissionRate:
+ *           type: number
+ *           description: Negotiated commission (%); null uses the category's or the default
+ *         rejectionReason:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sellerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  businessName: {
+    type: String,
+    required: [true, 'Business name is required'],
+    trim: true,
+    maxlength: 150
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  businessType: {
+    type: String,
+    enum: ['individual', 'proprietorship', 'partnership', 'private_limited', 'llp'],
+    default: 'individual'
+  },
+  contactPhone: String,
+  // Where carriers collect the seller's shipments
+  pickupAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: {
+      type: String,
+      default: 'India'
+    }
+  },
+
+  // KYC
+  kyc: {
+    pan: {
+      type: String,
+      required: [true, 'PAN is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please provide a valid PAN']
+    },
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please provide a valid GSTIN']
+    },
+    documents: [{
+      type: {
+        type: String,
+        enum: ['pan_card', 'gst_certificate', 'cancelled_cheque', 'address_proof', 'other']
+      },
+      url: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Payouts are sent here
+  bankAccount: {
+    accountHolderName: {
+      type: String,
+      required: [true, 'Account holder name is required'],
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      required: [true, 'Account number is required'],
+      select: false
+    },
+    // Kept so the account can be recognised without exposing the number
+    last4: String,
+    ifsc: {
+      type: String,
+      required: [true, 'IFSC is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please provide a valid IFSC']
+    },
+    bankName: String
+  },
+
+  // Application
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'suspended'],
+    default: 'pending'
+  },
+  // Negotiated commission (%); null falls back to the category's, then the default
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  approvedAt: Date,
+  // Held while a payout is worked out, so two requests can't both pay the same earnings
+  payoutLockedUntil: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+sellerSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-validate middleware to keep the account number's last four digits
+sellerSchema.pre('validate', function(next) {
+  if (this.isModified('bankAccount.accountNumber') && this.bankAccount.accountNumber) {
+    this.bankAccount.last4 = this.bankAccount.accountNumber.slice(-4);
+  }
+  next();
+});
+
+// Instance method to get the commission (%) on a sale in a category
+sellerSchema.methods.commissionRateFor = function(category) {
+  if (this.commissionRate !== null && this.commissionRate !== undefined) {
+    return this.commissionRate;
+  }
+
+  if (category && category.commissionRate !== null && category.commissionRate !== undefined) {
+    return category.commissionRate;
+  }
+
+  return DEFAULT_COMMISSION_RATE;
+};
+
+// Static method to find the seller profile of a user
+sellerSchema.statics.findByUser = function(userId) {
+  return this.findOne({ user: userId });
+};
+
+// Static method to take the seller's payout lock
+// Only one request gets it: resolves to the seller, or null while another holds it
+sellerSchema.statics.claimPayoutLock = function(id, now = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: id, payoutLockedUntil: { $not: { $gt: now } } },
+    { $set: { payoutLockedUntil: new Date(now.getTime() + PAYOUT_LOCK_TIMEOUT_MS) } },
+    { new: true }
+  );
+};
+
+// Static method to give the seller's payout lock back
+sellerSchema.statics.releasePayoutLock = function(id) {
+  return this.updateOne({ _id: id }, { $unset: { payoutLockedUntil: 1 } });
+};
+
+module.exports = mongoose.model('Seller', sellerSchema);
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const { SHIPPING_METHODS } = require('../config/shipping');
+
+// Address parts are free text, so zones compare them case-insensitively
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *         - methods
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         countries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Countries covered; empty matches any country
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: States covered; empty matches the whole country
+ *         pincodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Exact pincodes, or prefixes ending in * (e.g. 5600*); empty matches every pincode
+ *         priority:
+ *           type: number
+ *           description: Breaks ties between equally specific zones (higher wins)
+ *         volumetricDivisor:
+ *           type: number
+ *           description: cm³ per kg used to turn parcel size into chargeable weight
+ *         methods:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [standard, express, same_day]
+ *               label:
+ *                 type: string
+ *               baseRate:
+ *                 type: number
+ *                 description: Charge when no weight tiers are defined
+ *               weightTiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     maxWeight:
+ *                       type: number
+ *                       description: Upper bound in kg
+ *                     rate:
+ *                       type: number
+ *               additionalPerKg:
+ *                 type: number
+ *                 description: Charge per kg (rounded up) beyond the heaviest tier
+ *               freeAbove:
+ *                 type: number
+ *                 description: Order value from which this method is free
+ *               maxWeight:
+ *                 type: number
+ *                 description: Heaviest parcel (kg) this method accepts
+ *               maxLength:
+ *                 type: number
+ *                 description: Longest item side (cm) this method accepts
+ *               minDays:
+ *                 type: number
+ *               maxDays:
+ *                 type: number
+ *               cutoffHour:
+ *                 type: number
+ *                 description: Same-day orders must be placed before this hour
+ *               isActive:
+ *                 type: boolean
+ *         isActive:
+ *           type: boolean
+ */
+
+const weightTierSchema = new mongoose.Schema({
+  maxWeight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const zoneMethodSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: SHIPPING_METHODS,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  weightTiers: [weightTierSchema],
+  additionalPerKg: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  freeAbove: {
+    type: Number,
+    min: 0
+  },
+  // Limits; a cart outside them doesn't get this method offered
+  maxWeight: {
+    type: Number,
+    min: 0
+  },
+  maxLength: {
+    type: Number,
+    min: 0
+  },
+  // Delivery estimate in days from order
+  minDays: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  maxDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  cutoffHour: {
+    type: Number,
+    min: 0,
+    max: 23
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: false
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  countries: [{
+    type: String,
+    trim: true
+  }],
+  states: [{
+    type: String,
+    trim: true
+  }],
+  pincodes: [{
+    type: String,
+    trim: true
+  }],
+  priority: {
+    type: Number,
+    default: 0
+  },
+  volumetricDivisor: {
+    type: Number,
+    default: 5000,
+    min: 1
+  },
+  methods: [zoneMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shippingZoneSchema.index({ isActive: 1, priority: -1 });
+
+// Pre-validate middleware to keep one entry per method and sane tiers
+shippingZoneSchema.pre('validate', function(next) {
+  const seen = new Set();
+
+  this.methods.forEach((method, index) => {
+    if (seen.has(method.method)) {
+      this.invalidate(`methods.${index}.method`, `Method ${method.method} is defined more than once`);
+    }
+    seen.add(method.method);
+
+    if (method.maxDays < method.minDays) {
+      this.invalidate(`methods.${index}.maxDays`, 'maxDays cannot be less than minDays');
+    }
+
+    method.weightTiers.sort((a, b) => a.maxWeight - b.maxWeight);
+  });
+
+  next();
+});
+
+// Instance method to check whether an address falls inside the zone
+shippingZoneSchema.methods.matches = function(address) {
+  const country = normalize(address.country);
+  const state = normalize(address.state);
+  const pincode = normalize(address.zipCode);
+
+  if (this.countries.length > 0 && !this.countries.some(c => normalize(c) === country)) {
+    return false;
+  }
+
+  if (this.states.length > 0 && !this.states.some(s => normalize(s) === state)) {
+    return false;
+  }
+
+  if (this.pincodes.length > 0 && !this.pincodes.some(code => {
+    const pattern = normalize(code);
+    return pattern.endsWith('*') ? pincode.startsWith(pattern.slice(0, -1)) : pincode === pattern;
+  })) {
+    return false;
+  }
+
+  return true;
+};
+
+// Instance method to rank how narrowly the zone targets an address
+// Pincode zones beat state zones, which beat country-wide zones
+shippingZoneSchema.methods.specificity = function() {
+  if (this.pincodes.length > 0) return 3;
+  if (this.states.length > 0) return 2;
+  if (this.countries.length > 0) return 1;
+  return 0;
+};
+
+// Static method to find the most specific active zone for an address
+shippingZoneSchema.statics.findForAddress = async function(address) {
+  const zones = await this.find({ isActive: true });
+
+  const matching = zones
+    .filter(zone => zone.matches(address))
+    .sort((a, b) => (b.specificity() - a.specificity()) || (b.priority - a.priority));
+
+  return {
+    zone: matching[0] || null,
+    hasZones: zones.length > 0
+  };
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Synonym:
+ *       type: object
+ *       required:
+ *         - terms
+ *       properties:
+ *         _id:
+ *           type: string
+ *         terms:
+ *           type: array
+ *           description: Words that mean the same thing to shoppers; searching for any of them suggests matches for all
+ *           items:
+ *             type: string
+ *           example: [earphones, headphones, earbuds]
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const synonymSchema = new mongoose.Schema({
+  terms: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    validate: {
+      validator: (terms) => terms.length >= 2,
+      message: 'A synonym needs at least two terms'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+synonymSchema.index({ terms: 1 });
+
+// Pre-save middleware to drop repeated terms
+synonymSchema.pre('save', function(next) {
+  if (this.isModified('terms')) {
+    this.terms = [...new Set(this.terms)];
+  }
+  next();
+});
+
+// Post-save middleware to refresh search suggestions
+synonymSchema.post('save', function() {
+  require('../services/suggestionService').markStale();
+});
+
+// Post-delete middleware to refresh search suggestions
+synonymSchema.post('deleteOne', { document: true, query: false }, function() {
+  require('../services/suggestionService').markStale();
+});
+
+module.exports = mongoose.model('Synonym', synonymSchema);
@@ -36,7 +36,7 @@ const crypto = require('crypto');
  *           description: User's profile picture URL
  *         role:
  *           type: string
- *           enum: [user, admin, seller]
+ *           enum: [user, admin, seller, courier]
  *           default: user
  *         isActive:
  *           type: boolean
@@ -202,7 +202,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'seller'],
+    enum: ['user', 'admin', 'seller', 'courier'],
     default: 'user'
   },
   isActive: {
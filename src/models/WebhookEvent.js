@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// A worker that crashed mid-event gives up its claim after this long
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           description: Service that sent the event (e.g. stripe)
+ *         eventId:
+ *           type: string
+ *           description: The provider's event ID, unique per provider
+ *         type:
+ *           type: string
+ *           example: payment_intent.succeeded
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, failed]
+ *         attempts:
+ *           type: number
+ *           description: Times the event has been processed, including replays
+ *         lastError:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The verified event as delivered
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  lockedUntil: Date,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+// Instance method to mark the event handled
+webhookEventSchema.methods.markProcessed = function() {
+  this.status = 'processed';
+  this.lastError = undefined;
+  this.lockedUntil = undefined;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record a failed attempt, leaving the event open for a retry or replay
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.lastError = error.message;
+  this.lockedUntil = undefined;
+  return this.save();
+};
+
+// Static method to store a delivery once, however many times the provider sends it
+webhookEventSchema.statics.record = function(provider, event) {
+  return this.findOneAndUpdate(
+    { provider, eventId: event.id },
+    {
+      $setOnInsert: {
+        provider,
+        eventId: event.id,
+        type: event.type,
+        payload: event
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to take an event for processing
+// Only one worker gets it: unprocessed, failed, or abandoned by a crashed worker
+webhookEventSchema.statics.claim = function(id, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedUntil: new Date(now.getTime() + PROCESSING_TIMEOUT_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
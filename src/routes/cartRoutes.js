@@ -1,91 +1,250 @@
 const express = require('express');
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  validateCart,
+  applyCoupon,
+  removeCoupon
+} = require('../controllers/cartController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { cartSession } = require('../middleware/cartSession');
+const {
+  validateAddToCart,
+  validateUpdateCartItem,
+  validateApplyCoupon,
+  validateProductIdParam
+} = require('../validators/authValidator');
+
 const router = express.Router();
 
-// Sample cart for testing
-let sampleCart = {
-  _id: 'cart123',
-  user: 'user123',
-  items: [],
-  totalItems: 0,
-  totalPrice: 0
-};
+// Logged-in users get their user cart; guests get a cart tied to a signed session cookie
+router.use(optionalAuth, cartSession);
 
-// GET /api/cart
-router.get('/', (req, res) => {
-  res.json({ success: true, data: { cart: sampleCart } });
-});
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart management. Guests without a token get a cart tied to
+ *     a signed `cartSession` cookie, which is merged into their user cart on login or register.
+ */
 
-// POST /api/cart
-router.post('/', (req, res) => {
-  const { productId, quantity = 1, price, title, image } = req.body;
-  const idx = sampleCart.items.findIndex(i => i.productId === productId);
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get current user's or guest session's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cart:
+ *                       $ref: '#/components/schemas/Cart'
+ */
+router.get('/', getCart);
 
-  if (idx > -1) {
-    sampleCart.items[idx].quantity += quantity;
-    sampleCart.items[idx].subtotal = sampleCart.items[idx].price * sampleCart.items[idx].quantity;
-  } else {
-    sampleCart.items.push({
-      _id: `item_${Date.now()}`,
-      productId,
-      quantity,
-      price,
-      title,
-      image,
-      subtotal: price * quantity
-    });
-  }
+/**
+ * @swagger
+ * /api/cart:
+ *   post:
+ *     summary: Add item to cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                 example:
+ *                   - name: Size
+ *                     value: M
+ *                   - name: Color
+ *                     value: Red
+ *     responses:
+ *       200:
+ *         description: Item added to cart
+ *       400:
+ *         description: Insufficient stock
+ *       404:
+ *         description: Product not found
+ */
+router.post('/', validateAddToCart, addToCart);
 
-  sampleCart.totalItems = sampleCart.items.reduce((sum, i) => sum + i.quantity, 0);
-  sampleCart.totalPrice = sampleCart.items.reduce((sum, i) => sum + i.subtotal, 0);
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Clear cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete('/', clearCart);
 
-  res.json({ success: true, message: 'Item added to cart', data: { cart: sampleCart } });
-});
+/**
+ * @swagger
+ * /api/cart/validate:
+ *   post:
+ *     summary: Validate cart against current stock and prices
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Validation results and the corrected cart
+ */
+router.post('/validate', validateCart);
 
-// PUT /api/cart/:itemId
-router.put('/:itemId', (req, res) => {
-  const { quantity } = req.body;
-  const idx = sampleCart.items.findIndex(i => i._id === req.params.itemId);
-  if (idx === -1) {
-    return res.status(404).json({ success: false, message: 'Cart item not found' });
-  }
-  if (quantity <= 0) {
-    sampleCart.items.splice(idx, 1);
-  } else {
-    sampleCart.items[idx].quantity = quantity;
-    sampleCart.items[idx].subtotal = sampleCart.items[idx].price * quantity;
-  }
-  sampleCart.totalItems = sampleCart.items.reduce((sum, i) => sum + i.quantity, 0);
-  sampleCart.totalPrice = sampleCart.items.reduce((sum, i) => sum + i.subtotal, 0);
-  res.json({ success: true, message: 'Cart updated', data: { cart: sampleCart } });
-});
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply a coupon to the cart (signed-in users only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied; the response includes the current discount
+ *       400:
+ *         description: Cart is empty or the coupon's rules are not met
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: Invalid coupon code
+ */
+router.post('/coupon', protect, validateApplyCoupon, applyCoupon);
 
-// DELETE /api/cart/:itemId
-router.delete('/:itemId', (req, res) => {
-  const idx = sampleCart.items.findIndex(i => i._id === req.params.itemId);
-  if (idx === -1) {
-    return res.status(404).json({ success: false, message: 'Cart item not found' });
-  }
-  sampleCart.items.splice(idx, 1);
-  sampleCart.totalItems = sampleCart.items.reduce((sum, i) => sum + i.quantity, 0);
-  sampleCart.totalPrice = sampleCart.items.reduce((sum, i) => sum + i.subtotal, 0);
-  res.json({ success: true, message: 'Item removed from cart', data: { cart: sampleCart } });
-});
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed
+ *       404:
+ *         description: No coupon applied to cart
+ */
+router.delete('/coupon', protect, removeCoupon);
 
-// DELETE /api/cart
-router.delete('/', (req, res) => {
-  sampleCart.items = [];
-  sampleCart.totalItems = 0;
-  sampleCart.totalPrice = 0;
-  res.json({ success: true, message: 'Cart cleared', data: { cart: sampleCart } });
-});
+/**
+ * @swagger
+ * /api/cart/{productId}:
+ *   put:
+ *     summary: Update cart item quantity
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantKey
+ *         schema:
+ *           type: string
+ *         description: The cart item's variantKey when the product has variants
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *       404:
+ *         description: Cart item not found
+ */
+router.put('/:productId', validateProductIdParam, validateUpdateCartItem, updateCartItem);
 
-const clearSampleCart = () => {
-  sampleCart.items = [];
-  sampleCart.totalItems = 0;
-  sampleCart.totalPrice = 0;
-};
+/**
+ * @swagger
+ * /api/cart/{productId}:
+ *   delete:
+ *     summary: Remove item from cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantKey
+ *         schema:
+ *           type: string
+ *         description: The cart item's variantKey when the product has variants
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ *       404:
+ *         description: Cart item not found
+ */
+router.delete('/:productId', validateProductIdParam, removeCartItem);
 
-module.exports = {
-  router,
-  clearSampleCart
-};
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const {
+  getCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  getCategory,
+  getCategoryBreadcrumb,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCategoryQuery,
+  validateCategoryTreeQuery,
+  validateDeleteCategory,
+  validateSlugParam,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Category tree browsing and management
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get categories as a flat list
+ *     tags: [Categories]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: parent
+ *         description: Only children of this category ID, or root for top-level categories
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         description: Include inactive categories (admins only)
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+router.get('/', optionalAuth, validateCategoryQuery, getCategories);
+
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Root categories with nested `children`, sorted by sortOrder then name.
+ *     tags: [Categories]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         description: Include inactive categories (admins only)
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Category tree retrieved successfully
+ */
+router.get('/tree', optionalAuth, validateCategoryTreeQuery, getCategoryTree);
+
+/**
+ * @swagger
+ * /api/categories/slug/{slug}:
+ *   get:
+ *     summary: Get a category by slug
+ *     description: Returns the category with its active subcategories and its breadcrumb.
+ *     tags: [Categories]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       404:
+ *         description: Category not found
+ */
+router.get('/slug/:slug', validateSlugParam, getCategoryBySlug);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Get single category
+ *     tags: [Categories]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       $ref: '#/components/schemas/Category'
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id', optionalAuth, validateObjectId, getCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}/breadcrumb:
+ *   get:
+ *     summary: Get the breadcrumb from the root down to a category
+ *     tags: [Categories]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Breadcrumb retrieved successfully
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id/breadcrumb', optionalAuth, validateObjectId, getCategoryBreadcrumb);
+
+// Category management is admin only
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       404:
+ *         description: Parent category not found
+ */
+router.post('/', protect, authorize('admin'), validateCreateCategory, createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Setting `parent` moves the category with its subcategories; a category can't
+ *       be moved under itself or one of its own subcategories. `parent` null makes it a root category.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Move would create a cycle
+ *       404:
+ *         description: Category or parent category not found
+ */
+router.put('/:id', protect, authorize('admin'), validateObjectId, validateUpdateCategory, updateCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Its subcategories move up to its parent. A category with products can only be
+ *       deleted with `reassignTo`, which moves them to that category.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassignTo
+ *         description: Category ID to move the deleted category's products to
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted; counts of re-parented subcategories and reassigned products
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category has products and no reassignTo was given
+ */
+router.delete('/:id', protect, authorize('admin'), validateObjectId, validateDeleteCategory, deleteCategory);
+
+module.exports = router;
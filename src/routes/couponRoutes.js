@@ -0,0 +1,156 @@
+const express = require('express');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCreateCoupon,
+  validateUpdateCoupon,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+// All coupon management is admin only; customers apply coupons via /api/cart/coupon
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Coupon and promotion management (Admin)
+ */
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: Get all coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Partial coupon code
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ */
+router.get('/', getCoupons);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Validation error or duplicate code
+ */
+router.post('/', validateCreateCoupon, createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get single coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', validateObjectId, getCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (the code itself cannot change)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       404:
+ *         description: Coupon not found
+ */
+router.put('/:id', validateObjectId, validateUpdateCoupon, updateCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (coupons already redeemed are deactivated instead)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete('/:id', validateObjectId, deleteCoupon);
+
+module.exports = router;
@@ -2,20 +2,43 @@ const express = require('express');
 const {
   getOrders,
   getOrder,
+  trackOrder,
+  getOrderQuote,
   createOrder,
   updateOrderStatus,
+  createShipments,
   addTrackingInfo,
+  updateShipmentStatus,
   cancelOrder,
   requestReturn,
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  completeReturn,
   getOrderAnalytics,
   getRecentOrders,
-  getOrdersRequiringAction
+  getOrdersRequiringAction,
+  markCodCollected,
+  getCodReconciliation
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { 
+  validateOrderQuote,
   validateCreateOrder, 
   validateUpdateOrderStatus, 
-  validateObjectId 
+  validateCreateShipments,
+  validateAddTracking,
+  validateShipmentStatus,
+  validateTrackOrder,
+  validateCodCollection,
+  validateCodReconciliation,
+  validateReturnRequest,
+  validateReturnApprove,
+  validateReturnReject,
+  validateReturnPickup,
+  validateReturnComplete,
+  validateObjectId,
+  validateShipmentParams
 } = require('../validators/authValidator');
 
 const router = express.Router();
@@ -40,7 +63,7 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *           enum: [pending, confirmed, processing, partially_shipped, shipped, partially_delivered, delivered, cancelled, refunded]
  *       - in: query
  *         name: paymentStatus
  *         schema:
@@ -93,12 +116,16 @@ router.get('/', protect, getOrders);
  *             required:
  *               - shippingAddress
  *               - paymentMethod
+ *               - quote
  *             properties:
  *               shippingAddress:
  *                 $ref: '#/components/schemas/Address'
  *               paymentMethod:
  *                 type: string
  *                 enum: [stripe, paypal, razorpay, cod]
+ *               quote:
+ *                 type: object
+ *                 description: Signed quote from POST /api/orders/quote, passed back unchanged
  *               customerNotes:
  *                 type: string
  *                 maxLength: 500
@@ -106,10 +133,51 @@ router.get('/', protect, getOrders);
  *       201:
  *         description: Order created successfully
  *       400:
- *         description: Cart is empty or validation failed
+ *         description: Cart is empty, validation failed, the quote is invalid or the order isn't eligible for cash on delivery
+ *       409:
+ *         description: The quote has expired or prices have changed since it was issued
  */
 router.post('/', protect, validateCreateOrder, createOrder);
 
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     summary: Price the cart for checkout
+ *     description: Returns a signed, versioned quote (items, discount, shipping, tax, total, currency).
+ *       Pass it unchanged to POST /api/orders or POST /api/payments/create-intent before it expires.
+ *       `cashOnDelivery` says whether the order can be paid in cash and, if not, why.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shippingAddress
+ *             properties:
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [standard, express, same_day]
+ *                 default: standard
+ *               currency:
+ *                 type: string
+ *                 enum: [inr]
+ *                 default: inr
+ *                 description: Prices are only quoted in INR
+ *     responses:
+ *       200:
+ *         description: Quote issued
+ *       400:
+ *         description: Cart is empty, validation failed or the address can't be shipped to
+ */
+router.post('/quote', protect, validateOrderQuote, getOrderQuote);
+
 /**
  * @swagger
  * /api/orders/analytics:
@@ -169,6 +237,80 @@ router.get('/recent', protect, authorize('admin'), getRecentOrders);
  */
 router.get('/requiring-action', protect, authorize('admin'), getOrdersRequiringAction);
 
+/**
+ * @swagger
+ * /api/orders/cod/reconciliation:
+ *   get:
+ *     summary: Get cash on delivery reconciliation for a day
+ *     description: Expected cash (COD orders delivered that day) against cash recorded as collected
+ *       that day, per collector, with delivered orders still uncollected and collections that don't
+ *       match the order total.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to report on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Reconciliation report retrieved successfully
+ */
+router.get('/cod/reconciliation', protect, authorize('admin'), validateCodReconciliation, getCodReconciliation);
+
+/**
+ * @swagger
+ * /api/orders/track/{orderNumber}:
+ *   get:
+ *     summary: Track an order
+ *     description: Status, shipments and tracking timeline (newest first). Guests pass the email the order was placed with; signed-in owners and admins don't need to.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: SG25010001
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *           format: email
+ *     responses:
+ *       200:
+ *         description: Tracking details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderNumber:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     estimatedDelivery:
+ *                       type: string
+ *                       format: date-time
+ *                     shipments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     timeline:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TrackingEvent'
+ *       404:
+ *         description: Order not found, or the email doesn't match it
+ */
+router.get('/track/:orderNumber', optionalAuth, validateTrackOrder, trackOrder);
+
 /**
  * @swagger
  * /api/orders/{id}:
@@ -216,7 +358,9 @@ router.get('/:id', protect, validateObjectId, getOrder);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *                 description: partially_shipped through delivered follow the shipments once the order has any;
+ *                   refunded is set by refunds once they cover the order total
  *               notes:
  *                 type: string
  *                 maxLength: 500
@@ -225,14 +369,132 @@ router.get('/:id', protect, validateObjectId, getOrder);
  *         description: Order status updated successfully
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order can't move to that status; `details.allowedStatuses` lists the ones it can
  */
 router.put('/:id/status', protect, authorize('admin'), validateObjectId, validateUpdateOrderStatus, updateOrderStatus);
 
+/**
+ * @swagger
+ * /api/orders/{id}/shipments:
+ *   post:
+ *     summary: Split an order into shipments
+ *     description: Each shipment takes a subset of the order's items. Without a body, everything not yet in a shipment is split by seller.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shipments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - items
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: string
+ *                           variantKey:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                     seller:
+ *                       type: string
+ *                     warehouse:
+ *                       type: string
+ *                     carrier:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Shipments created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Shipment'
+ *       400:
+ *         description: More units than are left to ship, or nothing left to ship
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order can't be packed in its current status
+ */
+router.post('/:id/shipments', protect, authorize('admin'), validateObjectId, validateCreateShipments, createShipments);
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments/{shipmentId}/status:
+ *   put:
+ *     summary: Update a shipment's status
+ *     description: The order's status follows its shipments (partially_shipped, shipped, partially_delivered, delivered).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         description: Shipment ID or shipment number
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [shipped, in_transit, out_for_delivery, delivered, cancelled]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Shipment status updated successfully
+ *       404:
+ *         description: Order or shipment not found
+ *       409:
+ *         description: The shipment can't move to that status; `details.allowedStatuses` lists the ones it can
+ */
+router.put('/:id/shipments/:shipmentId/status', protect, authorize('admin'), validateShipmentParams, validateShipmentStatus, updateShipmentStatus);
+
 /**
  * @swagger
  * /api/orders/{id}/tracking:
  *   put:
- *     summary: Add tracking information
+ *     summary: Add tracking information to a shipment
+ *     description: Ships the shipment if it hasn't gone out yet. An order without shipments is shipped as a single shipment.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -252,6 +514,9 @@ router.put('/:id/status', protect, authorize('admin'), validateObjectId, validat
  *               - provider
  *               - trackingNumber
  *             properties:
+ *               shipmentId:
+ *                 type: string
+ *                 description: Shipment ID or number; required when the order has several shipments
  *               provider:
  *                 type: string
  *                 example: BlueDart
@@ -263,11 +528,59 @@ router.put('/:id/status', protect, authorize('admin'), validateObjectId, validat
  *                 example: https://www.bluedart.com/track
  *     responses:
  *       200:
- *         description: Tracking information added successfully
+ *         description: Tracking information added successfully (and the shipment marked shipped)
+ *       400:
+ *         description: shipmentId missing for an order with several shipments
+ *       404:
+ *         description: Order or shipment not found
+ *       409:
+ *         description: The order or shipment can't be shipped in its current status
+ */
+router.put('/:id/tracking', protect, authorize('admin'), validateObjectId, validateAddTracking, addTrackingInfo);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cod-collection:
+ *   post:
+ *     summary: Record cash collected for a COD order
+ *     description: Marks a shipped (or partly shipped) or delivered COD order as paid and records who collected how much.
+ *       The amount is stored as handed over; a short collection shows up in reconciliation.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reference:
+ *                 type: string
+ *                 description: Receipt or deposit slip number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash collection recorded successfully
+ *       400:
+ *         description: Not a COD order, or not out for delivery
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Cash already collected
  */
-router.put('/:id/tracking', protect, authorize('admin'), validateObjectId, addTrackingInfo);
+router.post('/:id/cod-collection', protect, authorize('admin', 'courier'), validateObjectId, validateCodCollection, markCodCollected);
 
 /**
  * @swagger
@@ -308,6 +621,8 @@ router.put('/:id/cancel', protect, validateObjectId, cancelOrder);
  * /api/orders/{id}/return:
  *   post:
  *     summary: Request return for order
+ *     description: Each line must still be within its category's return window (`returnWindowDays`,
+ *       else RETURN_WINDOW_DAYS) counted from delivery.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -334,6 +649,8 @@ router.put('/:id/cancel', protect, validateObjectId, cancelOrder);
  *                   properties:
  *                     product:
  *                       type: string
+ *                     variantKey:
+ *                       type: string
  *                     quantity:
  *                       type: number
  *                     reason:
@@ -349,6 +666,170 @@ router.put('/:id/cancel', protect, validateObjectId, cancelOrder);
  *       404:
  *         description: Order not found
  */
-router.post('/:id/return', protect, validateObjectId, requestReturn);
+router.post('/:id/return', protect, validateObjectId, validateReturnRequest, requestReturn);
+
+/**
+ * @swagger
+ * /api/orders/{id}/return/approve:
+ *   put:
+ *     summary: Approve a pending return and issue its RMA number
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               pickup:
+ *                 $ref: '#/components/schemas/ReturnPickup'
+ *     responses:
+ *       200:
+ *         description: Return approved successfully
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Return is not pending
+ */
+router.put('/:id/return/approve', protect, authorize('admin'), validateObjectId, validateReturnApprove, approveReturn);
+
+/**
+ * @swagger
+ * /api/orders/{id}/return/reject:
+ *   put:
+ *     summary: Reject a pending return
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Return is not pending
+ */
+router.put('/:id/return/reject', protect, authorize('admin'), validateObjectId, validateReturnReject, rejectReturn);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnPickup:
+ *       type: object
+ *       required:
+ *         - scheduledFor
+ *       properties:
+ *         scheduledFor:
+ *           type: string
+ *           format: date
+ *         slot:
+ *           type: string
+ *           example: 10:00-13:00
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *
+ * /api/orders/{id}/return/pickup:
+ *   put:
+ *     summary: Schedule the pickup for an approved return
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReturnPickup'
+ *     responses:
+ *       200:
+ *         description: Return pickup scheduled successfully
+ *       409:
+ *         description: Return is not approved
+ */
+router.put('/:id/return/pickup', protect, authorize('admin'), validateObjectId, validateReturnPickup, scheduleReturnPickup);
+
+/**
+ * @swagger
+ * /api/orders/{id}/return/complete:
+ *   put:
+ *     summary: Receive and inspect a returned parcel
+ *     description: Resellable units are restocked; resellable and damaged units are refunded through the
+ *       refund ledger, unacceptable ones are neither. Without `items`, everything requested is taken as
+ *       received resellable. COD orders only record the amount owed, to be refunded offline.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variantKey:
+ *                       type: string
+ *                     receivedQuantity:
+ *                       type: integer
+ *                     condition:
+ *                       type: string
+ *                       enum: [resellable, damaged, unacceptable]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return completed successfully
+ *       409:
+ *         description: Return is not approved
+ *       502:
+ *         description: Payment provider rejected the refund
+ */
+router.put('/:id/return/complete', protect, authorize('admin'), validateObjectId, validateReturnComplete, completeReturn);
 
 module.exports = router;
\ No newline at end of file
@@ -2,11 +2,19 @@ const express = require('express');
 const {
   createPaymentIntent,
   confirmPayment,
-  handleStripeWebhook,
+  handlePaymentWebhook,
+  getWebhookEvents,
+  replayWebhookEvent,
   createRefund,
   getPaymentAnalytics
 } = require('../controllers/paymentController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validateCreatePaymentIntent,
+  validateConfirmPayment,
+  validateCreateRefund
+} = require('../validators/authValidator');
 
 const router = express.Router();
 
@@ -22,6 +30,11 @@ const router = express.Router();
  * /api/payments/create-intent:
  *   post:
  *     summary: Create payment intent
+ *     description: Pass the signed `quote` from POST /api/orders/quote to pay for the cart; the
+ *       intent is charged the quoted total, and a quote that has expired or no longer matches the
+ *       cart is rejected. Pass `orderId` instead to pay for a pending order placed via POST /api/orders.
+ *       The intent is then charged the order total, and must be paid before the order's
+ *       stock hold (`reservationExpiresAt`) lapses.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -31,24 +44,35 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - amount
  *             properties:
- *               amount:
- *                 type: number
- *                 description: Amount in smallest currency unit (paise for INR)
- *               currency:
+ *               quote:
+ *                 type: object
+ *                 description: Signed quote, required without orderId
+ *               provider:
+ *                 type: string
+ *                 enum: [stripe, razorpay]
+ *                 default: stripe
+ *                 description: Provider to pay the quote with; an order uses its paymentMethod
+ *               orderId:
  *                 type: string
- *                 default: inr
+ *                 description: Pending order to pay for
  *               metadata:
  *                 type: object
+ *                 description: Up to 20 string values passed on to the provider. The amount and
+ *                   currency always come from the quote or order
+ *                 additionalProperties:
+ *                   type: string
  *     responses:
  *       200:
  *         description: Payment intent created successfully
  *       400:
- *         description: Invalid amount or cart validation failed
+ *         description: Invalid quote, cart validation failed or order not awaiting payment
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The quote is stale, or the stock hold for the order has expired
  */
-router.post('/create-intent', protect, createPaymentIntent);
+router.post('/create-intent', protect, validateCreatePaymentIntent, createPaymentIntent);
 
 /**
  * @swagger
@@ -67,18 +91,30 @@ router.post('/create-intent', protect, createPaymentIntent);
  *             required:
  *               - paymentIntentId
  *               - shippingAddress
+ *               - quote
  *             properties:
  *               paymentIntentId:
  *                 type: string
  *               shippingAddress:
  *                 $ref: '#/components/schemas/Address'
+ *               quote:
+ *                 type: object
+ *                 description: The quote returned by create-intent for this payment
+ *               provider:
+ *                 type: string
+ *                 enum: [stripe, razorpay]
+ *                 default: stripe
+ *               confirmation:
+ *                 type: object
+ *                 description: What the provider's checkout returned to the client, e.g.
+ *                   razorpay_payment_id and razorpay_signature for Razorpay
  *     responses:
  *       201:
  *         description: Order created successfully
  *       400:
- *         description: Payment not completed or validation failed
+ *         description: Payment not completed, validation failed or the quote doesn't match the payment
  */
-router.post('/confirm', protect, confirmPayment);
+router.post('/confirm', protect, validateConfirmPayment, confirmPayment);
 
 /**
  * @swagger
@@ -86,20 +122,120 @@ router.post('/confirm', protect, confirmPayment);
  *   post:
  *     summary: Handle Stripe webhook
  *     tags: [Payments]
- *     description: Webhook endpoint for Stripe events (signature verified)
+ *     description: Webhook endpoint for Stripe events (signature verified). Each event is
+ *       stored and processed once; redeliveries of a processed event are acknowledged without
+ *       running again.
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed successfully (or already processed)
  *       400:
  *         description: Webhook signature verification failed
+ *       500:
+ *         description: Processing failed; Stripe will retry the delivery
+ */
+// The raw body these need for signature checks is parsed in server.js
+router.post('/webhook', handlePaymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Handle a payment provider's webhook
+ *     tags: [Payments]
+ *     description: Webhook endpoint per provider (e.g. razorpay), verified with that provider's
+ *       signature scheme and processed once per event like the Stripe endpoint.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stripe, razorpay]
+ *     responses:
+ *       200:
+ *         description: Webhook processed successfully (or already processed)
+ *       400:
+ *         description: Unknown provider or signature verification failed
+ *       500:
+ *         description: Processing failed; the provider will retry the delivery
+ */
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/webhooks/events:
+ *   get:
+ *     summary: Get received webhook events
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, failed]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
  */
-router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+router.get('/webhooks/events', protect, authorize('admin'), getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/payments/webhooks/events/{id}/replay:
+ *   post:
+ *     summary: Re-run a failed webhook event
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event processed successfully
+ *       400:
+ *         description: Event already processed
+ *       404:
+ *         description: Webhook event not found
+ *       409:
+ *         description: Event is being processed right now
+ *       502:
+ *         description: Event failed again
+ */
+router.post('/webhooks/events/:id/replay', protect, authorize('admin'), validateObjectId, replayWebhookEvent);
 
 /**
  * @swagger
  * /api/payments/refund:
  *   post:
  *     summary: Create refund
+ *     description: Refunds specific lines (`items`), a bare `amount`, or with neither everything not
+ *       yet refunded. Each refund is added to the order's `refunds` ledger; refunded quantities go
+ *       back in stock once the refund succeeds, and `paymentStatus` follows the refunded total, so
+ *       an order can be refunded several times.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -114,18 +250,36 @@ router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeW
  *             properties:
  *               orderId:
  *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product
+ *                     - quantity
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variantKey:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
  *               amount:
  *                 type: number
- *                 description: Refund amount (defaults to full order amount)
+ *                 description: Refund amount in the order's currency (defaults to what the items, or the rest of the order, are worth)
  *               reason:
  *                 type: string
  *     responses:
- *       200:
- *         description: Refund created successfully
+ *       201:
+ *         description: Refund created (it may still be pending with the provider)
  *       400:
  *         description: Invalid order or refund not possible
+ *       409:
+ *         description: The order changed while the refund was being made (e.g. another refund); retry
+ *       502:
+ *         description: Payment provider rejected the refund
  */
-router.post('/refund', protect, authorize('admin'), createRefund);
+router.post('/refund', protect, authorize('admin'), validateCreateRefund, createRefund);
 
 /**
  * @swagger
@@ -1,192 +1,542 @@
 const express = require('express');
-const router = express.Router();
 const {
-  protect,
-  authorize,
-  requireEmailVerification,
-  optionalAuth,
-  // ... other middlewares if needed
-} = require('../middleware/auth');
-const asyncHandler = require('../utils/asyncHandler');
-
-
-// Sample products data with working image URLs (using Unsplash)
-const sampleProducts = [
-  {
-    _id: '1',
-    title: 'Wireless Bluetooth Headphones',
-    description: 'High-quality wireless headphones with noise cancellation',
-    price: 99.99,
-    originalPrice: 129.99,
-    category: 'Electronics',
-    brand: 'TechBrand',
-    image: 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=300&h=300&fit=crop&crop=center',
-    rating: 4.5,
-    reviewCount: 128,
-    inStock: true,
-    stock: 50
-  },
-  {
-    _id: '2',
-    title: 'Smart Fitness Watch',
-    description: 'Track your fitness goals with this advanced smartwatch',
-    price: 199.99,
-    originalPrice: 249.99,
-    category: 'Electronics',
-    brand: 'FitTech',
-    image: 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=300&h=300&fit=crop&crop=center',
-    rating: 4.3,
-    reviewCount: 89,
-    inStock: true,
-    stock: 25
-  },
-  {
-    _id: '3',
-    title: 'Organic Cotton T-Shirt',
-    description: 'Comfortable organic cotton t-shirt in multiple colors',
-    price: 29.99,
-    originalPrice: 39.99,
-    category: 'Clothing',
-    brand: 'EcoWear',
-    image: 'https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=300&h=300&fit=crop&crop=center',
-    rating: 4.7,
-    reviewCount: 203,
-    inStock: true,
-    stock: 100
-  },
-  {
-    _id: '4',
-    title: 'Premium Coffee Beans',
-    description: 'Freshly roasted arabica coffee beans from Colombia',
-    price: 24.99,
-    originalPrice: 34.99,
-    category: 'Food',
-    brand: 'CoffeeCo',
-    image: 'https://images.unsplash.com/photo-1559056199-641a0ac8b55e?w=300&h=300&fit=crop&crop=center',
-    rating: 4.8,
-    reviewCount: 156,
-    inStock: true,
-    stock: 75
-  },
-  {
-    _id: '5',
-    title: 'Yoga Mat Premium',
-    description: 'Non-slip yoga mat perfect for all types of yoga practice',
-    price: 49.99,
-    originalPrice: 69.99,
-    category: 'Sports',
-    brand: 'YogaLife',
-    image: 'https://images.unsplash.com/photo-1544367567-0f2fcb009e0b?w=300&h=300&fit=crop&crop=center',
-    rating: 4.6,
-    reviewCount: 92,
-    inStock: true,
-    stock: 30
-  },
-  {
-    _id: '6',
-    title: 'Stainless Steel Water Bottle',
-    description: 'Insulated water bottle keeps drinks cold for 24 hours',
-    price: 34.99,
-    originalPrice: 44.99,
-    category: 'Accessories',
-    brand: 'HydroMax',
-    image: 'https://images.unsplash.com/photo-1602143407151-7111542de6e8?w=300&h=300&fit=crop&crop=center',
-    rating: 4.4,
-    reviewCount: 167,
-    inStock: true,
-    stock: 60
-  }
-];
-
-// GET /api/products
-router.get('/', (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const search = req.query.search || '';
-  const category = req.query.category || '';
-  const sort = req.query.sort || 'createdAt';
-  const sortOrder = req.query.sortOrder || 'desc';
-
-  let filtered = sampleProducts;
-
-  if (search) {
-    filtered = filtered.filter(p =>
-      p.title.toLowerCase().includes(search.toLowerCase()) ||
-      p.description.toLowerCase().includes(search.toLowerCase())
-    );
-  }
-  if (category) {
-    filtered = filtered.filter(p => p.category.toLowerCase() === category.toLowerCase());
-  }
-
-  filtered.sort((a, b) => {
-    let aVal = a[sort], bVal = b[sort];
-    if (sort === 'price') { aVal = parseFloat(aVal); bVal = parseFloat(bVal); }
-    return sortOrder === 'asc' ? (aVal > bVal ? 1 : -1) : (aVal < bVal ? 1 : -1);
-  });
-
-  const start = (page - 1) * limit;
-  const paginated = filtered.slice(start, start + limit);
-
-  res.json({
-    success: true,
-    data: {
-      products: paginated,
-      pagination: {
-        page,
-        limit,
-        total: filtered.length,
-        totalPages: Math.ceil(filtered.length / limit),
-        hasNext: start + limit < filtered.length,
-        hasPrev: page > 1
-      }
-    }
-  });
-});
-
-// GET /api/products/:id
-router.get('/:id', (req, res) => {
-  const product = sampleProducts.find(p => p._id === req.params.id);
-  if (!product) {
-    return res.status(404).json({ success: false, message: 'Product not found api/products/:id' });
-  }
-  res.json({ success: true, data: { product } });
-});
-
-// GET /api/products/categories/list - Get all categories
-router.get('/categories/list', (req, res) => {
-  const categories = [...new Set(sampleProducts.map(p => p.category))];
-  
-  res.json({
-    success: true,
-    data: {
-      categories
-    }
-  });
-});
-
-// Create product
-router.post('/', protect, authorize('admin'), asyncHandler(async (req,res)=>{
-  const { title, description, price, category, brand, stock, thumbnail, images, tags } = req.body;
-  const product = await Product.create({ title, description, price, category, brand, stock, thumbnail, images, tags });
-  res.status(201).json({ success:true, data:{ product } });
-}));
-
-// Update product
-router.put('/:id', protect, authorize('admin'), asyncHandler(async (req,res)=>{
-  const product = await Product.findById(req.params.id);
-  if (!product) return res.status(404).json({ success:false, message:'Product not found admin' });
-  Object.assign(product, req.body);
-  await product.save();
-  res.json({ success:true, data:{ product } });
-}));
-
-// Featured products
-router.get('/featured', asyncHandler(async (req,res)=>{
-  const limit = parseInt(req.query.limit) || 5;
-  const featuredProducts = sampleProducts.slice(0, limit);
-  res.json({ success:true, data:{ products:featuredProducts } });
-}));
-
-
-module.exports = router;
\ No newline at end of file
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getProductsByCategory,
+  searchProducts,
+  getFeaturedProducts,
+  getRelatedProducts,
+  updateProductStock,
+  getLowStockProducts,
+  getProductAnalytics,
+  getModerationQueue,
+  approveProducts,
+  rejectProducts
+} = require('../controllers/productController');
+const { getCategories } = require('../controllers/categoryController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateCreateProduct,
+  validateUpdateProduct,
+  validateProductStockUpdate,
+  validateProductQuery,
+  validateCategoryParam,
+  validateModerationQueue,
+  validateProductDetailQuery,
+  validateApproveProducts,
+  validateRejectProducts,
+  validateCategoryQuery,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Products
+ *   description: Product catalog browsing and management
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get products with filtering, sorting and pagination
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text search on title, description and tags; logged for search analytics,
+ *           and the response then includes a `searchId`
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma separated category IDs
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Comma separated brand names
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: stockStatus
+ *         schema:
+ *           type: string
+ *           enum: [inStock, lowStock, outOfStock]
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -price,rating
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *       400:
+ *         description: Invalid filter parameters
+ */
+router.get('/', optionalAuth, validateProductQuery, getProducts);
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       404:
+ *         description: Category not found
+ */
+router.post('/', protect, authorize('admin', 'seller'), validateCreateProduct, createProduct);
+
+/**
+ * @swagger
+ * /api/products/search:
+ *   get:
+ *     summary: Search products
+ *     description: Searches are logged for search analytics; the response includes a `searchId`
+ *       to send back when opening a result.
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: relevance
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *       400:
+ *         description: Search query is required
+ */
+router.get('/search', optionalAuth, searchProducts);
+
+/**
+ * @swagger
+ * /api/products/featured:
+ *   get:
+ *     summary: Get featured products
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Featured products retrieved successfully
+ */
+router.get('/featured', getFeaturedProducts);
+
+/**
+ * @swagger
+ * /api/products/categories/list:
+ *   get:
+ *     summary: Get categories available for filtering
+ *     description: Kept for existing clients; the same as GET /api/categories.
+ *     deprecated: true
+ *     tags: [Products]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+router.get('/categories/list', optionalAuth, validateCategoryQuery, getCategories);
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: Get low stock products (seller sees only their own)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low stock products retrieved successfully
+ */
+router.get('/low-stock', protect, authorize('admin', 'seller'), getLowStockProducts);
+
+/**
+ * @swagger
+ * /api/products/moderation:
+ *   get:
+ *     summary: Get the product moderation queue
+ *     description: Seller products awaiting review, oldest first. New seller products start
+ *       pending, and an approved one goes back to pending when its price, title, images or
+ *       variant options and their prices change.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: seller
+ *         description: User ID of the seller
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ */
+router.get('/moderation', protect, authorize('admin'), validateModerationQueue, getModerationQueue);
+
+/**
+ * @swagger
+ * /api/products/moderation/approve:
+ *   post:
+ *     summary: Approve products
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productIds
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Products approved; `skipped` lists IDs not found or already approved
+ *       404:
+ *         description: None of the products were found
+ */
+router.post('/moderation/approve', protect, authorize('admin'), validateApproveProducts, approveProducts);
+
+/**
+ * @swagger
+ * /api/products/moderation/reject:
+ *   post:
+ *     summary: Reject products
+ *     description: Rejected products are hidden from the store and each seller is emailed the reason.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productIds
+ *               - reason
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Products rejected; `skipped` lists IDs not found or already rejected
+ *       404:
+ *         description: None of the products were found
+ */
+router.post('/moderation/reject', protect, authorize('admin'), validateRejectProducts, rejectProducts);
+
+/**
+ * @swagger
+ * /api/products/category/{category}:
+ *   get:
+ *     summary: Get products in a category, including its subcategories
+ *     description: |
+ *       Lists approved, active products filed under the category or anywhere below it. The
+ *       response also carries the category's breadcrumb and, for each active subcategory, how many
+ *       matching products sit under it, for drill-down navigation. Accepts the same filters,
+ *       sorting and pagination as GET /api/products (except `category`).
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         description: Category ID or slug
+ *         schema:
+ *           type: string
+ *           example: electronics
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products with `breadcrumb` and `subcategories` ({ _id, name, slug, count })
+ *       404:
+ *         description: Category not found
+ */
+router.get('/category/:category', optionalAuth, validateCategoryParam, validateProductQuery, getProductsByCategory);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get single product
+ *     description: Products not yet approved (or inactive) are only shown to their seller and admins.
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: searchId
+ *         description: The `searchId` of the results the product was opened from, counted as a click
+ *           on that search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id', optionalAuth, validateObjectId, validateProductDetailQuery, getProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:id', protect, authorize('admin', 'seller'), validateObjectId, validateUpdateProduct, updateProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Delete a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted successfully
+ *       404:
+ *         description: Product not found
+ */
+router.delete('/:id', protect, authorize('admin', 'seller'), validateObjectId, deleteProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/related:
+ *   get:
+ *     summary: Get related products
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Related products retrieved successfully
+ */
+router.get('/:id/related', validateObjectId, getRelatedProducts);
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   put:
+ *     summary: Update product stock
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stock
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *               operation:
+ *                 type: string
+ *                 enum: [set, add, subtract]
+ *     responses:
+ *       200:
+ *         description: Product stock updated successfully
+ */
+router.put('/:id/stock', protect, authorize('admin', 'seller'), validateObjectId, validateProductStockUpdate, updateProductStock);
+
+/**
+ * @swagger
+ * /api/products/{id}/analytics:
+ *   get:
+ *     summary: Get product analytics
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product analytics retrieved successfully
+ */
+router.get('/:id/analytics', protect, authorize('admin', 'seller'), validateObjectId, getProductAnalytics);
+
+module.exports = router;
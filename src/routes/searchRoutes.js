@@ -0,0 +1,444 @@
+const express = require('express');
+const {
+  search,
+  suggest,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughRates
+} = require('../controllers/searchController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateSearch,
+  validateSuggest,
+  validateCreateSynonym,
+  validateUpdateSynonym,
+  validateSearchAnalytics,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Faceted product search, suggestions, synonyms and search analytics
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search products with facet counts
+ *     description: |
+ *       Returns a page of approved, active products and facets for the storefront's filters:
+ *       brands, price ranges (SEARCH_PRICE_BUCKETS), ratings ("4 and up"), availability and
+ *       specifications. Each facet is counted with every other active filter applied but its own,
+ *       so selecting a brand still shows the counts of the other brands.
+ *       Searches with `q` are logged for search analytics, and the response includes a `searchId`
+ *       to pass to `GET /api/products/{id}` when a result is opened.
+ *     tags: [Search]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Text query
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Category ID or slug; includes its subcategories
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         description: Comma separated brands
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: specs
+ *         description: Specification filters, e.g. specs[Color]=Black,Blue
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, price_asc, price_desc, rating, popularity]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products and facets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: number
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         brands:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value:
+ *                                 type: string
+ *                               count:
+ *                                 type: number
+ *                         price:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                                 nullable: true
+ *                               count:
+ *                                 type: number
+ *                         rating:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               minRating:
+ *                                 type: number
+ *                               count:
+ *                                 type: number
+ *                         availability:
+ *                           type: object
+ *                           properties:
+ *                             inStock:
+ *                               type: number
+ *                             outOfStock:
+ *                               type: number
+ *                         specifications:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               values:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Category not found
+ */
+router.get('/', optionalAuth, validateSearch, search);
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Suggestions as the user types
+ *     description: |
+ *       Product titles, brands, categories and popular queries matching the text typed so far.
+ *       The last word matches as a prefix; a word that matches nothing is retried allowing a typo
+ *       (two in words of eight letters or more), and admin-managed synonyms are matched too.
+ *       Served from an in-process index that is rebuilt shortly after products, categories or
+ *       synonyms change.
+ *     tags: [Search]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: hedphones
+ *       - in: query
+ *         name: limit
+ *         description: Suggestions per group
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *     responses:
+ *       200:
+ *         description: Suggestions by group, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 query:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           slug:
+ *                             type: string
+ *                           thumbnail:
+ *                             type: string
+ *                     brands:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           slug:
+ *                             type: string
+ *                           productCount:
+ *                             type: number
+ *                     queries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ */
+router.get('/suggest', validateSuggest, suggest);
+
+// Synonyms are managed by admins
+router.use('/synonyms', protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/search/synonyms:
+ *   get:
+ *     summary: List search synonyms
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Synonyms, newest first
+ *   post:
+ *     summary: Create a search synonym
+ *     description: Terms are single words; suggestions for any of them include matches for the others.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Synonym'
+ *     responses:
+ *       201:
+ *         description: Synonym created successfully
+ */
+router.get('/synonyms', getSynonyms);
+router.post('/synonyms', validateCreateSynonym, createSynonym);
+
+/**
+ * @swagger
+ * /api/search/synonyms/{id}:
+ *   put:
+ *     summary: Update a search synonym
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Synonym'
+ *     responses:
+ *       200:
+ *         description: Synonym updated successfully
+ *       404:
+ *         description: Synonym not found
+ *   delete:
+ *     summary: Delete a search synonym
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Synonym deleted successfully
+ *       404:
+ *         description: Synonym not found
+ */
+router.put('/synonyms/:id', validateObjectId, validateUpdateSynonym, updateSynonym);
+router.delete('/synonyms/:id', validateObjectId, deleteSynonym);
+
+// Search analytics are admin only
+router.use('/analytics', protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/search/analytics/top-queries:
+ *   get:
+ *     summary: Most searched queries
+ *     description: |
+ *       Queries (lowercased, punctuation removed) by number of searches, with the period's totals
+ *       in `summary`. Every search request with a search term is logged, from `/api/products`,
+ *       `/api/products/search`, `/api/products/category/{category}` and `/api/search`; each page
+ *       fetched counts as a search. Click-through rate is the share of searches from which a
+ *       product was opened.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchReportFrom'
+ *       - $ref: '#/components/parameters/SearchReportTo'
+ *       - $ref: '#/components/parameters/SearchReportLimit'
+ *     responses:
+ *       200:
+ *         description: Queries with searches, searchers, zeroResultSearches, clickedSearches, clicks,
+ *           clickThroughRate, zeroResultRate, avgResults, avgLatencyMs and lastSearchedAt
+ */
+router.get('/analytics/top-queries', validateSearchAnalytics, getTopQueries);
+
+/**
+ * @swagger
+ * /api/search/analytics/zero-results:
+ *   get:
+ *     summary: Queries that found no products
+ *     description: Most searched first; the catalog gaps to fill, or synonyms to add.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchReportFrom'
+ *       - $ref: '#/components/parameters/SearchReportTo'
+ *       - $ref: '#/components/parameters/SearchReportLimit'
+ *     responses:
+ *       200:
+ *         description: Zero-result queries
+ */
+router.get('/analytics/zero-results', validateSearchAnalytics, getZeroResultQueries);
+
+/**
+ * @swagger
+ * /api/search/analytics/click-through:
+ *   get:
+ *     summary: Click-through rate per query
+ *     description: Lowest rate first, for queries searched at least `minSearches` times. A click is
+ *       a product opened with the search's `searchId` within SEARCH_CLICK_WINDOW_MINUTES, by the
+ *       same user or guest session; each product counts once per search.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchReportFrom'
+ *       - $ref: '#/components/parameters/SearchReportTo'
+ *       - $ref: '#/components/parameters/SearchReportLimit'
+ *       - in: query
+ *         name: minSearches
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Queries with their click-through rates
+ */
+router.get('/analytics/click-through', validateSearchAnalytics, getClickThroughRates);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     SearchReportFrom:
+ *       in: query
+ *       name: from
+ *       description: Start of the period (defaults to 30 days before `to`)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     SearchReportTo:
+ *       in: query
+ *       name: to
+ *       description: End of the period (defaults to now)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     SearchReportLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 100
+ */
+
+module.exports = router;
@@ -0,0 +1,596 @@
+const express = require('express');
+const {
+  applyAsSeller,
+  getMySellerProfile,
+  updateMySellerProfile,
+  getMyProducts,
+  getMyOrders,
+  getMyReturns,
+  getMyEarnings,
+  getMyPayouts,
+  getSellers,
+  getSeller,
+  approveSeller,
+  rejectSeller,
+  updateSellerCommission,
+  getSellerEarnings,
+  createSellerPayout,
+  getPayouts,
+  markPayoutPaid,
+  cancelPayout
+} = require('../controllers/sellerController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateSellerApplication,
+  validateUpdateSeller,
+  validateApproveSeller,
+  validateRejectSeller,
+  validateSellerCommission,
+  validateCreatePayout,
+  validatePayoutPaid,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sellers
+ *   description: Seller onboarding, seller dashboards, commissions and payouts
+ */
+
+// All seller routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/sellers/apply:
+ *   post:
+ *     summary: Apply to sell on the marketplace
+ *     description: The application (business details, KYC and bank account) is reviewed by an
+ *       admin. A rejected applicant can apply again.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - businessName
+ *               - contactPhone
+ *               - pickupAddress
+ *               - kyc
+ *               - bankAccount
+ *             properties:
+ *               businessName:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               businessType:
+ *                 type: string
+ *                 enum: [individual, proprietorship, partnership, private_limited, llp]
+ *               contactPhone:
+ *                 type: string
+ *               pickupAddress:
+ *                 type: object
+ *               kyc:
+ *                 type: object
+ *                 properties:
+ *                   pan:
+ *                     type: string
+ *                   gstin:
+ *                     type: string
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                         url:
+ *                           type: string
+ *               bankAccount:
+ *                 type: object
+ *                 properties:
+ *                   accountHolderName:
+ *                     type: string
+ *                   accountNumber:
+ *                     type: string
+ *                   ifsc:
+ *                     type: string
+ *                   bankName:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Account can't apply (already a seller or an admin)
+ *       409:
+ *         description: An application is already pending or approved
+ */
+router.post('/apply', validateSellerApplication, applyAsSeller);
+
+/**
+ * @swagger
+ * /api/sellers/me:
+ *   get:
+ *     summary: Get my seller profile or application status
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seller profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     seller:
+ *                       $ref: '#/components/schemas/Seller'
+ *       404:
+ *         description: No application for this account
+ */
+router.get('/me', getMySellerProfile);
+
+// The rest of /me is for approved sellers
+router.use('/me', authorize('seller'));
+
+/**
+ * @swagger
+ * /api/sellers/me:
+ *   put:
+ *     summary: Update my seller profile
+ *     description: Display name, contact phone, pickup address and bank account can be changed.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               contactPhone:
+ *                 type: string
+ *               pickupAddress:
+ *                 type: object
+ *               bankAccount:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Seller profile updated successfully
+ */
+router.put('/me', validateUpdateSeller, updateMySellerProfile);
+
+/**
+ * @swagger
+ * /api/sellers/me/products:
+ *   get:
+ *     summary: Get my products
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ */
+router.get('/me/products', getMyProducts);
+
+/**
+ * @swagger
+ * /api/sellers/me/orders:
+ *   get:
+ *     summary: Get orders with my items
+ *     description: Each order shows only my items and the shipments carrying them, with the
+ *       shipping address to fulfil them.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ */
+router.get('/me/orders', getMyOrders);
+
+/**
+ * @swagger
+ * /api/sellers/me/returns:
+ *   get:
+ *     summary: Get returns of my items
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, completed]
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ */
+router.get('/me/returns', getMyReturns);
+
+/**
+ * @swagger
+ * /api/sellers/me/earnings:
+ *   get:
+ *     summary: Get my earnings
+ *     description: Delivered, non-returned sales net of commission. Earnings are held for
+ *       SELLER_PAYOUT_HOLD_DAYS after delivery (the return window), then become available.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Held, available, pending payout and paid totals, with the lines behind them
+ */
+router.get('/me/earnings', getMyEarnings);
+
+/**
+ * @swagger
+ * /api/sellers/me/payouts:
+ *   get:
+ *     summary: Get my payouts
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payout'
+ */
+router.get('/me/payouts', getMyPayouts);
+
+// Admin only routes
+router.use(authorize('admin'));
+
+/**
+ * @swagger
+ * /api/sellers/payouts:
+ *   get:
+ *     summary: Get payouts
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: seller
+ *         description: User ID of the seller
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, cancelled]
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved successfully
+ */
+router.get('/payouts', getPayouts);
+
+/**
+ * @swagger
+ * /api/sellers/payouts/{id}/paid:
+ *   put:
+ *     summary: Record the bank transfer for a payout
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reference
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank transfer reference (UTR)
+ *     responses:
+ *       200:
+ *         description: Payout marked as paid
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout is not pending
+ */
+router.put('/payouts/:id/paid', validateObjectId, validatePayoutPaid, markPayoutPaid);
+
+/**
+ * @swagger
+ * /api/sellers/payouts/{id}/cancel:
+ *   put:
+ *     summary: Cancel a pending payout
+ *     description: Its lines become available for a new payout.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout cancelled
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout is not pending
+ */
+router.put('/payouts/:id/cancel', validateObjectId, cancelPayout);
+
+/**
+ * @swagger
+ * /api/sellers:
+ *   get:
+ *     summary: Get seller applications and profiles
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Sellers retrieved successfully
+ */
+router.get('/', getSellers);
+
+/**
+ * @swagger
+ * /api/sellers/{id}:
+ *   get:
+ *     summary: Get single seller
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Seller retrieved successfully
+ *       404:
+ *         description: Seller not found
+ */
+router.get('/:id', validateObjectId, getSeller);
+
+/**
+ * @swagger
+ * /api/sellers/{id}/approve:
+ *   put:
+ *     summary: Approve a seller application
+ *     description: The applicant's account becomes a seller account and they are emailed.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commissionRate:
+ *                 type: number
+ *                 description: Negotiated commission (%); omit to use the category's or the default
+ *     responses:
+ *       200:
+ *         description: Seller approved
+ *       409:
+ *         description: Application is not pending
+ */
+router.put('/:id/approve', validateObjectId, validateApproveSeller, approveSeller);
+
+/**
+ * @swagger
+ * /api/sellers/{id}/reject:
+ *   put:
+ *     summary: Reject a seller application
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       409:
+ *         description: Application is not pending
+ */
+router.put('/:id/reject', validateObjectId, validateRejectSeller, rejectSeller);
+
+/**
+ * @swagger
+ * /api/sellers/{id}/commission:
+ *   put:
+ *     summary: Set a seller's negotiated commission
+ *     description: Applies to earnings not yet in a payout. null falls back to the category's
+ *       commission, then SELLER_COMMISSION_RATE.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - commissionRate
+ *             properties:
+ *               commissionRate:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Commission updated
+ */
+router.put('/:id/commission', validateObjectId, validateSellerCommission, updateSellerCommission);
+
+/**
+ * @swagger
+ * /api/sellers/{id}/earnings:
+ *   get:
+ *     summary: Get a seller's earnings
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Held, available, pending payout and paid totals, with the lines behind them
+ */
+router.get('/:id/earnings', validateObjectId, getSellerEarnings);
+
+/**
+ * @swagger
+ * /api/sellers/{id}/payouts:
+ *   post:
+ *     summary: Create a payout of a seller's available earnings
+ *     description: Takes every line past its hold period and not already paid out. Mark it
+ *       paid once the bank transfer is made.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payout created
+ *       400:
+ *         description: Nothing is available to pay out
+ *       409:
+ *         description: Seller is not approved, or another payout for the seller is being created
+ */
+router.post('/:id/payouts', validateObjectId, validateCreatePayout, createSellerPayout);
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const {
+  getShippingQuote,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  handleCarrierWebhook
+} = require('../controllers/shippingController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { cartSession } = require('../middleware/cartSession');
+const {
+  validateShippingQuote,
+  validateCreateShippingZone,
+  validateUpdateShippingZone,
+  validateObjectId
+} = require('../validators/authValidator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping
+ *   description: Shipping quotes, shipping zone management and carrier webhooks
+ */
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   get:
+ *     summary: Quote shipping options with ETAs for the current cart
+ *     description: Works for signed-in users and guest carts. Options depend on the
+ *       shipping zone matching the address and the cart's weight and size.
+ *     tags: [Shipping]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *           default: India
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: zipCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping options for the address
+ *       400:
+ *         description: Cart is empty or the address can't be shipped to
+ */
+router.get('/quote', optionalAuth, cartSession, validateShippingQuote, getShippingQuote);
+
+// Zone management is admin only
+/**
+ * @swagger
+ * /api/shipping/webhooks/{carrier}:
+ *   post:
+ *     summary: Receive tracking scans from a carrier
+ *     description: |
+ *       Adds the scans to the timeline of the shipment with that tracking number and moves the
+ *       shipment (and its order, up to delivered) along. Redelivered scans are ignored.
+ *       generic is signed with CARRIER_WEBHOOK_SECRET (HMAC-SHA256 in X-Carrier-Signature);
+ *       delhivery sends DELHIVERY_WEBHOOK_TOKEN in Authorization; shiprocket sends
+ *       SHIPROCKET_WEBHOOK_TOKEN in X-Api-Key.
+ *     tags: [Shipping]
+ *     parameters:
+ *       - in: path
+ *         name: carrier
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [generic, delhivery, shiprocket]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: The carrier's own payload
+ *     responses:
+ *       200:
+ *         description: Scans recorded; `unmatched` lists tracking numbers no shipment has
+ *       400:
+ *         description: Signature or token invalid
+ *       404:
+ *         description: Unknown carrier
+ *       500:
+ *         description: Processing failed (the carrier should retry)
+ */
+router.post('/webhooks/:carrier', handleCarrierWebhook);
+
+router.use('/zones', protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   get:
+ *     summary: Get all shipping zones
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones retrieved successfully
+ */
+router.get('/zones', getShippingZones);
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   post:
+ *     summary: Create a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created successfully
+ */
+router.post('/zones', validateCreateShippingZone, createShippingZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   get:
+ *     summary: Get single shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone retrieved successfully
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.get('/zones/:id', validateObjectId, getShippingZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated successfully
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.put('/zones/:id', validateObjectId, validateUpdateShippingZone, updateShippingZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   delete:
+ *     summary: Delete a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted successfully
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.delete('/zones/:id', validateObjectId, deleteShippingZone);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const AppError = require('../../utils/appError');
+const { safeEqual, parseJson, istDate } = require('./helpers');
+
+// Delhivery scan statuses in our terms; the rest (Manifested, Not Picked, ...) don't move the shipment
+const STATUSES = {
+  'picked up': 'shipped',
+  'in transit': 'in_transit',
+  pending: 'in_transit',
+  dispatched: 'out_for_delivery',
+  delivered: 'delivered'
+};
+
+/**
+ * Delhivery scan push, authenticated by the token agreed with Delhivery
+ * (DELHIVERY_WEBHOOK_TOKEN) in the Authorization header
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const token = process.env.DELHIVERY_WEBHOOK_TOKEN;
+
+  if (!token) {
+    throw new AppError('Webhook endpoint is not configured', 500);
+  }
+
+  const received = (headers.authorization || '').replace(/^Token\s+/i, '');
+
+  if (!safeEqual(received, token)) {
+    throw new Error('Invalid Delhivery webhook token');
+  }
+
+  return parseJson(rawBody);
+};
+
+/**
+ * One push carries the shipment's latest scan:
+ * { Shipment: { AWB, Status: { Status, StatusDateTime, StatusLocation, Instructions, StatusType } } }
+ * StatusType RT/PU scans belong to a return leg and never move the outbound shipment.
+ */
+const parseEvents = (payload) => {
+  const shipment = payload.Shipment || {};
+  const scan = shipment.Status || {};
+
+  if (!shipment.AWB || !scan.Status) {
+    return [];
+  }
+
+  const returnLeg = ['RT', 'PU'].includes(scan.StatusType);
+
+  return [{
+    trackingNumber: String(shipment.AWB),
+    status: scan.Status,
+    shipmentStatus: returnLeg ? undefined : STATUSES[scan.Status.toLowerCase()],
+    location: scan.StatusLocation,
+    description: scan.Instructions,
+    occurredAt: istDate(scan.StatusDateTime)
+  }];
+};
+
+module.exports = {
+  name: 'delhivery',
+  verifyWebhook,
+  parseEvents
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const AppError = require('../../utils/appError');
+const { safeEqual, parseJson, istDate } = require('./helpers');
+
+const STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivered'];
+
+/**
+ * Our own scan format, for carriers (or middleware) that can post whatever we ask for
+ * The body is signed with HMAC-SHA256 of CARRIER_WEBHOOK_SECRET in X-Carrier-Signature:
+ *
+ *   { "trackingNumber": "BD123", "events": [
+ *     { "status": "in_transit", "location": "Mumbai Hub", "description": "...", "timestamp": "2025-01-05T10:00:00Z" }
+ *   ] }
+ *
+ * Timestamps without an offset are read as IST.
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const secret = process.env.CARRIER_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new AppError('Webhook endpoint is not configured', 500);
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody));
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  if (!safeEqual(headers['x-carrier-signature'] || '', expected)) {
+    throw new Error('Invalid carrier webhook signature');
+  }
+
+  return parseJson(body);
+};
+
+const parseEvents = (payload) => {
+  return (payload.events || []).map(event => ({
+    trackingNumber: event.trackingNumber || payload.trackingNumber,
+    status: event.status,
+    shipmentStatus: STATUSES.includes(event.status) ? event.status : undefined,
+    location: event.location,
+    description: event.description,
+    occurredAt: istDate(event.timestamp)
+  }));
+};
+
+module.exports = {
+  name: 'generic',
+  verifyWebhook,
+  parseEvents
+};
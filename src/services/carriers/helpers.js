@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Compares bytes, not characters: a multibyte signature can match in length but not in bytes
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const parseJson = (rawBody) =>
+  JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+
+/**
+ * Indian carriers send local times without an offset ("2025-01-05 10:00:00"); read them as IST
+ * A time that can't be read falls back to when the scan arrived.
+ */
+const istDate = (value) => {
+  if (!value) {
+    return new Date();
+  }
+
+  const text = String(value).trim();
+
+  const date = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text)
+    ? new Date(text)
+    : new Date(`${text.replace(' ', 'T')}+05:30`);
+
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+module.exports = {
+  safeEqual,
+  parseJson,
+  istDate
+};
@@ -0,0 +1,51 @@
+const AppError = require('../../utils/appError');
+const genericCarrier = require('./genericCarrier');
+const delhiveryCarrier = require('./delhiveryCarrier');
+const shiprocketCarrier = require('./shiprocketCarrier');
+
+/**
+ * Carrier webhook parsers, keyed by the :carrier in POST /api/shipping/webhooks/:carrier
+ *
+ * Every carrier implements the same interface:
+ *   verifyWebhook(rawBody, headers) -> parsed payload, throws if it isn't from the carrier
+ *   parseEvents(payload)            -> scans
+ *
+ * A scan is { trackingNumber, status, shipmentStatus, location, description, occurredAt }:
+ * status is the carrier's own wording and shipmentStatus its meaning in our terms
+ * (shipped, in_transit, out_for_delivery or delivered), left out for scans that don't
+ * move the shipment along (manifested, delayed, ...).
+ */
+const carriers = {
+  generic: genericCarrier,
+  delhivery: delhiveryCarrier,
+  shiprocket: shiprocketCarrier
+};
+
+/**
+ * Get the webhook parser for a carrier
+ * @param {string} name - generic, delhivery, shiprocket, ...
+ * @returns {Object} Carrier
+ */
+const getCarrier = (name) => {
+  const carrier = carriers[(name || '').toLowerCase()];
+
+  if (!carrier) {
+    throw new AppError(`Unknown carrier: ${name}`, 404);
+  }
+
+  return carrier;
+};
+
+/**
+ * Replace or add a carrier, e.g. one more aggregator or a stub in tests
+ * @param {string} name - Carrier name used in the webhook URL
+ * @param {Object} carrier - Carrier implementing the interface above
+ */
+const registerCarrier = (name, carrier) => {
+  carriers[name.toLowerCase()] = carrier;
+};
+
+module.exports = {
+  getCarrier,
+  registerCarrier
+};
@@ -0,0 +1,63 @@
+const AppError = require('../../utils/appError');
+const { safeEqual, parseJson, istDate } = require('./helpers');
+
+// Shiprocket status labels in our terms; the rest (MANIFEST GENERATED, DELAYED, ...) don't move the shipment
+const STATUSES = {
+  'picked up': 'shipped',
+  shipped: 'shipped',
+  'in transit': 'in_transit',
+  'reached at destination hub': 'in_transit',
+  'out for delivery': 'out_for_delivery',
+  delivered: 'delivered'
+};
+
+/**
+ * Shiprocket tracking webhook, authenticated by the token set on it in the Shiprocket
+ * panel (SHIPROCKET_WEBHOOK_TOKEN), sent as X-Api-Key
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const token = process.env.SHIPROCKET_WEBHOOK_TOKEN;
+
+  if (!token) {
+    throw new AppError('Webhook endpoint is not configured', 500);
+  }
+
+  if (!safeEqual(headers['x-api-key'] || '', token)) {
+    throw new Error('Invalid Shiprocket webhook token');
+  }
+
+  return parseJson(rawBody);
+};
+
+/**
+ * Each update repeats the shipment's full scan history (scans[]), oldest first;
+ * scans already on the timeline are skipped when they're recorded
+ */
+const parseEvents = (payload) => {
+  if (!payload.awb) {
+    return [];
+  }
+
+  const scans = payload.scans && payload.scans.length > 0
+    ? payload.scans
+    : [{ date: payload.current_timestamp, activity: payload.current_status, 'sr-status-label': payload.current_status }];
+
+  return scans.map(scan => {
+    const label = scan['sr-status-label'] || scan.activity || '';
+
+    return {
+      trackingNumber: String(payload.awb),
+      status: label,
+      shipmentStatus: payload.is_return ? undefined : STATUSES[label.toLowerCase()],
+      location: scan.location,
+      description: scan.activity,
+      occurredAt: istDate(scan.date)
+    };
+  });
+};
+
+module.exports = {
+  name: 'shiprocket',
+  verifyWebhook,
+  parseEvents
+};
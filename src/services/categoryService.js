@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+/**
+ * Create a category under an existing parent (or at the root)
+ * @param {Object} data - Category fields
+ * @returns {Promise<Object>} The category
+ */
+const createCategory = async (data) => {
+  if (data.parent) {
+    await findParent(data.parent);
+  }
+
+  return Category.create(data);
+};
+
+/**
+ * Update a category; moving it under a new parent is refused if that would put it
+ * inside itself or one of its own descendants
+ * @param {Object} category - Category document
+ * @param {Object} changes - Category fields
+ * @returns {Promise<Object>} The category
+ */
+const updateCategory = async (category, changes) => {
+  if (changes.parent && String(changes.parent) !== String(category.parent)) {
+    await assertCanMove(category, changes.parent);
+  }
+
+  const previousParent = category.parent;
+
+  category.set(changes);
+  await category.save();
+
+  if (String(previousParent) !== String(category.parent)) {
+    logger.info('Category moved', {
+      categoryId: category._id,
+      from: previousParent,
+      to: category.parent
+    });
+  }
+
+  return category;
+};
+
+/**
+ * Delete a category
+ * Its subcategories move up to its parent (or become root categories). Its products must
+ * be moved to another category first, or given one in reassignTo.
+ * @param {Object} category - Category document
+ * @param {Object} [options] - { reassignTo }
+ * @returns {Promise<Object>} { reparented, reassigned }
+ */
+const deleteCategory = async (category, { reassignTo } = {}) => {
+  const productCount = await Product.countDocuments({ category: category._id });
+  let target = null;
+
+  if (productCount > 0) {
+    if (!reassignTo) {
+      throw new AppError(
+        `Category has ${productCount} product(s); move them or pass reassignTo to delete it`,
+        409,
+        { productCount }
+      );
+    }
+
+    if (String(reassignTo) === String(category._id)) {
+      throw new AppError('Products cannot be reassigned to the category being deleted', 400);
+    }
+
+    target = await Category.findById(reassignTo);
+    if (!target) {
+      throw new AppError('Category to reassign products to not found', 404);
+    }
+  }
+
+  const { modifiedCount: reparented } = await Category.updateMany(
+    { parent: category._id },
+    { parent: category.parent || null }
+  );
+
+  let reassigned = 0;
+  if (target) {
+    ({ modifiedCount: reassigned } = await Product.updateMany(
+      { category: category._id },
+      { category: target._id }
+    ));
+    await Category.updateProductCounts([target._id]);
+  }
+
+  await category.deleteOne();
+
+  logger.info('Category deleted', {
+    categoryId: category._id,
+    name: category.name,
+    reparented,
+    reassigned,
+    reassignedTo: target && target._id
+  });
+
+  return { reparented, reassigned };
+};
+
+/**
+ * Breadcrumb from the root down to a category
+ * @param {Object} category - Category document
+ * @returns {Promise<Array>} [{ _id, name, slug }]
+ */
+const getBreadcrumb = async (category) => {
+  const hierarchy = await category.getHierarchy();
+
+  return hierarchy.map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+/**
+ * Find an active category by ID or slug
+ * @param {string} idOrSlug - Category ID or slug
+ * @returns {Promise<Object|null>} The category
+ */
+const findByIdOrSlug = async (idOrSlug) => {
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    const category = await Category.findOne({ _id: idOrSlug, isActive: true });
+    if (category) {
+      return category;
+    }
+  }
+
+  return Category.findBySlug(String(idOrSlug).toLowerCase());
+};
+
+/**
+ * A category's active subtree: every category ID to list products from, and each active
+ * subcategory with the IDs of its own subtree (for drill-down counts)
+ * Categories under an inactive one are left out with it.
+ * @param {Object} category - Category document
+ * @returns {Promise<Object>} { categoryIds, children: [{ category, categoryIds }] }
+ */
+const getSubtree = async (category) => {
+  const descendants = await category.getDescendants();
+  const branchOf = new Map();
+  const children = [];
+
+  // getDescendants lists each category before its own subcategories
+  descendants
+    .filter(descendant => descendant.isActive)
+    .forEach(descendant => {
+      if (descendant.parent.equals(category._id)) {
+        const child = { category: descendant, categoryIds: [descendant._id] };
+        children.push(child);
+        branchOf.set(descendant._id.toString(), child);
+        return;
+      }
+
+      const branch = branchOf.get(descendant.parent.toString());
+      if (branch) {
+        branch.categoryIds.push(descendant._id);
+        branchOf.set(descendant._id.toString(), branch);
+      }
+    });
+
+  children.sort((a, b) =>
+    (a.category.sortOrder - b.category.sortOrder) || a.category.name.localeCompare(b.category.name)
+  );
+
+  return {
+    categoryIds: [category._id, ...children.flatMap(child => child.categoryIds)],
+    children
+  };
+};
+
+/**
+ * Count the products matching a filter under each subcategory of a subtree
+ * @param {Object} subtree - From getSubtree
+ * @param {Object} filter - Product filter, without a category condition
+ * @returns {Promise<Array>} [{ _id, name, slug, count }] in subcategory order
+ */
+const countBySubcategory = async (subtree, filter) => {
+  const byCategory = await Product.aggregate([
+    { $match: { ...filter, category: { $in: subtree.categoryIds } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(byCategory.map(entry => [entry._id.toString(), entry.count]));
+
+  return subtree.children.map(({ category, categoryIds }) => ({
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    count: categoryIds.reduce((total, id) => total + (counts.get(id.toString()) || 0), 0)
+  }));
+};
+
+// Helper functions
+
+const findParent = async (parentId) => {
+  const parent = await Category.findById(parentId);
+
+  if (!parent) {
+    throw new AppError('Parent category not found', 404);
+  }
+
+  return parent;
+};
+
+/**
+ * Refuse a move that would make a category its own ancestor
+ */
+const assertCanMove = async (category, parentId) => {
+  if (String(parentId) === String(category._id)) {
+    throw new AppError('A category cannot be its own parent', 400);
+  }
+
+  const parent = await findParent(parentId);
+  const ancestors = await parent.getHierarchy();
+
+  if (ancestors.some(ancestor => ancestor._id.toString() === category._id.toString())) {
+    throw new AppError(`Cannot move ${category.name} under its own subcategory ${parent.name}`, 400);
+  }
+};
+
+module.exports = {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getBreadcrumb,
+  findByIdOrSlug,
+  getSubtree,
+  countBySubcategory
+};
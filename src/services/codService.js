@@ -0,0 +1,181 @@
+const Order = require('../models/Order');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const codConfig = require('../config/cod');
+
+/**
+ * Check whether a customer can pay for an order in cash on delivery
+ * @param {Object} user - User document (totalOrders decides the trust level)
+ * @param {Object} params - { totalAmount, shippingAddress }
+ * @returns {Object} { eligible, maxOrderValue, reasons }
+ */
+const checkEligibility = (user, { totalAmount, shippingAddress }) => {
+  const reasons = [];
+  const trusted = (user.totalOrders || 0) >= codConfig.TRUSTED_MIN_ORDERS;
+  const maxOrderValue = trusted
+    ? codConfig.MAX_ORDER_VALUE
+    : Math.min(codConfig.NEW_CUSTOMER_MAX_ORDER_VALUE, codConfig.MAX_ORDER_VALUE);
+
+  if (totalAmount > maxOrderValue) {
+    reasons.push(`Cash on delivery is available for orders up to ${maxOrderValue}`);
+  }
+
+  if (!pincodeAllowed(shippingAddress && shippingAddress.zipCode)) {
+    reasons.push('Cash on delivery is not available for this pincode');
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    maxOrderValue,
+    reasons
+  };
+};
+
+/**
+ * Same as checkEligibility, but throws when the order can't be paid in cash
+ */
+const assertEligible = (user, params) => {
+  const result = checkEligibility(user, params);
+
+  if (!result.eligible) {
+    throw new AppError(result.reasons[0], 400);
+  }
+
+  return result;
+};
+
+/**
+ * Record the cash collected for a COD order
+ * The amount is recorded as handed over, so a short collection shows up in reconciliation.
+ * @param {Object} order - Order document
+ * @param {Object} params - { amount, collectedBy, reference, notes }
+ * @returns {Promise<Object>} The order
+ */
+const markCollected = async (order, { amount, collectedBy, reference, notes }) => {
+  if (order.paymentMethod !== 'cod') {
+    throw new AppError('Only cash on delivery orders can be marked as collected', 400);
+  }
+
+  if (!['partially_shipped', 'shipped', 'partially_delivered', 'delivered'].includes(order.status)) {
+    throw new AppError(`Cash can't be collected for an order that is ${order.status}`, 400);
+  }
+
+  if (order.codCollection && order.codCollection.collectedAt) {
+    throw new AppError('Cash has already been collected for this order', 409);
+  }
+
+  order.codCollection = {
+    expectedAmount: order.totalAmount,
+    amount,
+    collectedAt: new Date(),
+    collectedBy,
+    reference,
+    notes
+  };
+  order.paymentStatus = 'paid';
+
+  await order.save();
+
+  if (amount !== order.totalAmount) {
+    logger.warn('COD collection does not match the order total', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      expected: order.totalAmount,
+      collected: amount
+    });
+  }
+
+  return order;
+};
+
+/**
+ * Expected vs collected cash for one day
+ * Expected is every COD order delivered that day; collected is every collection
+ * recorded that day, broken down by who collected it.
+ * @param {Date|string} [date] - Day to report on, defaults to today
+ * @returns {Promise<Object>} Report
+ */
+const getReconciliation = async (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const [delivered, collected] = await Promise.all([
+    Order.find({ paymentMethod: 'cod', deliveredAt: { $gte: start, $lt: end } })
+      .select('orderNumber totalAmount deliveredAt codCollection')
+      .lean(),
+    Order.find({ paymentMethod: 'cod', 'codCollection.collectedAt': { $gte: start, $lt: end } })
+      .select('orderNumber totalAmount deliveredAt codCollection')
+      .populate('codCollection.collectedBy', 'firstName lastName email role')
+      .lean()
+  ]);
+
+  const collectors = {};
+  collected.forEach(order => {
+    const collector = order.codCollection.collectedBy;
+    const key = collector ? collector._id.toString() : 'unknown';
+
+    if (!collectors[key]) {
+      collectors[key] = { collector: collector || null, orders: 0, expected: 0, collected: 0 };
+    }
+    collectors[key].orders += 1;
+    collectors[key].expected = round(collectors[key].expected + order.codCollection.expectedAmount);
+    collectors[key].collected = round(collectors[key].collected + order.codCollection.amount);
+  });
+
+  const expectedAmount = sum(delivered, order => order.totalAmount);
+  const collectedAmount = sum(collected, order => order.codCollection.amount);
+
+  return {
+    date: start,
+    expected: {
+      orders: delivered.length,
+      amount: expectedAmount
+    },
+    collected: {
+      orders: collected.length,
+      amount: collectedAmount
+    },
+    difference: round(collectedAmount - expectedAmount),
+    collectors: Object.values(collectors),
+    // Delivered that day but no cash recorded yet
+    uncollected: delivered
+      .filter(order => !order.codCollection || !order.codCollection.collectedAt)
+      .map(order => ({ orderId: order._id, orderNumber: order.orderNumber, amount: order.totalAmount })),
+    // Cash recorded that day that doesn't match what the order was expected to bring in
+    mismatches: collected
+      .filter(order => order.codCollection.amount !== order.codCollection.expectedAmount)
+      .map(order => ({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        expected: order.codCollection.expectedAmount,
+        collected: order.codCollection.amount
+      }))
+  };
+};
+
+// Helper functions
+
+const pincodeAllowed = (zipCode) => {
+  if (codConfig.PINCODES.length === 0) {
+    return true;
+  }
+
+  const pincode = String(zipCode || '').trim();
+
+  return codConfig.PINCODES.some(pattern =>
+    pattern.endsWith('*') ? pincode.startsWith(pattern.slice(0, -1)) : pincode === pattern
+  );
+};
+
+const sum = (items, value) => round(items.reduce((total, item) => total + value(item), 0));
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  checkEligibility,
+  assertEligible,
+  markCollected,
+  getReconciliation
+};
@@ -0,0 +1,161 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+/**
+ * Check a coupon code against a user's cart and work out the discount
+ * Rules: active, inside its validity window, overall and per-user usage limits,
+ * minimum cart value, first-order-only, and category/product/brand scope.
+ * @param {string} code - Coupon code as entered
+ * @param {string} userId - Customer the coupon is for
+ * @param {Array} lines - Cart or order lines ({ product, total }), product may be an ID or document
+ * @returns {Promise<Object>} { coupon, subtotal, eligibleSubtotal, discountAmount, lineDiscounts }
+ */
+const evaluateCoupon = async (code, userId, lines) => {
+  const coupon = await Coupon.findByCode(code);
+
+  if (!coupon) {
+    throw new AppError('Invalid coupon code', 404);
+  }
+
+  if (!coupon.isWithinValidity()) {
+    throw new AppError('This coupon is not valid at this time', 400);
+  }
+
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    throw new AppError('This coupon has reached its usage limit', 400);
+  }
+
+  const subtotal = lines.reduce((total, line) => total + line.total, 0);
+
+  if (subtotal < coupon.minCartValue) {
+    throw new AppError(`Minimum cart value for this coupon is ₹${coupon.minCartValue}`, 400);
+  }
+
+  // Cancelled orders don't count towards either limit
+  const [userRedemptions, previousOrders] = await Promise.all([
+    Order.countDocuments({
+      user: userId,
+      'appliedCoupon.code': coupon.code,
+      status: { $ne: 'cancelled' }
+    }),
+    coupon.firstOrderOnly
+      ? Order.countDocuments({ user: userId, status: { $ne: 'cancelled' } })
+      : 0
+  ]);
+
+  if (userRedemptions >= coupon.perUserLimit) {
+    throw new AppError('You have already used this coupon', 400);
+  }
+
+  if (previousOrders > 0) {
+    throw new AppError('This coupon is only valid on your first order', 400);
+  }
+
+  const pricedLines = await withScopeFields(lines);
+  const { eligibleSubtotal, discountAmount, lineDiscounts } = coupon.calculateDiscount(pricedLines);
+
+  if (eligibleSubtotal === 0) {
+    throw new AppError('This coupon does not apply to any items in your cart', 400);
+  }
+
+  return {
+    coupon,
+    subtotal,
+    eligibleSubtotal,
+    discountAmount,
+    lineDiscounts
+  };
+};
+
+/**
+ * Price the coupon saved on a cart for checkout
+ * @param {Object} cart - Cart document
+ * @param {string} userId - Customer checking out
+ * @param {Array} lines - Order lines ({ product, total })
+ * @returns {Promise<Object|null>} { appliedCoupon, discountAmount, lineDiscounts }, or null when the cart has no coupon
+ */
+const priceCartCoupon = async (cart, userId, lines) => {
+  if (!cart.coupon || !cart.coupon.code) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await evaluateCoupon(cart.coupon.code, userId, lines);
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    throw new AppError(`Coupon ${cart.coupon.code} can no longer be applied: ${error.message}`, 400);
+  }
+
+  const { coupon, discountAmount, lineDiscounts } = result;
+
+  return {
+    appliedCoupon: {
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      discountAmount
+    },
+    discountAmount,
+    lineDiscounts
+  };
+};
+
+/**
+ * Take one redemption of a coupon for a new order
+ * @param {string} code - Coupon code
+ * @param {Object} [options] - { enforceLimit } set false to restore a redemption regardless of the limit
+ */
+const redeemCoupon = async (code, options) => {
+  const coupon = await Coupon.redeem(code, options);
+
+  if (!coupon && (!options || options.enforceLimit !== false)) {
+    throw new AppError('This coupon has reached its usage limit', 400);
+  }
+
+  return coupon;
+};
+
+/**
+ * Give back a coupon redemption when its order is cancelled or never created
+ * Failures are logged rather than thrown so they never block a cancellation.
+ * @param {string} [code] - Coupon code, ignored when empty
+ */
+const releaseCoupon = async (code) => {
+  if (!code) {
+    return;
+  }
+
+  try {
+    await Coupon.release(code);
+  } catch (error) {
+    logger.error('Coupon release failed', { code, error: error.message });
+  }
+};
+
+// Helper functions
+
+/**
+ * Make sure each line's product carries the fields coupon scoping needs
+ * Lines keep their positions; a product that no longer exists is left empty
+ */
+const withScopeFields = async (lines) => {
+  const productIds = lines.map(line => line.product._id || line.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('category brand');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return lines.map(line => ({
+    product: byId.get((line.product._id || line.product).toString()),
+    total: line.total
+  }));
+};
+
+module.exports = {
+  evaluateCoupon,
+  priceCartCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
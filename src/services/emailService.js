@@ -199,10 +199,12 @@ class EmailService {
       orderShipped: `
         <h2>Your Order Has Shipped!</h2>
         <p>Hi {{firstName}},</p>
-        <p>Great news! Your order has been shipped and is on its way to you.</p>
+        <p>Great news! {{shippedItems}} from your order has been shipped and is on its way to you.</p>
         <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
           <h3>Shipping Details</h3>
           <p><strong>Order Number:</strong> {{orderNumber}}</p>
+          <p><strong>Shipment:</strong> {{shipmentNumber}}</p>
+          <p><strong>Carrier:</strong> {{carrier}}</p>
           <p><strong>Tracking Number:</strong> {{trackingNumber}}</p>
           <p><strong>Estimated Delivery:</strong> {{estimatedDelivery}}</p>
         </div>
@@ -216,6 +218,78 @@ class EmailService {
         <p>If you made this change, no further action is required.</p>
         <p>If you did not make this change, please contact our support team immediately.</p>
         <a href="mailto:support@shoppyglobe.com" class="button">Contact Support</a>
+      `,
+
+      returnRequested: `
+        <h2>Return Request Received</h2>
+        <p>Hi {{firstName}},</p>
+        <p>We've received your request to return items from order {{orderNumber}}.</p>
+        <p>Our team will review it and get back to you shortly.</p>
+        <a href="{{orderUrl}}" class="button">View Order Details</a>
+      `,
+
+      returnApproved: `
+        <h2>Your Return Has Been Approved</h2>
+        <p>Hi {{firstName}},</p>
+        <p>Your return for order {{orderNumber}} has been approved.</p>
+        <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>RMA Number:</strong> {{rmaNumber}}</p>
+          <p><strong>Pickup:</strong> {{pickup}}</p>
+        </div>
+        <p>Please write the RMA number on the parcel and keep the items in their original packaging.</p>
+      `,
+
+      returnRejected: `
+        <h2>Update on Your Return Request</h2>
+        <p>Hi {{firstName}},</p>
+        <p>We're sorry, but your return request for order {{orderNumber}} could not be approved.</p>
+        <p><strong>Reason:</strong> {{reason}}</p>
+        <p>If you have any questions, please contact our support team.</p>
+        <a href="mailto:support@shoppyglobe.com" class="button">Contact Support</a>
+      `,
+
+      returnPickupScheduled: `
+        <h2>Your Return Pickup Is Scheduled</h2>
+        <p>Hi {{firstName}},</p>
+        <p>We'll collect the return for order {{orderNumber}} (RMA {{rmaNumber}}).</p>
+        <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Pickup:</strong> {{pickup}}</p>
+          <p><strong>Carrier:</strong> {{carrier}}</p>
+        </div>
+      `,
+
+      returnCompleted: `
+        <h2>Your Return Is Complete</h2>
+        <p>Hi {{firstName}},</p>
+        <p>We've received and inspected the items returned under RMA {{rmaNumber}}.</p>
+        <p><strong>Refund:</strong> ₹{{refundAmount}}</p>
+        <p>Refunds usually reach your original payment method within 5-7 business days.</p>
+        <a href="{{orderUrl}}" class="button">View Order Details</a>
+      `,
+
+      sellerApproved: `
+        <h2>Welcome to the ShoppyGlobe Marketplace!</h2>
+        <p>Hi {{firstName}},</p>
+        <p>Your seller application for <strong>{{businessName}}</strong> has been approved.</p>
+        <p><strong>Commission:</strong> {{commission}}</p>
+        <p>You can now list products and follow your orders, returns and payouts from your seller dashboard.</p>
+        <a href="{{dashboardUrl}}" class="button">Open Seller Dashboard</a>
+      `,
+
+      sellerRejected: `
+        <h2>Seller Application Update</h2>
+        <p>Hi {{firstName}},</p>
+        <p>We couldn't approve the seller application for <strong>{{businessName}}</strong>.</p>
+        <p><strong>Reason:</strong> {{reason}}</p>
+        <p>You're welcome to correct the details and apply again.</p>
+      `,
+      productRejected: `
+        <h2>Product Not Approved</h2>
+        <p>Hi {{firstName}},</p>
+        <p>Your product <strong>{{title}}</strong> wasn't approved for the store.</p>
+        <p><strong>Reason:</strong> {{reason}}</p>
+        <p>Update the listing and it will be reviewed again.</p>
+        <a href="{{productUrl}}" class="button">Edit Product</a>
       `
     };
 
@@ -358,11 +432,15 @@ class EmailService {
   }
 
   /**
-   * Send order shipped notification
+   * Send order shipped notification for one of its shipments
    * @param {Object} user - User object
    * @param {Object} order - Order object
+   * @param {Object} shipment - Shipment that went out
    */
-  async sendOrderShipped(user, order) {
+  async sendOrderShipped(user, order, shipment) {
+    const units = shipment.items.reduce((total, item) => total + item.quantity, 0);
+    const shippedItems = units === order.totalItems ? 'Your order' : `A box with ${units} of your ${order.totalItems} items`;
+
     return this.sendEmail({
       to: user.email,
       subject: `Your Order #${order.orderNumber} Has Shipped!`,
@@ -370,15 +448,187 @@ class EmailService {
       variables: {
         firstName: user.firstName,
         orderNumber: order.orderNumber,
-        trackingNumber: order.tracking.trackingNumber,
+        shippedItems,
+        shipmentNumber: shipment.shipmentNumber,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
         estimatedDelivery: order.estimatedDelivery 
           ? order.estimatedDelivery.toLocaleDateString() 
           : 'TBD',
-        trackingUrl: order.tracking.trackingUrl || '#'
+        trackingUrl: shipment.trackingUrl || '#'
       }
     });
   }
 
+  /**
+   * Send return request acknowledgement
+   * @param {Object} user - User object
+   * @param {Object} order - Order object
+   */
+  async sendReturnRequested(user, order) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Return Request Received for Order #${order.orderNumber}`,
+      template: 'returnRequested',
+      variables: {
+        firstName: user.firstName,
+        orderNumber: order.orderNumber,
+        orderUrl: `${process.env.CLIENT_URL}/orders/${order._id}`
+      }
+    });
+  }
+
+  /**
+   * Send return approval with the RMA number
+   * @param {Object} user - User object
+   * @param {Object} order - Order object
+   */
+  async sendReturnApproved(user, order) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Return Approved - RMA ${order.returnRequest.rmaNumber}`,
+      template: 'returnApproved',
+      variables: {
+        firstName: user.firstName,
+        orderNumber: order.orderNumber,
+        rmaNumber: order.returnRequest.rmaNumber,
+        pickup: this.formatPickup(order.returnRequest.pickup) || 'We will contact you to schedule it'
+      }
+    });
+  }
+
+  /**
+   * Send return rejection
+   * @param {Object} user - User object
+   * @param {Object} order - Order object
+   */
+  async sendReturnRejected(user, order) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Update on Your Return for Order #${order.orderNumber}`,
+      template: 'returnRejected',
+      variables: {
+        firstName: user.firstName,
+        orderNumber: order.orderNumber,
+        reason: order.returnRequest.rejectionReason
+      }
+    });
+  }
+
+  /**
+   * Send return pickup details
+   * @param {Object} user - User object
+   * @param {Object} order - Order object
+   */
+  async sendReturnPickupScheduled(user, order) {
+    const pickup = order.returnRequest.pickup;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `Return Pickup Scheduled - RMA ${order.returnRequest.rmaNumber}`,
+      template: 'returnPickupScheduled',
+      variables: {
+        firstName: user.firstName,
+        orderNumber: order.orderNumber,
+        rmaNumber: order.returnRequest.rmaNumber,
+        pickup: this.formatPickup(pickup),
+        carrier: pickup.carrier || 'Our delivery partner'
+      }
+    });
+  }
+
+  /**
+   * Send return completion with the refunded amount
+   * @param {Object} user - User object
+   * @param {Object} order - Order object
+   */
+  async sendReturnCompleted(user, order) {
+    const refund = order.returnRequest.refund;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `Return Complete - RMA ${order.returnRequest.rmaNumber}`,
+      template: 'returnCompleted',
+      variables: {
+        firstName: user.firstName,
+        rmaNumber: order.returnRequest.rmaNumber,
+        refundAmount: (refund && refund.amount ? refund.amount : 0).toFixed(2),
+        orderUrl: `${process.env.CLIENT_URL}/orders/${order._id}`
+      }
+    });
+  }
+
+  /**
+   * Send seller application approval
+   * @param {Object} user - User object
+   * @param {Object} seller - Seller profile
+   */
+  async sendSellerApproved(user, seller) {
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Your Seller Application Has Been Approved',
+      template: 'sellerApproved',
+      variables: {
+        firstName: user.firstName,
+        businessName: seller.businessName,
+        commission: seller.commissionRate !== null && seller.commissionRate !== undefined
+          ? `${seller.commissionRate}% of each sale`
+          : 'our standard rate for each category',
+        dashboardUrl: `${process.env.CLIENT_URL}/seller`
+      }
+    });
+  }
+
+  /**
+   * Send seller application rejection
+   * @param {Object} user - User object
+   * @param {Object} seller - Seller profile
+   */
+  async sendSellerRejected(user, seller) {
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Your Seller Application',
+      template: 'sellerRejected',
+      variables: {
+        firstName: user.firstName,
+        businessName: seller.businessName,
+        reason: seller.rejectionReason
+      }
+    });
+  }
+
+  /**
+   * Send product rejection to its seller
+   * @param {Object} user - Seller's user object
+   * @param {Object} product - Product object
+   */
+  async sendProductRejected(user, product) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Your Product Was Not Approved: ${product.title}`,
+      template: 'productRejected',
+      variables: {
+        firstName: user.firstName,
+        title: product.title,
+        reason: product.rejectionReason,
+        productUrl: `${process.env.CLIENT_URL}/seller/products/${product._id}`
+      }
+    });
+  }
+
+  /**
+   * Describe a return pickup for emails
+   * @param {Object} pickup - Order returnRequest.pickup
+   * @returns {string} e.g. "Mon Oct 20 2026, 10:00-13:00"
+   */
+  formatPickup(pickup) {
+    if (!pickup || !pickup.scheduledFor) {
+      return '';
+    }
+
+    return [pickup.scheduledFor.toDateString(), pickup.slot].filter(Boolean).join(', ');
+  }
+
   /**
    * Send password changed notification
    * @param {Object} user - User object
@@ -0,0 +1,82 @@
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+/**
+ * Reserve stock for a set of order lines, all or nothing
+ * Each line is an atomic conditional decrement; if any line can't be covered,
+ * the lines already reserved are released before the error is rethrown.
+ * @param {Array} items - Order items ({ product, title, quantity, selectedVariants })
+ * @returns {Promise<Array>} The reserved items
+ */
+const reserveItems = async (items) => {
+  const reserved = [];
+
+  try {
+    for (const item of items) {
+      let product;
+
+      try {
+        product = await Product.reserveStock(item.product, item.quantity, item.selectedVariants);
+      } catch (error) {
+        // Variant selection no longer matches the product
+        throw new AppError(error.message, 400);
+      }
+
+      if (!product) {
+        throw new AppError(`Insufficient stock for ${item.title}`, 409);
+      }
+
+      reserved.push(item);
+    }
+  } catch (error) {
+    await releaseItems(reserved);
+    throw error;
+  }
+
+  return reserved;
+};
+
+/**
+ * Release stock for a set of order lines
+ * Failures are logged per line so one bad line doesn't strand the others.
+ * @param {Array} items - Order items ({ product, quantity, selectedVariants })
+ */
+const releaseItems = async (items) => {
+  for (const item of items) {
+    try {
+      await Product.releaseStock(item.product, item.quantity, item.selectedVariants);
+    } catch (error) {
+      logger.error('Stock release failed', {
+        productId: item.product.toString(),
+        quantity: item.quantity,
+        error: error.message
+      });
+    }
+  }
+};
+
+/**
+ * Work out when a stock hold placed now should lapse
+ * Unpaid online orders keep their reserved stock until then (see jobs/reservationExpiryJob).
+ * @param {number} [minutes] - Hold length, defaults to STOCK_HOLD_MINUTES (30)
+ * @returns {Date} Expiry time
+ */
+const holdExpiresAt = (minutes = parseInt(process.env.STOCK_HOLD_MINUTES, 10) || 30) => {
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+/**
+ * Work out how far to push a hold whose payment is still settling
+ * @returns {Date} Extended expiry time, STOCK_HOLD_EXTENSION_MINUTES (15) from now
+ */
+const holdExtensionExpiresAt = () => {
+  return holdExpiresAt(parseInt(process.env.STOCK_HOLD_EXTENSION_MINUTES, 10) || 15);
+};
+
+module.exports = {
+  reserveItems,
+  releaseItems,
+  holdExpiresAt,
+  holdExtensionExpiresAt
+};
@@ -0,0 +1,196 @@
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const emailService = require('./emailService');
+const inventoryService = require('./inventoryService');
+const couponService = require('./couponService');
+
+// Statuses in which the order's items are still held out of stock for it
+const HOLDS_STOCK = ['pending', 'confirmed', 'processing'];
+
+/**
+ * Move an order to a new status and run that move's side effects
+ * The transition table (config/orderStatus) decides which moves are allowed; a refused
+ * move is a 409 listing the statuses the order can move to instead.
+ *
+ *   -> confirmed   from cancelled: re-reserve the stock (409 if it's gone) and the coupon
+ *                  from pending: confirmation email
+ *   -> delivered   COD orders become paid; product sales analytics
+ *   -> cancelled   cancellation record; unsent shipments cancelled; stock and coupon released if still held
+ *                  (less any units a refund already restocked)
+ *
+ * Shipping emails go out per shipment (see shipmentService), not on the order's move.
+ *
+ * @param {Object} order - Order document
+ * @param {string} status - New status
+ * @param {Object} [options] - { notes, updatedBy, reason (cancellation reason) }
+ * @returns {Promise<Object>} The order
+ */
+const transition = async (order, status, { notes, updatedBy, reason } = {}) => {
+  const previousStatus = order.status;
+
+  assertTransition(order, status);
+
+  switch (status) {
+    case 'confirmed':
+      if (previousStatus === 'cancelled') {
+        await reinstate(order, notes, updatedBy);
+        break;
+      }
+      await order.updateStatus(status, notes, updatedBy);
+
+      if (previousStatus === 'pending') {
+        await notify(order, 'sendOrderConfirmation', 'Order confirmation email failed:');
+      }
+      break;
+
+    case 'delivered':
+      // Cash is taken at the door, so a delivered COD order is paid
+      if (order.paymentMethod === 'cod' && order.paymentStatus === 'pending') {
+        order.paymentStatus = 'paid';
+      }
+      await order.updateStatus(status, notes, updatedBy);
+
+      // Update product analytics
+      for (const item of order.items) {
+        await Product.findByIdAndUpdate(item.product, {
+          $inc: {
+            purchases: item.quantity,
+            revenue: item.total
+          }
+        });
+      }
+      break;
+
+    case 'cancelled':
+      order.cancellation = {
+        reason: reason || notes,
+        cancelledAt: new Date(),
+        cancelledBy: updatedBy,
+        refundStatus: order.paymentStatus === 'paid' ? 'pending' : 'none'
+      };
+      order.reservationExpiresAt = undefined;
+      order.shipments
+        .filter(shipment => shipment.status === 'pending')
+        .forEach(shipment => {
+          shipment.status = 'cancelled';
+          shipment.cancelledAt = new Date();
+          shipment.statusHistory.push({ status: 'cancelled', timestamp: new Date(), notes: 'Order cancelled', updatedBy });
+        });
+      await order.updateStatus(status, reason || notes, updatedBy);
+
+      if (HOLDS_STOCK.includes(previousStatus)) {
+        // Release reserved stock and the coupon redemption
+        await inventoryService.releaseItems(heldItems(order));
+        await couponService.releaseCoupon(order.appliedCoupon && order.appliedCoupon.code);
+      }
+      break;
+
+    default:
+      await order.updateStatus(status, notes, updatedBy);
+  }
+
+  logger.info('Order status updated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    previousStatus,
+    newStatus: status,
+    updatedBy
+  });
+
+  return order;
+};
+
+/**
+ * Throw the 409 for a move the transition table (or its guards) doesn't allow
+ * @param {Object} order - Order document
+ * @param {string} status - Status it would move to
+ */
+const assertTransition = (order, status) => {
+  if (!order.canTransitionTo(status)) {
+    throw order.constructor.transitionError(order.status, status);
+  }
+
+  if (order.status === 'cancelled' && status === 'confirmed' && order.paymentStatus !== 'paid') {
+    throw new AppError('Only a paid order can be reinstated', 409, {
+      currentStatus: order.status,
+      allowedStatuses: order.allowedTransitions().filter(next => next !== 'confirmed')
+    });
+  }
+};
+
+/**
+ * Whether an order's stock has gone back on sale because it was cancelled (and not reinstated)
+ * Refunding its lines must not restock them a second time.
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+const hasReleasedStock = (order) => Boolean(order.cancellation && order.cancellation.cancelledAt);
+
+// Helper functions
+
+/**
+ * The order's lines less the units a refund has already put back in stock
+ */
+const heldItems = (order) => {
+  return order.items
+    .map(item => {
+      const restocked = (order.refunds || [])
+        .filter(refund => refund.restockedAt)
+        .reduce((total, refund) => total + refund.items
+          .filter(line =>
+            line.product.toString() === item.product.toString() &&
+            (line.variantKey || '') === (item.variantKey || '')
+          )
+          .reduce((sum, line) => sum + line.quantity, 0), 0);
+
+      return {
+        product: item.product,
+        quantity: item.quantity - restocked,
+        selectedVariants: item.selectedVariants
+      };
+    })
+    .filter(item => item.quantity > 0);
+};
+
+/**
+ * Bring a cancelled order back once it turns out to be paid
+ * The stock is reserved again first (409 when it's gone); it is given back if the order can't be saved.
+ */
+const reinstate = async (order, notes, updatedBy) => {
+  await inventoryService.reserveItems(order.items);
+
+  try {
+    order.cancellation = undefined;
+    order.cancelledAt = undefined;
+    await order.updateStatus('confirmed', notes, updatedBy);
+  } catch (error) {
+    await inventoryService.releaseItems(order.items);
+    throw error;
+  }
+
+  // The redemption was given back on cancellation; the customer paid the discounted price
+  if (order.appliedCoupon && order.appliedCoupon.code) {
+    await couponService.redeemCoupon(order.appliedCoupon.code, { enforceLimit: false });
+  }
+};
+
+/**
+ * Send a customer email about the order without failing the status change
+ */
+const notify = async (order, method, failureMessage) => {
+  try {
+    if (!order.populated('user')) {
+      await order.populate('user', 'firstName lastName email');
+    }
+    await emailService[method](order.user, order);
+  } catch (emailError) {
+    logger.error(failureMessage, emailError);
+  }
+};
+
+module.exports = {
+  transition,
+  assertTransition,
+  hasReleasedStock
+};
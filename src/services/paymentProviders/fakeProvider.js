@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const AppError = require('../../utils/appError');
+
+const WEBHOOK_SECRET = 'fake-webhook-secret';
+
+/**
+ * In-process payment provider for tests and local development
+ * Keeps payments in memory and never calls out. Besides the provider interface it
+ * exposes controls to settle a payment and signed webhook deliveries for it:
+ *
+ *   const provider = createFakeProvider('razorpay');
+ *   paymentProviders.registerProvider('razorpay', provider);
+ *   const event = provider.succeed(intentId); // or fail(), process(), settleRefund(refundId, status)
+ *   const { body, headers } = provider.signWebhook(event); // POST to /api/payments/webhook/razorpay
+ *
+ * @param {string} [name] - Provider name it stands in for
+ * @returns {Object} Provider
+ */
+const createFakeProvider = (name = 'fake') => {
+  const payments = new Map();
+  const refunds = [];
+  let sequence = 0;
+  let refundStatus = 'succeeded';
+
+  const nextId = (prefix) => `${name}_${prefix}_${++sequence}`;
+
+  const find = (intentId) => {
+    const payment = payments.get(intentId);
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    return payment;
+  };
+
+  // Settle a payment and return the webhook event the provider would send
+  const settle = (intentId, status, type, error) => {
+    const payment = find(intentId);
+
+    payment.status = status;
+    payment.error = error;
+    if (status === 'succeeded') {
+      payment.transactionId = nextId('txn');
+    }
+
+    return {
+      id: nextId('evt'),
+      type,
+      payment: { ...payment }
+    };
+  };
+
+  return {
+    name,
+    payments,
+    refunds,
+
+    isConfigured: () => true,
+
+    createIntent: async ({ amount, currency, metadata = {} }) => {
+      const payment = {
+        id: nextId('pi'),
+        status: 'pending',
+        amount,
+        currency,
+        metadata: { ...metadata },
+        transactionId: undefined,
+        receiptUrl: undefined,
+        error: undefined
+      };
+      payments.set(payment.id, payment);
+
+      return {
+        ...payment,
+        clientSecret: `${payment.id}_secret`,
+        clientData: {}
+      };
+    },
+
+    confirm: async (intentId) => ({ ...find(intentId) }),
+
+    fetchStatus: async (intentId) => ({ ...find(intentId) }),
+
+    refund: async (paymentDetails, { amount }) => {
+      const result = { id: nextId('re'), amount, status: refundStatus, paymentIntentId: paymentDetails.paymentIntentId };
+      refunds.push(result);
+      return { id: result.id, amount: result.amount, status: result.status };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const expected = sign(body);
+      // Node lowercases incoming header names; signWebhook's own headers can be passed as they are
+      const signature = headers['x-fake-signature'] || headers['X-Fake-Signature'] || '';
+
+      if (Buffer.byteLength(signature) !== Buffer.byteLength(expected) ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid fake webhook signature');
+      }
+
+      return JSON.parse(body);
+    },
+
+    // Events are created already normalized
+    normalizeEvent: (event) => ({
+      id: event.id,
+      type: event.type,
+      payment: event.payment || null,
+      data: event.data || null
+    }),
+
+    succeed: (intentId) => settle(intentId, 'succeeded', 'payment.succeeded'),
+
+    process: (intentId) => settle(intentId, 'processing', 'payment.processing'),
+
+    fail: (intentId, reason = 'Card declined') => settle(intentId, 'failed', 'payment.failed', reason),
+
+    // Status new refunds are created with, e.g. pending to settle them later via settleRefund
+    setRefundStatus: (status) => {
+      refundStatus = status;
+    },
+
+    settleRefund: (refundId, status = 'succeeded', reason) => {
+      const refund = refunds.find(entry => entry.id === refundId);
+
+      if (!refund) {
+        throw new AppError('Refund not found', 404);
+      }
+
+      refund.status = status;
+
+      return {
+        id: nextId('evt'),
+        type: 'refund.updated',
+        data: { id: refund.id, amount: refund.amount, status, reason }
+      };
+    },
+
+    signWebhook: (event) => {
+      const body = JSON.stringify(event);
+
+      return {
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Fake-Signature': sign(body)
+        }
+      };
+    }
+  };
+};
+
+// Helper functions
+
+const sign = (body) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+module.exports = {
+  createFakeProvider
+};
@@ -0,0 +1,70 @@
+const AppError = require('../../utils/appError');
+const stripeProvider = require('./stripeProvider');
+const razorpayProvider = require('./razorpayProvider');
+const { createFakeProvider } = require('./fakeProvider');
+
+/**
+ * Payment providers, keyed by the Order.paymentMethod that uses them
+ *
+ * Every provider implements the same interface, amounts in the currency's smallest unit:
+ *   isConfigured()                              -> boolean
+ *   createIntent({ amount, currency, metadata, customer })
+ *                                               -> payment + { clientSecret, clientData }
+ *   confirm(intentId, confirmation)             -> payment (checks what the client submitted)
+ *   fetchStatus(intentId)                       -> payment
+ *   refund(paymentDetails, { amount, reason, metadata }) -> refund
+ *   verifyWebhook(rawBody, headers)             -> verified event ({ id, type, ... }), throws if forged
+ *   normalizeEvent(event)                       -> { id, type, payment, data }
+ *   maxMetadataKeys (optional)                  -> most metadata keys createIntent keeps
+ *
+ * A payment is { id, status, amount, currency, metadata, transactionId, receiptUrl, error }
+ * with status one of pending, processing, succeeded, failed or cancelled. A refund is
+ * { id, amount, status, reason } with status one of pending, succeeded or failed. Normalized
+ * event types are payment.succeeded, payment.processing, payment.failed, dispute.created,
+ * refund.updated (data is the refund) and invoice.paid.
+ */
+const providers = {
+  stripe: stripeProvider,
+  razorpay: razorpayProvider
+};
+
+const LABELS = {
+  stripe: 'Stripe',
+  razorpay: 'Razorpay',
+  paypal: 'PayPal'
+};
+
+/**
+ * Get the provider for a payment method
+ * @param {string} name - stripe, razorpay, ...
+ * @returns {Object} Provider
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+
+  if (!provider || !provider.isConfigured()) {
+    throw new AppError(`${LABELS[name] || name} payments are not available`, 400);
+  }
+
+  return provider;
+};
+
+/**
+ * Replace or add a provider, e.g. an in-process fake in tests
+ * @param {string} name - Payment method it serves
+ * @param {Object} provider - Provider implementing the interface above
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// PAYMENT_PROVIDERS=fake runs checkout end to end without any real gateway
+if (process.env.PAYMENT_PROVIDERS === 'fake') {
+  Object.keys(providers).forEach(name => registerProvider(name, createFakeProvider(name)));
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  createFakeProvider
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const AppError = require('../../utils/appError');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Notes Razorpay keeps on an order
+const MAX_NOTES = 15;
+
+// Razorpay payment statuses in provider-neutral terms
+const STATUSES = {
+  created: 'pending',
+  authorized: 'processing',
+  captured: 'succeeded',
+  refunded: 'succeeded',
+  failed: 'failed'
+};
+
+// Razorpay refund statuses in provider-neutral terms
+const REFUND_STATUSES = {
+  pending: 'pending',
+  processed: 'succeeded',
+  failed: 'failed'
+};
+
+// Razorpay event types the checkout reacts to, in provider-neutral terms
+const EVENT_TYPES = {
+  'payment.authorized': 'payment.processing',
+  'payment.captured': 'payment.succeeded',
+  'order.paid': 'payment.succeeded',
+  'payment.failed': 'payment.failed',
+  'payment.dispute.created': 'dispute.created',
+  'refund.processed': 'refund.updated',
+  'refund.failed': 'refund.updated'
+};
+
+const isConfigured = () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+
+/**
+ * Create a Razorpay order for Razorpay Checkout (cards, UPI, netbanking, wallets)
+ * The order plays the part of the payment intent: its ID is what the client pays.
+ * @param {Object} params - { amount (smallest unit), currency, metadata }
+ * @returns {Promise<Object>} Payment, plus clientData for Razorpay Checkout
+ */
+const createIntent = async ({ amount, currency, metadata = {} }) => {
+  const order = await request('POST', '/orders', {
+    amount,
+    currency: currency.toUpperCase(),
+    receipt: metadata.orderNumber || metadata.cartId,
+    // Notes only take strings, and at most MAX_NOTES of them
+    notes: Object.fromEntries(
+      Object.entries(metadata).slice(0, MAX_NOTES).map(([key, value]) => [key, String(value)])
+    ),
+    payment_capture: 1
+  });
+
+  return {
+    ...toPayment(order, null),
+    clientSecret: null,
+    clientData: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      orderId: order.id
+    }
+  };
+};
+
+/**
+ * Check the payment Razorpay Checkout handed back to the client
+ * @param {string} intentId - Razorpay order ID
+ * @param {Object} [confirmation] - { razorpay_payment_id, razorpay_signature } from Checkout
+ */
+const confirm = async (intentId, confirmation = {}) => {
+  const { razorpay_payment_id: paymentId, razorpay_signature: signature } = confirmation;
+
+  if (!paymentId || !signature) {
+    throw new AppError('Razorpay payment ID and signature are required', 400);
+  }
+
+  const expected = hmac(process.env.RAZORPAY_KEY_SECRET, `${intentId}|${paymentId}`);
+
+  if (!safeEqual(signature, expected)) {
+    throw new AppError('Invalid Razorpay payment signature', 400);
+  }
+
+  const [order, payment] = await Promise.all([
+    request('GET', `/orders/${intentId}`),
+    request('GET', `/payments/${paymentId}`)
+  ]);
+
+  return toPayment(order, payment);
+};
+
+/**
+ * Fetch an order's current state from its most recent payment
+ */
+const fetchStatus = async (intentId) => {
+  const [order, payments] = await Promise.all([
+    request('GET', `/orders/${intentId}`),
+    request('GET', `/orders/${intentId}/payments`)
+  ]);
+
+  const attempts = payments.items || [];
+  const payment = attempts.find(item => item.status === 'captured') || attempts[0] || null;
+
+  return toPayment(order, payment);
+};
+
+/**
+ * Refund (part of) a payment
+ * @param {Object} paymentDetails - Order.paymentDetails
+ * @param {Object} params - { amount (smallest unit), metadata }
+ */
+const refund = async (paymentDetails, { amount, metadata = {} }) => {
+  const result = await request('POST', `/payments/${paymentDetails.transactionId}/refund`, {
+    amount,
+    notes: metadata
+  });
+
+  return toRefund(result);
+};
+
+/**
+ * Check a webhook's X-Razorpay-Signature against the raw body
+ * @returns {Object} The verified event, with the delivery's event ID as `id` and its `type`
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new AppError('Webhook endpoint is not configured', 500);
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+
+  if (!safeEqual(headers['x-razorpay-signature'] || '', hmac(secret, body))) {
+    throw new Error('Invalid Razorpay webhook signature');
+  }
+
+  const event = JSON.parse(body);
+
+  return {
+    ...event,
+    id: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(body).digest('hex'),
+    type: event.event
+  };
+};
+
+/**
+ * Reduce a Razorpay event to { id, type, payment, data }
+ */
+const normalizeEvent = (event) => {
+  const payload = event.payload || {};
+  const payment = payload.payment ? payload.payment.entity : null;
+  const dispute = payload.dispute ? payload.dispute.entity : null;
+  const refund = payload.refund ? payload.refund.entity : null;
+  let data = payload;
+
+  if (dispute) {
+    data = { id: dispute.id, paymentId: dispute.payment_id, amount: dispute.amount, reason: dispute.reason_code };
+  } else if (refund) {
+    data = toRefund(refund);
+  }
+
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || event.type,
+    payment: payment ? toPayment(payload.order ? payload.order.entity : { id: payment.order_id }, payment) : null,
+    data
+  };
+};
+
+// Helper functions
+
+/**
+ * Call the Razorpay API with the key pair
+ */
+const request = async (method, path, body) => {
+  const credentials = Buffer
+    .from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`)
+    .toString('base64');
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Razorpay ${method} ${path} failed: ${(data.error && data.error.description) || response.status}`);
+  }
+
+  return data;
+};
+
+/**
+ * Razorpay order (and its payment, once there is one) in provider-neutral terms
+ */
+const toPayment = (order, payment) => ({
+  id: order.id,
+  status: payment
+    ? (STATUSES[payment.status] || 'pending')
+    : (order.status === 'paid' ? 'succeeded' : 'pending'),
+  amount: payment ? payment.amount : order.amount,
+  currency: ((payment && payment.currency) || order.currency || '').toLowerCase(),
+  metadata: order.notes || {},
+  // Refunds are made against the payment, not the order
+  transactionId: payment ? payment.id : undefined,
+  receiptUrl: undefined,
+  error: payment && payment.error_description ? payment.error_description : undefined
+});
+
+/**
+ * Refund in provider-neutral terms
+ */
+const toRefund = (refund) => ({
+  id: refund.id,
+  amount: refund.amount,
+  status: REFUND_STATUSES[refund.status] || 'pending',
+  reason: refund.error_description || undefined
+});
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+// Compares bytes, not characters: a multibyte signature can match in length but not in bytes
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = {
+  name: 'razorpay',
+  maxMetadataKeys: MAX_NOTES,
+  isConfigured,
+  createIntent,
+  confirm,
+  fetchStatus,
+  refund,
+  verifyWebhook,
+  normalizeEvent
+};
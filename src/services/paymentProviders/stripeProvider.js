@@ -0,0 +1,185 @@
+const Stripe = require('stripe');
+const AppError = require('../../utils/appError');
+
+// Stripe payment intent statuses in provider-neutral terms
+const STATUSES = {
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  requires_capture: 'processing',
+  processing: 'processing',
+  succeeded: 'succeeded',
+  canceled: 'cancelled'
+};
+
+// Stripe refund statuses in provider-neutral terms
+const REFUND_STATUSES = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Stripe event types the checkout reacts to, in provider-neutral terms
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.processing': 'payment.processing',
+  'payment_intent.payment_failed': 'payment.failed',
+  'charge.dispute.created': 'dispute.created',
+  'charge.refund.updated': 'refund.updated',
+  'refund.updated': 'refund.updated',
+  'invoice.payment_succeeded': 'invoice.paid'
+};
+
+let client;
+
+/**
+ * Stripe SDK client, created on first use
+ */
+const getClient = () => {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const isConfigured = () => Boolean(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Create a payment intent
+ * @param {Object} params - { amount (smallest unit), currency, metadata, customer }
+ * @returns {Promise<Object>} Payment, plus clientSecret for Stripe.js
+ */
+const createIntent = async ({ amount, currency, metadata, customer }) => {
+  const intent = await getClient().paymentIntents.create({
+    amount,
+    currency,
+    customer,
+    metadata,
+    automatic_payment_methods: {
+      enabled: true
+    }
+  });
+
+  return {
+    ...toPayment(intent),
+    clientSecret: intent.client_secret,
+    clientData: {}
+  };
+};
+
+/**
+ * Look up a payment intent after the customer has paid
+ * Stripe.js confirms on the client, so there is nothing to submit here.
+ */
+const confirm = (intentId) => fetchStatus(intentId);
+
+/**
+ * Fetch a payment intent's current state
+ */
+const fetchStatus = async (intentId) => {
+  const intent = await getClient().paymentIntents.retrieve(intentId, {
+    expand: ['latest_charge']
+  });
+
+  return toPayment(intent);
+};
+
+/**
+ * Refund (part of) a payment
+ * @param {Object} paymentDetails - Order.paymentDetails
+ * @param {Object} params - { amount (smallest unit), reason, metadata }
+ */
+const refund = async (paymentDetails, { amount, reason, metadata }) => {
+  const result = await getClient().refunds.create({
+    payment_intent: paymentDetails.paymentIntentId,
+    amount,
+    reason: reason || 'requested_by_customer',
+    metadata
+  });
+
+  return toRefund(result);
+};
+
+/**
+ * Check a webhook's Stripe-Signature against the raw body
+ * @returns {Object} The verified Stripe event
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!endpointSecret) {
+    throw new AppError('Webhook endpoint is not configured', 500);
+  }
+
+  return getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], endpointSecret);
+};
+
+/**
+ * Reduce a Stripe event to { id, type, payment, data }
+ */
+const normalizeEvent = (event) => {
+  const object = event.data.object;
+  const type = EVENT_TYPES[event.type] || event.type;
+  let data = object;
+
+  if (type === 'dispute.created') {
+    data = { id: object.id, paymentId: object.charge, amount: object.amount, reason: object.reason };
+  } else if (type === 'refund.updated') {
+    data = toRefund(object);
+  }
+
+  return {
+    id: event.id,
+    type,
+    payment: event.type.startsWith('payment_intent.') ? toPayment(object) : null,
+    data
+  };
+};
+
+// Helper functions
+
+/**
+ * Payment intent in provider-neutral terms
+ */
+const toPayment = (intent) => {
+  const charge = intent.latest_charge && typeof intent.latest_charge === 'object'
+    ? intent.latest_charge
+    : null;
+  const failed = intent.status === 'requires_payment_method' && intent.last_payment_error;
+
+  return {
+    id: intent.id,
+    status: failed ? 'failed' : (STATUSES[intent.status] || 'pending'),
+    amount: intent.amount,
+    currency: intent.currency,
+    metadata: intent.metadata || {},
+    // Refunds and receipts are keyed by the intent itself
+    transactionId: intent.id,
+    receiptUrl: charge ? charge.receipt_url : undefined,
+    error: intent.last_payment_error ? intent.last_payment_error.message : undefined
+  };
+};
+
+/**
+ * Refund in provider-neutral terms
+ */
+const toRefund = (refund) => ({
+  id: refund.id,
+  amount: refund.amount,
+  status: REFUND_STATUSES[refund.status] || 'pending',
+  reason: refund.failure_reason
+});
+
+module.exports = {
+  name: 'stripe',
+  getClient,
+  isConfigured,
+  createIntent,
+  confirm,
+  fetchStatus,
+  refund,
+  verifyWebhook,
+  normalizeEvent
+};
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const couponService = require('./couponService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+
+// Bump whenever the quote's shape or the pricing rules change, so quotes
+// issued by the previous release are refused instead of misread
+const QUOTE_VERSION = 1;
+
+// Currency product prices, and so every quote, order and payment, are in
+const CURRENCY = 'inr';
+
+/**
+ * Price a cart for checkout and issue a signed quote
+ * The quote carries everything an order needs (lines with tax, coupon, shipping,
+ * totals) and is signed for the customer, so it can be handed back to create the
+ * payment intent and the order without either recomputing its own amount.
+ * @param {Object} cart - Cart document
+ * @param {string} userId - Customer checking out
+ * @param {Object} options
+ * @param {Object} options.shippingAddress - Destination ({ country, state, zipCode })
+ * @param {string} [options.shippingMethod] - standard, express or same_day
+ * @param {string} [options.currency] - ISO currency code; only CURRENCY is priced
+ * @param {Date} [options.now] - Issue time
+ * @returns {Promise<Object>} Signed quote
+ */
+const priceCart = async (cart, userId, {
+  shippingAddress,
+  shippingMethod = 'standard',
+  currency = CURRENCY,
+  now = new Date()
+}) => {
+  // Amounts aren't converted, so a quote in any other currency would charge the wrong amount
+  if (currency.toLowerCase() !== CURRENCY) {
+    throw new AppError(`Prices are only available in ${CURRENCY.toUpperCase()}`, 400);
+  }
+
+  const lines = await buildLines(cart);
+
+  const coupon = await couponService.priceCartCoupon(cart, userId, lines);
+  const discountAmount = coupon ? coupon.discountAmount : 0;
+
+  // GST per line on the discounted value, split by seller and shipping state
+  const tax = await taxService.calculateOrderTax(lines, {
+    shippingAddress,
+    lineDiscounts: coupon ? coupon.lineDiscounts : []
+  });
+
+  const subtotal = round(lines.reduce((total, line) => total + line.total, 0));
+  const shipping = await shippingService.selectShippingOption(lines, shippingAddress, shippingMethod, {
+    orderValue: subtotal,
+    now
+  });
+
+  // Tax-inclusive prices already carry their GST
+  const total = round(subtotal + shipping.cost + (tax.pricesIncludeTax ? 0 : tax.taxAmount) - discountAmount);
+
+  const quote = {
+    version: QUOTE_VERSION,
+    currency: currency.toLowerCase(),
+    destination: destinationOf(shippingAddress),
+    items: lines.map((line, index) => ({ ...line, tax: tax.lines[index] })),
+    subtotal,
+    discount: {
+      coupon: coupon ? coupon.appliedCoupon : null,
+      amount: discountAmount
+    },
+    shipping: {
+      method: shipping.method,
+      label: shipping.label,
+      cost: shipping.cost,
+      estimatedDelivery: shipping.estimatedDelivery
+    },
+    tax: {
+      amount: tax.taxAmount,
+      included: tax.pricesIncludeTax,
+      breakdown: tax.breakdown
+    },
+    total,
+    issuedAt: now,
+    expiresAt: new Date(now.getTime() + quoteTtlMinutes() * 60 * 1000)
+  };
+
+  // Sign exactly what the client will send back: ids and dates as strings
+  const signed = JSON.parse(JSON.stringify(quote));
+  signed.signature = sign(signed, userId);
+
+  return signed;
+};
+
+/**
+ * Check that a quote was issued by this server to this customer
+ * @param {Object} quote - Quote as returned by priceCart
+ * @param {string} userId - Customer presenting it
+ * @param {Object} [options]
+ * @param {boolean} [options.allowExpired] - Accept a quote past its expiry (it has already been paid)
+ * @param {Date} [options.now] - Reference time for the expiry check
+ */
+const verifyQuote = (quote, userId, { allowExpired = false, now = new Date() } = {}) => {
+  if (!quote || typeof quote !== 'object' || typeof quote.signature !== 'string') {
+    throw new AppError('A price quote is required. Request one from POST /api/orders/quote', 400);
+  }
+
+  if (quote.version !== QUOTE_VERSION) {
+    throw new AppError('This price quote is no longer supported. Please request a new quote', 409);
+  }
+
+  const { signature, ...body } = quote;
+  const expected = sign(body, userId);
+
+  // Byte lengths, as a multibyte signature can have as many characters as the real one
+  if (typeof signature !== 'string' || Buffer.byteLength(signature) !== Buffer.byteLength(expected) ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new AppError('Invalid price quote', 400);
+  }
+
+  if (!allowExpired && new Date(quote.expiresAt) <= now) {
+    throw new AppError('This price quote has expired. Please request a new quote', 409);
+  }
+};
+
+/**
+ * Accept a quote for checkout, provided it is still what the cart costs now
+ * The cart is priced again for the same destination, method and currency; any
+ * difference (prices, stock-driven variant changes, coupon, shipping or tax)
+ * makes the quote stale.
+ * @param {Object} quote - Quote presented by the customer
+ * @param {Object} cart - Cart document
+ * @param {string} userId - Customer checking out
+ * @param {Object} [options]
+ * @param {Object} [options.shippingAddress] - Address the order ships to; must be the quoted destination
+ * @returns {Promise<Object>} A freshly signed quote with the same amounts
+ */
+const confirmQuote = async (quote, cart, userId, { shippingAddress } = {}) => {
+  verifyQuote(quote, userId);
+
+  if (shippingAddress && !sameDestination(shippingAddress, quote)) {
+    throw new AppError('Shipping address does not match the quoted destination. Please request a new quote', 400);
+  }
+
+  const current = await priceCart(cart, userId, {
+    shippingAddress: shippingAddress || quote.destination,
+    shippingMethod: quote.shipping.method,
+    currency: quote.currency
+  });
+
+  if (fingerprint(current) !== fingerprint(quote)) {
+    throw new AppError('Prices have changed since this quote was issued. Please review the new quote', 409);
+  }
+
+  return current;
+};
+
+/**
+ * Check that a paid quote is the one the payment was made for
+ * Expiry is not checked: the quote was live when the payment intent was created.
+ * @param {Object} quote - Quote presented by the customer
+ * @param {string} userId - Customer presenting it
+ * @param {Object} payment
+ * @param {number} payment.amount - Amount charged, in the currency's smallest unit
+ * @param {string} payment.currency - Currency charged
+ * @param {string} payment.quoteSignature - Signature recorded on the payment
+ * @param {Object} payment.shippingAddress - Address the order ships to
+ */
+const verifyPaidQuote = (quote, userId, { amount, currency, quoteSignature, shippingAddress }) => {
+  verifyQuote(quote, userId, { allowExpired: true });
+
+  if (quote.signature !== quoteSignature ||
+      toMinorUnits(quote.total) !== amount ||
+      String(currency || '').toLowerCase() !== quote.currency) {
+    throw new AppError('This quote does not match the payment', 400);
+  }
+
+  if (!sameDestination(shippingAddress, quote)) {
+    throw new AppError('Shipping address does not match the quoted destination', 400);
+  }
+};
+
+/**
+ * Order fields for a quote, ready to spread into Order.create
+ * @param {Object} quote - Verified quote
+ * @returns {Object} items, amounts, tax, shipping and coupon fields of an order
+ */
+const quoteToOrder = (quote) => ({
+  items: quote.items,
+  subtotal: quote.subtotal,
+  discountAmount: quote.discount.amount,
+  appliedCoupon: quote.discount.coupon || undefined,
+  taxAmount: quote.tax.amount,
+  pricesIncludeTax: quote.tax.included,
+  taxBreakdown: quote.tax.breakdown,
+  shippingCost: quote.shipping.cost,
+  shippingMethod: quote.shipping.method,
+  estimatedDelivery: quote.shipping.estimatedDelivery.latest,
+  totalAmount: quote.total
+});
+
+/**
+ * Convert an amount to the currency's smallest unit (paise for INR)
+ */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Helper functions
+
+/**
+ * Turn cart items into order lines priced from current product data
+ */
+const buildLines = async (cart) => {
+  const lines = [];
+
+  for (const cartItem of cart.items) {
+    const product = await Product.findById(cartItem.product._id || cartItem.product);
+
+    if (!product) {
+      throw new AppError(`Product ${cartItem.product} not found`, 400);
+    }
+
+    if (!product.isListed()) {
+      throw new AppError(`Product ${product.title} is no longer available`, 400);
+    }
+
+    let variant;
+    try {
+      variant = product.resolveVariant(cartItem.selectedVariants);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    if (variant.stock < cartItem.quantity) {
+      throw new AppError(`Insufficient stock for ${product.title}. Available: ${variant.stock}`, 400);
+    }
+
+    lines.push({
+      product: product._id,
+      title: product.title,
+      price: variant.price,
+      quantity: cartItem.quantity,
+      total: round(variant.price * cartItem.quantity),
+      seller: product.seller,
+      productSnapshot: {
+        description: product.description,
+        image: product.thumbnail,
+        sku: variant.sku,
+        brand: product.brand
+      },
+      selectedVariants: variant.selections,
+      variantKey: variant.key
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * The parts of an address that affect shipping and tax
+ */
+const destinationOf = (address) => ({
+  country: address.country,
+  state: address.state,
+  zipCode: address.zipCode
+});
+
+/**
+ * Whether an address is the destination a quote was priced for
+ */
+const sameDestination = (address, quote) =>
+  canonicalJson(destinationOf(address)) === canonicalJson(quote.destination);
+
+/**
+ * The parts of a quote that decide what the customer pays
+ * Issue/expiry times, ETAs and product snapshots don't make a quote stale.
+ */
+const fingerprint = (quote) => canonicalJson({
+  version: quote.version,
+  currency: quote.currency,
+  destination: quote.destination,
+  items: quote.items.map(item => ({
+    product: item.product,
+    variantKey: item.variantKey,
+    quantity: item.quantity,
+    price: item.price,
+    tax: item.tax
+  })),
+  subtotal: quote.subtotal,
+  discount: quote.discount,
+  shipping: {
+    method: quote.shipping.method,
+    cost: quote.shipping.cost
+  },
+  tax: quote.tax,
+  total: quote.total
+});
+
+/**
+ * HMAC of a quote body, bound to the customer it was issued to
+ */
+const sign = (body, userId) => {
+  const secret = process.env.PRICE_QUOTE_SECRET || process.env.JWT_SECRET;
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}.${canonicalJson(body)}`)
+    .digest('hex');
+};
+
+/**
+ * JSON with object keys sorted, so the same quote always serializes the same way
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+const quoteTtlMinutes = () => parseInt(process.env.PRICE_QUOTE_TTL_MINUTES, 10) || 15;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  QUOTE_VERSION,
+  CURRENCY,
+  priceCart,
+  verifyQuote,
+  confirmQuote,
+  verifyPaidQuote,
+  quoteToOrder,
+  toMinorUnits
+};
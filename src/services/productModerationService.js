@@ -0,0 +1,118 @@
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const emailService = require('./emailService');
+
+/**
+ * Get products awaiting (or past) review, oldest submission first
+ * @param {Object} [options] - { status, seller, page, limit }
+ * @returns {Promise<Object>} { products, total }
+ */
+const getQueue = async ({ status = 'pending', seller, page = 1, limit = 20 } = {}) => {
+  const query = { approvalStatus: status };
+
+  if (seller) {
+    query.seller = seller;
+  }
+
+  const total = await Product.countDocuments(query);
+  const products = await Product.find(query)
+    .select('title price thumbnail images category seller approvalStatus rejectionReason isActive reviewedAt updatedAt createdAt')
+    .populate('category', 'name slug')
+    .populate('seller', 'firstName lastName email')
+    .sort({ updatedAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  return { products, total };
+};
+
+/**
+ * Approve products, listing them in the store (if active)
+ * @param {Array} productIds - Product IDs
+ * @param {Object} params - { reviewedBy }
+ * @returns {Promise<Object>} { approved: [id], skipped: [{ id, reason }] }
+ */
+const approve = async (productIds, { reviewedBy }) => {
+  const { products, skipped } = await loadProducts(productIds, 'approved');
+
+  for (const product of products) {
+    product.approvalStatus = 'approved';
+    product.rejectionReason = undefined;
+    product.reviewedBy = reviewedBy;
+    product.reviewedAt = new Date();
+    await product.save();
+  }
+
+  logger.info('Products approved', { count: products.length, reviewedBy });
+
+  return { approved: products.map(product => product._id), skipped };
+};
+
+/**
+ * Reject products, taking them out of the store, and email each seller the reason
+ * @param {Array} productIds - Product IDs
+ * @param {Object} params - { reason, reviewedBy }
+ * @returns {Promise<Object>} { rejected: [id], skipped: [{ id, reason }] }
+ */
+const reject = async (productIds, { reason, reviewedBy }) => {
+  const { products, skipped } = await loadProducts(productIds, 'rejected');
+
+  for (const product of products) {
+    product.approvalStatus = 'rejected';
+    product.rejectionReason = reason;
+    product.reviewedBy = reviewedBy;
+    product.reviewedAt = new Date();
+    await product.save();
+
+    if (product.seller) {
+      try {
+        await product.populate('seller', 'firstName lastName email');
+        await emailService.sendProductRejected(product.seller, product);
+      } catch (emailError) {
+        logger.error('Product rejected email failed:', emailError);
+      }
+    }
+  }
+
+  logger.info('Products rejected', { count: products.length, reviewedBy, reason });
+
+  return { rejected: products.map(product => product._id), skipped };
+};
+
+// Helper functions
+
+/**
+ * Load the products to review; missing ones and ones already in the target status are skipped
+ */
+const loadProducts = async (productIds, targetStatus) => {
+  const ids = [...new Set(productIds.map(String))];
+  const found = await Product.find({ _id: { $in: ids } });
+
+  if (found.length === 0) {
+    throw new AppError('No products found', 404);
+  }
+
+  const skipped = [];
+  const products = [];
+
+  ids.forEach(id => {
+    const product = found.find(entry => entry._id.toString() === id);
+
+    if (!product) {
+      skipped.push({ id, reason: 'Product not found' });
+    } else if (product.approvalStatus === targetStatus) {
+      skipped.push({ id, reason: `Product is already ${targetStatus}` });
+    } else {
+      products.push(product);
+    }
+  });
+
+  return { products, skipped };
+};
+
+module.exports = {
+  getQueue,
+  approve,
+  reject
+};
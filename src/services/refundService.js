@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const inventoryService = require('./inventoryService');
+const orderStatusService = require('./orderStatusService');
+const paymentProviders = require('./paymentProviders');
+const { toMinorUnits } = require('./pricingService');
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Refund (part of) a paid order and record it in the order's refund ledger
+ * Refunds either specific lines (items), a bare amount, or - with neither - everything
+ * not yet refunded. The entry is saved as pending before the provider is called, so
+ * the amount and quantities it covers can't be refunded twice while it settles. That save
+ * only succeeds if the order hasn't changed since it was loaded (409 otherwise), so two
+ * refunds made at once can't both pass the checks against what's left.
+ * @param {Object} order - Order document
+ * @param {Object} params - { items: [{ product, variantKey, quantity }], amount, reason, createdBy,
+ *   restock (false leaves the refunded quantities out of stock; a cancelled order's stock
+ *   already went back on cancellation, so it is never restocked) }
+ * @returns {Promise<Object>} The ledger entry
+ */
+const refundOrder = async (order, { items, amount, reason, createdBy, restock = true } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+    throw new AppError('Order payment is not in paid status', 400);
+  }
+
+  if (!order.paymentDetails || !order.paymentDetails.paymentIntentId) {
+    throw new AppError('Payment intent ID not found', 400);
+  }
+
+  const gateway = paymentProviders.getProvider(order.paymentMethod);
+  const remaining = round(order.totalAmount - order.committedRefundAmount());
+
+  let lines = [];
+  let refundAmount;
+
+  if (items && items.length > 0) {
+    lines = resolveLines(order, items);
+    refundAmount = order.calculateRefundAmount(lines);
+
+    if (amount && amount > refundAmount) {
+      throw new AppError(`Refund amount cannot exceed ${refundAmount} for these items`, 400);
+    }
+    refundAmount = amount || refundAmount;
+  } else if (amount) {
+    if (amount > remaining) {
+      throw new AppError(`Refund amount cannot exceed the ${remaining} left to refund`, 400);
+    }
+    refundAmount = amount;
+  } else {
+    // Full refund: whatever is left, along with every line not yet refunded
+    lines = order.items
+      .map(item => ({
+        product: item.product,
+        variantKey: item.variantKey || '',
+        quantity: order.refundableQuantity(item)
+      }))
+      .filter(line => line.quantity > 0);
+    refundAmount = remaining;
+  }
+
+  refundAmount = round(refundAmount);
+
+  if (refundAmount <= 0) {
+    throw new AppError('Nothing left to refund on this order', 400);
+  }
+
+  order.refunds.push({
+    provider: order.paymentMethod,
+    amount: refundAmount,
+    reason,
+    items: lines.map(line => ({
+      ...line,
+      amount: order.calculateRefundAmount([line])
+    })),
+    restock: restock && !orderStatusService.hasReleasedStock(order),
+    createdBy
+  });
+  const refund = order.refunds[order.refunds.length - 1];
+  order.setRefundStatus(refund, 'pending');
+  order.increment();
+
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new AppError('The order changed while the refund was being made; please try again', 409);
+    }
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await gateway.refund(order.paymentDetails, {
+      amount: toMinorUnits(refundAmount),
+      reason,
+      metadata: {
+        orderId: order._id.toString(),
+        refundId: refund._id.toString(),
+        adminId: createdBy ? createdBy.toString() : undefined
+      }
+    });
+  } catch (error) {
+    order.setRefundStatus(refund, 'failed', error.message);
+    await order.save();
+
+    logger.error('Refund creation failed', {
+      orderId: order._id,
+      refundId: refund._id,
+      error: error.message
+    });
+    throw new AppError('Refund creation failed', 502);
+  }
+
+  refund.refundId = result.id;
+  await applyRefundStatus(order, refund, result.status);
+
+  logger.info('Refund created successfully', {
+    refundId: result.id,
+    orderId: order._id,
+    amount: refundAmount,
+    status: refund.status
+  });
+
+  return refund;
+};
+
+/**
+ * Move a refund to the status its provider reports (e.g. from a webhook)
+ * @param {string} refundId - Provider's refund ID
+ * @param {string} status - pending, succeeded or failed
+ * @param {string} [notes] - e.g. the provider's failure reason
+ * @returns {Promise<Object|null>} The order, or null when no order has the refund
+ */
+const updateRefundStatus = async (refundId, status, notes) => {
+  const order = await Order.findOne({ 'refunds.refundId': refundId });
+
+  if (!order) {
+    logger.warn('Refund update for unknown refund', { refundId, status });
+    return null;
+  }
+
+  const refund = order.refunds.find(entry => entry.refundId === refundId);
+  await applyRefundStatus(order, refund, status, notes);
+
+  return order;
+};
+
+// Helper functions
+
+/**
+ * Check requested lines against the order and what's already been refunded
+ */
+const resolveLines = (order, items) => {
+  return items.map(item => {
+    const variantKey = item.variantKey || '';
+    const orderItem = order.findItem(item.product, variantKey);
+
+    if (!orderItem) {
+      throw new AppError(`Product ${item.product} is not on this order`, 400);
+    }
+
+    const refundable = order.refundableQuantity(orderItem);
+    const alreadyRequested = items
+      .filter(other => other !== item && order.findItem(other.product, other.variantKey || '') === orderItem)
+      .reduce((total, other) => total + other.quantity, 0);
+
+    if (item.quantity + alreadyRequested > refundable) {
+      throw new AppError(`Only ${refundable} of ${orderItem.title} can still be refunded`, 400);
+    }
+
+    return {
+      product: orderItem.product,
+      variantKey,
+      quantity: item.quantity
+    };
+  });
+};
+
+/**
+ * Record a refund's new status, derive the order's payment status from the ledger
+ * and put refunded quantities back in stock once the money has gone out
+ */
+const applyRefundStatus = async (order, refund, status, notes) => {
+  const changed = order.setRefundStatus(refund, status, notes);
+
+  if (!changed) {
+    return;
+  }
+
+  // An order cancelled while the refund settled had its stock released then
+  const restock = status === 'succeeded' && refund.restock && !refund.restockedAt && refund.items.length > 0 &&
+    !orderStatusService.hasReleasedStock(order);
+
+  if (restock) {
+    refund.restockedAt = new Date();
+  }
+
+  order.syncRefundStatus();
+  await order.save();
+
+  // Only after the save, so a failed save can't restock the same units twice
+  if (restock) {
+    await inventoryService.releaseItems(refund.items.map(line => ({
+      product: line.product,
+      quantity: line.quantity,
+      selectedVariants: order.findItem(line.product, line.variantKey).selectedVariants
+    })));
+  }
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  refundOrder,
+  updateRefundStatus
+};
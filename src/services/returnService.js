@@ -0,0 +1,246 @@
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+
+// Return window for categories that don't set their own; 0 makes them non-returnable,
+// and anything unset or not a number of days falls back to 30
+const configuredReturnWindowDays = parseInt(process.env.RETURN_WINDOW_DAYS, 10);
+const DEFAULT_RETURN_WINDOW_DAYS = configuredReturnWindowDays >= 0 ? configuredReturnWindowDays : 30;
+
+/**
+ * Open a return request for lines of a delivered order
+ * Each line has to be within its category's return window, counted from delivery,
+ * and can't return more than is left after earlier refunds.
+ * @param {Object} order - Order document
+ * @param {Object} params - { items: [{ product, variantKey, quantity, reason }], reason }
+ * @returns {Promise<Object>} The order
+ */
+const requestReturn = async (order, { items, reason }) => {
+  if (!order.canBeReturned()) {
+    throw new AppError('Order cannot be returned', 400);
+  }
+
+  if (order.returnRequest && order.returnRequest.requested) {
+    throw new AppError('Return request already exists for this order', 400);
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .populate('category', 'name returnWindowDays');
+  const now = Date.now();
+
+  const lines = items.map(item => {
+    const variantKey = item.variantKey || '';
+    const orderItem = order.findItem(item.product, variantKey);
+
+    if (!orderItem) {
+      throw new AppError(`Product ${item.product} is not on this order`, 400);
+    }
+
+    if (item.quantity > order.refundableQuantity(orderItem)) {
+      throw new AppError(`Only ${order.refundableQuantity(orderItem)} of ${orderItem.title} can be returned`, 400);
+    }
+
+    const product = products.find(entry => entry._id.toString() === orderItem.product.toString());
+    const windowDays = returnWindowDays(product);
+
+    if (windowDays === 0) {
+      throw new AppError(`${orderItem.title} cannot be returned`, 400);
+    }
+
+    const closesAt = new Date(order.deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+
+    if (now > closesAt.getTime()) {
+      throw new AppError(`The return window for ${orderItem.title} closed on ${closesAt.toDateString()}`, 400);
+    }
+
+    return {
+      product: orderItem.product,
+      variantKey,
+      quantity: item.quantity,
+      reason: item.reason
+    };
+  });
+
+  return order.requestReturn(lines, reason);
+};
+
+/**
+ * Approve a pending return and issue its RMA number
+ * @param {Object} order - Order document
+ * @param {Object} params - { notes, pickup, reviewedBy }
+ * @returns {Promise<Object>} The order
+ */
+const approveReturn = async (order, { notes, pickup, reviewedBy }) => {
+  assertReturnStatus(order, 'pending');
+
+  order.set('returnRequest.status', 'approved');
+  order.set('returnRequest.rmaNumber', `RMA-${order.orderNumber}`);
+  order.set('returnRequest.reviewedAt', new Date());
+  order.set('returnRequest.reviewedBy', reviewedBy);
+  order.set('returnRequest.notes', notes);
+
+  if (pickup) {
+    order.set('returnRequest.pickup', { ...pickup, scheduledAt: new Date() });
+  }
+
+  return order.save();
+};
+
+/**
+ * Reject a pending return
+ * @param {Object} order - Order document
+ * @param {Object} params - { reason, reviewedBy }
+ * @returns {Promise<Object>} The order
+ */
+const rejectReturn = async (order, { reason, reviewedBy }) => {
+  assertReturnStatus(order, 'pending');
+
+  order.set('returnRequest.status', 'rejected');
+  order.set('returnRequest.rejectionReason', reason);
+  order.set('returnRequest.reviewedAt', new Date());
+  order.set('returnRequest.reviewedBy', reviewedBy);
+
+  return order.save();
+};
+
+/**
+ * Schedule (or reschedule) the pickup for an approved return
+ * @param {Object} order - Order document
+ * @param {Object} pickup - { scheduledFor, slot, carrier, trackingNumber }
+ * @returns {Promise<Object>} The order
+ */
+const schedulePickup = async (order, pickup) => {
+  assertReturnStatus(order, 'approved');
+
+  order.set('returnRequest.pickup', { ...pickup, scheduledAt: new Date() });
+
+  return order.save();
+};
+
+/**
+ * Receive and inspect a returned parcel, then close the return
+ * Resellable units go back in stock; resellable and damaged units are refunded,
+ * unacceptable ones are neither. Defaults to everything requested arriving resellable.
+ * COD orders have no payment to refund against, so their refund is only recorded
+ * as owed and settled offline.
+ * @param {Object} order - Order document
+ * @param {Object} params - { items: [{ product, variantKey, receivedQuantity, condition }], notes, inspectedBy }
+ * @returns {Promise<Object>} The order
+ */
+const completeReturn = async (order, { items, notes, inspectedBy }) => {
+  assertReturnStatus(order, 'approved');
+
+  const requested = order.returnRequest.items;
+  const inspected = items && items.length > 0
+    ? items
+    : requested.map(item => ({
+      product: item.product,
+      variantKey: item.variantKey,
+      receivedQuantity: item.quantity,
+      condition: 'resellable'
+    }));
+
+  inspected.forEach(item => {
+    const line = findReturnLine(requested, item.product, item.variantKey);
+
+    if (!line) {
+      throw new AppError(`Product ${item.product} is not part of this return`, 400);
+    }
+
+    if (item.receivedQuantity > line.quantity) {
+      throw new AppError(`Only ${line.quantity} of this product were returned`, 400);
+    }
+
+    line.receivedQuantity = item.receivedQuantity;
+    line.condition = item.condition;
+  });
+
+  const refundLines = requested
+    .filter(line => line.receivedQuantity > 0 && ['resellable', 'damaged'].includes(line.condition))
+    .map(line => ({ product: line.product, variantKey: line.variantKey, quantity: line.receivedQuantity }));
+  const restockLines = requested.filter(line => line.receivedQuantity > 0 && line.condition === 'resellable');
+
+  let refund = null;
+
+  if (refundLines.length > 0) {
+    if (order.paymentMethod === 'cod') {
+      refund = { amount: order.calculateRefundAmount(refundLines) };
+    } else {
+      // Refund first: if the provider refuses, the return stays open and nothing is restocked
+      const entry = await refundService.refundOrder(order, {
+        items: refundLines,
+        reason: `Return ${order.returnRequest.rmaNumber}`,
+        createdBy: inspectedBy,
+        restock: false
+      });
+      refund = { ledgerId: entry._id, amount: entry.amount };
+    }
+  }
+
+  order.set('returnRequest.status', 'completed');
+  order.set('returnRequest.inspection', { receivedAt: new Date(), inspectedBy, notes });
+  order.set('returnRequest.refund', refund || undefined);
+  order.set('returnRequest.completedAt', new Date());
+  await order.save();
+
+  if (restockLines.length > 0) {
+    await inventoryService.releaseItems(restockLines.map(line => ({
+      product: line.product,
+      quantity: line.receivedQuantity,
+      selectedVariants: order.findItem(line.product, line.variantKey).selectedVariants
+    })));
+  }
+
+  logger.info('Return completed', {
+    orderId: order._id,
+    rmaNumber: order.returnRequest.rmaNumber,
+    restocked: restockLines.reduce((total, line) => total + line.receivedQuantity, 0),
+    refundAmount: refund ? refund.amount : 0
+  });
+
+  return order;
+};
+
+// Helper functions
+
+/**
+ * Days after delivery a product can be returned, from its category
+ */
+const returnWindowDays = (product) => {
+  const category = product && product.category;
+
+  if (category && category.returnWindowDays !== null && category.returnWindowDays !== undefined) {
+    return category.returnWindowDays;
+  }
+
+  return DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+const assertReturnStatus = (order, status) => {
+  const current = order.returnRequest && order.returnRequest.requested ? order.returnRequest.status : null;
+
+  if (!current) {
+    throw new AppError('No return has been requested for this order', 400);
+  }
+
+  if (current !== status) {
+    throw new AppError(`Return is ${current}, expected ${status}`, 409);
+  }
+};
+
+const findReturnLine = (lines, productId, variantKey = '') => {
+  return lines.find(line =>
+    line.product.toString() === productId.toString() &&
+    (line.variantKey || '') === (variantKey || '')
+  );
+};
+
+module.exports = {
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  schedulePickup,
+  completeReturn
+};
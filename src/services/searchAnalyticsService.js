@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const SearchLog = require('../models/SearchLog');
+const logger = require('../config/logger');
+const suggestionService = require('./suggestionService');
+const { SEARCH_CLICK_WINDOW_MINUTES, SEARCH_REPORT_DEFAULT_DAYS } = require('../config/search');
+
+// Request query parameters that aren't filters: the search term, paging and field selection
+const NON_FILTER_PARAMS = ['q', 'search', 'page', 'limit', 'fields', 'searchId'];
+
+// Per-query totals shared by the reports
+const QUERY_STATS = {
+  $group: {
+    _id: '$query',
+    searches: { $sum: 1 },
+    searchers: { $addToSet: { $ifNull: ['$user', '$sessionId'] } },
+    zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+    clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clicks', []] } }, 0] }, 1, 0] } },
+    clicks: { $sum: { $size: { $ifNull: ['$clicks', []] } } },
+    totalResults: { $sum: '$resultCount' },
+    totalLatencyMs: { $sum: '$latencyMs' },
+    lastSearchedAt: { $max: '$createdAt' }
+  }
+};
+
+// Rates and averages from the totals; click-through rate is the share of searches with a click
+const RATES = [
+  {
+    $addFields: {
+      clickThroughRate: { $round: [{ $divide: ['$clickedSearches', '$searches'] }, 4] },
+      zeroResultRate: { $round: [{ $divide: ['$zeroResultSearches', '$searches'] }, 4] },
+      avgResults: { $round: [{ $divide: ['$totalResults', '$searches'] }, 1] },
+      avgLatencyMs: { $round: [{ $divide: ['$totalLatencyMs', '$searches'] }, 0] }
+    }
+  },
+  { $project: { totalResults: 0, totalLatencyMs: 0 } }
+];
+
+/**
+ * Log a search for analytics, and count it towards the popular queries suggested
+ * The log is written in the background, so logging never slows down or fails the search. Its ID
+ * is returned straight away for the storefront to send back as `searchId` when a result is opened.
+ * @param {Object} params - { text, source, query (request query, for the filters), resultCount,
+ *   products (the page returned), page, limit, user, sessionId, startedAt }
+ * @returns {Object|null} The search ID, or null for a search term with no words
+ */
+const logSearch = ({
+  text,
+  source,
+  query = {},
+  resultCount = 0,
+  products = [],
+  page = 1,
+  limit,
+  user,
+  sessionId,
+  startedAt
+}) => {
+  const normalized = suggestionService.normalizeQuery(text);
+
+  if (!normalized) {
+    return null;
+  }
+
+  const searchId = new mongoose.Types.ObjectId();
+  const filters = Object.fromEntries(
+    Object.entries(query).filter(([key, value]) => !NON_FILTER_PARAMS.includes(key) && value !== undefined)
+  );
+
+  SearchLog.create({
+    _id: searchId,
+    query: normalized,
+    text,
+    source,
+    filters,
+    resultCount,
+    page,
+    limit,
+    productIds: products.map(product => product._id),
+    user: user || undefined,
+    sessionId: user ? undefined : sessionId || undefined,
+    latencyMs: startedAt ? Date.now() - startedAt : undefined
+  }).catch(error => logger.error('Search log failed:', error));
+
+  // Later pages of the same search aren't counted again
+  if (page === 1) {
+    suggestionService.recordQuery(text, resultCount)
+      .catch(error => logger.error('Search query recording failed:', error));
+  }
+
+  return searchId;
+};
+
+/**
+ * Attribute a product view to the search it was opened from
+ * Counts once per product, within SEARCH_CLICK_WINDOW_MINUTES of the search, and only for the
+ * user (or guest session) who searched.
+ * @param {string} searchId - SearchLog ID returned with the results
+ * @param {string} productId - Product viewed
+ * @param {Object} viewer - { user, sessionId }
+ * @returns {Promise<boolean>} Whether a click was recorded
+ */
+const recordClick = async (searchId, productId, { user, sessionId } = {}) => {
+  const log = await SearchLog.findOne({
+    _id: searchId,
+    createdAt: { $gte: new Date(Date.now() - SEARCH_CLICK_WINDOW_MINUTES * 60 * 1000) },
+    'clicks.product': { $ne: productId }
+  }).select('user sessionId page limit productIds');
+
+  if (!log || !isSameSearcher(log, { user, sessionId })) {
+    return false;
+  }
+
+  const { modifiedCount } = await SearchLog.updateOne(
+    { _id: log._id, 'clicks.product': { $ne: productId } },
+    {
+      $push: {
+        clicks: {
+          product: productId,
+          position: log.positionOf(productId),
+          clickedAt: new Date()
+        }
+      }
+    }
+  );
+
+  return modifiedCount > 0;
+};
+
+/**
+ * Most searched queries, with overall totals for the period
+ * @param {Object} [options] - { from, to, limit }
+ * @returns {Promise<Object>} { from, to, summary, queries }
+ */
+const getTopQueries = async ({ from, to, limit = 20 } = {}) => {
+  const range = reportRange(from, to);
+  const match = { $match: { createdAt: { $gte: range.from, $lte: range.to } } };
+
+  const [queries, summary] = await Promise.all([
+    SearchLog.aggregate([
+      match,
+      QUERY_STATS,
+      ...RATES,
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit }
+    ]),
+    SearchLog.aggregate([
+      match,
+      QUERY_STATS,
+      {
+        $group: {
+          _id: null,
+          uniqueQueries: { $sum: 1 },
+          searches: { $sum: '$searches' },
+          zeroResultSearches: { $sum: '$zeroResultSearches' },
+          clickedSearches: { $sum: '$clickedSearches' },
+          clicks: { $sum: '$clicks' },
+          totalResults: { $sum: '$totalResults' },
+          totalLatencyMs: { $sum: '$totalLatencyMs' }
+        }
+      },
+      ...RATES,
+      { $project: { _id: 0 } }
+    ])
+  ]);
+
+  return {
+    ...range,
+    summary: summary[0] || {
+      uniqueQueries: 0,
+      searches: 0,
+      zeroResultSearches: 0,
+      clickedSearches: 0,
+      clicks: 0,
+      clickThroughRate: 0,
+      zeroResultRate: 0,
+      avgResults: 0,
+      avgLatencyMs: 0
+    },
+    queries: queries.map(queryReport)
+  };
+};
+
+/**
+ * Queries that found nothing, most searched first: the catalog gaps to fill (or synonyms to add)
+ * @param {Object} [options] - { from, to, limit }
+ * @returns {Promise<Object>} { from, to, queries }
+ */
+const getZeroResultQueries = async ({ from, to, limit = 20 } = {}) => {
+  const range = reportRange(from, to);
+
+  const queries = await SearchLog.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lte: range.to }, resultCount: 0 } },
+    QUERY_STATS,
+    ...RATES,
+    { $sort: { searches: -1, lastSearchedAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  return { ...range, queries: queries.map(queryReport) };
+};
+
+/**
+ * Click-through rate per query, lowest first: queries whose results shoppers don't open
+ * Queries searched fewer than minSearches times are left out, as their rates mean little.
+ * @param {Object} [options] - { from, to, limit, minSearches }
+ * @returns {Promise<Object>} { from, to, queries }
+ */
+const getClickThroughRates = async ({ from, to, limit = 20, minSearches = 5 } = {}) => {
+  const range = reportRange(from, to);
+
+  const queries = await SearchLog.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+    QUERY_STATS,
+    { $match: { searches: { $gte: minSearches } } },
+    ...RATES,
+    { $sort: { clickThroughRate: 1, searches: -1 } },
+    { $limit: limit }
+  ]);
+
+  return { ...range, queries: queries.map(queryReport) };
+};
+
+// Helper functions
+
+/**
+ * The report period; defaults to the last SEARCH_REPORT_DEFAULT_DAYS days
+ */
+const reportRange = (from, to) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - SEARCH_REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  return { from: start, to: end };
+};
+
+/**
+ * Whether a viewer is the user, or guest session, a search was logged for
+ */
+const isSameSearcher = (log, { user, sessionId }) => {
+  if (log.user) {
+    return Boolean(user) && log.user.toString() === user.toString();
+  }
+
+  if (log.sessionId) {
+    return log.sessionId === sessionId;
+  }
+
+  return true;
+};
+
+const queryReport = ({ _id, searchers, ...stats }) => ({
+  query: _id,
+  ...stats,
+  searchers: searchers.length
+});
+
+module.exports = {
+  logSearch,
+  recordClick,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughRates
+};
@@ -0,0 +1,258 @@
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const categoryService = require('./categoryService');
+const {
+  PRICE_BUCKETS,
+  RATING_BUCKETS,
+  FACET_VALUE_LIMIT,
+  SPECIFICATION_FACET_LIMIT
+} = require('../config/search');
+
+// Sort orders for search results; relevance needs a text query
+const SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { rating: -1, numReviews: -1 },
+  popularity: { purchases: -1, createdAt: -1 }
+};
+
+// Product fields returned in search results
+const RESULT_FIELDS = {
+  title: 1,
+  slug: 1,
+  price: 1,
+  originalPrice: 1,
+  discountPercentage: 1,
+  thumbnail: 1,
+  brand: 1,
+  category: 1,
+  rating: 1,
+  numReviews: 1,
+  stock: 1,
+  lowStockThreshold: 1,
+  isFeatured: 1
+};
+
+/**
+ * Search the store and count facets in one aggregation
+ * The text query and category (with its subcategories) pick the candidates; $facet then
+ * builds the page of results and every facet from them. Each facet is counted with all the
+ * other active filters applied but not its own, so choosing Sony still shows how many products
+ * Boat has.
+ * @param {Object} params - { q, category, brand, minPrice, maxPrice, minRating, inStock,
+ *   specs: { name: 'value1,value2' }, sort, page, limit }
+ * @returns {Promise<Object>} { products, total, facets: { brands, price, rating, availability,
+ *   specifications }, category }
+ */
+const facetedSearch = async (params) => {
+  const { q, sort, page = 1, limit = 20 } = params;
+  const candidates = Product.listedFilter();
+  let category = null;
+
+  if (q) {
+    candidates.$text = { $search: q };
+  }
+
+  if (params.category) {
+    category = await categoryService.findByIdOrSlug(params.category);
+
+    if (!category) {
+      throw new AppError('Category not found', 404);
+    }
+
+    const { categoryIds } = await categoryService.getSubtree(category);
+    candidates.category = { $in: categoryIds };
+  }
+
+  const filters = buildFilters(params);
+  const specKeys = Object.keys(filters)
+    .filter(key => key.startsWith('spec:'))
+    .map(key => key.slice('spec:'.length));
+  const sortBy = SORTS[sort === 'relevance' && !q ? 'newest' : sort] || SORTS[q ? 'relevance' : 'newest'];
+
+  const facets = {
+    products: [
+      matchExcept(filters),
+      { $sort: sortBy },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { ...RESULT_FIELDS, ...(q ? { score: 1 } : {}) } }
+    ],
+    total: [
+      matchExcept(filters),
+      { $count: 'count' }
+    ],
+    brands: [
+      matchExcept(filters, 'brand'),
+      { $match: { brand: { $nin: [null, ''] } } },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_VALUE_LIMIT }
+    ],
+    price: [
+      matchExcept(filters, 'price'),
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: PRICE_BUCKETS,
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    rating: [
+      matchExcept(filters, 'rating'),
+      {
+        $group: RATING_BUCKETS.reduce((group, rating) => ({
+          ...group,
+          [`atLeast${rating}`]: { $sum: { $cond: [{ $gte: ['$rating', rating] }, 1, 0] } }
+        }), { _id: null })
+      }
+    ],
+    availability: [
+      matchExcept(filters, 'inStock'),
+      {
+        $group: {
+          _id: null,
+          inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+          outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } }
+        }
+      }
+    ],
+    // Specifications nobody is filtering on, with every filter applied
+    specifications: [
+      matchExcept(filters),
+      ...specificationStages({ $nin: specKeys }, SPECIFICATION_FACET_LIMIT)
+    ]
+  };
+
+  // Each specification being filtered on is counted without its own filter
+  specKeys.forEach((key, index) => {
+    facets[`specification${index}`] = [
+      matchExcept(filters, `spec:${key}`),
+      ...specificationStages(key, 1)
+    ];
+  });
+
+  const [result] = await Product.aggregate([
+    { $match: candidates },
+    ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    { $facet: facets }
+  ]);
+
+  await Product.populate(result.products, { path: 'category', select: 'name slug' });
+
+  return {
+    products: result.products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    category,
+    facets: {
+      brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+      price: priceFacet(result.price),
+      rating: ratingFacet(result.rating[0]),
+      availability: {
+        inStock: result.availability.length > 0 ? result.availability[0].inStock : 0,
+        outOfStock: result.availability.length > 0 ? result.availability[0].outOfStock : 0
+      },
+      specifications: [
+        ...specKeys.flatMap((key, index) => result[`specification${index}`]),
+        ...result.specifications
+      ].map(({ _id, values }) => ({ name: _id, values }))
+    }
+  };
+};
+
+// Helper functions
+
+/**
+ * The active filters, keyed by the facet each one belongs to
+ */
+const buildFilters = (params) => {
+  const filters = {};
+
+  if (params.brand) {
+    const brands = String(params.brand).split(',').map(brand => brand.trim()).filter(Boolean);
+    filters.brand = { brand: { $in: brands.map(brand => new RegExp(`^${escapeRegex(brand)}$`, 'i')) } };
+  }
+
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    filters.price = { price: {} };
+    if (params.minPrice !== undefined) filters.price.price.$gte = Number(params.minPrice);
+    if (params.maxPrice !== undefined) filters.price.price.$lte = Number(params.maxPrice);
+  }
+
+  if (params.minRating !== undefined) {
+    filters.rating = { rating: { $gte: Number(params.minRating) } };
+  }
+
+  if (params.inStock === true || params.inStock === 'true') {
+    filters.inStock = { stock: { $gt: 0 } };
+  }
+
+  Object.entries(params.specs || {}).forEach(([name, value]) => {
+    const values = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (values.length > 0) {
+      filters[`spec:${name}`] = { [`specifications.${name}`]: { $in: values } };
+    }
+  });
+
+  return filters;
+};
+
+/**
+ * $match for every active filter except one facet's own
+ */
+const matchExcept = (filters, excluded) => {
+  const conditions = Object.entries(filters)
+    .filter(([facet]) => facet !== excluded)
+    .map(([, condition]) => condition);
+
+  return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+/**
+ * Count specification values, grouped by specification, the most common first
+ */
+const specificationStages = (names, limit) => [
+  { $project: { specification: { $objectToArray: { $ifNull: ['$specifications', {}] } } } },
+  { $unwind: '$specification' },
+  { $match: { 'specification.k': names } },
+  { $group: { _id: { name: '$specification.k', value: '$specification.v' }, count: { $sum: 1 } } },
+  { $sort: { count: -1, '_id.value': 1 } },
+  {
+    $group: {
+      _id: '$_id.name',
+      values: { $push: { value: '$_id.value', count: '$count' } },
+      total: { $sum: '$count' }
+    }
+  },
+  { $sort: { total: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { values: { $slice: ['$values', FACET_VALUE_LIMIT] } } }
+];
+
+/**
+ * Price ranges with products in them; the last one has no upper bound
+ */
+const priceFacet = (buckets) => buckets.map(({ _id, count }) => {
+  const min = _id === 'above' ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : _id;
+  const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(min) + 1];
+
+  return { min, max: _id === 'above' || next === undefined ? null : next, count };
+});
+
+const ratingFacet = (counts = {}) => RATING_BUCKETS.map(rating => ({
+  minRating: rating,
+  count: counts[`atLeast${rating}`] || 0
+}));
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  facetedSearch
+};
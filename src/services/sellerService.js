@@ -0,0 +1,363 @@
+const Seller = require('../models/Seller');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Payout = require('../models/Payout');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { PAYOUT_HOLD_DAYS } = require('../config/marketplace');
+const emailService = require('./emailService');
+
+// Order statuses in which some of a seller's lines may have been delivered
+const DELIVERED_STATUSES = ['partially_delivered', 'delivered'];
+
+/**
+ * Apply to sell on the marketplace, or apply again after a rejection
+ * @param {Object} user - Applicant (User document)
+ * @param {Object} application - Business details, kyc and bankAccount
+ * @returns {Promise<Object>} The seller profile, pending review
+ */
+const apply = async (user, application) => {
+  if (user.role !== 'user') {
+    throw new AppError(`A ${user.role} account cannot apply to sell`, 400);
+  }
+
+  let seller = await Seller.findByUser(user._id);
+
+  if (seller && seller.status !== 'rejected') {
+    throw new AppError(`A seller application is already ${seller.status} for this account`, 409);
+  }
+
+  if (seller) {
+    seller.set(application);
+    seller.set({ status: 'pending', rejectionReason: undefined, reviewedAt: undefined, reviewedBy: undefined });
+    await seller.save();
+  } else {
+    seller = await Seller.create({ ...application, user: user._id });
+  }
+
+  logger.info('Seller application submitted', { sellerId: seller._id, userId: user._id });
+
+  return seller;
+};
+
+/**
+ * Approve a pending application, making its user a seller
+ * @param {Object} seller - Seller document
+ * @param {Object} params - { commissionRate, reviewedBy }
+ * @returns {Promise<Object>} The seller
+ */
+const approve = async (seller, { commissionRate, reviewedBy }) => {
+  assertStatus(seller, 'pending');
+
+  seller.status = 'approved';
+  seller.reviewedBy = reviewedBy;
+  seller.reviewedAt = new Date();
+  seller.approvedAt = seller.reviewedAt;
+  if (commissionRate !== undefined) {
+    seller.commissionRate = commissionRate;
+  }
+  await seller.save();
+
+  const user = await User.findByIdAndUpdate(seller.user, { role: 'seller' }, { new: true });
+
+  await notify(user, 'sendSellerApproved', seller, 'Seller approved email failed:');
+
+  logger.info('Seller approved', { sellerId: seller._id, userId: seller.user, reviewedBy });
+
+  return seller;
+};
+
+/**
+ * Reject a pending application
+ * @param {Object} seller - Seller document
+ * @param {Object} params - { reason, reviewedBy }
+ * @returns {Promise<Object>} The seller
+ */
+const reject = async (seller, { reason, reviewedBy }) => {
+  assertStatus(seller, 'pending');
+
+  seller.status = 'rejected';
+  seller.rejectionReason = reason;
+  seller.reviewedBy = reviewedBy;
+  seller.reviewedAt = new Date();
+  await seller.save();
+
+  const user = await User.findById(seller.user);
+
+  await notify(user, 'sendSellerRejected', seller, 'Seller rejected email failed:');
+
+  logger.info('Seller rejected', { sellerId: seller._id, userId: seller.user, reviewedBy });
+
+  return seller;
+};
+
+/**
+ * Work out a seller's earnings line by line
+ * A line earns for its delivered units, less any refunded and any under an open return.
+ * Units already in a (non-cancelled) payout are left out. Earnings are held for
+ * PAYOUT_HOLD_DAYS after the delivery that brought them, then become available for a payout;
+ * a line delivered in several shipments gives one earning line per delivery.
+ * @param {Object} seller - Seller document
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Array>} Lines: { order, orderNumber, product, variantKey, title, quantity,
+ *   gross, commissionRate, commission, net, deliveredAt, availableAt, status (held|available) }
+ */
+const getEarningLines = async (seller, { now = new Date() } = {}) => {
+  const orders = await Order.find({
+    'items.seller': seller.user,
+    status: { $in: DELIVERED_STATUSES }
+  }).sort({ deliveredAt: 1 });
+
+  const sellerItems = orders.flatMap(order => order.items
+    .filter(item => item.seller && item.seller.toString() === seller.user.toString())
+    .map(item => ({ order, item })));
+
+  const products = await Product.find({ _id: { $in: sellerItems.map(({ item }) => item.product) } })
+    .select('category')
+    .populate('category', 'commissionRate');
+  const paid = await Payout.paidQuantities(seller.user);
+
+  return sellerItems.flatMap(({ order, item }) => {
+    const batches = deliveredBatches(order, item);
+    const delivered = batches.reduce((total, batch) => total + batch.quantity, 0);
+    const returns = returnedUnits(order, item);
+    // A COD return is refunded offline, so its units aren't in the refund ledger
+    const refunded = Math.max(item.quantity - order.refundableQuantity(item), returns.refunded);
+    const alreadyPaid = paid.get(`${order._id}:${item.product}:${item.variantKey || ''}`) || 0;
+    let outstanding = Math.min(delivered, item.quantity - refunded - returns.open) - alreadyPaid;
+
+    const product = products.find(entry => entry._id.toString() === item.product.toString());
+    const commissionRate = seller.commissionRateFor(product && product.category);
+    const lines = [];
+
+    // What's still owed sits on the latest deliveries, so it's held the longest
+    for (let index = batches.length - 1; index >= 0 && outstanding > 0; index--) {
+      const quantity = Math.min(batches[index].quantity, outstanding);
+      const gross = order.paidForItem(item, quantity);
+      const commission = round(gross * commissionRate / 100);
+      const availableAt = new Date(batches[index].at.getTime() + PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+      outstanding -= quantity;
+      lines.unshift({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        product: item.product,
+        variantKey: item.variantKey || '',
+        title: item.title,
+        quantity,
+        gross,
+        commissionRate,
+        commission,
+        net: round(gross - commission),
+        deliveredAt: batches[index].at,
+        availableAt,
+        status: availableAt <= now ? 'available' : 'held'
+      });
+    }
+
+    return lines;
+  });
+};
+
+/**
+ * Summarise a seller's earnings: held, available, in pending payouts and paid out
+ * @param {Object} seller - Seller document
+ * @returns {Promise<Object>} { held, available, pendingPayout, paid, lines }
+ */
+const getEarnings = async (seller) => {
+  const lines = await getEarningLines(seller);
+  const payouts = await Payout.find({ seller: seller.user, status: { $in: ['pending', 'paid'] } })
+    .select('status netAmount');
+
+  const sumLines = (status) => round(lines
+    .filter(line => line.status === status)
+    .reduce((total, line) => total + line.net, 0));
+  const sumPayouts = (status) => round(payouts
+    .filter(payout => payout.status === status)
+    .reduce((total, payout) => total + payout.netAmount, 0));
+
+  return {
+    held: sumLines('held'),
+    available: sumLines('available'),
+    pendingPayout: sumPayouts('pending'),
+    paid: sumPayouts('paid'),
+    lines
+  };
+};
+
+/**
+ * Put everything a seller can be paid into a new payout, awaiting the transfer
+ * The seller's payout lock is held from working out the lines until the payout is saved,
+ * so a concurrent request sees those lines as paid (or is refused with a 409).
+ * @param {Object} seller - Seller document
+ * @param {Object} params - { createdBy, notes }
+ * @returns {Promise<Object>} The payout
+ */
+const createPayout = async (seller, { createdBy, notes } = {}) => {
+  if (seller.status !== 'approved') {
+    throw new AppError(`Seller is ${seller.status}; only approved sellers are paid out`, 409);
+  }
+
+  if (!await Seller.claimPayoutLock(seller._id)) {
+    throw new AppError('A payout is already being created for this seller; try again shortly', 409);
+  }
+
+  let payout;
+  try {
+    const lines = (await getEarningLines(seller)).filter(line => line.status === 'available');
+
+    if (lines.length === 0) {
+      throw new AppError('Nothing is available to pay out for this seller', 400);
+    }
+
+    payout = await Payout.create({
+      seller: seller.user,
+      lines: lines.map(({ availableAt, status, ...line }) => line),
+      notes,
+      createdBy
+    });
+  } finally {
+    await Seller.releasePayoutLock(seller._id);
+  }
+
+  logger.info('Seller payout created', {
+    payoutId: payout._id,
+    payoutNumber: payout.payoutNumber,
+    sellerId: seller._id,
+    netAmount: payout.netAmount
+  });
+
+  return payout;
+};
+
+/**
+ * Record the transfer for a pending payout
+ * @param {Object} payout - Payout document
+ * @param {Object} params - { reference, paidBy }
+ * @returns {Promise<Object>} The payout
+ */
+const markPayoutPaid = async (payout, { reference, paidBy }) => {
+  if (payout.status !== 'pending') {
+    throw new AppError(`Payout is ${payout.status}, expected pending`, 409);
+  }
+
+  payout.status = 'paid';
+  payout.reference = reference;
+  payout.paidAt = new Date();
+  payout.paidBy = paidBy;
+  await payout.save();
+
+  logger.info('Seller payout paid', {
+    payoutId: payout._id,
+    payoutNumber: payout.payoutNumber,
+    netAmount: payout.netAmount,
+    reference
+  });
+
+  return payout;
+};
+
+/**
+ * Cancel a pending payout (e.g. the transfer bounced); its lines can be paid out again
+ * @param {Object} payout - Payout document
+ * @returns {Promise<Object>} The payout
+ */
+const cancelPayout = async (payout) => {
+  if (payout.status !== 'pending') {
+    throw new AppError(`Payout is ${payout.status}, expected pending`, 409);
+  }
+
+  payout.status = 'cancelled';
+  payout.cancelledAt = new Date();
+
+  return payout.save();
+};
+
+// Helper functions
+
+const assertStatus = (seller, status) => {
+  if (seller.status !== status) {
+    throw new AppError(`Seller application is ${seller.status}, expected ${status}`, 409);
+  }
+};
+
+/**
+ * Units of a line that have reached the customer, by delivery, oldest first
+ * Orders without shipments are delivered all at once.
+ */
+const deliveredBatches = (order, orderItem) => {
+  const live = order.shipments.filter(shipment => shipment.status !== 'cancelled');
+
+  if (live.length === 0) {
+    return order.status === 'delivered'
+      ? [{ quantity: orderItem.quantity, at: order.deliveredAt || order.updatedAt }]
+      : [];
+  }
+
+  return live
+    .filter(shipment => shipment.status === 'delivered')
+    .map(shipment => ({
+      quantity: shipment.items
+        .filter(item =>
+          item.product.toString() === orderItem.product.toString() &&
+          (item.variantKey || '') === (orderItem.variantKey || '')
+        )
+        .reduce((total, item) => total + item.quantity, 0),
+      at: shipment.deliveredAt || order.deliveredAt || order.updatedAt
+    }))
+    .filter(batch => batch.quantity > 0)
+    .sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Units of a line under a return still open (pending or approved), and units a
+ * completed return refunded (received resellable or damaged)
+ */
+const returnedUnits = (order, orderItem) => {
+  const request = order.returnRequest;
+
+  if (!request || !request.requested) {
+    return { open: 0, refunded: 0 };
+  }
+
+  const lines = request.items.filter(item =>
+    item.product.toString() === orderItem.product.toString() &&
+    (item.variantKey || '') === (orderItem.variantKey || '')
+  );
+
+  return {
+    open: ['pending', 'approved'].includes(request.status)
+      ? lines.reduce((total, item) => total + item.quantity, 0)
+      : 0,
+    refunded: request.status === 'completed'
+      ? lines
+        .filter(item => ['resellable', 'damaged'].includes(item.condition))
+        .reduce((total, item) => total + (item.receivedQuantity || 0), 0)
+      : 0
+  };
+};
+
+/**
+ * Send a seller email without failing the review
+ */
+const notify = async (user, method, seller, failureMessage) => {
+  try {
+    await emailService[method](user, seller);
+  } catch (emailError) {
+    logger.error(failureMessage, emailError);
+  }
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  apply,
+  approve,
+  reject,
+  getEarningLines,
+  getEarnings,
+  createPayout,
+  markPayoutPaid,
+  cancelPayout
+};
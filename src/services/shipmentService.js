@@ -0,0 +1,374 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { STATUS_TRANSITIONS, SHIPMENT_DRIVEN_STATUSES, SHIPMENT_TRANSITIONS } = require('../config/orderStatus');
+const emailService = require('./emailService');
+const orderStatusService = require('./orderStatusService');
+
+// Order statuses in which more boxes can be packed
+const PACKABLE = ['confirmed', 'processing', 'partially_shipped', 'partially_delivered'];
+
+/**
+ * Split (part of) an order into shipments
+ * Each shipment takes the lines given for it; with none given, everything not yet in a
+ * shipment is split by seller, one shipment per seller (our own stock in one more).
+ * A line can't go out in more units than were ordered across all live shipments.
+ * @param {Object} order - Order document
+ * @param {Array} [shipments] - [{ items: [{ product, variantKey, quantity }], seller, warehouse, carrier }]
+ * @param {Object} [options] - { updatedBy }
+ * @returns {Promise<Array>} The new shipments
+ */
+const createShipments = async (order, shipments, { updatedBy } = {}) => {
+  if (!PACKABLE.includes(order.status)) {
+    throw new AppError(`A ${order.status} order cannot be packed into shipments`, 409);
+  }
+
+  const plans = shipments && shipments.length > 0
+    ? shipments
+    : await splitBySeller(order);
+
+  if (plans.length === 0) {
+    throw new AppError('Every item on this order is already in a shipment', 400);
+  }
+
+  const allocated = new Map();
+
+  const created = plans.map(plan => {
+    const items = plan.items.map(item => {
+      const variantKey = item.variantKey || '';
+      const orderItem = order.findItem(item.product, variantKey);
+
+      if (!orderItem) {
+        throw new AppError(`Product ${item.product} is not on this order`, 400);
+      }
+
+      const pending = (allocated.get(orderItem) || 0) + item.quantity;
+      const unshipped = orderItem.quantity - order.shippedQuantity(orderItem);
+
+      if (pending > unshipped) {
+        throw new AppError(`Only ${unshipped} of ${orderItem.title} are left to ship`, 400);
+      }
+      allocated.set(orderItem, pending);
+
+      return { product: orderItem.product, variantKey, quantity: item.quantity };
+    });
+
+    order.shipments.push({
+      shipmentNumber: `${order.orderNumber}-${order.shipments.length + 1}`,
+      items,
+      seller: plan.seller,
+      warehouse: plan.warehouse,
+      carrier: plan.carrier,
+      statusHistory: [{ status: 'pending', timestamp: new Date(), updatedBy }]
+    });
+
+    return order.shipments[order.shipments.length - 1];
+  });
+
+  await order.save();
+
+  logger.info('Shipments created', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    shipments: created.map(shipment => shipment.shipmentNumber)
+  });
+
+  return created;
+};
+
+/**
+ * Hand a shipment to its carrier, or correct the tracking of one already sent
+ * The customer gets a shipping email for the shipment either way.
+ * @param {Object} order - Order document (user populated for the email)
+ * @param {string} shipmentId - Shipment ID or shipment number
+ * @param {Object} tracking - { carrier, trackingNumber, trackingUrl, updatedBy }
+ * @returns {Promise<Object>} The shipment
+ */
+const addTracking = async (order, shipmentId, { carrier, trackingNumber, trackingUrl, updatedBy }) => {
+  const shipment = findShipment(order, shipmentId);
+
+  if (!['pending', 'shipped', 'in_transit', 'out_for_delivery'].includes(shipment.status)) {
+    throw new AppError(`Tracking cannot be changed on a ${shipment.status} shipment`, 409);
+  }
+
+  shipment.carrier = carrier;
+  shipment.trackingNumber = trackingNumber;
+  shipment.trackingUrl = trackingUrl || `https://track.${carrier.toLowerCase()}.com/${trackingNumber}`;
+
+  if (shipment.status === 'pending') {
+    setShipmentStatus(shipment, 'shipped', undefined, updatedBy);
+  }
+
+  await syncOrderStatus(order, updatedBy);
+
+  try {
+    if (!order.populated('user')) {
+      await order.populate('user', 'firstName lastName email');
+    }
+    await emailService.sendOrderShipped(order.user, order, shipment);
+  } catch (emailError) {
+    logger.error('Order shipped email failed:', emailError);
+  }
+
+  logger.info('Tracking information added', {
+    orderId: order._id,
+    shipmentNumber: shipment.shipmentNumber,
+    carrier,
+    trackingNumber
+  });
+
+  return shipment;
+};
+
+/**
+ * Move a shipment along (in transit, out for delivery, delivered, or cancelled before it leaves)
+ * and bring the order's status in line with its shipments
+ * @param {Object} order - Order document
+ * @param {string} shipmentId - Shipment ID or shipment number
+ * @param {string} status - New shipment status
+ * @param {Object} [options] - { notes, updatedBy }
+ * @returns {Promise<Object>} The shipment
+ */
+const updateShipmentStatus = async (order, shipmentId, status, { notes, updatedBy } = {}) => {
+  const shipment = findShipment(order, shipmentId);
+
+  if (status === 'shipped' && shipment.status === 'pending' && !shipment.trackingNumber) {
+    throw new AppError('Add the tracking number to ship this shipment', 400);
+  }
+
+  setShipmentStatus(shipment, status, notes, updatedBy);
+  await syncOrderStatus(order, updatedBy);
+
+  logger.info('Shipment status updated', {
+    orderId: order._id,
+    shipmentNumber: shipment.shipmentNumber,
+    status
+  });
+
+  return shipment;
+};
+
+/**
+ * Add carrier scans to the timelines of the shipments they're for
+ * Scans already on a timeline are skipped, so redelivered webhooks are harmless. A scan
+ * that means progress moves its shipment along (never back, short of a newer re-attempt);
+ * the order follows, e.g. to delivered once its last shipment is delivered.
+ * @param {string} carrier - Carrier that sent the scans
+ * @param {Array} scans - From the carrier's parseEvents (see services/carriers)
+ * @returns {Promise<Object>} { recorded, unmatched: [trackingNumber] }
+ */
+const recordCarrierScans = async (carrier, scans) => {
+  const byTrackingNumber = new Map();
+  scans.forEach(scan => {
+    byTrackingNumber.set(scan.trackingNumber, [...(byTrackingNumber.get(scan.trackingNumber) || []), scan]);
+  });
+
+  let recorded = 0;
+  const unmatched = [];
+
+  for (const [trackingNumber, shipmentScans] of byTrackingNumber) {
+    const order = await Order.findOne({ 'shipments.trackingNumber': trackingNumber });
+
+    if (!order) {
+      unmatched.push(trackingNumber);
+      continue;
+    }
+
+    const shipment = order.shipments.find(entry => entry.trackingNumber === trackingNumber);
+    const fresh = shipmentScans
+      .filter(scan => !shipment.events.some(event =>
+        event.status === scan.status &&
+        event.occurredAt.getTime() === scan.occurredAt.getTime() &&
+        (event.location || '') === (scan.location || '')
+      ))
+      .sort((a, b) => a.occurredAt - b.occurredAt);
+
+    if (fresh.length === 0) {
+      continue;
+    }
+
+    fresh.forEach(scan => {
+      shipment.events.push({ ...scan, source: carrier });
+
+      // Back to in transit after a failed delivery attempt, but not for a late, older scan
+      const lastMove = shipment.statusHistory[shipment.statusHistory.length - 1];
+      const stale = shipment.status === 'out_for_delivery' && scan.shipmentStatus === 'in_transit' &&
+        lastMove && scan.occurredAt < lastMove.timestamp;
+
+      if (scan.shipmentStatus && !stale && order.canShipmentTransitionTo(shipment, scan.shipmentStatus)) {
+        setShipmentStatus(shipment, scan.shipmentStatus, scan.description, undefined, scan.occurredAt, false);
+      }
+    });
+    recorded += fresh.length;
+
+    try {
+      await syncOrderStatus(order);
+    } catch (error) {
+      if (!error.isOperational) {
+        throw error;
+      }
+
+      // The order can't follow its shipments (e.g. it was cancelled); keep the scans anyway
+      await order.save();
+      logger.warn('Order status not updated from carrier scans', {
+        orderId: order._id,
+        orderStatus: order.status,
+        shipmentStatus: order.shipmentStatus(),
+        error: error.message
+      });
+    }
+
+    logger.info('Carrier scans recorded', {
+      orderId: order._id,
+      shipmentNumber: shipment.shipmentNumber,
+      carrier,
+      scans: fresh.length,
+      status: shipment.status
+    });
+  }
+
+  if (unmatched.length > 0) {
+    logger.warn('Carrier scans for unknown tracking numbers', { carrier, trackingNumbers: unmatched });
+  }
+
+  return { recorded, unmatched };
+};
+
+/**
+ * Derive the order's status from its shipments and save it
+ * Moving to shipped or delivered runs that transition's side effects. Shipments can get
+ * ahead of the order (one carrier webhook may carry every scan up to delivery), so the
+ * order steps through the statuses in between, e.g. confirmed -> shipped -> delivered.
+ * @param {Object} order - Order document
+ * @param {string} [updatedBy] - User making the change
+ * @returns {Promise<Object>} The order
+ */
+const syncOrderStatus = async (order, updatedBy) => {
+  const status = order.shipmentStatus();
+
+  if (!status || status === order.status) {
+    return order.save();
+  }
+
+  // With no way through, the direct move is refused with the usual 409
+  const steps = shipmentPath(order.status, status) || [status];
+
+  for (const step of steps) {
+    await orderStatusService.transition(order, step, {
+      notes: 'Updated from shipments',
+      updatedBy
+    });
+  }
+
+  return order;
+};
+
+// Helper functions
+
+const findShipment = (order, shipmentId) => {
+  const shipment = order.findShipment(shipmentId);
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404);
+  }
+
+  return shipment;
+};
+
+/**
+ * Apply a shipment move allowed by SHIPMENT_TRANSITIONS, stamping when it left or arrived
+ * and (unless a carrier scan already covers it) adding it to the tracking timeline
+ */
+const setShipmentStatus = (shipment, status, notes, updatedBy, at = new Date(), addEvent = true) => {
+  const allowed = SHIPMENT_TRANSITIONS[shipment.status] || [];
+
+  if (!allowed.includes(status)) {
+    throw new AppError(
+      `Shipment cannot move from ${shipment.status} to ${status}` +
+        (allowed.length > 0 ? `; allowed next statuses: ${allowed.join(', ')}` : '; no further status changes are allowed'),
+      409,
+      { currentStatus: shipment.status, allowedStatuses: allowed }
+    );
+  }
+
+  shipment.status = status;
+  shipment.statusHistory.push({ status, timestamp: at, notes, updatedBy });
+
+  if (addEvent) {
+    shipment.events.push({ status, shipmentStatus: status, occurredAt: at, source: 'admin' });
+  }
+
+  if (status === 'shipped') {
+    shipment.shippedAt = at;
+  } else if (status === 'delivered') {
+    shipment.deliveredAt = at;
+  } else if (status === 'cancelled') {
+    shipment.cancelledAt = at;
+  }
+};
+
+/**
+ * Shortest run of allowed order moves from one status to another, passing only through
+ * shipment-driven statuses; null when there is none
+ */
+const shipmentPath = (from, to) => {
+  const queue = [[from]];
+  const seen = new Set([from]);
+
+  while (queue.length > 0) {
+    const path = queue.shift();
+
+    for (const next of STATUS_TRANSITIONS[path[path.length - 1]] || []) {
+      if (next === to) {
+        return [...path.slice(1), next];
+      }
+
+      if (SHIPMENT_DRIVEN_STATUSES.includes(next) && !seen.has(next)) {
+        seen.add(next);
+        queue.push([...path, next]);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Group the units not yet in a shipment by the seller that fulfils them
+ */
+const splitBySeller = async (order) => {
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+    .select('seller');
+  const bySeller = new Map();
+
+  order.items.forEach(orderItem => {
+    const quantity = orderItem.quantity - order.shippedQuantity(orderItem);
+
+    if (quantity <= 0) {
+      return;
+    }
+
+    const product = products.find(entry => entry._id.toString() === orderItem.product.toString());
+    const seller = product && product.seller ? product.seller.toString() : '';
+
+    if (!bySeller.has(seller)) {
+      bySeller.set(seller, { seller: seller || undefined, items: [] });
+    }
+    bySeller.get(seller).items.push({
+      product: orderItem.product,
+      variantKey: orderItem.variantKey || '',
+      quantity
+    });
+  });
+
+  return [...bySeller.values()];
+};
+
+module.exports = {
+  createShipments,
+  addTracking,
+  updateShipmentStatus,
+  recordCarrierScans,
+  syncOrderStatus
+};
@@ -0,0 +1,204 @@
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const AppError = require('../utils/appError');
+const { FALLBACK_ZONE } = require('../config/shipping');
+
+const WEIGHT_TO_KG = { kg: 1, g: 0.001, lb: 0.453592, oz: 0.0283495 };
+const LENGTH_TO_CM = { cm: 1, mm: 0.1, inch: 2.54 };
+
+/**
+ * Quote every shipping method available for a set of lines and an address
+ * The most specific matching zone supplies the rules (see ShippingZone.findForAddress).
+ * Chargeable weight is the greater of actual and volumetric weight; lines whose
+ * product ships free (or is digital) add neither weight nor cost.
+ * @param {Array} items - Cart or order lines ({ product, quantity }), product may be an ID or document
+ * @param {Object} address - Destination ({ country, state, zipCode })
+ * @param {Object} [options]
+ * @param {number} [options.orderValue] - Goods value, checked against each method's freeAbove
+ * @param {Date} [options.now] - Reference time for ETAs and same-day cutoffs
+ * @returns {Promise<Object>} { zone, parcel, options }
+ */
+const quoteShipping = async (items, address, { orderValue = 0, now = new Date() } = {}) => {
+  const { zone, hasZones } = await ShippingZone.findForAddress(address);
+
+  // The built-in rates only stand in until an admin has configured zones
+  if (!zone && hasZones) {
+    throw new AppError('We do not ship to this address yet', 400);
+  }
+
+  const rules = zone || FALLBACK_ZONE;
+  const parcel = await buildParcel(items, rules.volumetricDivisor || 5000);
+
+  const options = rules.methods
+    .filter(method => method.isActive !== false)
+    .map(method => priceMethod(method, parcel, orderValue, now))
+    .filter(Boolean);
+
+  if (options.length === 0) {
+    throw new AppError('No shipping method can deliver this order to this address', 400);
+  }
+
+  return {
+    zone: {
+      id: zone ? zone._id : null,
+      name: rules.name
+    },
+    parcel: {
+      actualWeight: parcel.actualWeight,
+      volumetricWeight: parcel.volumetricWeight,
+      chargeableWeight: parcel.chargeableWeight
+    },
+    options
+  };
+};
+
+/**
+ * Price one shipping method for checkout
+ * @param {Array} items - Order lines ({ product, quantity })
+ * @param {Object} address - Destination ({ country, state, zipCode })
+ * @param {string} [method] - standard, express or same_day
+ * @param {Object} [options] - As for quoteShipping
+ * @returns {Promise<Object>} The chosen option ({ method, label, cost, estimatedDelivery, ... })
+ */
+const selectShippingOption = async (items, address, method = 'standard', options) => {
+  const quote = await quoteShipping(items, address, options);
+  const option = quote.options.find(candidate => candidate.method === method);
+
+  if (!option) {
+    throw new AppError(`${method.replace('_', '-')} shipping is not available for this order and address`, 400);
+  }
+
+  return option;
+};
+
+// Helper functions
+
+/**
+ * Total up weight, volume and surcharges for the shippable lines
+ */
+const buildParcel = async (items, volumetricDivisor) => {
+  const productIds = items.map(item => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('isDigital shipping dimensions');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const parcel = {
+    actualWeight: 0,
+    volume: 0,
+    longestSide: 0,
+    surcharge: 0,
+    shippableLines: 0
+  };
+
+  for (const item of items) {
+    const product = byId.get((item.product._id || item.product).toString());
+
+    if (!product || product.isDigital || (product.shipping && product.shipping.free)) {
+      continue;
+    }
+
+    const { weight, sides } = unitMeasurements(product);
+
+    parcel.shippableLines++;
+    parcel.actualWeight += weight * item.quantity;
+    parcel.volume += sides.reduce((volume, side) => volume * side, 1) * item.quantity;
+    parcel.longestSide = Math.max(parcel.longestSide, ...sides);
+    parcel.surcharge += ((product.shipping && product.shipping.cost) || 0) * item.quantity;
+  }
+
+  parcel.actualWeight = round(parcel.actualWeight);
+  parcel.volumetricWeight = round(parcel.volume / volumetricDivisor);
+  parcel.chargeableWeight = Math.max(parcel.actualWeight, parcel.volumetricWeight);
+
+  return parcel;
+};
+
+/**
+ * Weight (kg) and side lengths (cm) of one unit of a product
+ * Product.shipping carries packed measurements; Product.dimensions is the fallback
+ */
+const unitMeasurements = (product) => {
+  const shipping = product.shipping || {};
+  const dimensions = product.dimensions || {};
+
+  const weight = shipping.weight != null
+    ? shipping.weight
+    : (dimensions.weight || 0) * (WEIGHT_TO_KG[dimensions.weightUnit] || 1);
+
+  const packed = shipping.dimensions || {};
+  const sides = packed.length && packed.width && packed.height
+    ? [packed.length, packed.width, packed.height]
+    : [dimensions.length, dimensions.width, dimensions.height]
+      .map(side => (side || 0) * (LENGTH_TO_CM[dimensions.unit] || 1));
+
+  return { weight, sides };
+};
+
+/**
+ * Price a zone method for a parcel, or null when the method can't take it
+ */
+const priceMethod = (method, parcel, orderValue, now) => {
+  if (method.maxWeight && parcel.chargeableWeight > method.maxWeight) return null;
+  if (method.maxLength && parcel.longestSide > method.maxLength) return null;
+  if (method.method === 'same_day' && method.cutoffHour != null && now.getHours() >= method.cutoffHour) return null;
+
+  let cost = 0;
+
+  // Nothing to charge for when every line ships free
+  if (parcel.shippableLines > 0) {
+    const tiers = method.weightTiers || [];
+    const weight = parcel.chargeableWeight;
+
+    if (tiers.length === 0) {
+      cost = method.baseRate || 0;
+    } else {
+      const tier = tiers.find(candidate => weight <= candidate.maxWeight);
+      const heaviest = tiers[tiers.length - 1];
+
+      cost = tier
+        ? tier.rate
+        : heaviest.rate + Math.ceil(weight - heaviest.maxWeight) * (method.additionalPerKg || 0);
+    }
+
+    cost += parcel.surcharge;
+  }
+
+  if (method.freeAbove != null && orderValue >= method.freeAbove) {
+    cost = 0;
+  }
+
+  const minDays = method.method === 'same_day' ? 0 : method.minDays;
+  const maxDays = method.method === 'same_day' ? 0 : method.maxDays;
+
+  return {
+    method: method.method,
+    label: method.label || defaultLabel(method.method),
+    cost: round(cost),
+    free: cost === 0,
+    minDays,
+    maxDays,
+    estimatedDelivery: {
+      earliest: addDays(now, minDays),
+      latest: addDays(now, maxDays)
+    }
+  };
+};
+
+const defaultLabel = (method) => ({
+  standard: 'Standard Delivery',
+  express: 'Express Delivery',
+  same_day: 'Same-Day Delivery'
+}[method]);
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  quoteShipping,
+  selectShippingOption
+};
@@ -0,0 +1,438 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Synonym = require('../models/Synonym');
+const SearchQuery = require('../models/SearchQuery');
+const logger = require('../config/logger');
+const {
+  SUGGEST_REBUILD_DELAY_MS,
+  SUGGEST_INDEX_MAX_AGE_MINUTES,
+  POPULAR_QUERY_MIN_COUNT,
+  POPULAR_QUERY_LIMIT
+} = require('../config/search');
+
+// How well a typed word matches an indexed word; a fuzzy match loses 0.1 per edit after the first
+const MATCH_SCORES = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.8,
+  fuzzy: 0.7
+};
+
+// Suggestion groups in the response, and the type of index entry each one lists
+const GROUPS = {
+  products: 'product',
+  brands: 'brand',
+  categories: 'category',
+  queries: 'query'
+};
+
+// The in-process index; built on the first request and rebuilt after changes
+let index = null;
+let builtAt = 0;
+let building = null;
+let rebuildTimer = null;
+
+/**
+ * Suggest products, brands, categories and popular queries for what a shopper has typed so far
+ * Every word typed must match: the last one as a prefix (it may be half typed), the others
+ * whole, either as typed or through an admin-managed synonym. A word with no such match is
+ * matched allowing one typo (two in words of eight letters or more), so "hedphones" still
+ * suggests headphones.
+ * @param {string} q - Text typed so far
+ * @param {Object} [options] - { limit } suggestions per group
+ * @returns {Promise<Object>} { products, brands, categories, queries }
+ */
+const suggest = async (q, { limit = 5 } = {}) => {
+  const current = await getIndex();
+  const words = tokenize(q);
+  const suggestions = { products: [], brands: [], categories: [], queries: [] };
+  let scores = null;
+
+  for (const [position, word] of words.entries()) {
+    const wordScores = scoreEntries(current, matchWord(current, word, position === words.length - 1));
+    scores = scores ? intersect(scores, wordScores) : wordScores;
+
+    if (scores.size === 0) {
+      return suggestions;
+    }
+  }
+
+  if (!scores) {
+    return suggestions;
+  }
+
+  const ranked = [...scores.entries()]
+    .map(([id, score]) => ({ entry: current.entries[id], score }))
+    .sort((a, b) =>
+      (b.score - a.score) ||
+      (b.entry.weight - a.entry.weight) ||
+      (a.entry.text.length - b.entry.text.length)
+    );
+
+  Object.entries(GROUPS).forEach(([group, type]) => {
+    suggestions[group] = ranked
+      .filter(({ entry }) => entry.type === type)
+      .slice(0, limit)
+      .map(({ entry }) => entry.suggestion);
+  });
+
+  return suggestions;
+};
+
+/**
+ * Count a search towards the popular queries suggested
+ * @param {string} q - Search text
+ * @param {number} resultCount - Products found
+ * @returns {Promise<Object|null>} The SearchQuery, or null for a query with no words
+ */
+const recordQuery = async (q, resultCount) => {
+  const query = normalizeQuery(q);
+
+  if (!query) {
+    return null;
+  }
+
+  return SearchQuery.record(query, resultCount);
+};
+
+/**
+ * A search term as lowercase words without accents or punctuation, separated by single
+ * spaces, so "Headphónes!" and "headphones" count as the same query
+ * @param {string} q - Search text
+ * @returns {string} The normalized query ('' if it has no words)
+ */
+const normalizeQuery = (q) => tokenize(q).join(' ');
+
+/**
+ * Note that products, categories or synonyms changed; the index is rebuilt once changes
+ * stop for SUGGEST_REBUILD_DELAY_MS
+ */
+const markStale = () => {
+  if (!index) {
+    // Nothing to refresh until the first request builds it
+    return;
+  }
+
+  clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(() => {
+    // A build already under way may have read the data before this change
+    const pending = building ? building.catch(() => {}) : Promise.resolve();
+
+    pending
+      .then(rebuild)
+      .catch(error => logger.error('Search suggestion index rebuild failed:', error));
+  }, SUGGEST_REBUILD_DELAY_MS);
+  rebuildTimer.unref();
+};
+
+// Helper functions
+
+/**
+ * The current index; the first request waits for it to be built, later ones are served from
+ * the old index while an outdated one is rebuilt
+ */
+const getIndex = async () => {
+  if (!index) {
+    return rebuild();
+  }
+
+  if (Date.now() - builtAt > SUGGEST_INDEX_MAX_AGE_MINUTES * 60 * 1000) {
+    rebuild().catch(error => logger.error('Search suggestion index rebuild failed:', error));
+  }
+
+  return index;
+};
+
+/**
+ * Build the index, sharing a build already under way
+ */
+const rebuild = () => {
+  if (!building) {
+    const startedAt = Date.now();
+
+    building = buildIndex()
+      .then(built => {
+        index = built;
+        builtAt = Date.now();
+
+        logger.info('Search suggestion index built', {
+          entries: built.entries.length,
+          words: built.vocabulary.length,
+          ms: builtAt - startedAt
+        });
+
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+};
+
+/**
+ * Load everything that can be suggested and index it by word
+ * Entries are listed products, their brands, active categories and popular queries; postings
+ * map each word to the entries containing it.
+ */
+const buildIndex = async () => {
+  const [products, categories, synonyms, queries] = await Promise.all([
+    Product.find(Product.listedFilter())
+      .select('title slug brand thumbnail purchases')
+      .lean(),
+    Category.find({ isActive: true })
+      .select('name slug productCount')
+      .lean(),
+    Synonym.find({ isActive: true })
+      .select('terms')
+      .lean(),
+    SearchQuery.find({ count: { $gte: POPULAR_QUERY_MIN_COUNT }, lastResultCount: { $gt: 0 } })
+      .select('query count')
+      .sort({ count: -1 })
+      .limit(POPULAR_QUERY_LIMIT)
+      .lean()
+  ]);
+
+  const entries = [];
+  const postings = new Map();
+  const brands = new Map();
+
+  const addEntry = (entry, words) => {
+    const id = entries.push(entry) - 1;
+
+    new Set(words).forEach(word => {
+      if (!postings.has(word)) {
+        postings.set(word, []);
+      }
+      postings.get(word).push(id);
+    });
+  };
+
+  products.forEach(product => {
+    addEntry({
+      type: 'product',
+      text: product.title,
+      weight: product.purchases || 0,
+      suggestion: {
+        _id: product._id,
+        title: product.title,
+        slug: product.slug,
+        thumbnail: product.thumbnail
+      }
+    }, tokenize(`${product.title} ${product.brand || ''}`));
+
+    const brandKey = tokenize(product.brand).join(' ');
+    if (brandKey) {
+      const brand = brands.get(brandKey) || { value: product.brand.trim(), count: 0 };
+      brand.count += 1;
+      brands.set(brandKey, brand);
+    }
+  });
+
+  brands.forEach(({ value, count }) => {
+    addEntry({ type: 'brand', text: value, weight: count, suggestion: { value, count } }, tokenize(value));
+  });
+
+  categories.forEach(category => {
+    addEntry({
+      type: 'category',
+      text: category.name,
+      weight: category.productCount || 0,
+      suggestion: {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        productCount: category.productCount || 0
+      }
+    }, tokenize(category.name));
+  });
+
+  queries.forEach(({ query, count }) => {
+    addEntry({ type: 'query', text: query, weight: count, suggestion: { query, count } }, query.split(' '));
+  });
+
+  // Each synonym word maps to the other words in its group
+  const synonymsOf = new Map();
+  synonyms.forEach(({ terms }) => {
+    const words = [...new Set(terms.map(tokenize).filter(term => term.length === 1).map(([word]) => word))];
+
+    words.forEach(word => {
+      const others = synonymsOf.get(word) || new Set();
+      words.filter(other => other !== word).forEach(other => others.add(other));
+      synonymsOf.set(word, others);
+    });
+  });
+
+  return {
+    entries,
+    postings,
+    synonymsOf,
+    // Every known word, sorted for prefix lookups
+    vocabulary: [...new Set([...postings.keys(), ...synonymsOf.keys()])].sort()
+  };
+};
+
+/**
+ * Indexed words matching a typed word, with how well each matches
+ * Typos are only tried when the word (or its synonyms) matches nothing as typed.
+ */
+const matchWord = (current, word, isPrefix) => {
+  const matches = new Map();
+
+  const add = (term, score) => {
+    if (current.postings.has(term) && score > (matches.get(term) || 0)) {
+      matches.set(term, score);
+    }
+  };
+
+  const addWithSynonyms = (term, score) => {
+    add(term, score);
+    (current.synonymsOf.get(term) || []).forEach(synonym => add(synonym, score * MATCH_SCORES.synonym));
+  };
+
+  addWithSynonyms(word, MATCH_SCORES.exact);
+
+  if (isPrefix) {
+    wordsStartingWith(current.vocabulary, word)
+      .forEach(term => add(term, MATCH_SCORES.prefix));
+  }
+
+  const maxEdits = allowedEdits(word);
+  if (matches.size > 0 || maxEdits === 0) {
+    return matches;
+  }
+
+  current.vocabulary.forEach(term => {
+    const edits = editDistance(word, term, maxEdits, isPrefix);
+
+    if (edits <= maxEdits) {
+      addWithSynonyms(term, MATCH_SCORES.fuzzy - (edits - 1) * 0.1);
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * The best score each entry gets from a word's matches
+ */
+const scoreEntries = (current, matches) => {
+  const scores = new Map();
+
+  matches.forEach((score, term) => {
+    current.postings.get(term).forEach(id => {
+      if (score > (scores.get(id) || 0)) {
+        scores.set(id, score);
+      }
+    });
+  });
+
+  return scores;
+};
+
+/**
+ * Entries matching both words so far, with their scores added up
+ */
+const intersect = (scores, wordScores) => {
+  const both = new Map();
+
+  scores.forEach((score, id) => {
+    if (wordScores.has(id)) {
+      both.set(id, score + wordScores.get(id));
+    }
+  });
+
+  return both;
+};
+
+/**
+ * Words in the sorted vocabulary that start with a prefix
+ */
+const wordsStartingWith = (vocabulary, prefix) => {
+  let low = 0;
+  let high = vocabulary.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const words = [];
+  for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i += 1) {
+    words.push(vocabulary[i]);
+  }
+
+  return words;
+};
+
+/**
+ * Typos tolerated in a word of this length
+ */
+const allowedEdits = (word) => {
+  if (word.length < 4) return 0;
+  if (word.length < 8) return 1;
+  return 2;
+};
+
+/**
+ * Edits (insertions, deletions, substitutions and swaps of neighbouring letters) to turn a
+ * term into the typed word; with prefix, into the closest start of the term. Anything over
+ * maxEdits comes back as Infinity or some other number over maxEdits.
+ */
+const editDistance = (word, term, maxEdits, prefix = false) => {
+  if (prefix ? term.length < word.length - maxEdits : Math.abs(word.length - term.length) > maxEdits) {
+    return Infinity;
+  }
+
+  const rows = Math.min(term.length, word.length + maxEdits);
+  let before = null;
+  let previous = Array.from({ length: word.length + 1 }, (value, j) => j);
+  let best = previous[word.length];
+
+  for (let i = 1; i <= rows; i += 1) {
+    const row = [i];
+
+    for (let j = 1; j <= word.length; j += 1) {
+      const cost = term[i - 1] === word[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+
+      if (before && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+    }
+
+    best = Math.min(best, row[word.length]);
+
+    // No later row can come back under the limit
+    if (Math.min(...row) > maxEdits && Math.min(...previous) > maxEdits) {
+      return prefix ? best : Infinity;
+    }
+
+    before = previous;
+    previous = row;
+  }
+
+  return prefix ? best : previous[word.length];
+};
+
+/**
+ * Lowercase words without accents or punctuation
+ */
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+module.exports = {
+  suggest,
+  recordQuery,
+  normalizeQuery,
+  markStale
+};
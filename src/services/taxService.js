@@ -0,0 +1,117 @@
+const Product = require('../models/Product');
+const { DEFAULT_GST_RATE, PRICES_INCLUDE_TAX, BUSINESS_STATE } = require('../config/tax');
+
+/**
+ * Work out GST for a set of order lines
+ * Each line's rate comes from its product, then its category, then the default rate.
+ * Intra-state supplies split the tax into CGST + SGST; inter-state supplies are IGST,
+ * decided by comparing the seller's state with the shipping state.
+ * @param {Array} items - Order lines ({ product, total }), product may be an ID or document
+ * @param {Object} [options]
+ * @param {Object} [options.shippingAddress] - Destination ({ state }); without one every line is intra-state
+ * @param {Array} [options.lineDiscounts] - Discount per line, aligned with items (see Coupon.calculateDiscount)
+ * @returns {Promise<Object>} { lines, taxAmount, breakdown: { cgst, sgst, igst }, pricesIncludeTax }
+ */
+const calculateOrderTax = async (items, { shippingAddress, lineDiscounts = [] } = {}) => {
+  const productIds = items.map(item => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('taxRate hsnCode category seller')
+    .populate('category', 'taxRate')
+    .populate('seller', 'role addresses');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const destination = normalizeState(shippingAddress && shippingAddress.state);
+  const breakdown = { cgst: 0, sgst: 0, igst: 0 };
+
+  const lines = items.map((item, index) => {
+    const product = byId.get((item.product._id || item.product).toString());
+    const rate = taxRateFor(product);
+    const discount = lineDiscounts[index] || 0;
+    const value = Math.max(item.total - discount, 0);
+
+    // Inclusive prices already carry the tax; exclusive prices have it added on top
+    const taxableValue = PRICES_INCLUDE_TAX ? round(value * 100 / (100 + rate)) : round(value);
+    const amount = PRICES_INCLUDE_TAX ? round(value - taxableValue) : round(taxableValue * rate / 100);
+
+    const origin = sellerState(product);
+    const supplyType = destination && origin && destination !== origin ? 'inter_state' : 'intra_state';
+
+    const line = {
+      hsnCode: product ? product.hsnCode : undefined,
+      rate,
+      discount,
+      taxableValue,
+      supplyType,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      amount
+    };
+
+    if (supplyType === 'inter_state') {
+      line.igst = amount;
+    } else {
+      line.cgst = round(amount / 2);
+      line.sgst = round(amount - line.cgst);
+    }
+
+    breakdown.cgst += line.cgst;
+    breakdown.sgst += line.sgst;
+    breakdown.igst += line.igst;
+
+    return line;
+  });
+
+  return {
+    lines,
+    taxAmount: round(lines.reduce((total, line) => total + line.amount, 0)),
+    breakdown: {
+      cgst: round(breakdown.cgst),
+      sgst: round(breakdown.sgst),
+      igst: round(breakdown.igst)
+    },
+    pricesIncludeTax: PRICES_INCLUDE_TAX
+  };
+};
+
+// Helper functions
+
+/**
+ * GST rate for a product: its own tax class, else its category's, else the default
+ */
+const taxRateFor = (product) => {
+  if (product && product.taxRate != null) {
+    return product.taxRate;
+  }
+
+  if (product && product.category && product.category.taxRate != null) {
+    return product.category.taxRate;
+  }
+
+  return DEFAULT_GST_RATE;
+};
+
+/**
+ * State a product ships from: a marketplace seller's default address,
+ * otherwise the platform's own registered state
+ */
+const sellerState = (product) => {
+  const seller = product && product.seller;
+
+  if (seller && seller.role === 'seller' && seller.addresses && seller.addresses.length > 0) {
+    const address = seller.addresses.find(addr => addr.isDefault) || seller.addresses[0];
+    return normalizeState(address.state);
+  }
+
+  return normalizeState(BUSINESS_STATE);
+};
+
+const normalizeState = (state) => {
+  return state ? state.trim().toLowerCase() : '';
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  calculateOrderTax
+};
@@ -0,0 +1,61 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const logger = require('../config/logger');
+
+/**
+ * Record a verified webhook event and run its handler unless it already ran
+ * Providers retry deliveries, so the same event can arrive several times (even
+ * concurrently); only the delivery that claims the stored event processes it.
+ * @param {string} provider - Service that sent the event (e.g. stripe)
+ * @param {Object} event - Verified event, with the provider's `id` and `type`
+ * @param {Function} handler - Async function taking the event
+ * @returns {Promise<Object>} { event: WebhookEvent, duplicate } duplicate is true when nothing ran
+ */
+const processWebhookEvent = async (provider, event, handler) => {
+  const record = await WebhookEvent.record(provider, event);
+  return runWebhookEvent(record, handler);
+};
+
+/**
+ * Run the handler for a stored event, recording the outcome
+ * A failure is saved on the event and rethrown, so the provider retries it and
+ * admins can see and re-run it.
+ * @param {Object} record - WebhookEvent document
+ * @param {Function} handler - Async function taking the event payload
+ * @returns {Promise<Object>} { event: WebhookEvent, duplicate }
+ */
+const runWebhookEvent = async (record, handler) => {
+  const claimed = await WebhookEvent.claim(record._id);
+
+  if (!claimed) {
+    logger.info('Webhook event already processed or in progress', {
+      provider: record.provider,
+      eventId: record.eventId,
+      status: record.status
+    });
+    return { event: record, duplicate: true };
+  }
+
+  try {
+    await handler(claimed.payload);
+  } catch (error) {
+    await claimed.markFailed(error);
+
+    logger.error('Webhook event processing failed', {
+      provider: claimed.provider,
+      eventId: claimed.eventId,
+      type: claimed.type,
+      attempts: claimed.attempts,
+      error: error.message
+    });
+    throw error;
+  }
+
+  await claimed.markProcessed();
+
+  return { event: claimed, duplicate: false };
+};
+
+module.exports = {
+  processWebhookEvent,
+  runWebhookEvent
+};
@@ -1,12 +1,17 @@
 
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
+    // Extra data for the client, e.g. the statuses an order can move to
+    if (details) {
+      this.details = details;
+    }
+
     Error.captureStackTrace(this, this.constructor);
   }
 }
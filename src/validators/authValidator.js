@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { GST_RATES } = require('../config/tax');
+const { SHIPPING_METHODS } = require('../config/shipping');
+const { ORDER_STATUSES, SHIPMENT_STATUSES } = require('../config/orderStatus');
 
 /**
  * Validation middleware factory
@@ -45,7 +48,9 @@ const commonSchemas = {
   price: Joi.number().min(0).precision(2),
   rating: Joi.number().min(0).max(5),
   url: Joi.string().uri(),
-  slug: Joi.string().lowercase().pattern(/^[a-z0-9-]+$/).message('Slug can only contain lowercase letters, numbers and hyphens')
+  slug: Joi.string().lowercase().pattern(/^[a-z0-9-]+$/).message('Slug can only contain lowercase letters, numbers and hyphens'),
+  taxRate: Joi.number().valid(...GST_RATES),
+  hsnCode: Joi.string().trim().pattern(/^\d{4,8}$/).message('HSN code must be 4 to 8 digits')
 };
 
 // Auth validation schemas
@@ -100,6 +105,31 @@ const authSchemas = {
   })
 };
 
+// Product variant groups, e.g. Size with options S/M/L
+const productVariantsSchema = Joi.array().items(
+  Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    options: Joi.array().items(
+      Joi.object({
+        value: Joi.string().trim().min(1).max(50).required(),
+        price: commonSchemas.price.optional(),
+        stock: Joi.number().integer().min(0).optional(),
+        sku: Joi.string().trim().uppercase().optional()
+      })
+    ).min(1).required()
+  })
+).max(5);
+
+// Product images, as returned by the upload endpoints
+const productImagesSchema = Joi.array().items(
+  Joi.object({
+    public_id: Joi.string().trim().required(),
+    url: commonSchemas.url.required(),
+    alt: Joi.string().trim().max(200).optional(),
+    isPrimary: Joi.boolean().optional()
+  })
+).max(8);
+
 // Product validation schemas
 const productSchemas = {
   create: Joi.object({
@@ -113,9 +143,13 @@ const productSchemas = {
     subcategory: Joi.string().trim().max(100).optional(),
     brand: Joi.string().trim().max(100).optional(),
     sku: Joi.string().trim().uppercase().optional(),
+    taxRate: commonSchemas.taxRate.allow(null).optional(),
+    hsnCode: commonSchemas.hsnCode.optional(),
     barcode: Joi.string().trim().optional(),
     stock: Joi.number().integer().min(0).required(),
     lowStockThreshold: Joi.number().integer().min(0).optional(),
+    images: productImagesSchema.optional(),
+    thumbnail: commonSchemas.url.optional(),
     isActive: Joi.boolean().optional(),
     isFeatured: Joi.boolean().optional(),
     isDigital: Joi.boolean().optional(),
@@ -124,6 +158,7 @@ const productSchemas = {
       Joi.string(),
       Joi.string().max(500)
     ).optional(),
+    variants: productVariantsSchema.optional(),
     dimensions: Joi.object({
       length: Joi.number().min(0).optional(),
       width: Joi.number().min(0).optional(),
@@ -155,8 +190,12 @@ const productSchemas = {
     category: commonSchemas.objectId.optional(),
     subcategory: Joi.string().trim().max(100).optional(),
     brand: Joi.string().trim().max(100).optional(),
+    taxRate: commonSchemas.taxRate.allow(null).optional(),
+    hsnCode: commonSchemas.hsnCode.optional(),
     stock: Joi.number().integer().min(0).optional(),
     lowStockThreshold: Joi.number().integer().min(0).optional(),
+    images: productImagesSchema.optional(),
+    thumbnail: commonSchemas.url.optional(),
     isActive: Joi.boolean().optional(),
     isFeatured: Joi.boolean().optional(),
     tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(10).optional(),
@@ -164,6 +203,7 @@ const productSchemas = {
       Joi.string(),
       Joi.string().max(500)
     ).optional(),
+    variants: productVariantsSchema.optional(),
     dimensions: Joi.object({
       length: Joi.number().min(0).optional(),
       width: Joi.number().min(0).optional(),
@@ -185,6 +225,22 @@ const productSchemas = {
     }).optional()
   }),
 
+  moderationQueue: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected').optional(),
+    seller: commonSchemas.objectId.optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  approve: Joi.object({
+    productIds: Joi.array().items(commonSchemas.objectId).min(1).max(100).required()
+  }),
+
+  reject: Joi.object({
+    productIds: Joi.array().items(commonSchemas.objectId).min(1).max(100).required(),
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
   stockUpdate: Joi.object({
     stock: Joi.number().integer().min(0).required(),
     operation: Joi.string().valid('set', 'add', 'subtract').default('set')
@@ -202,7 +258,13 @@ const productSchemas = {
     maxPrice: Joi.number().min(0).optional(),
     minRating: commonSchemas.rating.optional(),
     inStock: Joi.boolean().optional(),
+    stockStatus: Joi.string().valid('inStock', 'lowStock', 'outOfStock').optional(),
     featured: Joi.boolean().optional()
+  }),
+
+  detail: Joi.object({
+    // Search the product was opened from, for click-through tracking
+    searchId: commonSchemas.objectId.optional()
   })
 };
 
@@ -212,6 +274,9 @@ const categorySchemas = {
     name: Joi.string().trim().min(1).max(100).required(),
     description: Joi.string().trim().max(500).optional(),
     parent: commonSchemas.objectId.optional(),
+    taxRate: commonSchemas.taxRate.allow(null).optional(),
+    returnWindowDays: Joi.number().integer().min(0).max(365).allow(null).optional(),
+    commissionRate: Joi.number().min(0).max(100).precision(2).allow(null).optional(),
     isActive: Joi.boolean().optional(),
     sortOrder: Joi.number().integer().optional(),
     metaTitle: Joi.string().max(60).optional(),
@@ -223,11 +288,29 @@ const categorySchemas = {
     name: Joi.string().trim().min(1).max(100).optional(),
     description: Joi.string().trim().max(500).optional(),
     parent: commonSchemas.objectId.allow(null).optional(),
+    taxRate: commonSchemas.taxRate.allow(null).optional(),
+    returnWindowDays: Joi.number().integer().min(0).max(365).allow(null).optional(),
+    commissionRate: Joi.number().min(0).max(100).precision(2).allow(null).optional(),
     isActive: Joi.boolean().optional(),
     sortOrder: Joi.number().integer().optional(),
     metaTitle: Joi.string().max(60).optional(),
     metaDescription: Joi.string().max(160).optional(),
     metaKeywords: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(10).optional()
+  }),
+
+  list: Joi.object({
+    // A category ID, or root for top-level categories
+    parent: Joi.alternatives().try(commonSchemas.objectId, Joi.string().valid('root')).optional(),
+    includeInactive: Joi.boolean().optional()
+  }),
+
+  tree: Joi.object({
+    includeInactive: Joi.boolean().optional()
+  }),
+
+  remove: Joi.object({
+    // Category to move the deleted category's products to
+    reassignTo: commonSchemas.objectId.optional()
   })
 };
 
@@ -247,41 +330,323 @@ const cartSchemas = {
 
   updateItem: Joi.object({
     quantity: Joi.number().integer().min(1).max(99).required()
+  }),
+
+  applyCoupon: Joi.object({
+    code: Joi.string().trim().min(1).max(30).required()
   })
 };
 
+// Coupon validation schemas
+const couponSchemas = {
+  create: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(30).required()
+      .messages({ 'string.pattern.base': 'Coupon code may only contain letters, numbers, hyphens and underscores' }),
+    description: Joi.string().trim().max(200).optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').required(),
+    discountValue: Joi.number().positive().required()
+      .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+    maxDiscountAmount: Joi.number().positive().optional(),
+    minCartValue: Joi.number().min(0).optional(),
+    validFrom: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().optional()
+      .when('validFrom', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('validFrom')) }),
+    usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    firstOrderOnly: Joi.boolean().optional(),
+    applicableCategories: Joi.array().items(commonSchemas.objectId).optional(),
+    applicableProducts: Joi.array().items(commonSchemas.objectId).optional(),
+    applicableBrands: Joi.array().items(Joi.string().trim().max(50)).optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  update: Joi.object({
+    description: Joi.string().trim().max(200).optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').optional(),
+    discountValue: Joi.number().positive().optional()
+      .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+    maxDiscountAmount: Joi.number().positive().allow(null).optional(),
+    minCartValue: Joi.number().min(0).optional(),
+    validFrom: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().allow(null).optional(),
+    usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    firstOrderOnly: Joi.boolean().optional(),
+    applicableCategories: Joi.array().items(commonSchemas.objectId).optional(),
+    applicableProducts: Joi.array().items(commonSchemas.objectId).optional(),
+    applicableBrands: Joi.array().items(Joi.string().trim().max(50)).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+};
+
 // Order validation schemas
+const returnPickupSchema = Joi.object({
+  scheduledFor: Joi.date().iso().required(),
+  slot: Joi.string().trim().max(50).optional(),
+  carrier: Joi.string().trim().max(100).optional(),
+  trackingNumber: Joi.string().trim().max(100).optional()
+});
+
+// Where an order ships to
+const shippingAddressSchema = Joi.object({
+  firstName: commonSchemas.name.required(),
+  lastName: commonSchemas.name.required(),
+  street: Joi.string().trim().min(1).max(200).required(),
+  apartment: Joi.string().trim().max(100).optional(),
+  city: Joi.string().trim().min(1).max(100).required(),
+  state: Joi.string().trim().min(1).max(100).required(),
+  zipCode: Joi.string().trim().min(3).max(20).required(),
+  country: Joi.string().trim().min(1).max(100).required(),
+  phone: commonSchemas.phone.optional()
+});
+
 const orderSchemas = {
   create: Joi.object({
+    shippingAddress: shippingAddressSchema.required(),
+    paymentMethod: Joi.string().valid('stripe', 'razorpay', 'paypal', 'cod').required(),
+    // Signed by the server; its contents are checked by the pricing service
+    quote: Joi.object().unknown(true).required(),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  quote: Joi.object({
+    // Only the destination affects the price
     shippingAddress: Joi.object({
-      firstName: commonSchemas.name.required(),
-      lastName: commonSchemas.name.required(),
-      street: Joi.string().trim().min(1).max(200).required(),
-      apartment: Joi.string().trim().max(100).optional(),
-      city: Joi.string().trim().min(1).max(100).required(),
       state: Joi.string().trim().min(1).max(100).required(),
       zipCode: Joi.string().trim().min(3).max(20).required(),
-      country: Joi.string().trim().min(1).max(100).required(),
-      phone: commonSchemas.phone.optional()
+      country: Joi.string().trim().min(1).max(100).required()
     }).required(),
-    paymentMethod: Joi.string().valid('stripe', 'paypal', 'cod').required(),
-    notes: Joi.string().trim().max(500).optional()
+    shippingMethod: Joi.string().valid(...SHIPPING_METHODS).default('standard'),
+    // Prices are in INR and aren't converted
+    currency: Joi.string().trim().lowercase().valid('inr').default('inr')
   }),
 
   updateStatus: Joi.object({
-    status: Joi.string().valid(
-      'pending',
-      'confirmed',
-      'processing',
-      'shipped',
-      'delivered',
-      'cancelled',
-      'refunded'
-    ).required(),
+    status: Joi.string().valid(...ORDER_STATUSES).required(),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  createShipments: Joi.object({
+    // Omit to split everything not yet shipped by seller
+    shipments: Joi.array().items(
+      Joi.object({
+        items: Joi.array().items(
+          Joi.object({
+            product: commonSchemas.objectId.required(),
+            variantKey: Joi.string().allow('').default(''),
+            quantity: Joi.number().integer().min(1).required()
+          })
+        ).min(1).required(),
+        seller: commonSchemas.objectId.optional(),
+        warehouse: Joi.string().trim().max(100).optional(),
+        carrier: Joi.string().trim().max(100).optional()
+      })
+    ).min(1).optional()
+  }),
+
+  tracking: Joi.object({
+    // Required once the order has more than one shipment
+    shipmentId: Joi.string().trim().max(100).optional(),
+    provider: Joi.string().trim().min(1).max(100).required(),
+    trackingNumber: Joi.string().trim().min(1).max(100).required(),
+    trackingUrl: Joi.string().uri().optional()
+  }),
+
+  shipmentStatus: Joi.object({
+    status: Joi.string().valid(...SHIPMENT_STATUSES.filter(status => status !== 'pending')).required(),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  codCollection: Joi.object({
+    amount: commonSchemas.price.required(),
+    reference: Joi.string().trim().max(100).optional(),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  track: Joi.object({
+    // Needed unless signed in as the order's owner
+    email: commonSchemas.email.optional()
+  }),
+
+  codReconciliation: Joi.object({
+    date: Joi.date().iso().optional()
+  }),
+
+  returnRequest: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.objectId.required(),
+        variantKey: Joi.string().allow('').default(''),
+        quantity: Joi.number().integer().min(1).required(),
+        reason: Joi.string().trim().max(500).optional()
+      })
+    ).min(1).required(),
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  returnApprove: Joi.object({
+    notes: Joi.string().trim().max(500).optional(),
+    pickup: returnPickupSchema.optional()
+  }),
+
+  returnReject: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  returnPickup: returnPickupSchema.required(),
+
+  returnComplete: Joi.object({
+    // Omit to take everything requested as received in resellable condition
+    items: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.objectId.required(),
+        variantKey: Joi.string().allow('').default(''),
+        receivedQuantity: Joi.number().integer().min(0).required(),
+        condition: Joi.string().valid('resellable', 'damaged', 'unacceptable').required()
+      })
+    ).min(1).optional(),
     notes: Joi.string().trim().max(500).optional()
   })
 };
 
+// Payment validation schemas
+const paymentSchemas = {
+  // Pays for the cart at a signed quote, or for a pending order; the amount and currency come from it
+  createIntent: Joi.object({
+    quote: Joi.object().unknown(true),
+    orderId: commonSchemas.objectId,
+    provider: Joi.string().valid('stripe', 'razorpay').default('stripe'),
+    // Passed on to the provider, within Stripe's metadata limits
+    metadata: Joi.object().pattern(Joi.string().max(40), Joi.string().max(500)).max(20).optional()
+  }).xor('quote', 'orderId'),
+
+  confirm: Joi.object({
+    paymentIntentId: Joi.string().trim().max(255).required(),
+    shippingAddress: shippingAddressSchema.required(),
+    // Signed by the server; checked against the payment by the pricing service
+    quote: Joi.object().unknown(true).required(),
+    provider: Joi.string().valid('stripe', 'razorpay').default('stripe'),
+    // What the provider's checkout returned to the client, e.g. Razorpay's signature
+    confirmation: Joi.object().unknown(true).optional()
+  }),
+
+  refund: Joi.object({
+    orderId: commonSchemas.objectId.required(),
+    // Lines to refund; omit both items and amount to refund everything left
+    items: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.objectId.required(),
+        variantKey: Joi.string().allow('').default(''),
+        quantity: Joi.number().integer().min(1).required()
+      })
+    ).min(1).optional(),
+    // In the order's currency; with items, refunds less than the lines are worth
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().trim().max(500).optional()
+  })
+};
+
+// Shipping validation schemas
+const shippingZoneMethodSchema = Joi.object({
+  method: Joi.string().valid(...SHIPPING_METHODS).required(),
+  label: Joi.string().trim().max(50).optional(),
+  baseRate: commonSchemas.price.optional(),
+  weightTiers: Joi.array().items(
+    Joi.object({
+      maxWeight: Joi.number().positive().required(),
+      rate: commonSchemas.price.required()
+    })
+  ).max(20).optional(),
+  additionalPerKg: commonSchemas.price.optional(),
+  freeAbove: commonSchemas.price.allow(null).optional(),
+  maxWeight: Joi.number().positive().allow(null).optional(),
+  maxLength: Joi.number().positive().allow(null).optional(),
+  minDays: Joi.number().integer().min(0).max(60).optional(),
+  maxDays: Joi.number().integer().min(0).max(60).optional(),
+  cutoffHour: Joi.number().integer().min(0).max(23).allow(null).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const shippingSchemas = {
+  quote: Joi.object({
+    country: Joi.string().trim().max(100).default('India'),
+    state: Joi.string().trim().min(1).max(100).required(),
+    zipCode: Joi.string().trim().min(3).max(20).required()
+  }),
+
+  createZone: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    countries: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    states: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    pincodes: Joi.array().items(Joi.string().trim().pattern(/^[A-Za-z0-9 -]+\*?$/)).optional(),
+    priority: Joi.number().integer().optional(),
+    volumetricDivisor: Joi.number().positive().optional(),
+    methods: Joi.array().items(shippingZoneMethodSchema).min(1).required(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  updateZone: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    countries: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    states: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    pincodes: Joi.array().items(Joi.string().trim().pattern(/^[A-Za-z0-9 -]+\*?$/)).optional(),
+    priority: Joi.number().integer().optional(),
+    volumetricDivisor: Joi.number().positive().optional(),
+    methods: Joi.array().items(shippingZoneMethodSchema).min(1).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+};
+
+// Search validation schemas
+// Synonym terms are single words, matched against single indexed words
+const synonymTermSchema = Joi.string().trim().lowercase().max(50)
+  .pattern(/^[\p{L}\p{N}]+$/u, 'single word');
+
+const searchSchemas = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100).optional(),
+    // Category ID or slug; includes its subcategories
+    category: Joi.alternatives().try(commonSchemas.objectId, commonSchemas.slug).optional(),
+    brand: Joi.string().trim().max(500).optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(0).optional(),
+    minRating: commonSchemas.rating.optional(),
+    inStock: Joi.boolean().optional(),
+    // specs[Color]=Black,Blue
+    specs: Joi.object().pattern(
+      Joi.string().trim().max(50).pattern(/^[^.$]+$/),
+      Joi.string().trim().max(500)
+    ).optional(),
+    sort: Joi.string().valid('relevance', 'newest', 'price_asc', 'price_desc', 'rating', 'popularity').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  suggest: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    // Suggestions per group
+    limit: Joi.number().integer().min(1).max(10).default(5)
+  }),
+
+  createSynonym: Joi.object({
+    terms: Joi.array().items(synonymTermSchema).min(2).max(20).unique().required(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  updateSynonym: Joi.object({
+    terms: Joi.array().items(synonymTermSchema).min(2).max(20).unique().optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1),
+
+  analytics: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // Click-through report: fewest searches for a query to be listed
+    minSearches: Joi.number().integer().min(1).default(5)
+  })
+};
+
 // Review validation schemas
 const reviewSchemas = {
   create: Joi.object({
@@ -331,6 +696,71 @@ const addressSchemas = {
   })
 };
 
+// Seller validation schemas
+const sellerAddressSchema = Joi.object({
+  street: Joi.string().trim().min(1).max(200).required(),
+  city: Joi.string().trim().min(1).max(100).required(),
+  state: Joi.string().trim().min(1).max(100).required(),
+  zipCode: Joi.string().trim().min(3).max(20).required(),
+  country: Joi.string().trim().min(1).max(100).optional()
+});
+
+const sellerBankAccountSchema = Joi.object({
+  accountHolderName: Joi.string().trim().min(1).max(100).required(),
+  accountNumber: Joi.string().trim().pattern(/^\d{9,18}$/).message('Account number must be 9 to 18 digits').required(),
+  ifsc: Joi.string().trim().uppercase().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).message('Invalid IFSC').required(),
+  bankName: Joi.string().trim().max(100).optional()
+});
+
+const sellerSchemas = {
+  apply: Joi.object({
+    businessName: Joi.string().trim().min(1).max(150).required(),
+    displayName: Joi.string().trim().max(100).optional(),
+    businessType: Joi.string().valid('individual', 'proprietorship', 'partnership', 'private_limited', 'llp').optional(),
+    contactPhone: commonSchemas.phone.required(),
+    pickupAddress: sellerAddressSchema.required(),
+    kyc: Joi.object({
+      pan: Joi.string().trim().uppercase().pattern(/^[A-Z]{5}[0-9]{4}[A-Z]$/).message('Invalid PAN').required(),
+      gstin: Joi.string().trim().uppercase()
+        .pattern(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/).message('Invalid GSTIN').optional(),
+      documents: Joi.array().items(Joi.object({
+        type: Joi.string().valid('pan_card', 'gst_certificate', 'cancelled_cheque', 'address_proof', 'other').required(),
+        url: commonSchemas.url.required()
+      })).min(1).required()
+    }).required(),
+    bankAccount: sellerBankAccountSchema.required()
+  }),
+
+  // KYC can't be changed once reviewed; business name and PAN stay as approved
+  update: Joi.object({
+    displayName: Joi.string().trim().max(100).optional(),
+    contactPhone: commonSchemas.phone.optional(),
+    pickupAddress: sellerAddressSchema.optional(),
+    bankAccount: sellerBankAccountSchema.optional()
+  }).min(1),
+
+  approve: Joi.object({
+    commissionRate: Joi.number().min(0).max(100).precision(2).allow(null).optional()
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  commission: Joi.object({
+    commissionRate: Joi.number().min(0).max(100).precision(2).allow(null).required()
+  }),
+
+  createPayout: Joi.object({
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  payoutPaid: Joi.object({
+    // Bank transfer reference (UTR)
+    reference: Joi.string().trim().min(1).max(100).required()
+  })
+};
+
 // Create validation middleware functions
 const validateRegister = validate(authSchemas.register);
 const validateLogin = validate(authSchemas.login);
@@ -343,15 +773,52 @@ const validateCreateProduct = validate(productSchemas.create);
 const validateUpdateProduct = validate(productSchemas.update);
 const validateProductStockUpdate = validate(productSchemas.stockUpdate);
 const validateProductQuery = validate(productSchemas.query, 'query');
+const validateModerationQueue = validate(productSchemas.moderationQueue, 'query');
+const validateProductDetailQuery = validate(productSchemas.detail, 'query');
+const validateApproveProducts = validate(productSchemas.approve);
+const validateRejectProducts = validate(productSchemas.reject);
 
 const validateCreateCategory = validate(categorySchemas.create);
 const validateUpdateCategory = validate(categorySchemas.update);
+const validateCategoryQuery = validate(categorySchemas.list, 'query');
+const validateCategoryTreeQuery = validate(categorySchemas.tree, 'query');
+const validateDeleteCategory = validate(categorySchemas.remove, 'query');
 
 const validateAddToCart = validate(cartSchemas.addItem);
 const validateUpdateCartItem = validate(cartSchemas.updateItem);
+const validateApplyCoupon = validate(cartSchemas.applyCoupon);
 
+const validateCreateCoupon = validate(couponSchemas.create);
+const validateUpdateCoupon = validate(couponSchemas.update);
+
+const validateOrderQuote = validate(orderSchemas.quote);
 const validateCreateOrder = validate(orderSchemas.create);
 const validateUpdateOrderStatus = validate(orderSchemas.updateStatus);
+const validateCreateShipments = validate(orderSchemas.createShipments);
+const validateAddTracking = validate(orderSchemas.tracking);
+const validateShipmentStatus = validate(orderSchemas.shipmentStatus);
+const validateTrackOrder = validate(orderSchemas.track, 'query');
+const validateCodCollection = validate(orderSchemas.codCollection);
+const validateCodReconciliation = validate(orderSchemas.codReconciliation, 'query');
+const validateReturnRequest = validate(orderSchemas.returnRequest);
+const validateReturnApprove = validate(orderSchemas.returnApprove);
+const validateReturnReject = validate(orderSchemas.returnReject);
+const validateReturnPickup = validate(orderSchemas.returnPickup);
+const validateReturnComplete = validate(orderSchemas.returnComplete);
+
+const validateCreatePaymentIntent = validate(paymentSchemas.createIntent);
+const validateConfirmPayment = validate(paymentSchemas.confirm);
+const validateCreateRefund = validate(paymentSchemas.refund);
+
+const validateShippingQuote = validate(shippingSchemas.quote, 'query');
+const validateCreateShippingZone = validate(shippingSchemas.createZone);
+const validateUpdateShippingZone = validate(shippingSchemas.updateZone);
+
+const validateSearch = validate(searchSchemas.query, 'query');
+const validateSuggest = validate(searchSchemas.suggest, 'query');
+const validateCreateSynonym = validate(searchSchemas.createSynonym);
+const validateUpdateSynonym = validate(searchSchemas.updateSynonym);
+const validateSearchAnalytics = validate(searchSchemas.analytics, 'query');
 
 const validateCreateReview = validate(reviewSchemas.create);
 const validateUpdateReview = validate(reviewSchemas.update);
@@ -359,6 +826,14 @@ const validateUpdateReview = validate(reviewSchemas.update);
 const validateCreateAddress = validate(addressSchemas.create);
 const validateUpdateAddress = validate(addressSchemas.update);
 
+const validateSellerApplication = validate(sellerSchemas.apply);
+const validateUpdateSeller = validate(sellerSchemas.update);
+const validateApproveSeller = validate(sellerSchemas.approve);
+const validateRejectSeller = validate(sellerSchemas.reject);
+const validateSellerCommission = validate(sellerSchemas.commission);
+const validateCreatePayout = validate(sellerSchemas.createPayout);
+const validatePayoutPaid = validate(sellerSchemas.payoutPaid);
+
 // Param validation
 const validateObjectId = validate(
   Joi.object({
@@ -367,6 +842,37 @@ const validateObjectId = validate(
   'params'
 );
 
+const validateProductIdParam = validate(
+  Joi.object({
+    productId: commonSchemas.objectId.required()
+  }),
+  'params'
+);
+
+const validateSlugParam = validate(
+  Joi.object({
+    slug: commonSchemas.slug.required()
+  }),
+  'params'
+);
+
+const validateCategoryParam = validate(
+  Joi.object({
+    // Category ID or slug
+    category: Joi.alternatives().try(commonSchemas.objectId, commonSchemas.slug).required()
+  }),
+  'params'
+);
+
+const validateShipmentParams = validate(
+  Joi.object({
+    id: commonSchemas.objectId.required(),
+    // Shipment ID or shipment number
+    shipmentId: Joi.string().trim().max(100).required()
+  }),
+  'params'
+);
+
 module.exports = {
   // Validation middleware
   validate,
@@ -384,18 +890,59 @@ module.exports = {
   validateUpdateProduct,
   validateProductStockUpdate,
   validateProductQuery,
+  validateModerationQueue,
+  validateProductDetailQuery,
+  validateApproveProducts,
+  validateRejectProducts,
   
   // Category validations
   validateCreateCategory,
   validateUpdateCategory,
+  validateCategoryQuery,
+  validateCategoryTreeQuery,
+  validateDeleteCategory,
   
   // Cart validations
   validateAddToCart,
   validateUpdateCartItem,
+  validateApplyCoupon,
+  
+  // Coupon validations
+  validateCreateCoupon,
+  validateUpdateCoupon,
   
   // Order validations
+  validateOrderQuote,
   validateCreateOrder,
   validateUpdateOrderStatus,
+  validateCreateShipments,
+  validateAddTracking,
+  validateShipmentStatus,
+  validateTrackOrder,
+  validateCodCollection,
+  validateCodReconciliation,
+  validateReturnRequest,
+  validateReturnApprove,
+  validateReturnReject,
+  validateReturnPickup,
+  validateReturnComplete,
+  
+  // Payment validations
+  validateCreatePaymentIntent,
+  validateConfirmPayment,
+  validateCreateRefund,
+  
+  // Shipping validations
+  validateShippingQuote,
+  validateCreateShippingZone,
+  validateUpdateShippingZone,
+  
+  // Search validations
+  validateSearch,
+  validateSuggest,
+  validateCreateSynonym,
+  validateUpdateSynonym,
+  validateSearchAnalytics,
   
   // Review validations
   validateCreateReview,
@@ -405,8 +952,21 @@ module.exports = {
   validateCreateAddress,
   validateUpdateAddress,
   
+  // Seller validations
+  validateSellerApplication,
+  validateUpdateSeller,
+  validateApproveSeller,
+  validateRejectSeller,
+  validateSellerCommission,
+  validateCreatePayout,
+  validatePayoutPaid,
+  
   // Param validations
   validateObjectId,
+  validateProductIdParam,
+  validateSlugParam,
+  validateCategoryParam,
+  validateShipmentParams,
   
   // Common schemas for reuse
   commonSchemas
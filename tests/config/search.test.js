@@ -0,0 +1,26 @@
+// The config reads the environment when it loads
+const loadPriceBuckets = (value) => {
+  let config;
+  process.env.SEARCH_PRICE_BUCKETS = value;
+
+  jest.isolateModules(() => {
+    config = require('../../src/config/search');
+  });
+
+  delete process.env.SEARCH_PRICE_BUCKETS;
+  return config.PRICE_BUCKETS;
+};
+
+describe('SEARCH_PRICE_BUCKETS', () => {
+  it('starts the first price range at 0 when the configured boundaries do not', () => {
+    expect(loadPriceBuckets('1000,500,5000')).toEqual([0, 500, 1000, 5000]);
+  });
+
+  it('keeps boundaries that already start at 0, without repeating it', () => {
+    expect(loadPriceBuckets('0,500,1000')).toEqual([0, 500, 1000]);
+  });
+
+  it('falls back to the default ranges when nothing usable is configured', () => {
+    expect(loadPriceBuckets('cheap')).toEqual([0, 500, 1000, 2500, 5000, 10000, 25000]);
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const User = require('../../src/models/User');
+const orderController = require('../../src/controllers/orderController');
+const { run } = require('../helpers/express');
+
+describe('orderController.trackOrder', () => {
+  let order;
+  let customer;
+
+  beforeEach(() => {
+    customer = new User({ _id: new mongoose.Types.ObjectId(), email: 'asha@example.com' });
+    order = new Order({
+      user: customer._id,
+      orderNumber: 'SG26100007',
+      paymentMethod: 'cod',
+      status: 'shipped'
+    });
+
+    jest.spyOn(Order, 'findOne').mockReturnValue({
+      populate: async () => order
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const track = (req) => run(orderController.trackOrder, {
+    params: { orderNumber: 'sg26100007' },
+    ...req
+  });
+
+  it('tracks an order for the email it was placed with', async () => {
+    order.user = customer;
+
+    const { statusCode, body } = await track({ query: { email: 'Asha@example.com' } });
+
+    expect(statusCode).toBe(200);
+    expect(body.data).toMatchObject({ orderNumber: 'SG26100007', status: 'shipped' });
+  });
+
+  describe('when the customer account was deleted', () => {
+    beforeEach(() => {
+      order.user = null;
+    });
+
+    it('still tracks the order for an admin', async () => {
+      const { statusCode, body } = await track({ user: { id: 'admin', role: 'admin' } });
+
+      expect(statusCode).toBe(200);
+      expect(body.data).toMatchObject({ orderNumber: 'SG26100007', status: 'shipped', shipments: [] });
+      expect(body.data).not.toHaveProperty('user');
+    });
+
+    it('answers anyone else as if there were no such order', async () => {
+      const byEmail = await track({ query: { email: 'asha@example.com' } });
+      const byUser = await track({ user: { id: customer._id.toString(), role: 'user' } });
+
+      expect(byEmail.error.statusCode).toBe(404);
+      expect(byUser.error.statusCode).toBe(404);
+    });
+  });
+});
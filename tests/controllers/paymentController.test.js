@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Cart = require('../../src/models/Cart');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const AppError = require('../../src/utils/appError');
+const inventoryService = require('../../src/services/inventoryService');
+const couponService = require('../../src/services/couponService');
+const pricingService = require('../../src/services/pricingService');
+const refundService = require('../../src/services/refundService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const paymentProviders = require('../../src/services/paymentProviders');
+const razorpayProvider = require('../../src/services/paymentProviders/razorpayProvider');
+const paymentController = require('../../src/controllers/paymentController');
+const { run } = require('../helpers/express');
+
+describe('paymentController.confirmPayment', () => {
+  let provider;
+  let user;
+
+  beforeEach(() => {
+    provider = paymentProviders.createFakeProvider('stripe');
+    paymentProviders.registerProvider('stripe', provider);
+    user = { id: new mongoose.Types.ObjectId().toString(), totalSpent: 0, totalOrders: 0 };
+
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Cart, 'findByUser').mockResolvedValue(null);
+    jest.spyOn(pricingService, 'verifyPaidQuote').mockImplementation(() => {});
+    jest.spyOn(pricingService, 'quoteToOrder').mockReturnValue({
+      items: [{ product: new mongoose.Types.ObjectId(), title: 'Wireless Headphones', quantity: 1, total: 1999 }],
+      subtotal: 1999,
+      totalAmount: 1999
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds a captured payment on a cancelled order when the stock ran out', async () => {
+    const intent = await provider.createIntent({ amount: 199900, currency: 'inr', metadata: { quoteSignature: 'sig' } });
+    provider.succeed(intent.id);
+
+    jest.spyOn(inventoryService, 'reserveItems')
+      .mockRejectedValue(new AppError('Insufficient stock for Wireless Headphones', 409));
+    const create = jest.spyOn(Order, 'create').mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'SG26100001',
+      ...data
+    }));
+    const refundOrder = jest.spyOn(refundService, 'refundOrder').mockImplementation(async (order) => {
+      order.cancellation.refundStatus = 'completed';
+    });
+
+    const { error } = await run(paymentController.confirmPayment, {
+      user,
+      body: { paymentIntentId: intent.id, shippingAddress: { city: 'Pune' }, quote: {} }
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toMatchObject({ orderNumber: 'SG26100001', refundStatus: 'completed' });
+
+    const recorded = create.mock.calls[0][0];
+    expect(recorded).toMatchObject({
+      status: 'cancelled',
+      paymentStatus: 'paid',
+      paymentDetails: { paymentIntentId: intent.id },
+      cancellation: { refundStatus: 'completed' }
+    });
+    expect(refundOrder).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ restock: false }));
+  });
+
+  it('keeps the refund pending for an admin when the provider rejects it', async () => {
+    const intent = await provider.createIntent({ amount: 199900, currency: 'inr', metadata: { quoteSignature: 'sig' } });
+    provider.succeed(intent.id);
+
+    jest.spyOn(inventoryService, 'reserveItems')
+      .mockRejectedValue(new AppError('Insufficient stock for Wireless Headphones', 409));
+    jest.spyOn(Order, 'create').mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'SG26100002',
+      ...data
+    }));
+    jest.spyOn(refundService, 'refundOrder').mockRejectedValue(new AppError('Refund creation failed', 502));
+
+    const { error } = await run(paymentController.confirmPayment, {
+      user,
+      body: { paymentIntentId: intent.id, shippingAddress: { city: 'Pune' }, quote: {} }
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(error.details.refundStatus).toBe('pending');
+  });
+});
+
+describe('paying for a pending order', () => {
+  let provider;
+  let user;
+  let order;
+
+  beforeEach(() => {
+    provider = paymentProviders.createFakeProvider('razorpay');
+    paymentProviders.registerProvider('razorpay', provider);
+    user = { id: new mongoose.Types.ObjectId().toString() };
+    order = new Order({
+      user: user.id,
+      orderNumber: 'SG26100003',
+      paymentMethod: 'razorpay',
+      paymentStatus: 'pending',
+      status: 'pending',
+      totalAmount: 1999,
+      reservationExpiresAt: new Date(Date.now() + 30 * 60 * 1000)
+    });
+
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Delivers a signed fake webhook, with each event processed as if newly stored
+  const deliver = (event) => {
+    jest.spyOn(WebhookEvent, 'record').mockResolvedValue({ _id: event.id, payload: event });
+    jest.spyOn(WebhookEvent, 'claim').mockResolvedValue({
+      payload: event,
+      markProcessed: jest.fn(),
+      markFailed: jest.fn()
+    });
+
+    const { body, headers } = provider.signWebhook(event);
+
+    return run(paymentController.handlePaymentWebhook, {
+      params: { provider: 'razorpay' },
+      headers: { 'x-fake-signature': headers['X-Fake-Signature'] },
+      body: Buffer.from(body)
+    });
+  };
+
+  it('charges the order total in the store currency, whatever the body asks for', async () => {
+    const { statusCode, body } = await run(paymentController.createPaymentIntent, {
+      user,
+      body: { orderId: order._id.toString(), currency: 'idr' }
+    });
+
+    expect(statusCode).toBe(200);
+    expect(body.data).toMatchObject({ amount: 199900, currency: 'inr' });
+    expect(provider.payments.get(body.data.paymentIntentId)).toMatchObject({ amount: 199900, currency: 'inr' });
+  });
+
+  it('keeps the order keys in Razorpay notes when the client sends more metadata than fits', async () => {
+    process.env.RAZORPAY_KEY_ID = 'rzp_test_dummy';
+    process.env.RAZORPAY_KEY_SECRET = 'rzp_secret_dummy';
+    paymentProviders.registerProvider('razorpay', razorpayProvider);
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ id: 'order_rzp_1', amount: 199900, currency: 'INR', status: 'created' })
+    });
+    const metadata = Object.fromEntries(Array.from({ length: 20 }, (value, i) => [`note${i}`, 'x']));
+
+    const { statusCode } = await run(paymentController.createPaymentIntent, {
+      user,
+      body: { orderId: order._id.toString(), metadata: { ...metadata, orderId: 'someone-elses-order' } }
+    });
+
+    const { notes } = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(statusCode).toBe(200);
+    expect(Object.keys(notes)).toHaveLength(15);
+    expect(notes).toMatchObject({ userId: user.id, orderId: order._id.toString(), orderNumber: 'SG26100003' });
+  });
+
+  it('marks the order paid when the payment covers its total', async () => {
+    const transition = jest.spyOn(orderStatusService, 'transition').mockResolvedValue(order);
+    jest.spyOn(order, 'extendReservation').mockResolvedValue(true);
+    const intent = await provider.createIntent({
+      amount: 199900,
+      currency: 'inr',
+      metadata: { orderId: order._id.toString() }
+    });
+
+    const { body } = await deliver(provider.succeed(intent.id));
+
+    expect(body).toEqual({ received: true, duplicate: false });
+    expect(order.paymentStatus).toBe('paid');
+    expect(transition).toHaveBeenCalledWith(order, 'confirmed', expect.anything());
+  });
+
+  it.each([
+    ['amount', 100, 'inr'],
+    ['currency', 199900, 'idr']
+  ])('flags a payment with the wrong %s instead of marking the order paid', async (field, amount, currency) => {
+    const transition = jest.spyOn(orderStatusService, 'transition');
+    const intent = await provider.createIntent({
+      amount,
+      currency,
+      metadata: { orderId: order._id.toString() }
+    });
+
+    const { body } = await deliver(provider.succeed(intent.id));
+
+    expect(body).toEqual({ received: true, duplicate: false });
+    expect(order.paymentStatus).toBe('pending');
+    expect(order.paymentDetails.mismatch).toMatchObject({ paymentIntentId: intent.id, amount, currency });
+    expect(transition).not.toHaveBeenCalled();
+  });
+
+  describe('when the payment succeeds after an earlier attempt failed', () => {
+    let intent;
+
+    beforeEach(async () => {
+      jest.spyOn(inventoryService, 'releaseItems').mockResolvedValue();
+      jest.spyOn(couponService, 'releaseCoupon').mockResolvedValue();
+      // The failed attempt takes the order's live hold
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async () => {
+        order.reservationExpiresAt = undefined;
+        return order;
+      });
+
+      intent = await provider.createIntent({
+        amount: 199900,
+        currency: 'inr',
+        metadata: { orderId: order._id.toString() }
+      });
+      order.set('paymentDetails.paymentIntentId', intent.id);
+
+      await deliver(provider.fail(intent.id));
+      expect(order).toMatchObject({ status: 'cancelled', paymentStatus: 'failed' });
+    });
+
+    it('reinstates the order when its stock can be reserved again', async () => {
+      const reserveItems = jest.spyOn(inventoryService, 'reserveItems').mockResolvedValue();
+
+      const { body } = await deliver(provider.succeed(intent.id));
+
+      expect(body).toEqual({ received: true, duplicate: false });
+      expect(order).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+      expect(order.cancellation.cancelledAt).toBeUndefined();
+      expect(reserveItems).toHaveBeenCalledWith(order.items);
+    });
+
+    it('marks the order paid and flags it for refund when the stock is gone', async () => {
+      jest.spyOn(inventoryService, 'reserveItems')
+        .mockRejectedValue(new AppError('Insufficient stock for Wireless Headphones', 409));
+
+      const { body } = await deliver(provider.succeed(intent.id));
+
+      expect(body).toEqual({ received: true, duplicate: false });
+      expect(order).toMatchObject({ status: 'cancelled', paymentStatus: 'paid' });
+      expect(order.paymentDetails.paymentIntentId).toBe(intent.id);
+      expect(order.cancellation.refundStatus).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const Order = require('../../src/models/Order');
+const paymentController = require('../../src/controllers/paymentController');
+const { buildEvent, signPayload } = require('../../src/utils/stripeWebhookSigner');
+const { mockWebhookEvents } = require('../helpers/webhookEvents');
+const { run } = require('../helpers/express');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+/**
+ * POST a signed Stripe delivery to the webhook endpoint
+ */
+const deliver = ({ body, header }) => run(paymentController.handlePaymentWebhook, {
+  headers: { 'stripe-signature': header },
+  body: Buffer.from(body)
+});
+
+const paymentSucceeded = (overrides) => buildEvent('payment_intent.succeeded', {
+  id: 'pi_test_123',
+  object: 'payment_intent',
+  amount: 199900,
+  currency: 'inr',
+  status: 'succeeded',
+  metadata: {}
+}, overrides);
+
+describe('Stripe webhook deliveries', () => {
+  let store;
+  let findOrder;
+
+  beforeAll(() => {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  beforeEach(() => {
+    store = mockWebhookEvents();
+    // The payment belongs to no order, so handling it only looks the order up
+    findOrder = jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('processes a delivery signed with the endpoint secret', async () => {
+    const event = paymentSucceeded();
+
+    const { statusCode, body } = await deliver(signPayload(event));
+
+    expect(statusCode).toBe(200);
+    expect(body).toEqual({ received: true, duplicate: false });
+    expect(findOrder).toHaveBeenCalledTimes(1);
+    expect([...store.values()]).toMatchObject([{ eventId: event.id, status: 'processed', attempts: 1 }]);
+  });
+
+  it('rejects a delivery signed with another secret', async () => {
+    const { statusCode, body } = await deliver(signPayload(paymentSucceeded(), 'whsec_someone_else'));
+
+    expect(statusCode).toBe(400);
+    expect(body).toMatch(/^Webhook Error: No signatures found matching the expected signature/);
+    expect(store.size).toBe(0);
+    expect(findOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const { header } = signPayload(paymentSucceeded());
+    const forged = JSON.stringify(paymentSucceeded({ data: { object: { id: 'pi_forged', amount: 1 } } }));
+
+    const { statusCode } = await deliver({ body: forged, header });
+
+    expect(statusCode).toBe(400);
+    expect(store.size).toBe(0);
+  });
+
+  it('rejects a replay of a delivery signed more than five minutes ago', async () => {
+    const signedAt = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    const { statusCode, body } = await deliver(signPayload(paymentSucceeded(), WEBHOOK_SECRET, signedAt));
+
+    expect(statusCode).toBe(400);
+    expect(body).toMatch(/Timestamp outside the tolerance zone/);
+    expect(store.size).toBe(0);
+    expect(findOrder).not.toHaveBeenCalled();
+  });
+
+  it('handles a redelivered event once', async () => {
+    const event = paymentSucceeded();
+
+    const first = await deliver(signPayload(event));
+    const second = await deliver(signPayload(event));
+
+    expect(first.body).toEqual({ received: true, duplicate: false });
+    expect(second.body).toEqual({ received: true, duplicate: true });
+    expect(findOrder).toHaveBeenCalledTimes(1);
+    expect(store.size).toBe(1);
+  });
+
+  it('handles concurrent deliveries of the same event once', async () => {
+    const event = paymentSucceeded();
+
+    const results = await Promise.all([
+      deliver(signPayload(event)),
+      deliver(signPayload(event)),
+      deliver(signPayload(event))
+    ]);
+
+    expect(results.map(result => result.body.duplicate).sort()).toEqual([false, true, true]);
+    expect(findOrder).toHaveBeenCalledTimes(1);
+    expect([...store.values()]).toMatchObject([{ status: 'processed', attempts: 1 }]);
+  });
+
+  it('runs a failed event again when it is redelivered', async () => {
+    const event = paymentSucceeded();
+    findOrder.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const failed = await deliver(signPayload(event));
+    expect(failed.error.statusCode).toBe(500);
+    expect([...store.values()]).toMatchObject([{ status: 'failed', lastError: 'Database unavailable' }]);
+
+    const retried = await deliver(signPayload(event));
+    expect(retried.body).toEqual({ received: true, duplicate: false });
+    expect([...store.values()]).toMatchObject([{ status: 'processed', attempts: 2 }]);
+  });
+});
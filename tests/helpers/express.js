@@ -0,0 +1,29 @@
+/**
+ * Call an Express handler and resolve once it responds or hands an error to next
+ * @param {Function} handler - Controller (or middleware)
+ * @param {Object} req - Request fields the handler reads
+ * @returns {Promise<Object>} { statusCode, body } for a response, { error } for next(error)
+ */
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    },
+    send(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    }
+  };
+
+  handler({ params: {}, query: {}, headers: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+module.exports = {
+  run
+};
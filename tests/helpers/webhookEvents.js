@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+
+/**
+ * Keep webhook events in memory instead of MongoDB
+ * WebhookEvent.record and WebhookEvent.claim run as written; the single-document
+ * findOneAndUpdate they issue is applied here in one step, as MongoDB applies it.
+ * @returns {Map} Stored events by ID
+ */
+const mockWebhookEvents = () => {
+  const store = new Map();
+
+  jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    await new Promise(resolve => setImmediate(resolve));
+
+    let stored = [...store.values()].find(event => matches(event, filter));
+
+    if (!stored && options.upsert) {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'received',
+        attempts: 0,
+        ...update.$setOnInsert
+      };
+      store.set(stored._id.toString(), stored);
+    } else if (stored) {
+      Object.assign(stored, update.$set);
+      Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+        stored[field] = (stored[field] || 0) + amount;
+      });
+    }
+
+    return stored ? WebhookEvent.hydrate({ ...stored }) : null;
+  });
+
+  jest.spyOn(WebhookEvent.prototype, 'save').mockImplementation(async function() {
+    store.set(this._id.toString(), this.toObject());
+    return this;
+  });
+
+  return store;
+};
+
+// Helper functions
+
+/**
+ * Whether a stored event matches the filters record and claim use
+ */
+const matches = (event, filter) => {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(option => matches(event, option));
+    }
+
+    const value = event[field];
+
+    if (condition && condition.$in) {
+      return condition.$in.includes(value);
+    }
+
+    if (condition && condition.$lte) {
+      return value instanceof Date && value <= condition.$lte;
+    }
+
+    return String(value) === String(condition);
+  });
+};
+
+module.exports = {
+  mockWebhookEvents
+};
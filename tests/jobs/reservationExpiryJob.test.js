@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const orderStatusService = require('../../src/services/orderStatusService');
+const { releaseExpiredReservations } = require('../../src/jobs/reservationExpiryJob');
+
+describe('releaseExpiredReservations', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const expiresAt = new Date('2026-10-19T11:30:00Z');
+  let expired;
+  let claimed;
+
+  beforeEach(() => {
+    const fields = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: 'SG26100010',
+      paymentMethod: 'razorpay',
+      paymentStatus: 'pending',
+      status: 'pending'
+    };
+    expired = new Order({ ...fields, reservationExpiresAt: expiresAt });
+    // The claim takes the hold off the order
+    claimed = new Order(fields);
+
+    jest.spyOn(Order, 'findExpiredReservations').mockResolvedValue([expired]);
+    jest.spyOn(Order, 'claimExpiredReservation').mockResolvedValue(claimed);
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels a claimed order without handing its hold back', async () => {
+    const transition = jest.spyOn(orderStatusService, 'transition').mockResolvedValue(claimed);
+
+    await expect(releaseExpiredReservations(now)).resolves.toBe(1);
+
+    expect(transition).toHaveBeenCalledWith(claimed, 'cancelled', expect.anything());
+    expect(Order.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('hands the hold back when cancelling the order fails, so the next sweep retries it', async () => {
+    jest.spyOn(orderStatusService, 'transition').mockRejectedValue(new Error('connection reset'));
+
+    await expect(releaseExpiredReservations(now)).resolves.toBe(0);
+
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: expired._id, status: 'pending', reservationExpiresAt: { $exists: false } },
+      { $set: { reservationExpiresAt: expiresAt } }
+    );
+  });
+
+  it('keeps sweeping when handing the hold back fails too', async () => {
+    jest.spyOn(orderStatusService, 'transition').mockRejectedValue(new Error('connection reset'));
+    Order.updateOne.mockRejectedValue(new Error('connection reset'));
+
+    await expect(releaseExpiredReservations(now)).resolves.toBe(0);
+  });
+});
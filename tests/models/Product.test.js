@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+
+const approvedProduct = () => new Product({
+  title: 'Cotton T-Shirt',
+  description: 'Plain cotton t-shirt',
+  price: 499,
+  category: new mongoose.Types.ObjectId(),
+  stock: 50,
+  approvalStatus: 'approved',
+  variants: [{
+    name: 'Size',
+    options: [
+      { value: 'M', price: 499, stock: 20 },
+      { value: 'L', price: 549, stock: 30 }
+    ]
+  }]
+});
+
+// The variants as a seller would send them back in an edit
+const editedVariants = (product, edit) => {
+  const variants = product.toObject().variants;
+  edit(variants[0].options);
+  return variants;
+};
+
+describe('Product.resubmitForReview', () => {
+  it('sends an approved product back for review when a variant option is repriced', () => {
+    const product = approvedProduct();
+    const variants = editedVariants(product, options => {
+      options[1].price = 49;
+    });
+
+    expect(product.resubmitForReview({ variants })).toBe(true);
+    expect(product.approvalStatus).toBe('pending');
+  });
+
+  it('sends an approved product back for review when a variant option is added', () => {
+    const product = approvedProduct();
+    const variants = editedVariants(product, options => {
+      options.push({ value: 'XL', price: 599, stock: 10 });
+    });
+
+    expect(product.resubmitForReview({ variants })).toBe(true);
+  });
+
+  it('keeps an approved product live when only variant stock changes', () => {
+    const product = approvedProduct();
+    const variants = editedVariants(product, options => {
+      options[0].stock = 0;
+      options[1].stock = 45;
+    });
+
+    expect(product.resubmitForReview({ variants, stock: 45 })).toBe(false);
+    expect(product.approvalStatus).toBe('approved');
+  });
+});
@@ -0,0 +1,27 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const Category = require('../../src/models/Category');
+const productRoutes = require('../../src/routes/productRoutes');
+
+const app = express();
+app.use(cookieParser());
+app.use('/api/products', productRoutes);
+
+describe('GET /api/products/categories/list', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('still lists the active categories, as GET /api/categories does', async () => {
+    const categories = [{ name: 'Audio', slug: 'audio' }];
+    const sort = jest.fn().mockResolvedValue(categories);
+    const find = jest.spyOn(Category, 'find').mockReturnValue({ select: () => ({ sort }) });
+
+    const response = await request(app).get('/api/products/categories/list');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, count: 1, data: { categories } });
+    expect(find).toHaveBeenCalledWith({ isActive: true });
+  });
+});
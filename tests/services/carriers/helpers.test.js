@@ -0,0 +1,11 @@
+const { safeEqual } = require('../../../src/services/carriers/helpers');
+
+describe('carrier helpers safeEqual', () => {
+  it('matches equal signatures', () => {
+    expect(safeEqual('a1b2c3', 'a1b2c3')).toBe(true);
+  });
+
+  it('rejects a multibyte signature with as many characters rather than throwing', () => {
+    expect(safeEqual('é'.repeat(6), 'a1b2c3')).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const inventoryService = require('../../src/services/inventoryService');
+
+/**
+ * Stand-in for the products collection: findOneAndUpdate applies its filter and $inc in one
+ * step, as MongoDB does for a single document, while findById lets other requests run first.
+ */
+const mockProducts = (products) => {
+  const store = new Map(products.map(product => [product._id.toString(), product]));
+
+  jest.spyOn(Product, 'findById').mockImplementation((id) => ({
+    select: async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      const product = store.get(id.toString());
+      return product ? new Product(product) : null;
+    }
+  }));
+
+  jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const product = store.get(filter._id.toString());
+
+    if (!product) return null;
+    if (filter.stock && product.stock < filter.stock.$gte) return null;
+    if (filter.isActive && !product.isActive) return null;
+
+    product.stock += update.$inc.stock;
+    return new Product(product);
+  });
+
+  return store;
+};
+
+const productData = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Wireless Headphones',
+  price: 1999,
+  stock: 1,
+  isActive: true,
+  ...overrides
+});
+
+const line = (product, quantity = 1) => ({
+  product: product._id,
+  title: product.title,
+  quantity,
+  selectedVariants: []
+});
+
+describe('inventoryService.reserveItems', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sells the last unit to only one of two concurrent checkouts', async () => {
+    const product = productData({ stock: 1 });
+    const store = mockProducts([product]);
+
+    const results = await Promise.allSettled([
+      inventoryService.reserveItems([line(product)]),
+      inventoryService.reserveItems([line(product)])
+    ]);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.statusCode).toBe(409);
+    expect(rejected[0].reason.message).toBe('Insufficient stock for Wireless Headphones');
+    expect(store.get(product._id.toString()).stock).toBe(0);
+  });
+
+  it('releases the lines already reserved when a later line is short', async () => {
+    const plenty = productData({ title: 'USB Cable', stock: 5 });
+    const last = productData({ stock: 1 });
+    const store = mockProducts([plenty, last]);
+
+    await inventoryService.reserveItems([line(last)]);
+
+    await expect(inventoryService.reserveItems([line(plenty, 2), line(last)]))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(store.get(plenty._id.toString()).stock).toBe(5);
+    expect(store.get(last._id.toString()).stock).toBe(0);
+  });
+});
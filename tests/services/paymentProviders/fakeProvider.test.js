@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Order = require('../../../src/models/Order');
+const paymentProviders = require('../../../src/services/paymentProviders');
+const paymentController = require('../../../src/controllers/paymentController');
+const { mockWebhookEvents } = require('../../helpers/webhookEvents');
+const { run } = require('../../helpers/express');
+
+const { createFakeProvider } = paymentProviders;
+
+describe('createFakeProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createFakeProvider('razorpay');
+  });
+
+  describe('createIntent', () => {
+    it('creates a pending payment with a client secret', async () => {
+      const intent = await provider.createIntent({ amount: 199900, currency: 'inr', metadata: { orderId: 'o1' } });
+
+      expect(intent).toMatchObject({
+        id: 'razorpay_pi_1',
+        status: 'pending',
+        amount: 199900,
+        currency: 'inr',
+        metadata: { orderId: 'o1' },
+        clientSecret: 'razorpay_pi_1_secret',
+        clientData: {}
+      });
+      expect(provider.payments.get(intent.id)).toMatchObject({ status: 'pending', amount: 199900 });
+    });
+
+    it('keeps its own copy of the metadata', async () => {
+      const metadata = { orderId: 'o1' };
+      const intent = await provider.createIntent({ amount: 100, currency: 'inr', metadata });
+      metadata.orderId = 'changed';
+
+      expect(provider.payments.get(intent.id).metadata.orderId).toBe('o1');
+    });
+  });
+
+  describe('confirm', () => {
+    it('reports the payment as the controls left it', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+
+      expect((await provider.confirm(id)).status).toBe('pending');
+
+      provider.succeed(id);
+      const payment = await provider.confirm(id);
+
+      expect(payment.status).toBe('succeeded');
+      expect(payment.transactionId).toMatch(/^razorpay_txn_/);
+      expect(await provider.fetchStatus(id)).toEqual(payment);
+    });
+
+    it('returns a copy the caller can change freely', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+
+      const payment = await provider.confirm(id);
+      payment.status = 'succeeded';
+
+      expect(provider.payments.get(id).status).toBe('pending');
+    });
+
+    it('records why a payment failed', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+      provider.fail(id, 'Insufficient funds');
+
+      expect(await provider.confirm(id)).toMatchObject({ status: 'failed', error: 'Insufficient funds' });
+    });
+
+    it('rejects an unknown payment with a 404', async () => {
+      await expect(provider.confirm('razorpay_pi_404')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('refund', () => {
+    it('refunds right away by default', async () => {
+      const refund = await provider.refund({ paymentIntentId: 'razorpay_pi_1' }, { amount: 5000 });
+
+      expect(refund).toEqual({ id: 'razorpay_re_1', amount: 5000, status: 'succeeded' });
+      expect(provider.refunds).toEqual([{ ...refund, paymentIntentId: 'razorpay_pi_1' }]);
+    });
+
+    it('leaves refunds pending to settle later', async () => {
+      provider.setRefundStatus('pending');
+      const refund = await provider.refund({ paymentIntentId: 'razorpay_pi_1' }, { amount: 5000 });
+
+      expect(refund.status).toBe('pending');
+
+      const event = provider.settleRefund(refund.id, 'failed', 'Account closed');
+
+      expect(event).toMatchObject({
+        type: 'refund.updated',
+        data: { id: refund.id, amount: 5000, status: 'failed', reason: 'Account closed' }
+      });
+      expect(provider.refunds[0].status).toBe('failed');
+    });
+
+    it('rejects settling an unknown refund', () => {
+      expect(() => provider.settleRefund('razorpay_re_404')).toThrow('Refund not found');
+    });
+  });
+
+  describe('webhooks', () => {
+    it('builds an event for each settled payment', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+
+      expect(provider.process(id)).toMatchObject({ type: 'payment.processing', payment: { id, status: 'processing' } });
+      expect(provider.succeed(id)).toMatchObject({ type: 'payment.succeeded', payment: { id, status: 'succeeded' } });
+    });
+
+    it('verifies its own signed deliveries, whatever the header case', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+      const event = provider.succeed(id);
+      const { body, headers } = provider.signWebhook(event);
+
+      expect(provider.verifyWebhook(Buffer.from(body), headers)).toEqual(event);
+      expect(provider.verifyWebhook(body, { 'x-fake-signature': headers['X-Fake-Signature'] })).toEqual(event);
+    });
+
+    it('rejects a changed body or a missing signature', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+      const { body, headers } = provider.signWebhook(provider.succeed(id));
+
+      expect(() => provider.verifyWebhook(body.replace('100', '1'), headers)).toThrow('Invalid fake webhook signature');
+      expect(() => provider.verifyWebhook(body, {})).toThrow('Invalid fake webhook signature');
+      // As many characters as the real signature, but more bytes
+      expect(() => provider.verifyWebhook(body, { 'x-fake-signature': 'é'.repeat(64) }))
+        .toThrow('Invalid fake webhook signature');
+    });
+
+    it('normalizes events it built as they are', async () => {
+      const { id } = await provider.createIntent({ amount: 100, currency: 'inr' });
+      const paid = provider.succeed(id);
+      const refunded = provider.settleRefund((await provider.refund({ paymentIntentId: id }, { amount: 100 })).id);
+
+      expect(provider.normalizeEvent(paid)).toEqual({ id: paid.id, type: paid.type, payment: paid.payment, data: null });
+      expect(provider.normalizeEvent(refunded)).toEqual({ id: refunded.id, type: refunded.type, payment: null, data: refunded.data });
+    });
+  });
+
+  describe('as a registered provider', () => {
+    let order;
+    let store;
+
+    beforeEach(() => {
+      paymentProviders.registerProvider('razorpay', provider);
+      store = mockWebhookEvents();
+      order = new Order({
+        user: new mongoose.Types.ObjectId(),
+        orderNumber: 'SG26100004',
+        paymentMethod: 'razorpay',
+        paymentStatus: 'paid',
+        status: 'confirmed',
+        totalAmount: 1999
+      });
+
+      jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('is served for its payment method', () => {
+      expect(paymentProviders.getProvider('razorpay')).toBe(provider);
+    });
+
+    it('settles a refund from a signed webhook delivery', async () => {
+      provider.setRefundStatus('pending');
+      const refund = await provider.refund({ paymentIntentId: 'razorpay_pi_1' }, { amount: 199900 });
+      order.refunds.push({ refundId: refund.id, provider: 'razorpay', amount: 1999 });
+      order.setRefundStatus(order.refunds[0], 'pending');
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+      const { body, headers } = provider.signWebhook(provider.settleRefund(refund.id, 'succeeded'));
+      const result = await run(paymentController.handlePaymentWebhook, {
+        params: { provider: 'razorpay' },
+        headers: { 'x-fake-signature': headers['X-Fake-Signature'] },
+        body: Buffer.from(body)
+      });
+
+      expect(result.body).toEqual({ received: true, duplicate: false });
+      expect(order.refunds[0].status).toBe('succeeded');
+      expect(order.paymentStatus).toBe('refunded');
+      expect([...store.values()]).toMatchObject([{ provider: 'razorpay', type: 'refund.updated', status: 'processed' }]);
+    });
+
+    it('rejects a forged webhook delivery', async () => {
+      const { body } = provider.signWebhook({ id: 'evt_forged', type: 'payment.succeeded', payment: {} });
+
+      const result = await run(paymentController.handlePaymentWebhook, {
+        params: { provider: 'razorpay' },
+        headers: { 'x-fake-signature': 'forged' },
+        body: Buffer.from(body)
+      });
+
+      expect(result.statusCode).toBe(400);
+      expect(store.size).toBe(0);
+    });
+  });
+});
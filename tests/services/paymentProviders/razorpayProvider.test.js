@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const razorpayProvider = require('../../../src/services/paymentProviders/razorpayProvider');
+
+const KEY_SECRET = 'rzp_secret_dummy';
+const WEBHOOK_SECRET = 'rzp_webhook_dummy';
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+// As many characters as a hex SHA-256 signature, but more bytes
+const MULTIBYTE_SIGNATURE = 'é'.repeat(64);
+
+describe('razorpayProvider signatures', () => {
+  beforeEach(() => {
+    process.env.RAZORPAY_KEY_ID = 'rzp_test_dummy';
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  describe('verifyWebhook', () => {
+    const body = JSON.stringify({ event: 'order.paid', payload: {} });
+
+    it('accepts a body signed with the webhook secret', () => {
+      const event = razorpayProvider.verifyWebhook(Buffer.from(body), {
+        'x-razorpay-signature': hmac(WEBHOOK_SECRET, body),
+        'x-razorpay-event-id': 'evt_1'
+      });
+
+      expect(event).toMatchObject({ id: 'evt_1', type: 'order.paid' });
+    });
+
+    it('rejects a multibyte signature as invalid rather than failing the comparison', () => {
+      expect(() => razorpayProvider.verifyWebhook(Buffer.from(body), { 'x-razorpay-signature': MULTIBYTE_SIGNATURE }))
+        .toThrow('Invalid Razorpay webhook signature');
+    });
+  });
+
+  describe('confirm', () => {
+    it('answers 400 for a multibyte payment signature', async () => {
+      await expect(razorpayProvider.confirm('order_rzp_1', {
+        razorpay_payment_id: 'pay_1',
+        razorpay_signature: MULTIBYTE_SIGNATURE
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid Razorpay payment signature' });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const couponService = require('../../src/services/couponService');
+const taxService = require('../../src/services/taxService');
+const shippingService = require('../../src/services/shippingService');
+const pricingService = require('../../src/services/pricingService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const ADDRESS = { country: 'India', state: 'Maharashtra', zipCode: '411001' };
+
+describe('pricingService currency', () => {
+  let quote;
+
+  beforeAll(() => {
+    process.env.PRICE_QUOTE_SECRET = 'test-quote-secret';
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(couponService, 'priceCartCoupon').mockResolvedValue(null);
+    jest.spyOn(taxService, 'calculateOrderTax').mockResolvedValue({
+      lines: [],
+      taxAmount: 0,
+      pricesIncludeTax: true,
+      breakdown: {}
+    });
+    jest.spyOn(shippingService, 'selectShippingOption').mockResolvedValue({
+      method: 'standard',
+      label: 'Standard',
+      cost: 99
+    });
+
+    quote = await pricingService.priceCart({ items: [] }, USER_ID, { shippingAddress: ADDRESS });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('quotes in INR', () => {
+    expect(quote).toMatchObject({ currency: 'inr', total: 99 });
+  });
+
+  it('refuses to quote in a currency the prices are not in', async () => {
+    await expect(pricingService.priceCart({ items: [] }, USER_ID, { shippingAddress: ADDRESS, currency: 'IDR' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('accepts a payment of the quoted total in the quoted currency', () => {
+    expect(() => pricingService.verifyPaidQuote(quote, USER_ID, {
+      amount: 9900,
+      currency: 'INR',
+      quoteSignature: quote.signature,
+      shippingAddress: ADDRESS
+    })).not.toThrow();
+  });
+
+  it('rejects a payment of the quoted amount in another currency', () => {
+    expect(() => pricingService.verifyPaidQuote(quote, USER_ID, {
+      amount: 9900,
+      currency: 'idr',
+      quoteSignature: quote.signature,
+      shippingAddress: ADDRESS
+    })).toThrow('This quote does not match the payment');
+  });
+
+  it('rejects a quote whose signature is multibyte text of the same length', () => {
+    const forged = { ...quote, signature: 'é'.repeat(quote.signature.length) };
+
+    expect(() => pricingService.verifyQuote(forged, USER_ID)).toThrow('Invalid price quote');
+  });
+});
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const inventoryService = require('../../src/services/inventoryService');
+const couponService = require('../../src/services/couponService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const refundService = require('../../src/services/refundService');
+const paymentProviders = require('../../src/services/paymentProviders');
+
+const PRODUCT_ID = new mongoose.Types.ObjectId();
+
+const paidOrder = (status) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderNumber: 'SG26100005',
+  items: [{ product: PRODUCT_ID, title: 'Wireless Headphones', price: 1000, quantity: 2, total: 2000 }],
+  subtotal: 2000,
+  totalAmount: 2000,
+  pricesIncludeTax: true,
+  paymentMethod: 'razorpay',
+  paymentStatus: 'paid',
+  paymentDetails: { paymentIntentId: 'razorpay_pi_1' },
+  status
+});
+
+const releasedQuantities = (releaseItems) =>
+  releaseItems.mock.calls.flatMap(([items]) => items.map(item => item.quantity));
+
+describe('refundService.refundOrder restocking', () => {
+  let releaseItems;
+
+  beforeEach(() => {
+    paymentProviders.registerProvider('razorpay', paymentProviders.createFakeProvider('razorpay'));
+    releaseItems = jest.spyOn(inventoryService, 'releaseItems').mockResolvedValue();
+    jest.spyOn(couponService, 'releaseCoupon').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restocks the refunded lines of an order that still holds its stock', async () => {
+    const order = paidOrder('confirmed');
+
+    const refund = await refundService.refundOrder(order, { items: [{ product: PRODUCT_ID, quantity: 1 }] });
+
+    expect(refund.restockedAt).toBeInstanceOf(Date);
+    expect(releasedQuantities(releaseItems)).toEqual([1]);
+  });
+
+  it('does not restock a cancelled order, whose stock went back on cancellation', async () => {
+    const order = paidOrder('confirmed');
+    await orderStatusService.transition(order, 'cancelled', { reason: 'Customer request' });
+    expect(releasedQuantities(releaseItems)).toEqual([2]);
+
+    const refund = await refundService.refundOrder(order, { reason: 'Order cancelled' });
+
+    expect(refund).toMatchObject({ status: 'succeeded', restock: false });
+    expect(releasedQuantities(releaseItems)).toEqual([2]);
+    expect(order.paymentStatus).toBe('refunded');
+  });
+
+  it('does not restock a refund that settles after the order was cancelled', async () => {
+    const provider = paymentProviders.getProvider('razorpay');
+    provider.setRefundStatus('pending');
+    const order = paidOrder('confirmed');
+
+    const refund = await refundService.refundOrder(order, { items: [{ product: PRODUCT_ID, quantity: 2 }] });
+    await orderStatusService.transition(order, 'cancelled', { reason: 'Customer request' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    await refundService.updateRefundStatus(refund.refundId, 'succeeded');
+
+    expect(refund.status).toBe('succeeded');
+    expect(refund.restockedAt).toBeUndefined();
+    expect(releasedQuantities(releaseItems)).toEqual([2]);
+  });
+
+  it('releases only the units not already restocked when a partly refunded order is cancelled', async () => {
+    const order = paidOrder('confirmed');
+
+    await refundService.refundOrder(order, { items: [{ product: PRODUCT_ID, quantity: 1 }] });
+    await orderStatusService.transition(order, 'cancelled', { reason: 'Customer request' });
+
+    expect(releasedQuantities(releaseItems)).toEqual([1, 1]);
+  });
+});
+
+describe('moving an order to refunded', () => {
+  beforeEach(() => {
+    paymentProviders.registerProvider('razorpay', paymentProviders.createFakeProvider('razorpay'));
+    jest.spyOn(inventoryService, 'releaseItems').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a manual move to refunded, which would refund nothing', async () => {
+    const order = paidOrder('delivered');
+
+    await expect(orderStatusService.transition(order, 'refunded'))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(order).toMatchObject({ status: 'delivered', paymentStatus: 'paid' });
+    expect(order.refunds).toHaveLength(0);
+  });
+
+  it('moves an order refunded in full to refunded, recording it in the status history', async () => {
+    const order = paidOrder('delivered');
+
+    await refundService.refundOrder(order, { amount: 500 });
+    expect(order.status).toBe('delivered');
+
+    await refundService.refundOrder(order, { reason: 'Damaged in transit' });
+
+    expect(order).toMatchObject({ status: 'refunded', paymentStatus: 'refunded' });
+    expect(order.statusHistory[order.statusHistory.length - 1])
+      .toMatchObject({ status: 'refunded', notes: 'Refunded in full' });
+  });
+});
+
+describe('concurrent refunds', () => {
+  let provider;
+
+  // Emulates MongoDB for copies of one order loaded at the same time: a save made after
+  // order.increment() fails with a VersionError once another copy has been saved that way
+  const versionedSaves = () => {
+    let version = 0;
+    const guarded = new WeakSet();
+
+    jest.spyOn(Order.prototype, 'increment').mockImplementation(function() {
+      guarded.add(this);
+      return this;
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      if (guarded.has(this)) {
+        guarded.delete(this);
+
+        if (this.__v !== version) {
+          throw new mongoose.Error.VersionError(this, this.__v, []);
+        }
+        version += 1;
+        this.__v = version;
+      }
+      return this;
+    });
+  };
+
+  beforeEach(() => {
+    provider = paymentProviders.createFakeProvider('razorpay');
+    paymentProviders.registerProvider('razorpay', provider);
+    jest.spyOn(inventoryService, 'releaseItems').mockResolvedValue();
+    versionedSaves();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds an order once when two full refunds are requested at the same time', async () => {
+    const first = paidOrder('delivered');
+    first.__v = 0;
+    const second = new Order(first.toObject({ virtuals: false }));
+
+    const results = await Promise.allSettled([
+      refundService.refundOrder(first, { reason: 'Duplicate click' }),
+      refundService.refundOrder(second, { reason: 'Duplicate click' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(provider.refunds).toHaveLength(1);
+    expect(provider.refunds[0].amount).toBe(200000);
+  });
+});
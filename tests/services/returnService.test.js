@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+
+// Read when the service loads
+process.env.RETURN_WINDOW_DAYS = 'thirty';
+const returnService = require('../../src/services/returnService');
+
+const PRODUCT_ID = new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const deliveredOrder = (deliveredDaysAgo) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderNumber: 'SG26100009',
+  items: [{ product: PRODUCT_ID, title: 'Wireless Headphones', price: 1000, quantity: 2, total: 2000 }],
+  subtotal: 2000,
+  totalAmount: 2000,
+  pricesIncludeTax: true,
+  paymentMethod: 'razorpay',
+  paymentStatus: 'paid',
+  status: 'delivered',
+  deliveredAt: new Date(Date.now() - deliveredDaysAgo * DAY_MS)
+});
+
+const requestOne = (order) => returnService.requestReturn(order, {
+  items: [{ product: PRODUCT_ID.toString(), quantity: 1, reason: 'Defective' }],
+  reason: 'Defective'
+});
+
+describe('returnService', () => {
+  beforeEach(() => {
+    // A product whose category doesn't set its own window
+    jest.spyOn(Product, 'find').mockReturnValue({
+      populate: jest.fn().mockResolvedValue([{ _id: PRODUCT_ID, category: { name: 'Audio' } }])
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('return window', () => {
+    it('falls back to 30 days when RETURN_WINDOW_DAYS is not a number', async () => {
+      await expect(requestOne(deliveredOrder(31)))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('return window') });
+
+      const order = await requestOne(deliveredOrder(29));
+      expect(order.returnRequest.status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Seller = require('../../src/models/Seller');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const Payout = require('../../src/models/Payout');
+const sellerService = require('../../src/services/sellerService');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('sellerService.createPayout', () => {
+  let seller;
+  let payouts;
+
+  beforeEach(() => {
+    const sellerUser = new mongoose.Types.ObjectId();
+    const deliveredAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+
+    seller = new Seller({ user: sellerUser, status: 'approved', commissionRate: 10 });
+    payouts = [];
+    const lock = { until: null };
+
+    const order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: 'SG26100008',
+      items: [{
+        product: new mongoose.Types.ObjectId(),
+        seller: sellerUser,
+        title: 'Wireless Headphones',
+        price: 1000,
+        quantity: 1,
+        total: 1000
+      }],
+      subtotal: 1000,
+      totalAmount: 1000,
+      pricesIncludeTax: true,
+      paymentMethod: 'razorpay',
+      paymentStatus: 'paid',
+      status: 'delivered',
+      deliveredAt
+    });
+
+    // The lock is a conditional update on the seller, applied in one step as MongoDB does
+    jest.spyOn(Seller, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await tick();
+      if (lock.until && lock.until > filter.payoutLockedUntil.$not.$gt) return null;
+      lock.until = update.$set.payoutLockedUntil;
+      return seller;
+    });
+    jest.spyOn(Seller, 'updateOne').mockImplementation(async () => {
+      lock.until = null;
+    });
+
+    jest.spyOn(Order, 'find').mockReturnValue({ sort: async () => [order] });
+    jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ populate: async () => [] }) });
+    jest.spyOn(Payout, 'find').mockImplementation(() => ({
+      select: async () => payouts.filter(payout => payout.status !== 'cancelled')
+    }));
+    jest.spyOn(Payout, 'create').mockImplementation(async (data) => {
+      await tick();
+      const payout = { _id: new mongoose.Types.ObjectId(), status: 'pending', ...data };
+      payouts.push(payout);
+      return payout;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pays out the available earnings', async () => {
+    const payout = await sellerService.createPayout(seller);
+
+    expect(payout.lines).toMatchObject([{ orderNumber: 'SG26100008', quantity: 1, gross: 1000, net: 900 }]);
+    expect(Seller.updateOne).toHaveBeenCalledWith({ _id: seller._id }, { $unset: { payoutLockedUntil: 1 } });
+  });
+
+  it('pays the same lines only once when two payouts are requested together', async () => {
+    const results = await Promise.allSettled([
+      sellerService.createPayout(seller),
+      sellerService.createPayout(seller)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(payouts).toHaveLength(1);
+  });
+
+  it('finds nothing left to pay once a payout took the lines', async () => {
+    await sellerService.createPayout(seller);
+
+    await expect(sellerService.createPayout(seller)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Nothing is available to pay out for this seller'
+    });
+    expect(payouts).toHaveLength(1);
+    expect(Seller.updateOne).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const shipmentService = require('../../src/services/shipmentService');
+
+const HEADPHONES = new mongoose.Types.ObjectId();
+const CABLE = new mongoose.Types.ObjectId();
+
+const orderWithShipments = (status, trackingNumbers) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderNumber: 'SG26100006',
+  items: [
+    { product: HEADPHONES, title: 'Wireless Headphones', price: 1000, quantity: 1, total: 1000 },
+    { product: CABLE, title: 'USB Cable', price: 200, quantity: 1, total: 200 }
+  ],
+  paymentMethod: 'razorpay',
+  paymentStatus: 'paid',
+  status,
+  shipments: trackingNumbers.map((trackingNumber, index) => ({
+    shipmentNumber: `SG26100006-${index + 1}`,
+    items: [{ product: index === 0 ? HEADPHONES : CABLE, quantity: 1 }],
+    carrier: 'generic',
+    trackingNumber,
+    status: 'pending',
+    statusHistory: [{ status: 'pending' }]
+  }))
+});
+
+// One carrier delivery with every scan from pickup to the doorstep
+const scansToDelivery = (trackingNumber) => ['shipped', 'in_transit', 'out_for_delivery', 'delivered']
+  .map((status, hour) => ({
+    trackingNumber,
+    status,
+    shipmentStatus: status,
+    occurredAt: new Date(Date.UTC(2026, 9, 19, 8 + hour))
+  }));
+
+describe('shipmentService.recordCarrierScans', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Product, 'findByIdAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const orderStatuses = (order) => order.statusHistory.map(entry => entry.status);
+
+  it('follows a confirmed order to delivered when one webhook reports both its shipments delivered', async () => {
+    const order = orderWithShipments('confirmed', ['TRK1', 'TRK2']);
+    jest.spyOn(Order, 'findOne').mockImplementation(async () => order);
+
+    const result = await shipmentService.recordCarrierScans('generic', [
+      ...scansToDelivery('TRK1'),
+      ...scansToDelivery('TRK2')
+    ]);
+
+    expect(result).toEqual({ recorded: 8, unmatched: [] });
+    expect(order.status).toBe('delivered');
+    expect(orderStatuses(order)).toEqual(['partially_shipped', 'partially_delivered', 'delivered']);
+  });
+
+  it('walks a confirmed order to partially delivered when one of its shipments arrives', async () => {
+    const order = orderWithShipments('confirmed', ['TRK1', 'TRK2']);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    await shipmentService.recordCarrierScans('generic', scansToDelivery('TRK1'));
+
+    expect(order.status).toBe('partially_delivered');
+    expect(orderStatuses(order)).toEqual(['partially_shipped', 'partially_delivered']);
+    expect(order.shipments[0].events).toHaveLength(4);
+  });
+
+  it('moves a single-shipment order from confirmed to delivered through shipped', async () => {
+    const order = orderWithShipments('confirmed', ['TRK1']);
+    order.items.pop();
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    await shipmentService.recordCarrierScans('generic', scansToDelivery('TRK1'));
+
+    expect(orderStatuses(order)).toEqual(['shipped', 'delivered']);
+    expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(HEADPHONES, { $inc: { purchases: 1, revenue: 1000 } });
+  });
+
+  it('keeps the scans of an order that can no longer follow its shipments', async () => {
+    const order = orderWithShipments('cancelled', ['TRK1']);
+    order.items.pop();
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const result = await shipmentService.recordCarrierScans('generic', scansToDelivery('TRK1'));
+
+    expect(result.recorded).toBe(4);
+    expect(order.status).toBe('cancelled');
+    expect(order.shipments[0].events).toHaveLength(4);
+    expect(save).toHaveBeenCalled();
+  });
+});